@@ -1,34 +0,0 @@
-# Auto-update viral links daily using AI
-name: Auto Update Viral Links
-
-on:
-  schedule:
-    - cron: '0 */6 * * *'  # Run every 6 hours
-  workflow_dispatch:
-
-jobs:
-  update-links:
-    runs-on: ubuntu-latest
-    permissions:
-      contents: write  # Allow pushing changes
-    
-    steps:
-    - uses: actions/checkout@v3
-      with:
-        token: ${{ secrets.GITHUB_TOKEN }}
-        
-    - uses: actions/setup-node@v3
-      with:
-        node-version: '18'
-    
-    - run: npm install axios cheerio
-      
-    - run: node scripts/auto-curator.js
-      env:
-        OPENAI_API_KEY: ${{ secrets.OPENAI_API_KEY }}
-      
-    - run: |
-        git config user.name 'Viral Nexus Bot'
-        git config user.email 'bot@viralnexus.com'
-        git add links.json
-        git diff --quiet && git diff --staged --quiet || (git commit -m "Auto-update: New viral links $(date +%Y-%m-%d)" && git push)
@@ -0,0 +1,47 @@
+// Link filtering shared by the homepage (applyFilters) and the API server, so
+// ?category=&q=&since= on /api/v1/links behaves exactly like the UI filters.
+// Queries go through the full-text search in search.js.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./search'));
+    } else {
+        root.LinkFilters = factory(root.ViralSearch);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ViralSearch) {
+    // category: 'all' or a category name; since: ISO date/timestamp
+    function matchesFilters(link, { category = 'all', since } = {}) {
+        if (category && category !== 'all' && link.category !== category) return false;
+        if (since) {
+            const sinceTime = new Date(since).getTime();
+            if (!Number.isNaN(sinceTime) && !(new Date(link.createdAt).getTime() >= sinceTime)) return false;
+        }
+        return true;
+    }
+
+    // Without a query links keep their order; with one they come back best match first.
+    // Pass `synonyms` ({ keyword: [...] }) to expand queries.
+    function filterLinks(links, options = {}) {
+        const query = (options.query || '').trim();
+        if (!query) return links.filter(link => matchesFilters(link, options));
+        return ViralSearch.searchLinks(links, query, options).filter(link => matchesFilters(link, options));
+    }
+
+    // How well a link fits what a reader follows: 2 per followed keyword it has, 1 if its
+    // category is followed
+    function followScore(link, { keywords = [], categories = [] } = {}) {
+        const followed = new Set(keywords.map(k => k.toLowerCase()));
+        const matches = (link.keywords || []).filter(k => followed.has(k.toLowerCase())).length;
+        return matches * 2 + (categories.includes(link.category) ? 1 : 0);
+    }
+
+    // Best fit first; links that fit equally keep their order, and nothing is dropped
+    function personalize(links, follows) {
+        return links
+            .map((link, index) => ({ link, index, score: followScore(link, follows) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(entry => entry.link);
+    }
+
+    return { filterLinks, followScore, personalize };
+});
@@ -0,0 +1,62 @@
+// Offline support shared by the service worker (sw.js) and the homepage: which requests
+// get which caching strategy, and which links count as new since the reader's last visit.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ViralOffline = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Pre-cached at install, so the page opens with no connection at all
+    const SHELL_FILES = [
+        'index.html',
+        'style.css',
+        'script.js',
+        'ranking.js',
+        'search.js',
+        'link-filters.js',
+        'offline.js',
+        'manifest.webmanifest',
+        'images/icon.svg',
+        'images/icon-192.png',
+        'images/cards/news.svg',
+        'images/cards/videos.svg',
+        'images/cards/products.svg',
+        'images/cards/tweets.svg',
+        'images/cards/memes.svg'
+    ];
+
+    // Where the homepage's first links come from; also pre-cached at install
+    const LINKS_DATA = ['api/v1/manifest.json', 'api/v1/links/page-1.json', 'links.json'];
+
+    // What the reader saved, kept for offline use while they're logged in
+    const ACCOUNT_PATHS = ['api/me', 'api/me/saved'];
+
+    // How the service worker handles a GET request, by its path under the site:
+    //   'shell'    app files, stale-while-revalidate from the versioned shell cache
+    //   'data'     links.json, the static API and data/, stale-while-revalidate
+    //   'account'  the logged-in reader, network first with the last answer as fallback
+    //   null       everything else (click redirects, votes, other sites) goes to the network
+    function strategyFor(url, scope) {
+        if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return null;
+        const path = url.pathname.slice(scope.pathname.length);
+        if (path === '' || SHELL_FILES.includes(path)) return 'shell';
+        if (path === 'links.json' || /^(api\/v1|data)\/.+\.json$/.test(path)) return 'data';
+        if (ACCOUNT_PATHS.includes(path)) return 'account';
+        return null;
+    }
+
+    // Newest createdAt among the links, in ms (0 for none)
+    function newestTime(links) {
+        return links.reduce((newest, link) => Math.max(newest, new Date(link.createdAt).getTime() || 0), 0);
+    }
+
+    // Links created after `since` (ms). A first visit has nothing to compare with, so none are new.
+    function newSince(links, since) {
+        if (!since) return [];
+        return links.filter(link => new Date(link.createdAt).getTime() > since);
+    }
+
+    return { SHELL_FILES, LINKS_DATA, ACCOUNT_PATHS, strategyFor, newestTime, newSince };
+});
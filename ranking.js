@@ -0,0 +1,106 @@
+// Viral ranking shared by the curator (Node) and the homepage (browser)
+//
+// Hot ranking is a Hacker News-style gravity formula: engagement points divided by
+// (age in hours + 2) ^ GRAVITY, so fresh stories with strong signals float to the top
+// and everything sinks as it ages. viralScore is the same points squashed onto 0-100
+// without the age penalty. Links an editor pinned stay above the hot list, in the order
+// they have in links.json. Readers' up/down votes count towards both.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ViralRanking = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const GRAVITY = 1.8;
+    const HOUR = 60 * 60 * 1000;
+
+    // Weights for each signal, tuned so a ~10k upvote Reddit post lands in the 80s
+    const WEIGHTS = {
+        sourceScore: 1 / 100,  // upvotes/points from the source
+        commentVelocity: 2,    // comments per hour since the story was picked up
+        mention: 15,           // each extra source that carried the same story
+        click: 1 / 50,         // real clicks recorded on our side
+        vote: 1                // each net up-vote from readers (also a viralScore point)
+    };
+
+    const SORT_MODES = {
+        hot: { label: 'Hot' },
+        new: { label: 'New' },
+        'top-day': { label: 'Top 24h', window: 24 * HOUR },
+        'top-week': { label: 'Top week', window: 7 * 24 * HOUR }
+    };
+
+    function ageHours(link, now) {
+        const created = new Date(link.createdAt).getTime();
+        if (Number.isNaN(created)) return 0;
+        return Math.max(0, (now - created) / HOUR);
+    }
+
+    function netVotes(link) {
+        return (link.upvotes || 0) - (link.downvotes || 0);
+    }
+
+    // Engagement points, independent of age
+    function points(link, now = Date.now()) {
+        const mentions = Math.max(1, (link.sources || []).length);
+        const velocity = (link.comments || 0) / (ageHours(link, now) + 2);
+
+        // Hand-entered links have no source signals - fall back to their editorial score,
+        // minus what votes already added to it (they are counted below)
+        const sourceScore = link.sourceScore !== undefined
+            ? link.sourceScore
+            : ((link.viralScore || 0) - netVotes(link) * WEIGHTS.vote) * 100;
+
+        return sourceScore * WEIGHTS.sourceScore
+            + velocity * WEIGHTS.commentVelocity
+            + (mentions - 1) * WEIGHTS.mention
+            + (link.clicks || 0) * WEIGHTS.click
+            + netVotes(link) * WEIGHTS.vote;
+    }
+
+    function hotScore(link, now = Date.now()) {
+        return points(link, now) / Math.pow(ageHours(link, now) + 2, GRAVITY);
+    }
+
+    // 0-100, saturating: 50 points is ~63, 100 points is ~86
+    function viralScore(link, now = Date.now()) {
+        return Math.max(0, Math.round(100 * (1 - Math.exp(-points(link, now) / 50))));
+    }
+
+    // Store a vote tally ({ up, down }) on a link and move its viralScore by the change in
+    // net votes since the tally it carried before, so applying the same tally twice is a no-op
+    function applyVotes(link, { up = 0, down = 0 } = {}) {
+        if (!up && !down && !link.upvotes && !link.downvotes) return link;
+        const shift = (up - down - netVotes(link)) * WEIGHTS.vote;
+        const score = Math.max(0, Math.min(100, Math.round((link.viralScore || 0) + shift)));
+        return { ...link, upvotes: up, downvotes: down, viralScore: score };
+    }
+
+    function createdTime(link) {
+        return new Date(link.createdAt).getTime() || 0;
+    }
+
+    // Returns a new array; "top-*" modes also drop links older than their window
+    function sortLinks(links, mode = 'hot', now = Date.now()) {
+        const config = SORT_MODES[mode] || SORT_MODES.hot;
+        let result = [...links];
+
+        if (config.window) {
+            result = result.filter(link => now - createdTime(link) <= config.window);
+        }
+
+        if (mode === 'new') {
+            return result.sort((a, b) => createdTime(b) - createdTime(a));
+        }
+        if (config.window) {
+            return result.sort((a, b) => points(b, now) - points(a, now));
+        }
+        const pinned = result.filter(link => link.pinned);
+        const rest = result.filter(link => !link.pinned).sort((a, b) => hotScore(b, now) - hotScore(a, now));
+        return [...pinned, ...rest];
+    }
+
+    return { GRAVITY, WEIGHTS, SORT_MODES, points, hotScore, viralScore, netVotes, applyVotes, sortLinks };
+});
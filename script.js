@@ -1,4 +1,24 @@
 // User experience script for Viral Nexus – JSON file backed
+// Links come from the static API (api/v1) a page at a time, falling back to links.json
+//
+// The list view's filters live in the query string (?category=memes&q=ai&sort=new&show=11
+// &archive=2026-01) so any view can be bookmarked or shared, and back/forward walk through
+// them. #/link/:id opens a single link's detail page and #/submit the link submission form.
+//
+// When scripts/server is serving the site, readers can log in to bookmark, hide and mark
+// links read, and follow keywords and categories. "For You" and "Saved" are two extra
+// categories built from that profile. Anyone can vote links up or down and submit links
+// for review there.
+//
+// sw.js keeps the site working offline (see offline.js) and tells the page when fresher
+// links arrive; the banner above the list counts links added since the reader's last visit.
+
+const DEFAULT_VISIBLE = 6;
+const SEARCH_DEBOUNCE_MS = 250;
+const SITE_TITLE = document.title;
+const PERSONAL_CATEGORIES = ['for-you', 'saved'];
+const DARK_MODE_KEY = 'viral-nexus-dark-mode';
+const LAST_SEEN_KEY = 'viral-nexus-last-seen';
 
 const state = {
     links: [],
@@ -6,71 +26,362 @@ const state = {
     keywords: [],
     category: 'all',
     search: '',
-    visible: 6,
-    darkMode: false
+    synonyms: {},
+    highlightTerms: null,
+    sort: 'hot',
+    visible: DEFAULT_VISIBLE,
+    view: null,
+    cameFromList: false,
+    darkMode: false,
+    tracking: false,
+    mode: 'hot',
+    hotLinks: [],
+    trends: null,
+    lastSeen: null,
+    votes: {
+        available: false,
+        counts: {},
+        mine: {}
+    },
+    account: {
+        available: false,
+        user: null,
+        saved: null
+    },
+    api: {
+        manifest: null,
+        nextPage: null,
+        loading: null
+    },
+    archive: {
+        index: null,
+        shards: {},
+        month: null
+    }
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
-    await loadLinksFromJSON();
+    await Promise.all([loadLinks(), detectClickTracking(), loadTrends(), loadAccount(), loadVotes()]);
     setupEventListeners();
-    applyFilters();
-    renderKeywordHeatmap();
+    renderAccount();
+    await restoreFromUrl();
+    renderTrends();
     updateCategoryStats();
+    state.darkMode = savedDarkMode();
     applyDarkMode(state.darkMode); // Initialize dark mode UI
+    noteNewLinks();
+    setupServiceWorker();
 });
 
-async function loadLinksFromJSON() {
+async function loadLinks() {
     try {
-        console.log('Loading links from links.json...');
-        const response = await fetch('links.json');
-        
-        if (!response.ok) {
-            throw new Error(`Failed to load links.json: ${response.status}`);
+        try {
+            await loadFirstApiPage();
+        } catch (apiError) {
+            console.warn('Static API unavailable, loading links.json instead:', apiError.message);
+            await loadLinksFromJSON();
         }
-        
-        state.links = await response.json();
-        state.keywords = buildKeywordsFromLinks(state.links);
         console.log(`Loaded ${state.links.length} viral links`);
     } catch (error) {
         console.error('Error loading links:', error);
-        document.getElementById('link-list').innerHTML = `
-            <div class="error" style="padding: 2rem; text-align: center; background: #ff4444; color: white; border-radius: 8px;">
-                <h3>⚠️ Failed to load viral content</h3>
-                <p><strong>Error:</strong> ${error.message}</p>
-                <p style="margin-top: 1rem;">
-                    Make sure links.json exists in the same folder as index.html.<br>
-                    If you're using GitHub Pages, wait 2-5 minutes for deployment.
-                </p>
-            </div>
-        `;
+        document.getElementById('link-list').replaceChildren(el('div', { className: 'error load-error' }, [
+            el('h3', {}, '⚠️ Failed to load viral content'),
+            el('p', {}, [el('strong', {}, 'Error:'), ` ${error.message}`]),
+            el('p', { className: 'load-error-help' }, [
+                'Make sure links.json exists in the same folder as index.html.',
+                el('br'),
+                'If you\'re using GitHub Pages, wait 2-5 minutes for deployment.'
+            ])
+        ]));
+    }
+}
+
+// Written by the curator (scripts/trends.js); without it the sidebar falls back to counting
+// keywords in the loaded links
+async function loadTrends() {
+    try {
+        state.trends = await fetchJSON('data/trends/latest.json');
+    } catch (error) {
+        state.trends = null;
+    }
+}
+
+async function loadFirstApiPage() {
+    const manifest = await fetchJSON('api/v1/manifest.json');
+    const page = await fetchJSON('api/v1/links/page-1.json');
+    state.api.manifest = manifest;
+    state.api.nextPage = page.next;
+    state.links = state.hotLinks = page.links;
+    state.synonyms = manifest.synonyms || {};
+    state.keywords = Object.values(manifest.keywords).map((kw, i) => ({
+        id: `kw-${i + 1}`,
+        name: kw.keyword,
+        usage: kw.count,
+        synonyms: kw.synonyms || []
+    })).sort((a, b) => b.usage - a.usage);
+}
+
+async function loadLinksFromJSON() {
+    console.log('Loading links from links.json...');
+    // Links an editor hid stay in links.json so the curator doesn't re-add them
+    state.links = state.hotLinks = (await fetchJSON('links.json')).filter(link => !link.hidden);
+    state.synonyms = await fetchJSON('data/synonyms.json').catch(() => ({}));
+    state.keywords = buildKeywordsFromLinks(state.links);
+}
+
+function loadNextPage() {
+    if (!state.api.loading) {
+        state.api.loading = fetchJSON(`api/v1/links/${state.api.nextPage}`)
+            .then(page => {
+                state.hotLinks.push(...page.links);
+                state.api.nextPage = page.next;
+            })
+            .finally(() => {
+                state.api.loading = null;
+            });
     }
+    return state.api.loading;
+}
+
+// Searching, any sort but "Hot" and "For You" rank across every link, so they need all
+// pages before the first ones can be shown in the right order
+function needsAllPages() {
+    return Boolean(state.search) || state.sort !== 'hot' || state.category === 'for-you';
+}
+
+// Fetch further pages until the current filters have `count` matches (or every page, when
+// the order depends on all of them) or pages run out
+async function loadPagesUntilFilled(count) {
+    const all = needsAllPages();
+    let loaded = false;
+    try {
+        while (state.mode === 'hot' && state.category !== 'saved' && state.api.nextPage && (all || state.filtered.length < count)) {
+            await loadNextPage();
+            loaded = true;
+            refreshFiltered();
+            if (!all) {
+                state.visible = Math.max(state.visible, Math.min(count, state.filtered.length));
+                renderLinks();
+            }
+        }
+    } catch (error) {
+        console.error('Error loading more links:', error);
+    }
+    if (all && loaded) {
+        state.visible = Math.max(state.visible, Math.min(count, state.filtered.length));
+        renderLinks();
+    }
+}
+
+// When the site is served by scripts/server, outbound links go through /go/:id so
+// clicks are counted. On static hosting (GitHub Pages) the probe 404s and links stay direct.
+async function detectClickTracking() {
+    try {
+        const response = await fetch('api/stats', { method: 'HEAD' });
+        state.tracking = response.ok;
+    } catch (error) {
+        state.tracking = false;
+    }
+}
+
+// Accounts need scripts/server too. On static hosting /api/me 404s and the login button
+// stays hidden; a 401 just means nobody is logged in.
+async function loadAccount() {
+    try {
+        const response = await fetch('api/me');
+        state.account.available = response.ok || response.status === 401;
+        state.account.user = response.ok ? (await response.json()).user : null;
+    } catch (error) {
+        state.account.available = false;
+    }
+}
+
+// Tallies from scripts/server plus this reader's own votes; on static hosting there are none
+// and cards show no vote buttons
+async function loadVotes() {
+    try {
+        const { counts, mine } = await fetchJSON('api/votes');
+        state.votes = { available: true, counts, mine: mine || {} };
+    } catch (error) {
+        state.votes.available = false;
+    }
+}
+
+function setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'links-updated') checkForNewLinks();
+    });
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Offline support unavailable:', error.message);
+    });
+}
+
+// createdAt of the newest link shown on the last visit (ms), or null on a first visit
+function readLastSeen() {
+    try {
+        return Number(localStorage.getItem(LAST_SEEN_KEY)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveLastSeen(links) {
+    try {
+        const newest = Math.max(readLastSeen() || 0, ViralOffline.newestTime(links));
+        if (newest) localStorage.setItem(LAST_SEEN_KEY, String(newest));
+    } catch (error) {
+        // Without storage every visit is a first visit
+    }
+}
+
+function noteNewLinks() {
+    state.lastSeen = readLastSeen();
+    showNewLinksBanner(ViralOffline.newSince(state.hotLinks, state.lastSeen).length);
+    saveLastSeen(state.hotLinks);
+}
+
+// The service worker refreshed the links behind the cached ones on screen. Only links that
+// aren't on screen yet are worth a banner, not new scores or a new order.
+async function checkForNewLinks() {
+    try {
+        const fresh = state.api.manifest
+            ? (await fetchJSON('api/v1/links/page-1.json')).links
+            : (await fetchJSON('links.json')).filter(link => !link.hidden);
+        const onScreen = new Set(state.hotLinks.map(link => String(link.id)));
+        if (!fresh.some(link => !onScreen.has(String(link.id)))) return;
+        const since = state.lastSeen || ViralOffline.newestTime(state.hotLinks);
+        showNewLinksBanner(ViralOffline.newSince(fresh, since).length, true);
+    } catch (error) {
+        console.warn('Could not check for new links:', error.message);
+    }
+}
+
+function showNewLinksBanner(count, refreshable = false) {
+    const banner = document.getElementById('new-links-banner');
+    banner.hidden = !count;
+    if (!count) return;
+    const show = refreshable ? el('button', { className: 'sort-btn' }, 'Show them') : null;
+    const dismiss = el('button', { className: 'banner-dismiss', title: 'Dismiss' }, '×');
+    if (show) show.addEventListener('click', showFreshLinks);
+    dismiss.addEventListener('click', () => {
+        banner.hidden = true;
+    });
+    banner.replaceChildren(...[el('span', {}, `✨ ${count} new link${count === 1 ? '' : 's'} since your last visit`), show, dismiss].filter(Boolean));
+}
+
+// Reload from the refreshed cache; archive browsing keeps its links
+async function showFreshLinks() {
+    document.getElementById('new-links-banner').hidden = true;
+    const archived = state.mode === 'archive' ? state.links : null;
+    await loadLinks();
+    if (archived) state.links = archived;
+    saveLastSeen(state.hotLinks);
+    renderTrends();
+    updateCategoryStats();
+    if (state.view === 'list') applyFilters({ push: false, visible: state.visible });
+}
+
+function getOutboundUrl(link) {
+    if (!safeUrl(link.url)) return null;
+    return state.tracking && link.id !== undefined ? `go/${encodeURIComponent(link.id)}` : safeUrl(link.url);
+}
+
+// Only http(s) URLs are ever put into href/src. With allowRelative, scheme-less paths like
+// images/foo.jpg pass through too. Anything else (javascript:, data:, ...) gives null.
+function safeUrl(value, allowRelative = false) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const trimmed = value.trim();
+    if (allowRelative && !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !trimmed.startsWith('//')) {
+        return trimmed;
+    }
+    try {
+        const url = new URL(trimmed);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Build DOM nodes without innerHTML, so curated text can never turn into markup.
+// Strings in `children` become text nodes.
+function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.entries(attrs).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        if (key === 'className') node.className = value;
+        else if (key === 'dataset') Object.assign(node.dataset, value);
+        else node.setAttribute(key, value);
+    });
+    [].concat(children).forEach(child => {
+        if (child === undefined || child === null || child === false) return;
+        node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
 }
 
 function setupEventListeners() {
-    document.getElementById('search-btn').addEventListener('click', () => {
-        state.search = document.getElementById('search-bar').value.trim();
+    window.addEventListener('popstate', () => restoreFromUrl());
+
+    const searchBar = document.getElementById('search-bar');
+    let searchTimer = null;
+    const submitSearch = () => {
+        clearTimeout(searchTimer);
+        state.search = searchBar.value.trim();
         applyFilters();
+    };
+
+    document.getElementById('search-btn').addEventListener('click', submitSearch);
+
+    searchBar.addEventListener('keyup', (e) => {
+        if (e.key === 'Enter') submitSearch();
     });
 
-    document.getElementById('search-bar').addEventListener('keyup', (e) => {
-        if (e.key === 'Enter') {
-            state.search = e.target.value.trim();
+    // Search as you type; these update the current history entry rather than adding one each
+    searchBar.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            const query = searchBar.value.trim();
+            if (query === state.search) return;
+            state.search = query;
+            applyFilters({ replace: true });
+        }, SEARCH_DEBOUNCE_MS);
+    });
+
+    document.querySelectorAll('.category-btn[data-category]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            document.querySelectorAll('.category-btn[data-category]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.category = btn.dataset.category;
+            if (state.category === 'saved') await loadSavedLinks();
             applyFilters();
-        }
+        });
     });
 
-    document.querySelectorAll('.category-btn').forEach(btn => {
+    document.querySelectorAll('.sort-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.sort-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
-            state.category = btn.dataset.category;
+            state.sort = btn.dataset.sort;
             applyFilters();
         });
     });
 
+    const archiveBtn = document.getElementById('archive-btn');
+    if (archiveBtn) {
+        archiveBtn.addEventListener('click', () => toggleArchiveMode());
+    }
+
+    const archiveMonth = document.getElementById('archive-month');
+    if (archiveMonth) {
+        archiveMonth.addEventListener('change', (e) => showArchiveMonth(e.target.value));
+    }
+
     document.getElementById('load-more').addEventListener('click', () => {
         state.visible += 5;
         renderLinks();
+        writeUrlState(true);
+        loadPagesUntilFilled(state.visible);
     });
 
     const darkToggle = document.getElementById('dark-mode-toggle');
@@ -78,110 +389,899 @@ function setupEventListeners() {
         darkToggle.addEventListener('click', () => {
             state.darkMode = !state.darkMode;
             applyDarkMode(state.darkMode);
+            saveDarkMode(state.darkMode);
         });
     }
 
     const loginBtn = document.getElementById('login-btn');
     if (loginBtn) {
-        loginBtn.addEventListener('click', () => alert('Demo login - Connect your auth provider here.'));
+        loginBtn.addEventListener('click', () => (state.account.user ? logout() : openLoginDialog()));
+        document.getElementById('login-form').addEventListener('submit', submitLogin);
+        document.getElementById('login-cancel').addEventListener('click', () => document.getElementById('login-dialog').close());
+        setupFollowingListeners();
     }
 
     const subscribeBtn = document.getElementById('subscribe-btn');
     if (subscribeBtn) {
-        subscribeBtn.addEventListener('click', () => {
-            const email = document.getElementById('digest-email').value.trim();
-            if (!email) {
-                alert('Enter an email to subscribe.');
-                return;
-            }
-            alert(`Subscribed ${email} to the Viral Digest (demo).`);
-            document.getElementById('digest-email').value = '';
+        subscribeBtn.addEventListener('click', () => subscribeToDigest());
+    }
+}
+
+async function toggleArchiveMode() {
+    if (await setArchiveMode(state.mode !== 'archive')) applyFilters();
+}
+
+// Resolves to true once the links for the new mode are in place
+async function setArchiveMode(entering, month) {
+    state.mode = entering ? 'archive' : 'hot';
+    document.getElementById('archive-btn').classList.toggle('active', entering);
+    document.getElementById('archive-controls').hidden = !entering;
+
+    if (!entering) {
+        state.links = state.hotLinks;
+        return true;
+    }
+
+    try {
+        await loadArchiveIndex();
+        const latest = state.archive.index.months[0];
+        return await loadArchiveMonth(month || state.archive.month || (latest ? latest.month : 'all'));
+    } catch (error) {
+        console.error('Error loading archive:', error);
+        document.getElementById('link-list').replaceChildren(el('p', { className: 'empty' }, 'The archive is not available right now.'));
+        document.getElementById('load-more').style.display = 'none';
+        return false;
+    }
+}
+
+async function loadArchiveIndex() {
+    if (!state.archive.index) {
+        state.archive.index = await fetchJSON('data/archive/index.json');
+        renderArchiveMonths();
+    }
+    return state.archive.index;
+}
+
+function renderArchiveMonths() {
+    const select = document.getElementById('archive-month');
+    const { months, total } = state.archive.index;
+    select.replaceChildren(
+        el('option', { value: 'all' }, `All months (${total})`),
+        ...months.map(m => el('option', { value: m.month }, `${formatArchiveMonth(m.month)} (${m.count})`))
+    );
+}
+
+function formatArchiveMonth(month) {
+    const [year, mon] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, mon - 1, 1)).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// Shards are fetched the first time a month is opened and cached for the session
+async function loadArchiveShard(month) {
+    if (!state.archive.shards[month]) {
+        state.archive.shards[month] = (await fetchJSON(`data/archive/${month}.json`)).filter(link => !link.hidden);
+    }
+    return state.archive.shards[month];
+}
+
+async function showArchiveMonth(month) {
+    if (await loadArchiveMonth(month)) applyFilters();
+}
+
+async function loadArchiveMonth(month) {
+    state.archive.month = month;
+    document.getElementById('archive-month').value = month;
+    const months = month === 'all' ? state.archive.index.months.map(m => m.month) : [month];
+
+    const shards = [];
+    for (const m of months) {
+        shards.push(await loadArchiveShard(m));
+    }
+    // Ignore results if the user left archive mode while shards were loading
+    if (state.mode !== 'archive' || state.archive.month !== month) return false;
+
+    state.links = shards.flat();
+    return true;
+}
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+async function subscribeToDigest() {
+    const email = document.getElementById('digest-email').value.trim();
+    const categories = Array.from(document.querySelectorAll('input[name="digest-category"]:checked'))
+        .map(input => input.value);
+    const frequency = document.getElementById('digest-frequency').value;
+
+    if (!email) {
+        setDigestStatus('Enter an email to subscribe.', true);
+        return;
+    }
+    if (!categories.length) {
+        setDigestStatus('Pick at least one category.', true);
+        return;
+    }
+
+    try {
+        const response = await fetch('api/subscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, categories, frequency })
         });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || (response.status === 404
+                ? 'Subscriptions are not available on this copy of the site.'
+                : `Subscription failed (${response.status})`));
+        }
+        setDigestStatus(result.message);
+        document.getElementById('digest-email').value = '';
+    } catch (error) {
+        setDigestStatus(error.message, true);
+    }
+}
+
+function setDigestStatus(message, isError = false) {
+    const status = document.getElementById('digest-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// JSON request to scripts/server's API; rejects with the server's error message, and
+// the status and response body on the error
+async function apiRequest(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 401 && state.account.user) {
+        // The session expired in another tab or on the server
+        setUser(null);
+    }
+    if (!response.ok) {
+        throw Object.assign(new Error(result.error || `Request failed (${response.status})`), { status: response.status, result });
+    }
+    return result;
+}
+
+function openLoginDialog() {
+    setLoginStatus('');
+    document.getElementById('login-dialog').showModal();
+    document.getElementById('login-email').focus();
+}
+
+// One form, three buttons: log in, create an account, or mail a one-time login link
+async function submitLogin(event) {
+    event.preventDefault();
+    const form = event.target;
+    const action = event.submitter ? event.submitter.value : 'login';
+    const email = form.elements.email.value.trim();
+    const password = form.elements.password.value;
+
+    if (!email) {
+        setLoginStatus('Enter your email.', true);
+        return;
+    }
+    if (action !== 'magic-link' && !password) {
+        setLoginStatus('Enter your password, or ask for a login link.', true);
+        return;
+    }
+
+    try {
+        const result = await apiRequest('POST', `api/auth/${action}`, action === 'magic-link' ? { email } : { email, password });
+        if (action === 'magic-link') {
+            setLoginStatus(result.message);
+            return;
+        }
+        form.reset();
+        document.getElementById('login-dialog').close();
+        setUser(result.user);
+        // A dark-mode choice made before logging in moves to the profile
+        if (typeof result.user.profile.darkMode !== 'boolean') saveDarkMode(state.darkMode);
+    } catch (error) {
+        setLoginStatus(error.message, true);
+    }
+}
+
+function setLoginStatus(message, isError = false) {
+    const status = document.getElementById('login-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+async function logout() {
+    try {
+        await apiRequest('POST', 'api/auth/logout');
+    } catch (error) {
+        console.error('Error logging out:', error);
     }
+    setUser(null);
 }
 
-function applyFilters() {
-    const query = state.search.toLowerCase();
-    state.filtered = state.links.filter(link => {
-        const matchesCategory = state.category === 'all' || link.category === state.category;
-        const haystack = [link.title, link.description, link.source, (link.keywords || []).join(' ')]
-            .join(' ')
-            .toLowerCase();
-        const matchesSearch = haystack.includes(query);
-        return matchesCategory && matchesSearch;
+// Log in or out in place: profile-driven views, card actions and dark mode all follow
+function setUser(user) {
+    state.account.user = user;
+    state.account.saved = null;
+    if (!user && PERSONAL_CATEGORIES.includes(state.category)) state.category = 'all';
+    state.darkMode = savedDarkMode();
+    applyDarkMode(state.darkMode);
+    renderAccount();
+    syncControls();
+    if (state.view === 'list') applyFilters({ replace: true, visible: state.visible });
+    // Votes belong to the account when logged in, to the device otherwise
+    loadVotes().then(() => {
+        if (state.view === 'list') renderLinks();
     });
-    state.visible = Math.min(6, state.filtered.length || 6);
+}
+
+async function updateProfile(changes) {
+    try {
+        state.account.user = (await apiRequest('PATCH', 'api/me', changes)).user;
+    } catch (error) {
+        console.error('Error saving profile:', error);
+    }
+    renderAccount();
+}
+
+async function setLinkFlag(link, flag, on) {
+    try {
+        const result = await apiRequest('POST', `api/me/links/${encodeURIComponent(link.id)}`, { [flag]: on });
+        state.account.user = result.user;
+        if (flag === 'bookmarked') state.account.saved = null;
+    } catch (error) {
+        console.error(`Error updating link ${link.id}:`, error);
+        return;
+    }
+    if (state.category === 'saved') await loadSavedLinks();
+    renderAccount();
+    if (state.view === 'list') {
+        refreshFiltered();
+        renderLinks();
+    }
+}
+
+// Bookmarks come back as full links, so older ones show up after they leave the hot list
+async function loadSavedLinks() {
+    if (!state.account.user || state.account.saved) return;
+    try {
+        state.account.saved = (await apiRequest('GET', 'api/me/saved')).links;
+    } catch (error) {
+        console.error('Error loading saved links:', error);
+    }
+}
+
+function profileHas(field, link) {
+    return Boolean(state.account.user && state.account.user.profile[field].includes(String(link.id)));
+}
+
+function savedDarkMode() {
+    const profile = state.account.user && state.account.user.profile;
+    if (profile && typeof profile.darkMode === 'boolean') return profile.darkMode;
+    try {
+        return localStorage.getItem(DARK_MODE_KEY) === 'on';
+    } catch (error) {
+        return false;
+    }
+}
+
+// With the profile when logged in, in this browser otherwise
+function saveDarkMode(on) {
+    if (state.account.user) {
+        updateProfile({ darkMode: on });
+        return;
+    }
+    try {
+        localStorage.setItem(DARK_MODE_KEY, on ? 'on' : 'off');
+    } catch (error) {
+        // Private mode without storage: the choice lasts for this page only
+    }
+}
+
+function renderAccount() {
+    const { available, user } = state.account;
+    const loginBtn = document.getElementById('login-btn');
+    loginBtn.hidden = !available;
+    loginBtn.textContent = user ? 'Log out' : 'Login';
+    loginBtn.title = user ? `Logged in as ${user.email}` : '';
+    document.querySelectorAll('.category-btn[data-category]').forEach(btn => {
+        if (PERSONAL_CATEGORIES.includes(btn.dataset.category)) btn.hidden = !user;
+    });
+    renderFollowing();
+}
+
+function setupFollowingListeners() {
+    document.getElementById('follow-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('follow-keyword');
+        const keyword = input.value.trim().toLowerCase();
+        const { follows } = state.account.user.profile;
+        input.value = '';
+        if (keyword && !follows.keywords.includes(keyword)) {
+            updateFollows({ ...follows, keywords: [...follows.keywords, keyword] });
+        }
+    });
+    document.querySelectorAll('input[name="follow-category"]').forEach(input => {
+        input.addEventListener('change', () => {
+            const categories = Array.from(document.querySelectorAll('input[name="follow-category"]:checked'), box => box.value);
+            updateFollows({ ...state.account.user.profile.follows, categories });
+        });
+    });
+    document.getElementById('unhide-all').addEventListener('click', async () => {
+        await updateProfile({ hidden: [] });
+        refreshFiltered();
+        renderLinks();
+    });
+}
+
+async function updateFollows(follows) {
+    await updateProfile({ follows });
+    if (state.category === 'for-you' && state.view === 'list') {
+        refreshFiltered();
+        renderLinks();
+    }
+}
+
+function renderFollowing() {
+    const user = state.account.user;
+    document.getElementById('following-panel').hidden = !user;
+    if (!user) return;
+
+    const { follows, hidden } = user.profile;
+    document.getElementById('following-keywords').replaceChildren(...(follows.keywords.length
+        ? follows.keywords.map(keyword => {
+            const name = el('span', { className: 'trend-keyword', dataset: { keyword } }, keyword);
+            name.addEventListener('click', () => searchFor(keyword));
+            const remove = el('button', { className: 'unfollow', title: `Stop following ${keyword}` }, '×');
+            remove.addEventListener('click', () => updateFollows({ ...follows, keywords: follows.keywords.filter(k => k !== keyword) }));
+            return el('li', { className: 'trend-row' }, [name, remove]);
+        })
+        : [el('li', { className: 'trend-empty' }, 'Follow keywords to fill your For You list.')]));
+    document.querySelectorAll('input[name="follow-category"]').forEach(box => {
+        box.checked = follows.categories.includes(box.value);
+    });
+    document.getElementById('hidden-links').hidden = !hidden.length;
+    document.getElementById('hidden-count').textContent = `${hidden.length} hidden link${hidden.length === 1 ? '' : 's'}`;
+}
+
+// Searches come back best match first; "Hot" keeps that order, the other sorts override it.
+// "For You" then moves links matching the reader's follows to the top; links they hid never show.
+function refreshFiltered() {
+    const links = state.category === 'saved' ? state.account.saved || [] : state.links;
+    const category = PERSONAL_CATEGORIES.includes(state.category) ? 'all' : state.category;
+    const options = { category, query: state.search, synonyms: state.synonyms };
+    const matches = LinkFilters.filterLinks(links, options).filter(link => !profileHas('hidden', link));
+    const sorted = state.search && state.sort === 'hot' ? matches : ViralRanking.sortLinks(matches, state.sort);
+    state.filtered = state.category === 'for-you' && state.account.user
+        ? LinkFilters.personalize(sorted, state.account.user.profile.follows)
+        : sorted;
+    state.highlightTerms = state.search
+        ? ViralSearch.indexFor(links, { synonyms: state.synonyms }).matchedTerms(state.search)
+        : null;
+}
+
+// Re-run filters and render the list. New filter choices get their own history entry;
+// restoring from the URL passes push: false.
+function applyFilters({ push = true, replace = false, visible = DEFAULT_VISIBLE } = {}) {
+    refreshFiltered();
+    state.visible = Math.min(visible, state.filtered.length || visible);
+    showView('list');
     renderLinks();
+    if (push) writeUrlState(replace);
+    loadPagesUntilFilled(visible);
+}
+
+function readUrlState() {
+    const params = new URLSearchParams(location.search);
+    const categories = Array.from(document.querySelectorAll('.category-btn[data-category]'), btn => btn.dataset.category);
+    const category = params.get('category');
+    const sort = params.get('sort');
+    const archive = params.get('archive');
+    const show = parseInt(params.get('show'), 10);
+    return {
+        category: categories.includes(category) ? category : 'all',
+        search: (params.get('q') || '').trim(),
+        sort: Object.prototype.hasOwnProperty.call(ViralRanking.SORT_MODES, sort) ? sort : 'hot',
+        visible: show > DEFAULT_VISIBLE ? Math.min(show, 500) : DEFAULT_VISIBLE,
+        archive: /^(\d{4}-\d{2}|all)$/.test(archive || '') ? archive : null
+    };
+}
+
+// Defaults are left out so the plain homepage keeps a clean URL
+function buildListUrl() {
+    const params = new URLSearchParams();
+    if (state.category !== 'all') params.set('category', state.category);
+    if (state.search) params.set('q', state.search);
+    if (state.sort !== 'hot') params.set('sort', state.sort);
+    if (state.visible > DEFAULT_VISIBLE) params.set('show', state.visible);
+    if (state.mode === 'archive') params.set('archive', state.archive.month || 'all');
+    const query = params.toString();
+    return `${location.pathname}${query ? `?${query}` : ''}`;
+}
+
+// Paging only replaces the current entry, so Back skips straight to the previous filters
+function writeUrlState(replace = false) {
+    const url = buildListUrl();
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+    history[replace ? 'replaceState' : 'pushState'](null, '', url);
+}
+
+function parseRoute() {
+    if (location.hash === '#/submit') return { view: 'submit' };
+    const match = location.hash.match(/^#\/link\/(.+)$/);
+    if (!match) return { view: 'list' };
+    try {
+        return { view: 'detail', id: decodeURIComponent(match[1]) };
+    } catch (error) {
+        return { view: 'list' };
+    }
+}
+
+// Rebuild the page from the URL alone: on load and on back/forward
+async function restoreFromUrl() {
+    const url = readUrlState();
+    state.category = url.category;
+    state.search = url.search;
+    state.sort = url.sort;
+    syncControls();
+    if (state.category === 'saved') await loadSavedLinks();
+
+    const archiveChanged = (state.mode === 'archive') !== Boolean(url.archive)
+        || (url.archive && url.archive !== state.archive.month);
+    if (archiveChanged && !(await setArchiveMode(Boolean(url.archive), url.archive))) return;
+
+    const route = parseRoute();
+    if (route.view === 'detail') {
+        await showLinkDetail(route.id);
+        return;
+    }
+    if (route.view === 'submit') {
+        showSubmitForm();
+        return;
+    }
+    applyFilters({ push: false, visible: url.visible });
+}
+
+function syncControls() {
+    document.getElementById('search-bar').value = state.search;
+    document.querySelectorAll('.category-btn[data-category]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.category === state.category);
+    });
+    document.querySelectorAll('.sort-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.sort === state.sort);
+    });
+}
+
+function showView(view) {
+    if (view === 'list') document.title = SITE_TITLE;
+    state.view = view;
+    document.getElementById('list-view').hidden = view !== 'list';
+    document.getElementById('link-detail').hidden = view !== 'detail';
+    document.getElementById('submit-link').hidden = view !== 'submit';
 }
 
 function renderLinks() {
     const list = document.getElementById('link-list');
-    list.innerHTML = '';
 
     if (!state.filtered.length) {
-        list.innerHTML = '<p class="empty">No results yet. Try another category or keyword.</p>';
+        list.replaceChildren(el('p', { className: 'empty' }, emptyListMessage()));
         document.getElementById('load-more').style.display = 'none';
         return;
     }
 
     const subset = state.filtered.slice(0, state.visible);
-    subset.forEach((link, index) => {
-        const rank = index + 1;
-        const item = document.createElement('div');
-        item.className = 'link-item';
-        item.dataset.category = link.category;
-        const thumbnail = getRelevantThumbnail(link);
-        item.innerHTML = `
-            <div class="link-rank">${rank}</div>
-            <div class="link-thumbnail">
-                <img src="${thumbnail}" alt="${link.title}" loading="lazy" onerror="this.src='${getPlaceholderImage(link.category)}'">
-            </div>
-            <div class="link-content">
-                <h3 class="link-title"><a href="${link.url}" target="_blank" rel="noopener">${link.title}</a></h3>
-                <div class="link-meta">
-                    <span class="link-source">${link.source || 'Unknown'}</span>
-                    <span class="link-time">• ${formatTimeAgo(link.createdAt)}</span>
-                    <span class="link-score">• ⭐ ${link.viralScore || 0}/100</span>
-                    <span class="link-clicks">• ${(link.clicks || 0).toLocaleString()} clicks</span>
-                </div>
-                <p class="link-description">${link.description || ''}</p>
-                <div class="link-keywords">${(link.keywords || []).map(k => `<span class="keyword" data-keyword="${k}">${k}</span>`).join('')}</div>
-            </div>
-        `;
-        list.appendChild(item);
-    });
+    list.replaceChildren(...subset.map((link, index) => renderLinkItem(link, index + 1)));
 
-    list.querySelectorAll('.keyword').forEach(tag => {
-        tag.addEventListener('click', (e) => {
-            state.search = e.target.dataset.keyword;
-            document.getElementById('search-bar').value = state.search;
-            applyFilters();
+    const loadMoreBtn = document.getElementById('load-more');
+    const morePages = state.mode === 'hot' && state.category !== 'saved' && state.api.nextPage;
+    loadMoreBtn.style.display = state.filtered.length > state.visible || morePages ? 'block' : 'none';
+}
+
+function emptyListMessage() {
+    if (state.category === 'saved' && !state.search) {
+        return state.account.user ? 'Nothing saved yet. Use 🔖 Save on any link to keep it here.' : 'Log in to save links.';
+    }
+    return 'No results yet. Try another category or keyword.';
+}
+
+function renderLinkItem(link, rank) {
+    const href = getOutboundUrl(link);
+    let title = highlighted(link.title);
+    if (href) {
+        title = el('a', { href, target: '_blank', rel: 'noopener' }, title);
+        title.addEventListener('click', () => {
+            if (state.account.user && !profileHas('read', link)) setLinkFlag(link, 'read', true);
         });
+    }
+
+    const keywords = (link.keywords || []).map(k => {
+        const tag = el('span', { className: 'keyword', dataset: { keyword: k } }, highlighted(k));
+        tag.addEventListener('click', () => searchFor(k));
+        return tag;
     });
 
-    const loadMoreBtn = document.getElementById('load-more');
-    loadMoreBtn.style.display = state.filtered.length > state.visible ? 'block' : 'none';
+    const read = profileHas('read', link);
+    return el('div', { className: `link-item${read ? ' link-read' : ''}`, dataset: { category: link.category } }, [
+        el('div', { className: 'link-rank' }, rank),
+        el('div', { className: 'link-thumbnail' }, renderThumbnail(link)),
+        el('div', { className: 'link-content' }, [
+            el('h3', { className: 'link-title' }, title),
+            el('div', { className: 'link-meta' }, [
+                link.pinned && el('span', { className: 'link-pinned' }, '📌 Pinned •'),
+                el('span', { className: 'link-source' }, highlighted(link.source || 'Unknown')),
+                el('span', { className: 'link-time' }, `• ${formatTimeAgo(link.createdAt)}`),
+                el('span', { className: 'link-score' }, `• ⭐ ${Number(link.viralScore) || 0}/100`),
+                el('span', { className: 'link-clicks' }, `• ${(Number(link.clicks) || 0).toLocaleString()} clicks`),
+                renderVoteButtons(link),
+                el('span', { className: 'link-details' }, ['• ', el('a', { href: detailHash(link) }, 'Details')])
+            ]),
+            el('p', { className: 'link-description' }, highlighted(link.description || '')),
+            el('div', { className: 'link-keywords' }, keywords),
+            renderLinkActions(link)
+        ])
+    ]);
+}
+
+// Save / read / hide buttons for logged-in readers
+function renderLinkActions(link) {
+    if (!state.account.user) return null;
+    const action = (label, title, flag, on) => {
+        const button = el('button', { className: `link-action${on ? ' active' : ''}`, title, 'aria-pressed': String(on) }, label);
+        button.addEventListener('click', () => setLinkFlag(link, flag, !on));
+        return button;
+    };
+    const saved = profileHas('bookmarks', link);
+    const read = profileHas('read', link);
+    return el('div', { className: 'link-actions' }, [
+        action(saved ? '🔖 Saved' : '🔖 Save', saved ? 'Remove from Saved' : 'Keep this link in Saved', 'bookmarked', saved),
+        action(read ? '✓ Read' : '○ Unread', read ? 'Mark as unread' : 'Mark as read', 'read', read),
+        action('🙈 Hide', 'Never show this link again', 'hidden', false)
+    ]);
+}
+
+// ▲ score ▼, where score is up-votes minus down-votes. Clicking the reader's current vote
+// takes it back.
+function renderVoteButtons(link) {
+    if (!state.votes.available) return null;
+    const id = String(link.id);
+    const mine = state.votes.mine[id] || 0;
+    const { up, down } = state.votes.counts[id] || { up: 0, down: 0 };
+    const widget = el('span', { className: 'link-votes' });
+    const button = (value, label, title) => {
+        const node = el('button', { className: `vote-btn${mine === value ? ' active' : ''}`, title, 'aria-pressed': String(mine === value) }, label);
+        node.addEventListener('click', () => castVote(link, mine === value ? 0 : value, widget));
+        return node;
+    };
+    widget.append(button(1, '▲', 'Vote up'), el('span', { className: 'vote-count' }, up - down), button(-1, '▼', 'Vote down'));
+    return widget;
+}
+
+async function castVote(link, vote, widget) {
+    const id = String(link.id);
+    try {
+        const { up, down } = await apiRequest('POST', `api/links/${encodeURIComponent(id)}/vote`, { vote });
+        state.votes.counts[id] = { up, down };
+        if (vote) state.votes.mine[id] = vote;
+        else delete state.votes.mine[id];
+    } catch (error) {
+        console.error(`Error voting on link ${id}:`, error);
+        return;
+    }
+    widget.replaceWith(renderVoteButtons(link));
+}
+
+// Text with the words the current search matched wrapped in <mark>
+function highlighted(text) {
+    return ViralSearch.highlight(text, state.highlightTerms)
+        .map(part => (part.match ? el('mark', {}, part.text) : part.text));
+}
+
+// <picture> with AVIF and WebP candidates when the curator cached the page image, sized by
+// the recorded dimensions so the card doesn't jump when it loads
+function renderThumbnail(link) {
+    const placeholder = getPlaceholderImage(link.category);
+    const srcset = link.thumbnailSrcset || {};
+    const sizes = '(max-width: 768px) 100vw, 250px';
+    const sources = ['avif', 'webp']
+        .filter(format => safeSrcset(srcset[format]))
+        .map(format => el('source', { type: `image/${format}`, srcset: safeSrcset(srcset[format]), sizes }));
+    const image = el('img', {
+        src: safeUrl(getRelevantThumbnail(link), true) || placeholder,
+        width: Number.isInteger(link.thumbnailWidth) ? link.thumbnailWidth : 250,
+        height: Number.isInteger(link.thumbnailHeight) ? link.thumbnailHeight : 150,
+        alt: link.title || '',
+        loading: 'lazy',
+        decoding: 'async'
+    });
+    const picture = el('picture', {}, [...sources, image]);
+
+    // Cached files can be pruned once a link leaves the hot list; fall back to the card
+    image.addEventListener('error', () => {
+        sources.forEach(source => source.remove());
+        if (!image.src.endsWith(placeholder)) image.src = placeholder;
+    }, { once: true });
+    return picture;
+}
+
+// Keep only srcset candidates whose URL passes safeUrl; null if none do
+function safeSrcset(value) {
+    if (typeof value !== 'string') return null;
+    const candidates = value.split(',').map(candidate => {
+        const [url, descriptor] = candidate.trim().split(/\s+/);
+        const safe = safeUrl(url, true);
+        return safe && /^\d+w$/.test(descriptor || '') ? `${safe} ${descriptor}` : null;
+    }).filter(Boolean);
+    return candidates.length ? candidates.join(', ') : null;
+}
+
+function detailHash(link) {
+    return `#/link/${encodeURIComponent(link.id)}`;
+}
+
+// Absolute permalink for sharing: the page without any list filters, plus the detail hash
+function detailUrl(link) {
+    return `${location.href.split(/[?#]/)[0]}${detailHash(link)}`;
+}
+
+// Every link loaded so far: hot pages, saved links and any archive months opened this session
+function knownLinks() {
+    const seen = new Set();
+    return [state.hotLinks, state.links, state.account.saved || [], ...Object.values(state.archive.shards)].flat().filter(link => {
+        const id = String(link.id);
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+// Look in what's loaded first, then the remaining hot pages, then the archive
+async function findLinkById(id) {
+    const match = () => knownLinks().find(link => String(link.id) === id);
+    let link = match();
+    while (!link && state.api.nextPage) {
+        await loadNextPage();
+        link = match();
+    }
+    if (link) return link;
+
+    try {
+        const index = await loadArchiveIndex();
+        for (const { month } of index.months) {
+            link = (await loadArchiveShard(month)).find(l => String(l.id) === id);
+            if (link) return link;
+        }
+    } catch (error) {
+        console.warn('Archive unavailable while looking up link:', error.message);
+    }
+    return null;
+}
+
+// Links sharing the most keywords with this one, hottest first on ties
+function relatedLinks(link, limit = 5) {
+    const keywords = new Set((link.keywords || []).map(k => k.toLowerCase()));
+    if (!keywords.size) return [];
+    return knownLinks()
+        .filter(other => String(other.id) !== String(link.id))
+        .map(other => ({
+            link: other,
+            shared: (other.keywords || []).filter(k => keywords.has(k.toLowerCase())).length
+        }))
+        .filter(entry => entry.shared > 0)
+        .sort((a, b) => b.shared - a.shared || ViralRanking.hotScore(b.link) - ViralRanking.hotScore(a.link))
+        .slice(0, limit)
+        .map(entry => entry.link);
+}
+
+async function showLinkDetail(id) {
+    const view = document.getElementById('link-detail');
+    state.cameFromList = state.view === 'list';
+    showView('detail');
+    window.scrollTo(0, 0);
+    view.replaceChildren(el('p', { className: 'empty' }, 'Loading…'));
+
+    const link = await findLinkById(id);
+    // The user may have navigated elsewhere while pages were loading
+    const route = parseRoute();
+    if (route.view !== 'detail' || route.id !== id) return;
+
+    if (!link) {
+        view.replaceChildren(renderBackButton(), el('p', { className: 'empty' }, 'That link is no longer available.'));
+        return;
+    }
+    document.title = `${link.title} | Viral Nexus`;
+    view.replaceChildren(renderLinkDetail(link));
+}
+
+function renderBackButton() {
+    const button = el('button', { className: 'sort-btn detail-back' }, '← Back to list');
+    button.addEventListener('click', () => {
+        if (state.cameFromList) {
+            history.back();
+        } else {
+            history.pushState(null, '', buildListUrl());
+            restoreFromUrl();
+        }
+    });
+    return button;
+}
+
+function renderLinkDetail(link) {
+    const href = getOutboundUrl(link);
+    const created = new Date(link.createdAt);
+    const sources = (link.sources && link.sources.length ? link.sources : [link.source]).filter(Boolean);
+    let domain = '';
+    try {
+        domain = new URL(link.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        // leave blank
+    }
+
+    const meta = [
+        ['Category', link.category],
+        ['Source', sources.join(', ') || 'Unknown'],
+        ['Site', domain],
+        ['Published', Number.isNaN(created.getTime()) ? '' : `${created.toLocaleString()} (${formatTimeAgo(link.createdAt)})`],
+        ['Viral score', `${Number(link.viralScore) || 0}/100`],
+        ['Clicks', (Number(link.clicks) || 0).toLocaleString()],
+        ['Comments', link.comments !== undefined ? (Number(link.comments) || 0).toLocaleString() : ''],
+        ['Source score', link.sourceScore !== undefined ? (Number(link.sourceScore) || 0).toLocaleString() : '']
+    ].filter(([, value]) => value);
+
+    const keywords = (link.keywords || []).map(k => {
+        const tag = el('span', { className: 'keyword', dataset: { keyword: k } }, k);
+        tag.addEventListener('click', () => searchFor(k));
+        return tag;
+    });
+
+    const related = relatedLinks(link);
+
+    return el('div', { className: 'detail' }, [
+        renderBackButton(),
+        el('div', { className: 'detail-header' }, [
+            el('div', { className: 'link-thumbnail' }, renderThumbnail(link)),
+            el('div', { className: 'detail-summary' }, [
+                el('h2', { className: 'link-title' }, link.title),
+                el('p', { className: 'link-description' }, link.description || ''),
+                href ? el('a', { className: 'detail-visit', href, target: '_blank', rel: 'noopener' }, `Open on ${domain || 'site'} ↗`) : null,
+                renderVoteButtons(link)
+            ])
+        ]),
+        el('dl', { className: 'detail-meta' }, meta.flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, value)])),
+        el('div', { className: 'link-keywords' }, keywords),
+        el('h3', {}, 'Share'),
+        renderShareButtons(link),
+        el('h3', {}, 'Related links'),
+        related.length
+            ? el('ul', { className: 'related-links' }, related.map(other => el('li', {}, [
+                el('a', { href: detailHash(other) }, other.title),
+                el('span', { className: 'link-meta' }, ` ${other.category} • ${formatTimeAgo(other.createdAt)}`)
+            ])))
+            : el('p', { className: 'empty' }, 'No related links yet.')
+    ]);
+}
+
+function renderShareButtons(link) {
+    const url = detailUrl(link);
+    const text = link.title || '';
+    const enc = encodeURIComponent;
+    const targets = [
+        ['X', `https://twitter.com/intent/tweet?text=${enc(text)}&url=${enc(url)}`],
+        ['Reddit', `https://www.reddit.com/submit?url=${enc(url)}&title=${enc(text)}`],
+        ['Facebook', `https://www.facebook.com/sharer/sharer.php?u=${enc(url)}`],
+        ['WhatsApp', `https://wa.me/?text=${enc(`${text} ${url}`)}`],
+        ['Email', `mailto:?subject=${enc(text)}&body=${enc(url)}`]
+    ];
+
+    const status = el('span', { className: 'share-status', role: 'status' });
+    const copy = el('button', { className: 'sort-btn' }, '🔗 Copy link');
+    copy.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            status.textContent = 'Link copied';
+        } catch (error) {
+            status.textContent = url;
+        }
+    });
+
+    const buttons = [copy];
+    if (navigator.share) {
+        const native = el('button', { className: 'sort-btn' }, '📤 Share…');
+        native.addEventListener('click', () => navigator.share({ title: text, url }).catch(() => {}));
+        buttons.push(native);
+    }
+    targets.forEach(([label, href]) => {
+        buttons.push(el('a', { className: 'sort-btn', href, target: '_blank', rel: 'noopener' }, label));
+    });
+
+    return el('div', { className: 'share-buttons' }, [...buttons, status]);
+}
+
+// #/submit: a URL and a category; the server fills in the rest and queues it for review
+function showSubmitForm() {
+    const view = document.getElementById('submit-link');
+    state.cameFromList = state.view === 'list';
+    showView('submit');
+    document.title = 'Submit a link | Viral Nexus';
+    window.scrollTo(0, 0);
+
+    const categories = Array.from(document.querySelectorAll('.category-btn[data-category]'))
+        .filter(btn => btn.dataset.category !== 'all' && !PERSONAL_CATEGORIES.includes(btn.dataset.category));
+    const status = el('div', { className: 'submit-status', role: 'status' });
+    const form = el('form', { className: 'submit-form', novalidate: true }, [
+        el('label', { for: 'submit-url' }, 'Link'),
+        el('input', { type: 'url', id: 'submit-url', name: 'url', placeholder: 'https://…', autocomplete: 'off' }),
+        el('label', { for: 'submit-category' }, 'Category'),
+        el('select', { id: 'submit-category', name: 'category' },
+            categories.map(btn => el('option', { value: btn.dataset.category }, btn.textContent))),
+        el('button', { type: 'submit' }, 'Submit for review')
+    ]);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitLink(form, status);
+    });
+
+    view.replaceChildren(el('div', { className: 'detail' }, [
+        renderBackButton(),
+        el('h2', {}, 'Submit a link'),
+        el('p', { className: 'link-description' }, 'Found something going viral? Send us the link. We fetch its title, description and image, and an editor reviews it before it goes live.'),
+        form,
+        status
+    ]));
+}
+
+async function submitLink(form, status) {
+    const url = form.elements.url.value.trim();
+    const category = form.elements.category.value;
+    const show = (children, isError = false) => {
+        status.replaceChildren(...[].concat(children));
+        status.classList.toggle('error', isError);
+    };
+    if (!url) {
+        show('Paste the link you want to submit.', true);
+        return;
+    }
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    show('Fetching the page…');
+    try {
+        const { message, item } = await apiRequest('POST', 'api/submissions', { url, category });
+        form.reset();
+        show([
+            el('p', {}, message),
+            el('div', { className: 'submit-preview' }, [
+                el('h3', { className: 'link-title' }, item.title),
+                item.description ? el('p', { className: 'link-description' }, item.description) : null
+            ])
+        ]);
+    } catch (error) {
+        const existing = error.result && error.result.link;
+        if (existing) {
+            show([`${error.message} `, el('a', { href: detailHash(existing) }, 'See it')], true);
+        } else {
+            // Static hosting answers with its own error page, not the API's JSON
+            show(error.result && error.result.error ? error.message : 'Submissions are not available on this copy of the site.', true);
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function searchFor(keyword) {
+    state.search = keyword;
+    document.getElementById('search-bar').value = state.search;
+    applyFilters();
 }
 
 function getRelevantThumbnail(link) {
-    // If link has a custom thumbnail, use it
-    if (link.thumbnail) {
-        return link.thumbnail;
-    }
-    
-    // Get the primary keyword or first keyword
-    const keyword = link.keywords && link.keywords.length > 0 
-        ? link.keywords[0] 
-        : link.title || link.category;
-    
-    // Use Picsum with a deterministic ID based on keyword for consistency
-    // This ensures same keyword always gets same image
-    const keywordHash = keyword.split('').reduce((acc, char) => {
-        return acc + char.charCodeAt(0);
-    }, 0);
-    const imageId = (keywordHash % 1000) + 1; // Range 1-1000
-    
-    return `https://picsum.photos/id/${imageId}/250/150`;
+    // Custom or curator-cached thumbnail, otherwise the category card
+    return link.thumbnail || getPlaceholderImage(link.category);
 }
 
 function formatTimeAgo(dateInput) {
@@ -196,38 +1296,104 @@ function formatTimeAgo(dateInput) {
     return `${days}d ago`;
 }
 
+function renderTrends() {
+    const panel = document.getElementById('trends-panel');
+    const heatmap = document.getElementById('keyword-heatmap');
+    if (!state.trends || !state.trends.keywords.length) {
+        panel.hidden = true;
+        heatmap.hidden = false;
+        renderKeywordHeatmap();
+        return;
+    }
+    panel.hidden = false;
+    heatmap.hidden = true;
+
+    const { keywords, rising, falling, runs, updatedAt } = state.trends;
+    document.getElementById('trends-top').replaceChildren(...keywords.map(renderTrendRow));
+    document.getElementById('trends-rising').replaceChildren(...(rising.length
+        ? rising.map(renderTrendRow)
+        : [el('li', { className: 'trend-empty' }, runs > 1 ? 'Nothing is picking up speed right now.' : 'Needs a few more curator runs.')]));
+    document.getElementById('trends-falling').replaceChildren(...(falling.length
+        ? falling.map(renderTrendRow)
+        : [el('li', { className: 'trend-empty' }, runs > 1 ? 'Nothing is cooling off.' : 'Needs a few more curator runs.')]));
+    document.getElementById('trends-updated').textContent = `Based on ${runs} curator run${runs === 1 ? '' : 's'}, last ${formatTimeAgo(updatedAt)}`;
+}
+
+function renderTrendRow(trend) {
+    const velocity = trend.velocity > 0 ? `+${trend.velocity}` : `${trend.velocity}`;
+    const name = el('span', { className: 'trend-keyword', dataset: { keyword: trend.keyword } }, trend.keyword);
+    name.addEventListener('click', () => searchFor(trend.keyword));
+    return el('li', { className: 'trend-row' }, [
+        name,
+        trend.isNew ? el('span', { className: 'trend-new', title: 'First seen this run' }, 'NEW') : null,
+        sparkline(trend.series),
+        el('span', {
+            className: `trend-velocity ${trend.velocity > 0 ? 'up' : trend.velocity < 0 ? 'down' : ''}`,
+            title: `${trend.count} links now, ${trend.baseline} on average before`
+        }, trend.velocity ? velocity : `${trend.count}`)
+    ]);
+}
+
+// Tiny inline SVG line chart; values are scaled to the series' own max
+function sparkline(values, { width = 70, height = 18 } = {}) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'sparkline');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('aria-hidden', 'true');
+    if (values.length < 2) return svg;
+
+    const max = Math.max(...values) || 1;
+    const step = width / (values.length - 1);
+    const points = values.map((value, i) => `${(i * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`);
+    const line = document.createElementNS(svgNs, 'polyline');
+    line.setAttribute('points', points.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', 'currentColor');
+    line.setAttribute('stroke-width', '1.5');
+    svg.append(line);
+    return svg;
+}
+
 function renderKeywordHeatmap() {
     const heatmap = document.getElementById('keyword-heatmap');
     if (!heatmap) return;
     const sorted = [...state.keywords].sort((a, b) => b.usage - a.usage).slice(0, 12);
-    heatmap.innerHTML = sorted.map((kw, i) => {
+    heatmap.replaceChildren(...sorted.map((kw, i) => {
         const size = i < 3 ? 'large' : i < 7 ? 'medium' : 'small';
-        return `<span class="heatmap-keyword ${size}" data-keyword="${kw.name}">${kw.name}</span>`;
-    }).join('');
-
-    heatmap.querySelectorAll('.heatmap-keyword').forEach(node => {
-        node.addEventListener('click', (e) => {
-            state.search = e.target.dataset.keyword;
-            document.getElementById('search-bar').value = state.search;
-            applyFilters();
-        });
-    });
+        const node = el('span', { className: `heatmap-keyword ${size}`, dataset: { keyword: kw.name } }, kw.name);
+        node.addEventListener('click', () => searchFor(kw.name));
+        return node;
+    }));
 }
 
+// Share of the hot list per category, with its history when trends are available
 function updateCategoryStats() {
-    const counts = state.links.reduce((acc, link) => {
-        acc[link.category] = (acc[link.category] || 0) + 1;
-        return acc;
-    }, {});
-    const total = state.links.length || 1;
-    document.querySelectorAll('#category-stats li').forEach(li => {
-        const text = li.firstChild.textContent.trim().toLowerCase();
-        const key = text.split(' ')[0];
-        const val = counts[key] || 0;
-        const pct = Math.round((val / total) * 100);
-        const span = li.querySelector('.stat-count');
-        if (span) span.textContent = `${pct}%`;
-    });
+    const list = document.getElementById('category-stats');
+    const labels = { news: 'News', videos: 'Videos', products: 'Products', tweets: 'Tweets', memes: 'Memes' };
+    let rows;
+    if (state.trends) {
+        rows = state.trends.categories.map(c => ({ category: c.category, share: c.share, series: c.series }));
+    } else {
+        // The manifest counts every link, not just the pages loaded so far
+        const manifest = state.api.manifest;
+        const counts = manifest ? manifest.categories : state.links.reduce((acc, link) => {
+            acc[link.category] = (acc[link.category] || 0) + 1;
+            return acc;
+        }, {});
+        const total = (manifest ? manifest.total : state.links.length) || 1;
+        rows = Object.keys(labels).map(category => ({ category, share: (counts[category] || 0) / total, series: [] }));
+    }
+
+    list.replaceChildren(...rows
+        .sort((a, b) => b.share - a.share)
+        .map(row => el('li', {}, [
+            labels[row.category] || row.category,
+            row.series.length > 1 ? sparkline(row.series.map(share => share * 100)) : null,
+            el('span', { className: 'stat-count' }, `${Math.round(row.share * 100)}%`)
+        ])));
 }
 
 function applyDarkMode(on) {
@@ -242,7 +1408,7 @@ function buildKeywordsFromLinks(links) {
         (link.keywords || []).forEach(term => {
             const key = term.trim();
             if (!key) return;
-            const existing = map.get(key) || { id: `kw-${map.size + 1}`, name: key, usage: 0, synonyms: [] };
+            const existing = map.get(key) || { id: `kw-${map.size + 1}`, name: key, usage: 0, synonyms: synonymsFor(key) };
             existing.usage += 1;
             map.set(key, existing);
         });
@@ -250,13 +1416,14 @@ function buildKeywordsFromLinks(links) {
     return Array.from(map.values()).sort((a, b) => b.usage - a.usage);
 }
 
+// Synonyms from data/synonyms.json, matched case-insensitively
+function synonymsFor(keyword) {
+    const name = Object.keys(state.synonyms).find(k => k.toLowerCase() === keyword.toLowerCase());
+    return name ? state.synonyms[name] : [];
+}
+
 function getPlaceholderImage(category) {
-    const placeholders = {
-        news: 'https://placehold.co/250x150/ff4500/white?text=Breaking+News',
-        videos: 'https://placehold.co/250x150/ff4500/white?text=Video',
-        products: 'https://placehold.co/250x150/ff4500/white?text=Product',
-        tweets: 'https://placehold.co/250x150/ff4500/white?text=Tweet',
-        memes: 'https://placehold.co/250x150/ff4500/white?text=Meme'
-    };
-    return placeholders[category] || placeholders.news;
+    // Generated by scripts/thumbnails.js
+    const categories = ['news', 'videos', 'products', 'tweets', 'memes'];
+    return `images/cards/${categories.includes(category) ? category : 'news'}.svg`;
 }
@@ -0,0 +1,38 @@
+// Append-only audit log of every admin change, one JSON object per line:
+//
+//   { at, user, action, id, title, changes? }
+//
+// `changes` maps each edited field to [before, after].
+
+const fs = require('fs');
+const path = require('path');
+
+function createAuditLog(file) {
+  return {
+    record(entry) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const line = { at: new Date().toISOString(), ...entry };
+      fs.appendFileSync(file, JSON.stringify(line) + '\n');
+      return line;
+    },
+    // Newest first
+    recent(limit = 100) {
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .reverse();
+    }
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,62 @@
+// Password login for the admin tool
+//
+// There is one shared password (ADMIN_PASSWORD). Editors also give their name when they
+// log in, and that name is what the audit log and git commits record. Sessions are random
+// tokens in an HttpOnly, SameSite=Strict cookie, kept in memory until they expire.
+
+const crypto = require('crypto');
+const { readCookie } = require('../server/http');
+
+const COOKIE = 'vn_admin';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const NAME_PATTERN = /^[\p{L}\p{N} ._'-]{1,40}$/u;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Constant-time, whatever the lengths
+function passwordMatches(given, expected) {
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function createAuth({ password, ttl = SESSION_TTL, secure = false }) {
+  if (!password) throw new Error('Set ADMIN_PASSWORD to use the admin tool');
+  const sessions = new Map();
+
+  function login(name, given) {
+    const user = String(name || '').trim();
+    if (!NAME_PATTERN.test(user)) {
+      throw Object.assign(new Error('Enter your name (letters, numbers, spaces, up to 40 characters)'), { status: 400 });
+    }
+    if (!passwordMatches(given || '', password)) return null;
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { user, expires: Date.now() + ttl });
+    return { token, user };
+  }
+
+  function session(req) {
+    const token = readCookie(req, COOKIE);
+    const entry = token && sessions.get(token);
+    if (!entry) return null;
+    if (entry.expires < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    return { token, user: entry.user };
+  }
+
+  function logout(req) {
+    const token = readCookie(req, COOKIE);
+    if (token) sessions.delete(token);
+  }
+
+  function cookie(token) {
+    const maxAge = token ? Math.floor(ttl / 1000) : 0;
+    return `${COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+  }
+
+  return { login, session, logout, cookie };
+}
+
+module.exports = { createAuth, passwordMatches };
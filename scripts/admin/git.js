@@ -0,0 +1,38 @@
+// Optional auto-commit of admin saves (ADMIN_GIT_COMMIT=1). Commits locally only; pushing
+// stays a deliberate step.
+
+const { execFile } = require('child_process');
+
+function git(root, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: root }, (error, stdout, stderr) => {
+      if (error) reject(new Error((stderr || error.message).trim()));
+      else resolve(stdout);
+    });
+  });
+}
+
+function createCommitter(root, { enabled = false } = {}) {
+  let queue = Promise.resolve();
+
+  // Commits run one after another so two quick saves can't race on the index
+  function commit(files, message) {
+    if (!enabled || !files.length) return Promise.resolve(false);
+    queue = queue
+      .then(() => git(root, ['add', '--all', '--', ...files]))
+      // Only the saved files, so anything else the editor has staged stays out of it
+      .then(() => git(root, ['diff', '--cached', '--quiet', '--', ...files]).then(
+        () => false,
+        () => git(root, ['commit', '-m', message, '--', ...files]).then(() => true)
+      ))
+      .catch(error => {
+        console.error(`⚠️ Git commit failed: ${error.message}`);
+        return false;
+      });
+    return queue;
+  }
+
+  return { enabled, commit };
+}
+
+module.exports = { createCommitter };
@@ -0,0 +1,149 @@
+// Viral Nexus admin: a local editorial tool for links.json
+//
+//   /                 the admin UI (scripts/admin/public)
+//   /preview/         the public site as it stands on disk
+//   POST /api/login, POST /api/logout, GET /api/session
+//   GET  /api/links                    links plus the version to send back with changes
+//   POST /api/links                    add a link
+//   PUT  /api/links/:id                edit a link
+//   POST /api/links/:id/pin|hide       { pinned } / { hidden }
+//   POST /api/links/reorder            { ids } of the pinned links, in order
+//   GET  /api/candidates               the curator's candidate queue
+//   POST /api/candidates/:id/approve|dismiss
+//   GET  /api/audit                    recent changes
+//
+// Run from scripts/ with `ADMIN_PASSWORD=... npm run admin`. It listens on 127.0.0.1:3001
+// (ADMIN_HOST / ADMIN_PORT); set ADMIN_GIT_COMMIT=1 to commit every save. The audit log
+// is kept in data/private/admin-audit.jsonl.
+
+const http = require('http');
+const path = require('path');
+const { serveStatic } = require('../server/static');
+const { sendJson, sendText, readJsonBody, isSameOrigin } = require('../server/http');
+const { clientIp, createRateLimiter } = require('../server/clicks');
+const { createAuth } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createCommitter } = require('./git');
+const { createEditorStore } = require('./store');
+const { createAccountStore } = require('../server/accounts');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+function createAdminApp({
+  root = ROOT,
+  password = process.env.ADMIN_PASSWORD,
+  gitCommit = process.env.ADMIN_GIT_COMMIT === '1',
+  auditFile = path.join(root, 'data', 'private', 'admin-audit.jsonl'),
+  accountsFile = path.join(root, 'data', 'private', 'accounts.json')
+} = {}) {
+  const auth = createAuth({ password });
+  const audit = createAuditLog(auditFile);
+  const committer = createCommitter(root, { enabled: gitCommit });
+  const store = createEditorStore({ root, audit, committer, accounts: createAccountStore(accountsFile) });
+  const loginLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+  async function handleLogin(req, res) {
+    if (!loginLimit(clientIp(req))) return sendJson(res, 429, { error: 'Too many attempts, try again later' });
+    const { name, password: given } = await readJsonBody(req);
+    const session = auth.login(name, given);
+    if (!session) return sendJson(res, 401, { error: 'Wrong password' });
+    sendJson(res, 200, { user: session.user }, { 'Set-Cookie': auth.cookie(session.token) });
+  }
+
+  function handleLogout(req, res) {
+    auth.logout(req);
+    sendJson(res, 200, {}, { 'Set-Cookie': auth.cookie(null) });
+  }
+
+  function handleSession(req, res, params, session) {
+    sendJson(res, 200, { user: session.user, gitCommit, categories: store.CATEGORIES });
+  }
+
+  function handleLinks(req, res) {
+    const { links, version, recovered, problems } = store.read();
+    sendJson(res, 200, { links, version, recovered, problems });
+  }
+
+  // Handlers for changes get the parsed body and who is making the change
+  const change = action => async (req, res, params, session) => {
+    const body = await readJsonBody(req);
+    const result = await action(body, params, { version: body.version, user: session.user });
+    sendJson(res, 200, result);
+  };
+
+  const routes = [
+    { methods: ['POST'], pattern: /^\/api\/login$/, handler: handleLogin, public: true },
+    { methods: ['POST'], pattern: /^\/api\/logout$/, handler: handleLogout, public: true },
+    { methods: ['GET'], pattern: /^\/api\/session$/, handler: handleSession },
+    { methods: ['GET'], pattern: /^\/api\/links$/, handler: handleLinks },
+    { methods: ['POST'], pattern: /^\/api\/links$/, handler: change((body, params, meta) => store.add(body.link, meta)) },
+    { methods: ['POST'], pattern: /^\/api\/links\/reorder$/, handler: change((body, params, meta) => store.reorder(body.ids, meta)) },
+    { methods: ['PUT'], pattern: /^\/api\/links\/([^/]+)$/, handler: change((body, [id], meta) => store.update(id, body.link, meta)) },
+    { methods: ['POST'], pattern: /^\/api\/links\/([^/]+)\/pin$/, handler: change((body, [id], meta) => store.setPinned(id, Boolean(body.pinned), meta)) },
+    { methods: ['POST'], pattern: /^\/api\/links\/([^/]+)\/hide$/, handler: change((body, [id], meta) => store.setHidden(id, Boolean(body.hidden), meta)) },
+    { methods: ['GET'], pattern: /^\/api\/candidates$/, handler: (req, res) => sendJson(res, 200, { items: store.candidates() }) },
+    { methods: ['POST'], pattern: /^\/api\/candidates\/([^/]+)\/approve$/, handler: change((body, [id], meta) => store.approve(id, body.link, meta)) },
+    { methods: ['POST'], pattern: /^\/api\/candidates\/([^/]+)\/dismiss$/, handler: change((body, [id], meta) => store.dismiss(id, meta)) },
+    { methods: ['GET'], pattern: /^\/api\/audit$/, handler: (req, res) => sendJson(res, 200, { entries: audit.recent() }) }
+  ];
+
+  function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname.startsWith('/api/')) {
+      // The same path can have a route per method (GET and POST /api/links)
+      const matching = routes.filter(route => route.pattern.test(pathname));
+      const route = matching.find(candidate => candidate.methods.includes(req.method));
+      if (!route && matching.length) {
+        const allowed = [...new Set(matching.flatMap(candidate => candidate.methods))];
+        return sendText(res, 405, 'Method not allowed', { 'Allow': allowed.join(', ') });
+      }
+      if (route) {
+        const match = pathname.match(route.pattern);
+        // Changes only from pages this server served (the cookie is SameSite=Strict as well)
+        if (req.method !== 'GET' && !isSameOrigin(req)) return sendJson(res, 403, { error: 'Cross-origin request refused' });
+        return Promise.resolve()
+          .then(() => {
+            const session = auth.session(req);
+            if (!route.public && !session) return sendJson(res, 401, { error: 'Please log in' });
+            return route.handler(req, res, match.slice(1).map(decodeURIComponent), session);
+          })
+          .catch(error => {
+            if (error instanceof URIError) return sendText(res, 400, 'Bad request');
+            if (error.status) return sendJson(res, error.status, { error: error.message, problems: error.problems });
+            console.error(`❌ ${req.method} ${pathname}:`, error);
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+          });
+      }
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method not allowed');
+    if (pathname === '/preview') return sendText(res, 301, '', { 'Location': '/preview/' });
+    if (pathname.startsWith('/preview/')) {
+      return serveStatic(root, { method: req.method, url: req.url.slice('/preview'.length) }, res);
+    }
+    serveStatic(PUBLIC_DIR, req, res);
+  }
+
+  return { handle, routes, store };
+}
+
+function start(port = Number(process.env.ADMIN_PORT) || 3001, host = process.env.ADMIN_HOST || '127.0.0.1') {
+  const app = createAdminApp();
+  const server = http.createServer(app.handle);
+  server.listen(port, host, () => console.log(`🛠️ Viral Nexus admin running at http://${host}:${port}`));
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { createAdminApp, start };
@@ -0,0 +1,304 @@
+// Viral Nexus admin UI - talks to scripts/admin/index.js
+//
+// Every change sends back the links.json version it was based on; the server refuses it
+// if the file changed in the meantime, and the list is reloaded.
+
+const state = {
+    user: null,
+    categories: [],
+    gitCommit: false,
+    links: [],
+    version: null,
+    candidates: [],
+    tab: 'links',
+    form: null // { mode: 'add' | 'edit' | 'approve', id }
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+    try {
+        await startSession(await api('GET', '/api/session'));
+    } catch (error) {
+        showLogin();
+    }
+});
+
+async function api(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (response.status === 401 && state.user) showLogin();
+        throw Object.assign(new Error(data.error || `Request failed (${response.status})`), { status: response.status });
+    }
+    return data;
+}
+
+function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.entries(attrs).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        if (key === 'className') node.className = value;
+        else if (key === 'onclick') node.addEventListener('click', value);
+        else node.setAttribute(key, value);
+    });
+    [].concat(children).forEach(child => {
+        if (child === undefined || child === null || child === false) return;
+        node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
+}
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.hidden = false;
+    clearTimeout(showStatus.timer);
+    if (!isError) showStatus.timer = setTimeout(() => { status.hidden = true; }, 5000);
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function setupEventListeners() {
+    document.getElementById('login-form').addEventListener('submit', async event => {
+        event.preventDefault();
+        const fields = event.target.elements;
+        try {
+            await api('POST', '/api/login', { name: fields.name.value, password: fields.password.value });
+            fields.password.value = '';
+            await startSession(await api('GET', '/api/session'));
+        } catch (error) {
+            showStatus(error.message, true);
+        }
+    });
+
+    document.getElementById('logout-btn').addEventListener('click', async () => {
+        await api('POST', '/api/logout').catch(() => {});
+        showLogin();
+    });
+
+    document.querySelectorAll('.tab').forEach(button => {
+        button.addEventListener('click', () => showTab(button.dataset.tab));
+    });
+
+    document.getElementById('add-link-btn').addEventListener('click', () => openLinkForm('add', {}));
+    document.getElementById('link-filter').addEventListener('input', renderLinks);
+    document.getElementById('show-hidden').addEventListener('change', renderLinks);
+    document.getElementById('link-form').addEventListener('submit', submitLinkForm);
+    document.getElementById('link-form-cancel').addEventListener('click', () => document.getElementById('link-dialog').close());
+}
+
+function showLogin() {
+    state.user = null;
+    document.getElementById('admin-nav').hidden = true;
+    document.querySelectorAll('.tab-panel').forEach(panel => { panel.hidden = true; });
+    document.getElementById('login-form').hidden = false;
+}
+
+async function startSession(session) {
+    state.user = session.user;
+    state.categories = session.categories;
+    state.gitCommit = session.gitCommit;
+    document.getElementById('login-form').hidden = true;
+    document.getElementById('admin-nav').hidden = false;
+    document.getElementById('current-user').textContent = `👤 ${session.user}${session.gitCommit ? ' · auto-commit on' : ''}`;
+    document.getElementById('category-select').replaceChildren(
+        ...state.categories.map(category => el('option', { value: category }, category))
+    );
+    await Promise.all([loadLinks(), loadCandidates()]);
+    showTab(state.tab);
+}
+
+async function showTab(tab) {
+    state.tab = tab;
+    document.querySelectorAll('.tab').forEach(button => button.classList.toggle('active', button.dataset.tab === tab));
+    document.querySelectorAll('.tab-panel').forEach(panel => { panel.hidden = panel.id !== `tab-${tab}`; });
+    if (tab === 'audit') await loadAudit();
+}
+
+// ---- Links ----
+
+async function loadLinks() {
+    const data = await api('GET', '/api/links');
+    state.links = data.links;
+    state.version = data.version;
+
+    const problems = document.getElementById('file-problems');
+    problems.hidden = !data.recovered && !data.problems.length;
+    problems.textContent = data.recovered
+        ? 'links.json is not valid JSON; the records below were recovered. Run "npm run fix" before editing.'
+        : `links.json has ${data.problems.length} schema problems, so saves will be refused until they're fixed (npm run fix).`;
+    renderLinks();
+}
+
+function renderLinks() {
+    const filter = document.getElementById('link-filter').value.trim().toLowerCase();
+    const showHidden = document.getElementById('show-hidden').checked;
+    const pinned = state.links.filter(link => link.pinned);
+
+    const rows = state.links
+        .map((link, index) => ({ link, index }))
+        .filter(({ link }) => showHidden || !link.hidden)
+        .filter(({ link }) => !filter || [link.title, link.url, ...(link.keywords || [])].join(' ').toLowerCase().includes(filter))
+        .map(({ link, index }) => {
+            const pinIndex = pinned.indexOf(link);
+            return el('tr', { className: [link.pinned && 'pinned', link.hidden && 'hidden-link'].filter(Boolean).join(' ') }, [
+                el('td', {}, index + 1),
+                el('td', {}, [
+                    el('a', { href: link.url, target: '_blank', rel: 'noopener' }, link.title),
+                    link.pinned && el('span', { className: 'badge' }, '📌 pinned'),
+                    link.hidden && el('span', { className: 'badge' }, '🙈 hidden'),
+                    el('div', { className: 'muted' }, [link.source || '', ' · ', (link.keywords || []).join(', ')])
+                ]),
+                el('td', {}, link.category),
+                el('td', {}, link.viralScore),
+                el('td', {}, formatDate(link.createdAt)),
+                el('td', { className: 'actions' }, [
+                    el('button', { onclick: () => openLinkForm('edit', link) }, 'Edit'),
+                    el('button', { onclick: () => change('POST', `/api/links/${encodeURIComponent(link.id)}/pin`, { pinned: !link.pinned }) }, link.pinned ? 'Unpin' : 'Pin'),
+                    el('button', { onclick: () => change('POST', `/api/links/${encodeURIComponent(link.id)}/hide`, { hidden: !link.hidden }) }, link.hidden ? 'Show' : 'Hide'),
+                    link.pinned && el('button', { title: 'Move up', disabled: pinIndex === 0, onclick: () => movePinned(pinIndex, -1) }, '↑'),
+                    link.pinned && el('button', { title: 'Move down', disabled: pinIndex === pinned.length - 1, onclick: () => movePinned(pinIndex, 1) }, '↓')
+                ])
+            ]);
+        });
+
+    document.getElementById('link-rows').replaceChildren(
+        ...(rows.length ? rows : [el('tr', {}, el('td', { colspan: 6, className: 'muted' }, 'No links match.'))])
+    );
+}
+
+function movePinned(index, offset) {
+    const ids = state.links.filter(link => link.pinned).map(link => link.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    change('POST', '/api/links/reorder', { ids });
+}
+
+// Send a change, then reload what it may have affected
+async function change(method, url, body) {
+    try {
+        const result = await api(method, url, { ...body, version: state.version });
+        const committed = result.committed ? ' and committed to git' : '';
+        showStatus(`✅ ${result.entry.action} "${result.entry.title}"${committed}`);
+        await Promise.all([loadLinks(), loadCandidates()]);
+        if (state.tab === 'audit') await loadAudit();
+        return true;
+    } catch (error) {
+        showStatus(error.message, true);
+        if (error.status === 409) await loadLinks();
+        return false;
+    }
+}
+
+// ---- Add / edit / approve form ----
+
+const FORM_FIELDS = ['title', 'url', 'description', 'category', 'keywords', 'source', 'thumbnail', 'viralScore'];
+
+function openLinkForm(mode, data) {
+    state.form = { mode, id: data.id };
+    const fields = document.getElementById('link-form').elements;
+    const titles = { add: 'Add link', edit: 'Edit link', approve: data.submitted ? 'Approve submission' : 'Approve candidate' };
+    document.getElementById('link-form-title').textContent = titles[mode];
+    document.getElementById('link-form-save').textContent = mode !== 'approve' ? 'Save' : data.submitted ? 'Approve' : 'Publish';
+    document.getElementById('link-form-error').hidden = true;
+
+    FORM_FIELDS.forEach(field => {
+        const value = data[field];
+        fields[field].value = Array.isArray(value) ? value.join(', ') : (value === undefined || value === null ? '' : value);
+    });
+    if (!data.category) fields.category.value = state.categories[0];
+    document.getElementById('link-dialog').showModal();
+}
+
+async function submitLinkForm(event) {
+    event.preventDefault();
+    const fields = event.target.elements;
+    const link = {};
+    FORM_FIELDS.forEach(field => {
+        link[field] = fields[field].value;
+    });
+
+    const { mode, id } = state.form;
+    const requests = {
+        add: ['POST', '/api/links'],
+        edit: ['PUT', `/api/links/${encodeURIComponent(id)}`],
+        approve: ['POST', `/api/candidates/${encodeURIComponent(id)}/approve`]
+    };
+    const [method, url] = requests[mode];
+    const error = document.getElementById('link-form-error');
+    try {
+        const result = await api(method, url, { link, version: state.version });
+        document.getElementById('link-dialog').close();
+        showStatus(`✅ ${result.entry.action} "${result.entry.title}"${result.committed ? ' and committed to git' : ''}`);
+        await Promise.all([loadLinks(), loadCandidates()]);
+    } catch (failure) {
+        error.textContent = failure.message;
+        error.hidden = false;
+        if (failure.status === 409) await loadLinks();
+    }
+}
+
+// ---- Candidate queue ----
+
+async function loadCandidates() {
+    const { items } = await api('GET', '/api/candidates');
+    state.candidates = items;
+    document.getElementById('candidate-count').textContent = items.length ? `(${items.length})` : '';
+    renderCandidates();
+}
+
+function renderCandidates() {
+    const rows = state.candidates.map(item => el('tr', {}, [
+        el('td', {}, [
+            el('a', { href: item.url, target: '_blank', rel: 'noopener' }, item.title),
+            item.published && el('span', { className: 'badge' }, 'already published'),
+            item.approvedAt && el('span', { className: 'badge' }, `approved by ${item.approvedBy}, waiting for the curator`)
+        ]),
+        el('td', {}, [
+            item.source,
+            item.submitted && el('div', { className: 'muted' }, item.submittedBy ? `submitted by ${item.submittedBy}` : 'submitted')
+        ]),
+        el('td', {}, [
+            item.category,
+            item.categoryConfidence !== undefined && el('div', { className: 'muted' }, `${Math.round(item.categoryConfidence * 100)}% sure`)
+        ]),
+        el('td', {}, item.score),
+        el('td', {}, formatDate(item.queuedAt)),
+        el('td', { className: 'actions' }, [
+            el('button', {
+                disabled: item.published || Boolean(item.approvedAt),
+                onclick: () => openLinkForm('approve', { ...item, description: item.description || `Trending on ${item.source}` })
+            }, 'Approve…'),
+            el('button', { onclick: () => change('POST', `/api/candidates/${encodeURIComponent(item.id)}/dismiss`, {}) }, 'Dismiss')
+        ])
+    ]));
+    document.getElementById('candidate-rows').replaceChildren(
+        ...(rows.length ? rows : [el('tr', {}, el('td', { colspan: 6, className: 'muted' }, 'The queue is empty.'))])
+    );
+}
+
+// ---- Audit log ----
+
+async function loadAudit() {
+    const { entries } = await api('GET', '/api/audit');
+    const rows = entries.map(entry => el('tr', {}, [
+        el('td', {}, formatDate(entry.at)),
+        el('td', {}, entry.user),
+        el('td', {}, `${entry.action} "${entry.title}"`),
+        el('td', {}, entry.changes
+            ? el('ul', { className: 'changes' }, Object.entries(entry.changes).map(([field, [before, after]]) =>
+                el('li', {}, `${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`)))
+            : '')
+    ]));
+    document.getElementById('audit-rows').replaceChildren(
+        ...(rows.length ? rows : [el('tr', {}, el('td', { colspan: 4, className: 'muted' }, 'No changes yet.'))])
+    );
+}
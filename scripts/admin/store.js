@@ -0,0 +1,292 @@
+// Editorial operations on links.json for the admin tool
+//
+// Every change goes through save(): the whole file is validated against the link schema
+// and written atomically, the static API and feeds are rebuilt from the published (not
+// hidden) links, the change is appended to the audit log and, when enabled, committed to
+// git. Saves carry the version of links.json the editor loaded (a hash of the file), so a
+// curator run or another editor's save in between is a conflict instead of being lost.
+//
+// Pinned links are kept together at the top of links.json, in the order editors give them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CATEGORIES, parseLinksText, validateLinks, publishedLinks } = require('../link-schema');
+const { canonicalUrl } = require('../merge');
+const { writeJsonAtomic } = require('../json-file');
+const { buildStaticApi } = require('../api');
+const { writeFeeds } = require('../feeds');
+const { ARCHIVE_DIR, updateArchivedLink } = require('../archive');
+const { CANDIDATES_FILE, loadCandidates, saveCandidates, linkFromItem } = require('../candidates');
+const { guessCategory } = require('../categorize');
+const nlp = require('../nlp');
+
+const EDITABLE_FIELDS = ['title', 'url', 'description', 'category', 'keywords', 'source', 'thumbnail', 'viralScore'];
+const DEFAULT_SCORE = 50;
+// Files a save rewrites besides links.json
+const PUBLISHED_FILES = ['api', 'feeds', 'feed.xml', 'atom.xml', 'feed.json'];
+
+function httpError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function versionOf(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Editable fields from a form submission, trimmed; empty optional fields are removed
+function cleanInput(input = {}) {
+  const clean = {};
+  EDITABLE_FIELDS.forEach(field => {
+    let value = input[field];
+    if (value === undefined || value === null) return;
+    if (field === 'keywords') {
+      value = (Array.isArray(value) ? value : String(value).split(','))
+        .map(keyword => String(keyword).trim())
+        .filter(Boolean);
+      // Left empty, they're picked from the title
+      if (!value.length) return;
+    } else if (field === 'viralScore') {
+      if (value === '') return;
+      value = Number(value);
+    } else {
+      value = String(value).trim();
+    }
+    clean[field] = value;
+  });
+  ['description', 'source', 'thumbnail'].forEach(field => {
+    if (clean[field] === '') clean[field] = null;
+  });
+  return clean;
+}
+
+function withoutEmpty(link) {
+  const result = {};
+  Object.entries(link).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+// New links go straight under the pinned ones, so they're on the first API page
+function insertLink(links, link) {
+  return [...links.filter(item => item.pinned), link, ...links.filter(item => !item.pinned)];
+}
+
+// Field-by-field [before, after] for the audit log
+function diff(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (field === 'editedAt') return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) changes[field] = [before[field], after[field]];
+  });
+  return changes;
+}
+
+function createEditorStore({ root, audit, committer, accounts = null }) {
+  const linksFile = path.join(root, 'links.json');
+  const candidatesFile = path.join(root, CANDIDATES_FILE);
+  const archiveDir = path.join(root, ARCHIVE_DIR);
+
+  function read() {
+    const text = fs.existsSync(linksFile) ? fs.readFileSync(linksFile, 'utf8') : '[]';
+    const { links, recovered } = parseLinksText(text);
+    return { links, version: versionOf(text), recovered, problems: validateLinks(links) };
+  }
+
+  function load(version) {
+    const current = read();
+    if (version !== current.version) {
+      throw httpError(409, 'links.json changed since you loaded it (a curator run or another editor). Reload and try again.');
+    }
+    return current.links;
+  }
+
+  function find(links, id) {
+    const link = links.find(item => String(item.id) === String(id));
+    if (!link) throw httpError(404, `No link with id ${id}`);
+    return link;
+  }
+
+  function assertUniqueUrl(links, url, exceptId) {
+    const key = canonicalUrl(url);
+    const existing = links.find(link => canonicalUrl(link.url) === key && String(link.id) !== String(exceptId));
+    if (existing) throw httpError(409, `"${existing.title}" (id ${existing.id}) already links there`);
+  }
+
+  function newId(links) {
+    const ids = new Set(links.map(link => String(link.id)));
+    let id = Date.now();
+    while (ids.has(String(id))) id++;
+    return String(id);
+  }
+
+  // Validate, write, republish, audit, commit. `afterWrite` makes any other change that
+  // belongs to this one once links.json is safely written, and returns the files it
+  // touched (relative to the repo root) so they go into the same commit.
+  async function save(links, { user, action, link, changes, afterWrite = () => [] }) {
+    const problems = validateLinks(links);
+    if (problems.length) {
+      const summary = problems.slice(0, 5).map(p => `${p.id || `#${p.index}`} ${p.field}: ${p.message}`).join('; ');
+      throw httpError(422, `Not saved - links.json would be invalid: ${summary}`, { problems });
+    }
+
+    writeJsonAtomic(linksFile, links);
+    const published = publishedLinks(links);
+    buildStaticApi(published, { root });
+    writeFeeds(published, { root });
+    const extraFiles = afterWrite();
+    return finish({ user, action, link, changes, files: ['links.json', ...PUBLISHED_FILES, ...extraFiles] });
+  }
+
+  async function finish({ user, action, link, changes, files }) {
+    const entry = audit.record({ user, action, id: link.id, title: link.title, ...(changes ? { changes } : {}) });
+    const committed = await committer.commit(files, `Admin: ${user} ${action} "${link.title}"`);
+    return { link, entry, committed, version: read().version };
+  }
+
+  async function add(input, { version, user }) {
+    const links = load(version);
+    const fields = cleanInput(input);
+    if (fields.url) assertUniqueUrl(links, fields.url);
+    const now = new Date().toISOString();
+    const link = withoutEmpty({
+      id: newId(links),
+      viralScore: DEFAULT_SCORE,
+      clicks: 0,
+      ...fields,
+      createdAt: now,
+      editedAt: now
+    });
+    if (!link.keywords || !link.keywords.length) link.keywords = fields.title ? nlp.extractKeywords(fields.title) : [];
+    if (!link.category && link.title) link.category = guessCategory(link.title, link.source).category;
+
+    return save(insertLink(links, link), { user, action: 'added', link });
+  }
+
+  async function update(id, input, { version, user }) {
+    const links = load(version);
+    const before = find(links, id);
+    const fields = cleanInput(input);
+    if (fields.url) assertUniqueUrl(links, fields.url, id);
+    const link = withoutEmpty({ ...before, ...fields, editedAt: new Date().toISOString() });
+    const changes = diff(before, link);
+    if (!Object.keys(changes).length) throw httpError(400, 'Nothing changed');
+    return save(links.map(item => (item === before ? link : item)), { user, action: 'edited', link, changes });
+  }
+
+  async function setPinned(id, pinned, { version, user }) {
+    const links = load(version);
+    const before = find(links, id);
+    const link = withoutEmpty({ ...before, pinned: pinned ? true : null });
+    // Newly pinned links join the end of the pinned block; unpinned ones sit just below it
+    return save(insertLink(links.filter(item => item !== before), link), { user, action: pinned ? 'pinned' : 'unpinned', link });
+  }
+
+  async function setHidden(id, hidden, { version, user }) {
+    const links = load(version);
+    const before = find(links, id);
+    const link = withoutEmpty({ ...before, hidden: hidden ? true : null });
+    return save(links.map(item => (item === before ? link : item)), {
+      user,
+      action: hidden ? 'hid' : 'unhid',
+      link,
+      // The archive view shouldn't show a hidden story either
+      afterWrite: () => {
+        const shard = updateArchivedLink(link.url, { hidden: hidden ? true : undefined }, archiveDir);
+        return shard ? [path.relative(root, shard)] : [];
+      }
+    });
+  }
+
+  // ids: every pinned link's id, in the new order. Unpinned links have no order of their
+  // own - the site and the curator rank them by score - so they can't be reordered.
+  async function reorder(ids, { version, user }) {
+    const links = load(version);
+    const pinned = links.filter(link => link.pinned);
+    const wanted = (Array.isArray(ids) ? ids : []).map(String);
+    const unpinned = links.find(link => !link.pinned && wanted.includes(String(link.id)));
+    if (unpinned) {
+      throw httpError(400, `"${unpinned.title}" isn't pinned. Only pinned links can be reordered (the rest are ranked by score), so pin it first.`);
+    }
+    if (wanted.length !== pinned.length || !pinned.every(link => wanted.includes(String(link.id)))) {
+      throw httpError(400, 'Reordering needs the ids of every pinned link, each once');
+    }
+    const ordered = wanted.map(id => find(pinned, id));
+    return save([...ordered, ...links.filter(link => !link.pinned)], {
+      user,
+      action: 'reordered pinned links',
+      link: { id: wanted.join(','), title: ordered.map(link => link.title).join(' / ') }
+    });
+  }
+
+  // Submitters are stored as account ids; editors see their email
+  function candidates() {
+    const { links } = read();
+    const live = new Set(links.map(link => canonicalUrl(link.url)));
+    return loadCandidates(candidatesFile).items.map(item => ({
+      ...item,
+      submittedBy: item.submittedBy && accounts ? accounts.emailOf(item.submittedBy) : null,
+      published: live.has(canonicalUrl(item.url))
+    }));
+  }
+
+  function takeCandidate(id) {
+    const queue = loadCandidates(candidatesFile);
+    const item = queue.items.find(candidate => candidate.id === id);
+    if (!item) throw httpError(404, 'That candidate is no longer in the queue');
+    return { queue, item };
+  }
+
+  function dropCandidate(queue, id, { dismiss = false } = {}) {
+    const dismissed = dismiss ? { ...queue.dismissed, [id]: new Date().toISOString() } : queue.dismissed;
+    saveCandidates({ items: queue.items.filter(item => item.id !== id), dismissed }, candidatesFile);
+  }
+
+  // Publish a queued item, with whatever the editor changed in the form. Community
+  // submissions are only marked approved: the next curator run publishes them.
+  async function approve(id, input, { version, user }) {
+    const links = load(version);
+    const { queue, item } = takeCandidate(id);
+    assertUniqueUrl(links, (input && input.url) || item.url);
+    if (item.submitted) return approveSubmission(queue, item, input, user);
+    const link = withoutEmpty({
+      ...linkFromItem(item, { id: newId(links) }),
+      ...cleanInput(input),
+      editedAt: new Date().toISOString()
+    });
+
+    return save(insertLink(links, link), {
+      user,
+      action: 'approved',
+      link,
+      afterWrite: () => {
+        dropCandidate(queue, id);
+        return [CANDIDATES_FILE];
+      }
+    });
+  }
+
+  async function approveSubmission(queue, item, input, user) {
+    if (item.approvedAt) throw httpError(409, 'That submission is already approved');
+    const edits = cleanInput(input);
+    const approved = { ...item, approvedAt: new Date().toISOString(), approvedBy: user, link: edits };
+    saveCandidates({ items: queue.items.map(queued => (queued === item ? approved : queued)), dismissed: queue.dismissed }, candidatesFile);
+    return finish({
+      user,
+      action: 'approved submission',
+      link: { id: item.id, title: edits.title || item.title },
+      files: [CANDIDATES_FILE]
+    });
+  }
+
+  async function dismiss(id, { user }) {
+    const { queue, item } = takeCandidate(id);
+    dropCandidate(queue, id, { dismiss: true });
+    return finish({ user, action: 'dismissed', link: { id, title: item.title }, files: [CANDIDATES_FILE] });
+  }
+
+  return { read, add, update, setPinned, setHidden, reorder, candidates, approve, dismiss, CATEGORIES };
+}
+
+module.exports = { createEditorStore, cleanInput, EDITABLE_FIELDS };
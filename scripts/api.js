@@ -0,0 +1,147 @@
+// Static, versioned read API generated at curation time
+//
+//   api/v1/manifest.json            counts, page size, last update
+//   api/v1/links/page-N.json        all hot links, PAGE_SIZE per page, in links.json order
+//   api/v1/categories/{cat}.json    every link in a category
+//   api/v1/keywords/{slug}.json     every link tagged with a keyword
+//
+// Plain JSON files, so any static host (GitHub Pages) can serve them. The same data is
+// queryable on the Node server at /api/v1/links (see queryLinks).
+//
+// Search synonyms are edited by hand in data/synonyms.json ({ keyword: [synonym, ...] })
+// and published in the manifest so the homepage expands queries the same way.
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, publishedLinks } = require('./link-schema');
+const { filterLinks } = require('../link-filters');
+const { readJson } = require('./json-file');
+
+const API_VERSION = 'v1';
+const API_DIR = path.join('api', API_VERSION);
+const PAGE_SIZE = 20;
+const MAX_LIMIT = 100;
+const SYNONYMS_FILE = path.join('data', 'synonyms.json');
+
+function loadSynonyms(root = '.') {
+  return readJson(path.join(root, SYNONYMS_FILE), {});
+}
+
+function keywordSlug(keyword) {
+  return String(keyword).toLowerCase().normalize('NFKD').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+function buildStaticApi(allLinks, { root = '.', updatedAt = new Date().toISOString(), synonyms = loadSynonyms(root) } = {}) {
+  const links = publishedLinks(allLinks);
+  const dir = path.join(root, API_DIR);
+  // Start clean so keywords that dropped out of the feed don't linger
+  fs.rmSync(dir, { recursive: true, force: true });
+  const write = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2) + '\n');
+  };
+
+  const pages = Math.max(1, Math.ceil(links.length / PAGE_SIZE));
+  for (let page = 1; page <= pages; page++) {
+    write(`links/page-${page}.json`, {
+      page,
+      pages,
+      pageSize: PAGE_SIZE,
+      total: links.length,
+      next: page < pages ? `page-${page + 1}.json` : null,
+      links: links.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE)
+    });
+  }
+
+  const categories = {};
+  CATEGORIES.forEach(category => {
+    const subset = links.filter(link => link.category === category);
+    categories[category] = subset.length;
+    write(`categories/${category}.json`, { category, total: subset.length, links: subset });
+  });
+
+  const synonymsFor = keyword => {
+    const key = Object.keys(synonyms).find(name => name.toLowerCase() === String(keyword).toLowerCase());
+    return key ? synonyms[key] : [];
+  };
+
+  const keywords = {};
+  const byKeyword = new Map();
+  links.forEach(link => {
+    (link.keywords || []).forEach(keyword => {
+      const slug = keywordSlug(keyword);
+      if (!slug) return;
+      if (!byKeyword.has(slug)) byKeyword.set(slug, { keyword, links: [] });
+      const entry = byKeyword.get(slug);
+      if (!entry.links.includes(link)) entry.links.push(link);
+    });
+  });
+  byKeyword.forEach((entry, slug) => {
+    keywords[slug] = { keyword: entry.keyword, count: entry.links.length, synonyms: synonymsFor(entry.keyword) };
+    write(`keywords/${slug}.json`, { keyword: entry.keyword, slug, total: entry.links.length, links: entry.links });
+  });
+
+  const manifest = {
+    version: API_VERSION,
+    updatedAt,
+    total: links.length,
+    pageSize: PAGE_SIZE,
+    pages,
+    categories,
+    keywords,
+    synonyms,
+    endpoints: {
+      links: 'links/page-{n}.json',
+      category: 'categories/{category}.json',
+      keyword: 'keywords/{slug}.json'
+    }
+  };
+  write('manifest.json', manifest);
+  return manifest;
+}
+
+// Cursors are opaque to clients; internally they're just the offset of the next item
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // fall through
+  }
+  throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+}
+
+// Query-param version of the static API for the Node server
+function queryLinks(links, params, { synonyms } = {}) {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.get('limit'), 10) || PAGE_SIZE));
+  const offset = decodeCursor(params.get('cursor'));
+  const matches = filterLinks(links, {
+    category: params.get('category') || 'all',
+    query: params.get('q') || '',
+    since: params.get('since') || undefined,
+    synonyms
+  });
+  const page = matches.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  return {
+    total: matches.length,
+    limit,
+    links: page,
+    nextCursor: nextOffset < matches.length ? encodeCursor(nextOffset) : null
+  };
+}
+
+if (require.main === module) {
+  const { parseLinksText } = require('./link-schema');
+  const { links } = parseLinksText(fs.readFileSync('links.json', 'utf8'));
+  const manifest = buildStaticApi(links);
+  console.log(`✅ Wrote API: ${manifest.pages} pages, ${Object.keys(manifest.keywords).length} keywords`);
+}
+
+module.exports = { buildStaticApi, queryLinks, loadSynonyms, keywordSlug, PAGE_SIZE, API_DIR };
@@ -0,0 +1,105 @@
+// Append-only archive of every link the curator has ever published
+//
+// Links are sharded by the month of their createdAt into data/archive/YYYY-MM.json.
+// data/archive/index.json lists the shards so the front end can lazy-load them.
+// links.json stays the short "hot" feed; nothing is ever removed from the archive.
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalUrl } = require('./merge');
+
+const ARCHIVE_DIR = path.join('data', 'archive');
+const INDEX_FILE = 'index.json';
+
+function monthOf(link) {
+  const date = new Date(link.createdAt);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7);
+}
+
+function readShard(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+// Add links that aren't archived yet (matched by canonical URL). Existing entries are kept as they
+// were first archived. Returns the number of links added.
+function archiveLinks(links, dir = ARCHIVE_DIR, now = new Date()) {
+  const byMonth = new Map();
+  links.forEach(link => {
+    const month = monthOf(link);
+    if (!month) return;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(link);
+  });
+
+  fs.mkdirSync(dir, { recursive: true });
+  let added = 0;
+
+  byMonth.forEach((monthLinks, month) => {
+    const file = path.join(dir, `${month}.json`);
+    const shard = readShard(file);
+    const known = new Set(shard.map(link => canonicalUrl(link.url)));
+    const fresh = monthLinks.filter(link => {
+      const key = canonicalUrl(link.url);
+      if (known.has(key)) return false;
+      known.add(key);
+      return true;
+    });
+    if (!fresh.length) return;
+
+    const updated = [...shard, ...fresh].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    fs.writeFileSync(file, JSON.stringify(updated, null, 2) + '\n');
+    added += fresh.length;
+  });
+
+  if (added || !fs.existsSync(path.join(dir, INDEX_FILE))) writeArchiveIndex(dir, now);
+  return added;
+}
+
+function writeArchiveIndex(dir = ARCHIVE_DIR, now = new Date()) {
+  const months = fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}\.json$/.test(name))
+    .sort()
+    .reverse()
+    .map(name => {
+      const links = readShard(path.join(dir, name));
+      return { month: name.replace('.json', ''), count: links.length };
+    });
+
+  const index = {
+    updatedAt: now.toISOString(),
+    total: months.reduce((sum, month) => sum + month.count, 0),
+    months
+  };
+  fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify(index, null, 2) + '\n');
+  return index;
+}
+
+// Every archived link, newest month first
+function readArchivedLinks(dir = ARCHIVE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}\.json$/.test(name))
+    .sort()
+    .reverse()
+    .flatMap(name => readShard(path.join(dir, name)));
+}
+
+// Apply an editor's change (e.g. { hidden: true }) to an archived link, found by canonical
+// URL. Returns the shard file that changed, or null if the link was never archived.
+function updateArchivedLink(url, changes, dir = ARCHIVE_DIR) {
+  if (!fs.existsSync(dir)) return null;
+  const key = canonicalUrl(url);
+  const names = fs.readdirSync(dir).filter(name => /^\d{4}-\d{2}\.json$/.test(name));
+  for (const name of names) {
+    const file = path.join(dir, name);
+    const shard = readShard(file);
+    const index = shard.findIndex(link => canonicalUrl(link.url) === key);
+    if (index === -1) continue;
+    shard[index] = { ...shard[index], ...changes };
+    fs.writeFileSync(file, JSON.stringify(shard, null, 2) + '\n');
+    return file;
+  }
+  return null;
+}
+
+module.exports = { ARCHIVE_DIR, archiveLinks, readArchivedLinks, updateArchivedLink, writeArchiveIndex, monthOf };
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Command line for the curator (curator/index.js). Run it from the site root:
+//
+//   viral-nexus-curate [--config <file>] [--dry-run] [--record <dir> | --replay <dir>] [--now <date>]
+//
+//   --config <file>  settings file (default viral-nexus.config.json, or $VIRAL_NEXUS_CONFIG)
+//   --dry-run        do everything except write files, and print what would change in links.json
+//   --record <dir>   save every HTTP response (sources, AI, link checks...) to <dir>
+//   --replay <dir>   rerun offline from a recording, on the recorded run's clock
+//   --now <date>     run as if it were <date> (ISO 8601). Ids and timestamps come from it,
+//                    so the same inputs give byte-identical output
+
+const { runCurator } = require('../curator');
+
+const USAGE = 'Usage: viral-nexus-curate [--config <file>] [--dry-run] [--record <dir> | --replay <dir>] [--now <date>]';
+const VALUE_OPTIONS = ['--config', '--record', '--replay', '--now'];
+
+function parseArgs(args) {
+  const options = { dryRun: false, config: undefined, record: null, replay: null, now: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      const value = args[++i];
+      if (!value || value.startsWith('--')) throw new Error(`${arg} needs a value\n${USAGE}`);
+      options[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+  if (options.record && options.replay) throw new Error('Use --record or --replay, not both');
+  if (options.now && Number.isNaN(new Date(options.now).getTime())) throw new Error(`--now "${options.now}" is not a date`);
+  return options;
+}
+
+function cli(args) {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  runCurator(options).catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+if (require.main === module) {
+  cli(process.argv.slice(2));
+}
+
+module.exports = { cli, parseArgs };
@@ -0,0 +1,137 @@
+// Candidate queue: trending items the curator saw but didn't publish, for editors to
+// approve in the admin tool (scripts/admin)
+//
+// data/candidates.json holds { updatedAt, items: [...], dismissed: { id: at } }, each item
+// as the source adapter returned it plus { id, queuedAt, seenAt }. An item seen again keeps
+// its id and queuedAt and gets the newer score; one an editor dismissed isn't queued again.
+// Items (and dismissals) drop out after MAX_AGE, and the queue never holds more than MAX_ITEMS.
+//
+// Community submissions (server/submissions.js) wait in the same queue, marked `submitted`.
+// They never lose their place to trending items. An editor's approval stamps them
+// `approvedAt` (plus any edits, as `link`), and the next curator run publishes them through
+// the same merge as its own picks; they leave the queue once they are in links.json.
+// A logged-in submitter is recorded as their account id (`submittedBy`), never their email:
+// this file is published with the site, and only the admin tool looks the id up.
+
+const crypto = require('crypto');
+const path = require('path');
+const { canonicalUrl } = require('./merge');
+const { readJson, writeJsonAtomic } = require('./json-file');
+const nlp = require('./nlp');
+const ranking = require('../ranking');
+
+const CANDIDATES_FILE = path.join('data', 'candidates.json');
+const MAX_ITEMS = 100;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const SUBMISSION_SCORE = 50;
+
+function candidateId(url) {
+  return crypto.createHash('sha1').update(canonicalUrl(url)).digest('hex').slice(0, 12);
+}
+
+// Queues written before submitters were recorded by account id had their email here,
+// so those are dropped on the way in and gone from the file on the next save
+function loadCandidates(file = CANDIDATES_FILE) {
+  const queue = { dismissed: {}, ...readJson(file, { updatedAt: null, items: [] }) };
+  queue.items = queue.items.map(({ submittedBy, ...item }) => (
+    submittedBy && !String(submittedBy).includes('@') ? { ...item, submittedBy } : item
+  ));
+  return queue;
+}
+
+function saveCandidates({ items, dismissed }, file = CANDIDATES_FILE, now = new Date()) {
+  const recent = {};
+  Object.entries(dismissed || {}).forEach(([id, at]) => {
+    if (now - new Date(at) <= MAX_AGE) recent[id] = at;
+  });
+  writeJsonAtomic(file, { updatedAt: now.toISOString(), items, dismissed: recent });
+}
+
+// Add items to the queue; `published` URLs (already live) are left out
+function queueCandidates(items, { file = CANDIDATES_FILE, published = [], now = new Date() } = {}) {
+  const live = new Set(published.map(canonicalUrl));
+  const { items: queued, dismissed } = loadCandidates(file);
+  const byId = new Map(queued.map(item => [item.id, item]));
+  const at = now.toISOString();
+
+  items.forEach(item => {
+    const id = candidateId(item.url);
+    if (live.has(canonicalUrl(item.url)) || dismissed[id]) return;
+    const known = byId.get(id);
+    if (known && known.submitted) return;
+    byId.set(id, { ...item, id, queuedAt: known ? known.queuedAt : at, seenAt: at });
+  });
+
+  // Approved submissions wait for the curator however long that takes
+  const fresh = [...byId.values()]
+    .filter(item => !live.has(canonicalUrl(item.url)) && (item.approvedAt || now - new Date(item.seenAt) <= MAX_AGE));
+  const trending = fresh
+    .filter(item => !item.submitted)
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .slice(0, MAX_ITEMS);
+  const queue = [...fresh.filter(item => item.submitted), ...trending];
+  saveCandidates({ items: queue, dismissed }, file, now);
+  return queue;
+}
+
+// Queue a community submission ({ url, title, description, thumbnail, category, ... }).
+// Throws with status 409 when the URL is already queued or an editor dismissed it.
+function submitCandidate(item, { file = CANDIDATES_FILE, now = new Date() } = {}) {
+  const { items, dismissed } = loadCandidates(file);
+  const id = candidateId(item.url);
+  if (dismissed[id]) throw Object.assign(new Error('An editor already passed on this link'), { status: 409 });
+  if (items.some(queued => queued.id === id)) throw Object.assign(new Error('This link is already waiting for review'), { status: 409 });
+
+  const at = now.toISOString();
+  const candidate = { ...item, id, submitted: true, queuedAt: at, seenAt: at };
+  saveCandidates({ items: [candidate, ...items], dismissed }, file, now);
+  return candidate;
+}
+
+function approvedSubmissions(file = CANDIDATES_FILE) {
+  return loadCandidates(file).items.filter(item => item.submitted && item.approvedAt);
+}
+
+// A publishable link from a trending item (no AI involved)
+function linkFromItem(item, { id = String(Date.now()), now = new Date() } = {}) {
+  const keywords = nlp.extractKeywords(item.title, { limit: 3 });
+  const link = {
+    id,
+    title: item.title,
+    url: item.url,
+    description: item.description || `Trending on ${item.source}`,
+    source: item.source,
+    sources: item.sources,
+    sourceScore: item.score,
+    comments: item.comments || 0,
+    keywords: keywords.length ? keywords : ['Trending'],
+    category: item.category,
+    clicks: 0,
+    createdAt: now.toISOString()
+  };
+  return { ...link, viralScore: ranking.viralScore(link, now.getTime()) };
+}
+
+// Links for approved submissions, with the editor's changes on top. They have no source
+// signals, so they start from the same editorial score as links added in the admin tool.
+// A remote thumbnail is left for the curator to cache like any other page image.
+function linksFromSubmissions(items, { firstId = Date.now(), now = new Date() } = {}) {
+  return items.map((item, idx) => {
+    const { sourceScore, ...link } = linkFromItem(item, { id: String(firstId + idx), now });
+    const edits = { ...item.link };
+    if (edits.thumbnail && /^https?:/i.test(edits.thumbnail)) delete edits.thumbnail;
+    return { ...link, viralScore: SUBMISSION_SCORE, ...edits };
+  });
+}
+
+module.exports = {
+  CANDIDATES_FILE,
+  candidateId,
+  loadCandidates,
+  saveCandidates,
+  queueCandidates,
+  submitCandidate,
+  approvedSubmissions,
+  linkFromItem,
+  linksFromSubmissions
+};
@@ -0,0 +1,24 @@
+// Category guess shared by the curator and the source adapters, from the naive Bayes
+// classifier in scripts/nlp (trained on the archive's labeled links)
+
+const { classifyContent } = require('./nlp');
+
+// Below this the classifier is mostly guessing, and general news is the safest bucket
+const MIN_CONFIDENCE = 0.4;
+const DEFAULT_CATEGORY = 'news';
+
+// { category, categoryConfidence } for a trending item
+function guessCategory(title, source) {
+  const { category, confidence } = classifyContent(title, source);
+  return {
+    category: confidence >= MIN_CONFIDENCE ? category : DEFAULT_CATEGORY,
+    categoryConfidence: confidence
+  };
+}
+
+// A source configured with a fixed category skips the classifier
+function categoryFor(title, source, options = {}) {
+  return options.category ? { category: options.category } : guessCategory(title, source);
+}
+
+module.exports = { guessCategory, categoryFor, classifyContent, MIN_CONFIDENCE };
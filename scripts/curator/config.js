@@ -0,0 +1,106 @@
+// Curator settings from viral-nexus.config.json in the site root
+//
+//   maxLinks      links kept in links.json (the rest live on in data/archive)
+//   maxTrending   fetched stories handed to the AI curator
+//   picks         { min, max } stories the AI picks per run (manual curation takes max)
+//   categories    which of the site's categories the curator publishes
+//   sources       source adapters to fetch from (see sources/index.js)
+//   minSources    sources that must return stories, or the run aborts without publishing
+//   prompts       { curation } - the AI prompt, a string or an array of lines, with
+//                 {{minPicks}}, {{maxPicks}}, {{categories}} and {{items}} filled in
+//
+// Everything but "sources" has a default, so a fork's config can be as small as it likes.
+// VIRAL_NEXUS_CONFIG (or the CLI's --config) points at another file.
+
+const fs = require('fs');
+const { CATEGORIES } = require('../link-schema');
+const { enabledSources } = require('../sources');
+
+const CONFIG_FILE = 'viral-nexus.config.json';
+const PLACEHOLDERS = ['minPicks', 'maxPicks', 'categories', 'items'];
+
+const DEFAULTS = {
+  maxLinks: 50,
+  maxTrending: 15,
+  minSources: 1,
+  picks: { min: 3, max: 5 },
+  categories: CATEGORIES,
+  prompts: {
+    curation: [
+      'Analyze these trending items and select the {{minPicks}}-{{maxPicks}} most viral-worthy ones. Format as JSON array with: title, url, description, category ({{categories}}), keywords (array).',
+      '',
+      'Trending items: {{items}}',
+      '',
+      'Return ONLY valid JSON array, no other text.'
+    ]
+  }
+};
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function templateText(template) {
+  return Array.isArray(template) ? template.join('\n') : template;
+}
+
+// Fill {{name}} placeholders; unknown names are a config error, not a silent blank
+function renderTemplate(template, values) {
+  return templateText(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) throw new Error(`Unknown placeholder {{${name}}} in prompt`);
+    return values[name];
+  });
+}
+
+// Defaults filled in and everything checked, so the stages can trust what they get
+function resolveConfig(raw, file = CONFIG_FILE) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${file} must hold a JSON object`);
+  const config = {
+    ...DEFAULTS,
+    ...raw,
+    picks: { ...DEFAULTS.picks, ...raw.picks },
+    prompts: { ...DEFAULTS.prompts, ...raw.prompts },
+    file
+  };
+
+  ['maxLinks', 'maxTrending', 'minSources'].forEach(key => {
+    if (!isPositiveInteger(config[key])) throw new Error(`${file}: "${key}" must be a positive whole number`);
+  });
+  if (!isPositiveInteger(config.picks.min) || !isPositiveInteger(config.picks.max) || config.picks.min > config.picks.max) {
+    throw new Error(`${file}: "picks" needs whole numbers with min <= max`);
+  }
+  if (!Array.isArray(config.categories) || !config.categories.length) {
+    throw new Error(`${file}: "categories" must list at least one category`);
+  }
+  const unknown = config.categories.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length) {
+    throw new Error(`${file}: unknown categories ${unknown.join(', ')} (the site has ${CATEGORIES.join(', ')})`);
+  }
+  const prompt = templateText(config.prompts.curation);
+  if (typeof prompt !== 'string' || !prompt.includes('{{items}}')) {
+    throw new Error(`${file}: "prompts.curation" must be text that includes {{items}}`);
+  }
+  try {
+    renderTemplate(prompt, Object.fromEntries(PLACEHOLDERS.map(name => [name, ''])));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  config.sources = enabledSources(raw.sources, file);
+  if (config.minSources > config.sources.length) {
+    throw new Error(`${file}: "minSources" is ${config.minSources} but only ${config.sources.length} sources are enabled`);
+  }
+  return config;
+}
+
+function loadConfig(file = process.env.VIRAL_NEXUS_CONFIG || CONFIG_FILE) {
+  if (!fs.existsSync(file)) throw new Error(`No curator config at ${file}`);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  return resolveConfig(raw, file);
+}
+
+module.exports = { loadConfig, resolveConfig, renderTemplate, CONFIG_FILE, DEFAULTS };
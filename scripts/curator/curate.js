@@ -0,0 +1,72 @@
+// Stage 2: turn trending stories into new links - picked and written up by the AI
+// provider when there is one, otherwise the top stories as they are
+
+const { parseCurationResponse } = require('../llm/parse');
+const { linkFromItem } = require('../candidates');
+const ranking = require('../../ranking');
+const { renderTemplate } = require('./config');
+
+function buildCurationPrompt(trendingData, config) {
+  return renderTemplate(config.prompts.curation, {
+    minPicks: config.picks.min,
+    maxPicks: config.picks.max,
+    categories: config.categories.join('/'),
+    items: JSON.stringify(trendingData, null, 2)
+  });
+}
+
+function formatLinksManually(trendingData, { config, now = new Date() }) {
+  return trendingData.slice(0, config.picks.max).map((item, idx) => linkFromItem(item, { id: String(now.getTime() + idx), now }));
+}
+
+// Use Claude, GPT or a local model to curate and format links. With a run report, notes
+// which path was taken (and why manual curation was used).
+async function curateLinks(trendingData, { config, provider, now = new Date(), report = null }) {
+  const manually = reason => {
+    const links = formatLinksManually(trendingData, { config, now });
+    if (report) report.curation = { path: 'manual', provider: provider ? provider.name : null, model: provider ? provider.model : null, picked: links.length, reason };
+    return links;
+  };
+  if (!provider) {
+    console.log('⚠️  No AI provider configured. Using manual curation...');
+    return manually('no AI provider configured');
+  }
+
+  try {
+    console.log(`🤖 Using ${provider.name} (${provider.model}) to curate content...`);
+    const reply = await provider.complete(buildCurationPrompt(trendingData, config));
+
+    const bySourceUrl = new Map(trendingData.map(item => [item.url, item]));
+    const { items, rejected } = parseCurationResponse(reply, {
+      allowedUrls: new Set(bySourceUrl.keys()),
+      allowedCategories: config.categories
+    });
+    rejected.forEach(({ item, errors }) => {
+      console.log(`  ⚠️ Skipped AI item ${JSON.stringify(item && item.title)}: ${errors.join('; ')}`);
+    });
+    if (items.length === 0) throw new Error('AI reply contained no valid items');
+
+    console.log(`✅ AI curated ${items.length} viral links`);
+    if (report) report.curation = { path: 'ai', provider: provider.name, model: provider.model, picked: items.length, rejected: rejected.length };
+    return items.map((link, idx) => {
+      const item = bySourceUrl.get(link.url);
+      const curated = {
+        ...link,
+        id: String(now.getTime() + idx),
+        source: item.source,
+        sources: item.sources,
+        sourceScore: item.score,
+        comments: item.comments || 0,
+        clicks: 0,
+        createdAt: now.toISOString()
+      };
+      return { ...curated, viralScore: ranking.viralScore(curated, now.getTime()) };
+    });
+  } catch (error) {
+    console.error('❌ AI API error:', error.message);
+    console.log('Falling back to manual curation...');
+    return manually(`AI error: ${error.message}`);
+  }
+}
+
+module.exports = { curateLinks, buildCurationPrompt, formatLinksManually };
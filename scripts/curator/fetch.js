@@ -0,0 +1,55 @@
+// Stage 1: fetch trending stories from the configured sources, fold duplicates and
+// moderate them. Returns the best `maxTrending` for the curate stage.
+//
+// Fewer than `minSources` working sources aborts the run: publishing stale or made-up
+// stories is worse than publishing nothing.
+
+const { fetchFromSources } = require('../sources');
+const { mergeTrendingItems } = require('../merge');
+const { loadModerationConfig, moderateItems, quarantineItems, QUARANTINE_FILE } = require('../moderation');
+
+async function fetchTrending(config, { now = new Date(), dryRun = false, http, report = null } = {}) {
+  console.log(`📡 Fetching from ${config.sources.length} sources...`);
+  const results = await fetchFromSources(config.sources, { http });
+  if (report) report.sources = results.sources;
+  const working = results.sources.filter(source => source.status === 'ok' && source.items > 0).length;
+  if (working < config.minSources) {
+    throw new Error(`Only ${working} of ${config.sources.length} sources returned stories (minSources is ${config.minSources}), so nothing was published`);
+  }
+
+  // The same story often turns up in several subreddits/feeds - fold those together
+  const fetched = mergeTrendingItems(results.items);
+
+  // Drop NSFW, blocked and spammy items before anything gets a chance to publish them
+  const { accepted, rejected } = moderateItems(fetched, loadModerationConfig());
+  if (rejected.length) {
+    rejected.forEach(({ item, reasons }) => {
+      console.log(`  🚫 Quarantined ${JSON.stringify(item.title)}: ${reasons.join(', ')}`);
+    });
+    if (!dryRun) quarantineItems(rejected, { now });
+    console.log(`🚫 Moderation rejected ${rejected.length} items${dryRun ? '' : ` (see ${QUARANTINE_FILE})`}`);
+  }
+
+  // Only categories this site publishes
+  const items = accepted.filter(item => config.categories.includes(item.category));
+  if (items.length < accepted.length) {
+    console.log(`  ⏭️ Skipped ${accepted.length - items.length} items outside ${config.categories.join('/')}`);
+  }
+
+  // Sort by score and return top trending
+  items.sort((a, b) => b.score - a.score);
+  console.log(`✅ Total fetched: ${fetched.length} distinct stories, ${items.length} passed moderation`);
+  const trending = items.slice(0, config.maxTrending);
+  if (report) {
+    report.items = {
+      fetched: results.items.length,
+      distinct: fetched.length,
+      quarantined: rejected.length,
+      outsideCategories: accepted.length - items.length,
+      trending: trending.length
+    };
+  }
+  return trending;
+}
+
+module.exports = { fetchTrending };
@@ -0,0 +1,145 @@
+// The curator pipeline: fetch → curate → merge → write
+//
+// Each stage is its own module and can be used on its own; runCurator() runs them in
+// order with one clock, one config, one HTTP client and (optionally) an HTTP recording or
+// replay, and saves a report of the run (run-report.js), aborted runs included.
+// bin/viral-nexus-curate.js is the command line for it.
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../llm');
+const { createHttpClient, CACHE_DIR } = require('../http-client');
+const { createRunReport, linkChanges, summarizeRunReport, saveRunReport, REPORT_FILE } = require('../run-report');
+const { startRecording, startReplay } = require('../recorder');
+const { loadConfig } = require('./config');
+const { fetchTrending } = require('./fetch');
+const { curateLinks } = require('./curate');
+const { mergeNewLinks, loadExistingLinks, loadClickStats, loadVoteCounts } = require('./merge');
+const { writeRun } = require('./write');
+const { approvedSubmissions, linksFromSubmissions } = require('../candidates');
+
+const LINKS_FILE = 'links.json';
+
+// Null when no provider is configured (or its config is broken), so we curate manually
+function loadProvider(env, http) {
+  try {
+    return createProvider(env, { http });
+  } catch (error) {
+    console.error(`❌ AI config error: ${error.message}`);
+    return null;
+  }
+}
+
+// The clock, HTTP client, AI provider and stats URL for this run. A replay takes them from
+// the recording, so it makes the same requests (and gives out the same ids) as the original.
+// Recordings need whole responses, so recording and replaying skip the HTTP cache (and a
+// replay doesn't wait between retries); a dry run reads the cache but doesn't update it.
+function setUpRun({ record, replay, now, dryRun }) {
+  const http = createHttpClient({
+    cacheDir: record || replay ? null : CACHE_DIR,
+    readOnlyCache: dryRun,
+    sleep: replay ? async () => {} : undefined
+  });
+
+  if (replay) {
+    const { run, stats } = startReplay(replay);
+    console.log(`📼 Replaying ${replay} (recorded ${run.recordedAt})`);
+    return {
+      now: new Date(now || run.now),
+      http,
+      provider: run.llm ? loadProvider({ ...run.llm, LLM_API_KEY: 'replay' }, http) : null,
+      statsUrl: run.statsUrl,
+      stats
+    };
+  }
+
+  const provider = loadProvider(process.env, http);
+  const setup = { now: new Date(now || Date.now()), http, provider, statsUrl: process.env.STATS_URL || null, stats: null };
+  if (record) {
+    const llm = provider && { LLM_PROVIDER: provider.name, LLM_MODEL: provider.model, LLM_BASE_URL: process.env.LLM_BASE_URL };
+    setup.stats = startRecording(record, { now: setup.now.toISOString(), llm, statsUrl: setup.statsUrl }).stats;
+    console.log(`⏺️ Recording HTTP responses to ${record}`);
+  }
+  return setup;
+}
+
+// options: { config (file), dryRun, record (dir), replay (dir), now (date) }
+async function runCurator(options = {}) {
+  const { dryRun = false } = options;
+  console.log(`🤖 Starting automated link curation${dryRun ? ' (dry run - nothing will be written)' : ''}...`);
+  const config = loadConfig(options.config);
+  const run = setUpRun(options);
+  const { now, http } = run;
+  const { report, finish } = createRunReport({ now });
+
+  // The report is saved however the run ends; a dry run only prints its summary
+  const endRun = (status, error) => {
+    finish(status, { error, http });
+    console.log(summarizeRunReport(report));
+    if (!dryRun) {
+      saveRunReport(report);
+      console.log(`📋 Saved run report to ${REPORT_FILE}`);
+    }
+  };
+
+  let merged;
+  try {
+    const trending = await fetchTrending(config, { now, dryRun, http, report });
+    console.log(`Found ${trending.length} trending items`);
+
+    const curated = await curateLinks(trending, { config, provider: run.provider, now, report });
+    // Community submissions an editor approved go through the same merge as the curated links
+    const submitted = linksFromSubmissions(approvedSubmissions(), { firstId: now.getTime() + curated.length, now });
+    report.submissions = submitted.length;
+    const newLinks = [...curated, ...submitted];
+    const plural = submitted.length === 1 ? '' : 's';
+    console.log(`Curated ${curated.length} viral links${submitted.length ? ` plus ${submitted.length} approved submission${plural}` : ''}`);
+
+    // A dry run resizes thumbnails into a temporary directory, so the paths are the same
+    // but nothing lands in images/
+    const previousLinks = loadExistingLinks(LINKS_FILE);
+    const thumbRoot = dryRun ? fs.mkdtempSync(path.join(os.tmpdir(), 'viral-nexus-')) : '.';
+    try {
+      merged = await mergeNewLinks(newLinks, previousLinks, {
+        config,
+        now,
+        clickCounts: await loadClickStats(run.statsUrl, { http }),
+        voteCounts: await loadVoteCounts(run.statsUrl, { http }),
+        thumbRoot,
+        http
+      });
+    } finally {
+      if (dryRun) fs.rmSync(thumbRoot, { recursive: true, force: true });
+    }
+    report.links = linkChanges(previousLinks, merged);
+
+    writeRun(merged, { linksFile: LINKS_FILE, previousLinks, trending, newLinks, now, dryRun });
+    console.log(`Total links: ${merged.links.length}`);
+  } catch (error) {
+    endRun('aborted', error);
+    throw error;
+  }
+  endRun(dryRun ? 'dry-run' : 'published');
+
+  if (options.record) console.log(`⏺️ Recorded ${run.stats().recorded} responses to ${options.record}`);
+  if (options.replay) {
+    const { replayed, missing } = run.stats();
+    console.log(`📼 Replayed ${replayed} responses`);
+    if (missing.length) {
+      console.log(`⚠️ ${missing.length} requests weren't in the recording (they failed like network errors):`);
+      missing.forEach(request => console.log(`  ${request}`));
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  runCurator,
+  loadConfig,
+  fetchTrending,
+  curateLinks,
+  mergeNewLinks,
+  writeRun,
+  LINKS_FILE
+};
@@ -0,0 +1,116 @@
+// Stage 3: fold the new links into the existing ones - duplicates merged, records
+// repaired, thumbnails added, URLs checked - and trim the result to maxLinks
+
+const fs = require('fs');
+const { parseLinksText, repairLinks, publishedLinks } = require('../link-schema');
+const { mergeLinks } = require('../merge');
+const { addThumbnails } = require('../thumbnails');
+const { checkLinks, applyLinkHealth, loadLinkHealth, RECHECK_AFTER } = require('../link-health');
+const { createHttpClient } = require('../http-client');
+const ranking = require('../../ranking');
+
+// Written by scripts/server
+const CLICKS_FILE = 'data/private/clicks.json';
+const VOTES_FILE = 'data/private/votes.json';
+
+function loadExistingLinks(file) {
+  if (!fs.existsSync(file)) return [];
+  const parsed = parseLinksText(fs.readFileSync(file, 'utf8'));
+  if (parsed.recovered) {
+    console.log(`⚠️ ${file} was malformed, recovered ${parsed.links.length} records`);
+  }
+  return parsed.links;
+}
+
+// Per-link counts from the site's server (scripts/server), either over HTTP
+// (STATS_URL=https://your-site, through `http`, an http-client.js client) or from its data
+// file when running on the same machine
+async function loadServerCounts(statsUrl, { endpoint, file, label, http }) {
+  try {
+    if (statsUrl) {
+      const response = await http.get(`${statsUrl.replace(/\/$/, '')}/${endpoint}`);
+      return response.data.counts;
+    }
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).counts;
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not load ${label}: ${error.message}`);
+  }
+  return null;
+}
+
+// { [id]: clicks }
+function loadClickStats(statsUrl, { http = createHttpClient({ cacheDir: null }) } = {}) {
+  return loadServerCounts(statsUrl, { endpoint: 'api/stats', file: CLICKS_FILE, label: 'click stats', http });
+}
+
+// { [id]: { up, down } }
+function loadVoteCounts(statsUrl, { http = createHttpClient({ cacheDir: null }) } = {}) {
+  return loadServerCounts(statsUrl, { endpoint: 'api/votes', file: VOTES_FILE, label: 'votes', http });
+}
+
+// Returns { links, published, all, health, dropped }: the next links.json, the part of it the
+// site shows (not hidden), every healthy link before trimming (for the archive), the link checks and
+// the ids dropped as { invalid, dead }. Thumbnails are written under `thumbRoot`; page images
+// and link checks are fetched through `http`.
+async function mergeNewLinks(newLinks, existingLinks, { config, now = new Date(), clickCounts = null, voteCounts = null, thumbRoot = '.', http = createHttpClient({ cacheDir: null }) }) {
+  // Replace stored click counts with measured ones when we have them
+  let existing = existingLinks;
+  if (clickCounts) {
+    existing = existing.map(link => ({ ...link, clicks: clickCounts[link.id] || 0 }));
+    console.log(`📈 Applied click stats for ${Object.keys(clickCounts).length} links`);
+  }
+  // Readers' votes move each link's viralScore
+  if (voteCounts) {
+    existing = existing.map(link => ranking.applyVotes(link, voteCounts[link.id]));
+    console.log(`👍 Applied votes for ${Object.keys(voteCounts).length} links`);
+  }
+
+  // New links go first, and duplicates (canonical URL or near-identical title) fold into
+  // one record per story
+  const uniqueLinks = mergeLinks([...newLinks, ...existing]);
+
+  // Repair/drop anything that doesn't match the schema
+  const repaired = repairLinks(uniqueLinks, { now: now.getTime() });
+  repaired.dropped.forEach(d => {
+    console.log(`  🗑️ Dropped invalid link ${JSON.stringify(d.id)}: ${d.reasons.join('; ')}`);
+  });
+
+  // Page images (og:image/twitter:image) for links without a real thumbnail yet
+  const illustrated = await addThumbnails(repaired.links, { root: thumbRoot, http });
+  console.log(`🖼️ Added ${illustrated.fetched} thumbnails and ${illustrated.cards} category cards`);
+
+  // Check URLs not checked in the last day: dead links go, homepages/placeholders/paywalls sink
+  const ranked = ranking.sortLinks(illustrated.links, 'hot', now.getTime());
+  const health = await checkLinks(ranked.slice(0, config.maxLinks * 2), {
+    previous: loadLinkHealth().results,
+    maxAge: RECHECK_AFTER,
+    now,
+    http
+  });
+  const checked = applyLinkHealth(ranked, health.results);
+  checked.dropped.forEach(({ link, result }) => {
+    console.log(`  🗑️ Dropped dead link ${JSON.stringify(link.id)} ${link.url}: ${result.status || result.error}`);
+  });
+  console.log(`🔎 Checked ${health.checked} URLs, dropped ${checked.dropped.length}, demoted ${checked.demoted.length}`);
+
+  // Keep only the maxLinks hottest, healthy links ahead of flagged ones. Hidden links
+  // stay in links.json (unpublished) so the curator doesn't bring them back.
+  const links = [
+    ...publishedLinks(checked.links).slice(0, config.maxLinks),
+    ...checked.links.filter(link => link.hidden)
+  ];
+  return {
+    links,
+    published: publishedLinks(links),
+    all: checked.links,
+    health: health.results,
+    dropped: {
+      invalid: repaired.dropped.map(d => d.id),
+      dead: checked.dropped.map(({ link }) => link.id)
+    }
+  };
+}
+
+module.exports = { mergeNewLinks, loadExistingLinks, loadClickStats, loadVoteCounts, CLICKS_FILE, VOTES_FILE };
@@ -0,0 +1,61 @@
+// Stage 4: publish the merged links - links.json, the archive, feeds, the static API,
+// trends, link health and the candidate queue. A dry run prints what would change in
+// links.json instead.
+
+const { validateLinks, publishedLinks } = require('../link-schema');
+const { archiveLinks, ARCHIVE_DIR } = require('../archive');
+const { writeFeeds } = require('../feeds');
+const { buildStaticApi } = require('../api');
+const { recordTrends } = require('../trends');
+const { queueCandidates } = require('../candidates');
+const { pruneThumbnails } = require('../thumbnails');
+const { saveLinkHealth, HEALTH_FILE } = require('../link-health');
+const { diffLinks, formatLinksDiff } = require('../links-diff');
+const { writeJsonAtomic } = require('../json-file');
+
+function writeRun(merged, { linksFile, previousLinks, trending, newLinks, now = new Date(), dryRun = false }) {
+  // Never write a file the front end can't load
+  const problems = validateLinks(merged.links);
+  if (problems.length) {
+    throw new Error(`Refusing to write ${linksFile}: ${problems.length} schema problems remain`);
+  }
+
+  if (dryRun) {
+    console.log(`\n${formatLinksDiff(diffLinks(previousLinks, merged.links))}\n`);
+    console.log(`🧪 Dry run: ${linksFile}, feeds, API, archive, trends and queues left untouched`);
+    return;
+  }
+
+  // Archive everything from before the trim, so nothing is lost (except what editors hid
+  // and what the link check found dead)
+  const archived = archiveLinks(publishedLinks(merged.all), ARCHIVE_DIR, now);
+  console.log(`🗄️ Archived ${archived} new links`);
+  saveLinkHealth(merged.health, HEALTH_FILE, now);
+
+  // The admin tool and the server read and write links.json too, so it's replaced in one rename
+  writeJsonAtomic(linksFile, merged.links);
+  const pruned = pruneThumbnails(merged.links);
+  if (pruned) console.log(`🧹 Removed ${pruned} unused thumbnail files`);
+  writeFeeds(merged.published);
+  console.log('📰 Updated RSS, Atom and JSON feeds');
+  buildStaticApi(merged.published, { updatedAt: now.toISOString() });
+  console.log('🔌 Updated static API in api/v1');
+  const previousIds = new Set(previousLinks.map(link => String(link.id)));
+  const trends = recordTrends(merged.published, {
+    at: now.toISOString(),
+    newLinks: merged.published.filter(link => !previousIds.has(String(link.id))).length
+  });
+  console.log(`📈 Recorded trends: ${trends.rising.length} rising, ${trends.newThisRun.length} new keywords`);
+  // Whatever the curator passed over waits in the queue for an editor. Everything merged
+  // this run leaves it, approved submissions included, even if trimmed straight to the archive
+  // or dropped as dead.
+  const dead = Object.values(merged.health).filter(result => result.state === 'dead');
+  const queue = queueCandidates(trending, {
+    published: [...merged.all, ...dead].map(item => item.url),
+    now
+  });
+  console.log(`📥 ${queue.length} candidates waiting for review`);
+  console.log(`✅ Updated ${linksFile} with ${newLinks.length} new links`);
+}
+
+module.exports = { writeRun };
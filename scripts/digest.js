@@ -0,0 +1,118 @@
+// Viral Digest emails: the top-ranked links per category as HTML and plain text.
+// The subscription confirmation and magic-link login emails are built here too.
+
+const ranking = require('../ranking');
+const { CATEGORIES, publishedLinks } = require('./link-schema');
+
+const CATEGORY_LABELS = {
+  news: '📰 Breaking News',
+  videos: '🎬 Top Videos',
+  products: '🛍️ Viral Products',
+  tweets: '🐦 Viral Tweets',
+  memes: '😂 Hot Memes'
+};
+
+const WINDOWS = { daily: 'top-day', weekly: 'top-week' };
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Top `perCategory` links per chosen category within the frequency's window
+function pickDigestLinks(links, { categories = CATEGORIES, frequency = 'daily', perCategory = 3, now = Date.now() } = {}) {
+  const ranked = ranking.sortLinks(publishedLinks(links), WINDOWS[frequency] || WINDOWS.daily, now);
+  return categories
+    .map(category => ({ category, links: ranked.filter(link => link.category === category).slice(0, perCategory) }))
+    .filter(section => section.links.length);
+}
+
+function linkUrl(link, baseUrl) {
+  return baseUrl ? `${baseUrl}/go/${encodeURIComponent(link.id)}` : link.url;
+}
+
+// Returns null when there is nothing to send for this subscriber
+function buildDigest(links, subscriber, { baseUrl, now = Date.now(), perCategory = 3 } = {}) {
+  const sections = pickDigestLinks(links, {
+    categories: subscriber.categories,
+    frequency: subscriber.frequency,
+    perCategory,
+    now
+  });
+  if (!sections.length) return null;
+
+  const period = subscriber.frequency === 'weekly' ? 'this week' : 'today';
+  const subject = `🔥 Viral Digest: ${sections[0].links[0].title}`;
+  const unsubscribeUrl = `${baseUrl}/api/unsubscribe?token=${subscriber.unsubscribeToken}`;
+
+  const text = [
+    `What went viral ${period} on Viral Nexus`,
+    '',
+    ...sections.flatMap(section => [
+      CATEGORY_LABELS[section.category],
+      ...section.links.map(link => `- ${link.title}\n  ${linkUrl(link, baseUrl)}`),
+      ''
+    ]),
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f4f4f4; margin: 0; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 20px;">
+    <h1 style="color: #ff4500; margin-top: 0;">Viral Nexus</h1>
+    <p>What went viral ${period}:</p>
+${sections.map(section => `    <h2 style="color: #ff4500; font-size: 18px;">${escapeHtml(CATEGORY_LABELS[section.category])}</h2>
+    <ul style="padding-left: 20px;">
+${section.links.map(link => `      <li style="margin-bottom: 10px;">
+        <a href="${escapeHtml(linkUrl(link, baseUrl))}" style="color: #000; font-weight: 600;">${escapeHtml(link.title)}</a>
+        ${link.description ? `<br><span style="color: #666; font-size: 14px;">${escapeHtml(link.description)}</span>` : ''}
+      </li>`).join('\n')}
+    </ul>`).join('\n')}
+    <p style="color: #999; font-size: 12px;">
+      You get this because you subscribed to the Viral Digest.
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">Unsubscribe</a>
+    </p>
+  </div>
+</body>
+</html>
+`;
+
+  return {
+    subject,
+    text,
+    html,
+    headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+  };
+}
+
+function buildConfirmationEmail(subscriber, { baseUrl }) {
+  const confirmUrl = `${baseUrl}/api/subscribe/confirm?token=${subscriber.confirmToken}`;
+  const categories = subscriber.categories.map(category => CATEGORY_LABELS[category]).join(', ');
+  return {
+    subject: 'Confirm your Viral Digest subscription',
+    text: `Confirm your ${subscriber.frequency} Viral Digest (${categories}):\n${confirmUrl}\n\nIf you didn't ask for this, ignore this email.`,
+    html: `<p>Confirm your ${escapeHtml(subscriber.frequency)} Viral Digest (${escapeHtml(categories)}):</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm subscription</a></p>
+<p style="color: #999; font-size: 12px;">If you didn't ask for this, ignore this email.</p>
+`
+  };
+}
+
+function buildLoginEmail({ token }, { baseUrl, ttlMinutes }) {
+  const loginUrl = `${baseUrl}/api/auth/magic-link/confirm?token=${token}`;
+  return {
+    subject: 'Your Viral Nexus login link',
+    text: `Log in to Viral Nexus:\n${loginUrl}\n\nThe link works once, for ${ttlMinutes} minutes. If you didn't ask for this, ignore this email.`,
+    html: `<p>Log in to Viral Nexus:</p>
+<p><a href="${escapeHtml(loginUrl)}">Log in</a></p>
+<p style="color: #999; font-size: 12px;">The link works once, for ${ttlMinutes} minutes. If you didn't ask for this, ignore this email.</p>
+`
+  };
+}
+
+module.exports = { buildDigest, buildConfirmationEmail, buildLoginEmail, pickDigestLinks, escapeHtml, CATEGORY_LABELS };
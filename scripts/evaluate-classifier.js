@@ -0,0 +1,164 @@
+// Held-out accuracy of the category classifier: accuracy against always guessing the
+// biggest category, per-category precision/recall, a confusion matrix and how confident the
+// right and wrong guesses were.
+//
+// By default it trains on the hand-labeled seed headlines and tests on the hand-labeled
+// headlines in scripts/nlp/labeled-headlines.json. Neither changes when the curator runs,
+// so the result only moves with the code, and the run exits 1 below --min-accuracy
+// (MIN_ACCURACY) or the baseline: CI uses it as a gate.
+//
+// --split reports on the live data instead: the seed headlines plus every archived link,
+// split per category into a training and a test set. Most of those labels came from the
+// classifier itself, so that's a report, never a gate.
+//
+//   node scripts/evaluate-classifier.js [--min-accuracy 0.8]
+//   node scripts/evaluate-classifier.js --split [--test-ratio 0.2] [--seed 42]
+
+const path = require('path');
+const { CATEGORIES } = require('./link-schema');
+const { loadLabeledLinks, trainingExamples, SEED_EXAMPLES } = require('./nlp');
+const { trainClassifier, classify } = require('./nlp/classifier');
+
+const HELD_OUT_FILE = path.join(__dirname, 'nlp', 'labeled-headlines.json');
+
+// The held-out headlines score 90% (36/40); losing four more of them fails
+const MIN_ACCURACY = 0.8;
+
+// Deterministic shuffle (mulberry32) so runs are comparable
+function shuffle(items, seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Stratified, so every category with two or more examples is in both sets
+function splitExamples(examples, { testRatio = 0.2, seed = 42 } = {}) {
+  const train = [];
+  const test = [];
+  CATEGORIES.forEach(category => {
+    const group = shuffle(examples.filter(example => example.category === category), seed);
+    const testCount = group.length > 1 ? Math.max(1, Math.round(group.length * testRatio)) : 0;
+    test.push(...group.slice(0, testCount));
+    train.push(...group.slice(testCount));
+  });
+  return { train, test };
+}
+
+function evaluate(train, test) {
+  const model = trainClassifier(train, CATEGORIES);
+  const confusion = {};
+  CATEGORIES.forEach(actual => {
+    confusion[actual] = {};
+    CATEGORIES.forEach(predicted => {
+      confusion[actual][predicted] = 0;
+    });
+  });
+
+  const confidence = { right: [], wrong: [] };
+  let correct = 0;
+  test.forEach(example => {
+    const result = classify(model, example.title, example.source);
+    confusion[example.category][result.category]++;
+    if (result.category === example.category) correct++;
+    confidence[result.category === example.category ? 'right' : 'wrong'].push(result.confidence);
+  });
+
+  const counts = CATEGORIES.map(category => train.filter(example => example.category === category).length);
+  const majority = CATEGORIES[counts.indexOf(Math.max(...counts))];
+  const perCategory = CATEGORIES.map(category => {
+    const truePositives = confusion[category][category];
+    const predicted = CATEGORIES.reduce((sum, actual) => sum + confusion[actual][category], 0);
+    const actual = CATEGORIES.reduce((sum, guess) => sum + confusion[category][guess], 0);
+    return {
+      category,
+      support: actual,
+      precision: predicted ? truePositives / predicted : 0,
+      recall: actual ? truePositives / actual : 0
+    };
+  });
+
+  const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+  return {
+    accuracy: test.length ? correct / test.length : 0,
+    baseline: test.length ? test.filter(example => example.category === majority).length / test.length : 0,
+    majority,
+    correct,
+    total: test.length,
+    perCategory,
+    confusion,
+    confidence: { right: mean(confidence.right), wrong: mean(confidence.wrong) }
+  };
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+// Why `report` fails the gate, or null if it passes
+function accuracyFailure(report, minAccuracy = MIN_ACCURACY) {
+  if (!report.total) return 'no held-out examples to test on';
+  if (report.accuracy < minAccuracy) return `accuracy ${percent(report.accuracy)} is below the ${percent(minAccuracy)} minimum`;
+  if (report.accuracy <= report.baseline) {
+    return `accuracy ${percent(report.accuracy)} is no better than always guessing "${report.majority}" (${percent(report.baseline)})`;
+  }
+  return null;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : Number(args[index + 1]);
+  };
+  const split = args.includes('--split');
+  const minAccuracy = option('--min-accuracy', MIN_ACCURACY);
+
+  let train = SEED_EXAMPLES;
+  let test = require(HELD_OUT_FILE);
+  if (split) {
+    const links = loadLabeledLinks();
+    const examples = trainingExamples(links);
+    ({ train, test } = splitExamples(examples, { testRatio: option('--test-ratio', 0.2), seed: option('--seed', 42) }));
+    console.log(`🧪 ${examples.length} labeled examples (${links.length} from the archive): training on ${train.length}, testing on ${test.length}`);
+  } else {
+    console.log(`🧪 Training on ${train.length} seed headlines, testing on ${test.length} from ${path.relative(process.cwd(), HELD_OUT_FILE)}`);
+  }
+
+  const report = evaluate(train, test);
+  console.log(`\n📊 Accuracy: ${percent(report.accuracy)} (${report.correct}/${report.total})`);
+  console.log(`   Baseline (always "${report.majority}"): ${percent(report.baseline)}`);
+  console.log(`   Mean confidence: ${percent(report.confidence.right)} when right, ${percent(report.confidence.wrong)} when wrong\n`);
+
+  console.log('Category    Precision  Recall  Support');
+  report.perCategory.forEach(row => {
+    console.log(`${row.category.padEnd(12)}${percent(row.precision).padStart(9)}${percent(row.recall).padStart(8)}${String(row.support).padStart(9)}`);
+  });
+
+  console.log(`\nConfusion (rows: actual, columns: predicted)\n${' '.repeat(12)}${CATEGORIES.map(c => c.slice(0, 8).padStart(9)).join('')}`);
+  CATEGORIES.forEach(actual => {
+    console.log(`${actual.padEnd(12)}${CATEGORIES.map(predicted => String(report.confusion[actual][predicted]).padStart(9)).join('')}`);
+  });
+
+  const failure = split ? null : accuracyFailure(report, minAccuracy);
+  if (failure) {
+    console.error(`\n❌ ${failure}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { splitExamples, evaluate, accuracyFailure, MIN_ACCURACY, HELD_OUT_FILE };
@@ -0,0 +1,207 @@
+// RSS 2.0, Atom and JSON Feed 1.1 output generated from links.json
+//
+// Writes feed.xml, atom.xml and feed.json at the site root plus one set per category
+// under feeds/ (feeds/news.xml, feeds/news.atom.xml, feeds/news.json, ...).
+// The curator calls writeFeeds() after each run; `node scripts/feeds.js` rebuilds them
+// from links.json after a hand edit. Set SITE_URL if the site lives somewhere else.
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, publishedLinks } = require('./link-schema');
+const { CATEGORY_LABELS } = require('./digest');
+
+const SITE_URL = (process.env.SITE_URL || 'https://deol26.github.io/viral-nexus').replace(/\/$/, '');
+const SITE_TITLE = 'Viral Nexus';
+const SITE_DESCRIPTION = 'Viral videos, products, news, tweets and memes, curated every few hours.';
+const MAX_ITEMS = 50;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml'
+};
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(value, siteUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, `${siteUrl}/`).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function imageType(url) {
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+}
+
+function dateOf(link) {
+  const date = new Date(link.createdAt);
+  return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function latestDate(links) {
+  return links.reduce((latest, link) => (dateOf(link) > latest ? dateOf(link) : latest), new Date(0));
+}
+
+function feedMeta(category, siteUrl) {
+  const suffix = category ? ` - ${CATEGORY_LABELS[category].replace(/^\S+\s/, '')}` : '';
+  const base = category ? `${siteUrl}/feeds/${category}` : siteUrl;
+  return {
+    title: `${SITE_TITLE}${suffix}`,
+    rssUrl: category ? `${base}.xml` : `${siteUrl}/feed.xml`,
+    atomUrl: category ? `${base}.atom.xml` : `${siteUrl}/atom.xml`,
+    jsonUrl: category ? `${base}.json` : `${siteUrl}/feed.json`
+  };
+}
+
+function buildRss(links, { category, siteUrl = SITE_URL } = {}) {
+  const meta = feedMeta(category, siteUrl);
+  const items = links.map(link => {
+    const thumbnail = absoluteUrl(link.thumbnail, siteUrl);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(link.title)}</title>`,
+      `      <link>${escapeXml(link.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(`viral-nexus-${link.id}`)}</guid>`,
+      `      <pubDate>${dateOf(link).toUTCString()}</pubDate>`,
+      link.description ? `      <description>${escapeXml(link.description)}</description>` : null,
+      `      <category>${escapeXml(link.category)}</category>`,
+      ...(link.keywords || []).map(keyword => `      <category>${escapeXml(keyword)}</category>`),
+      link.source ? `      <dc:creator>${escapeXml(link.source)}</dc:creator>` : null,
+      thumbnail ? `      <enclosure url="${escapeXml(thumbnail)}" length="0" type="${imageType(thumbnail)}"/>` : null,
+      thumbnail ? `      <media:thumbnail url="${escapeXml(thumbnail)}"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(meta.title)}</title>
+    <link>${escapeXml(siteUrl)}/</link>
+    <description>${escapeXml(SITE_DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${latestDate(links).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(meta.rssUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(links, { category, siteUrl = SITE_URL } = {}) {
+  const meta = feedMeta(category, siteUrl);
+  const entries = links.map(link => {
+    const thumbnail = absoluteUrl(link.thumbnail, siteUrl);
+    const date = dateOf(link).toISOString();
+    return [
+      '  <entry>',
+      `    <id>urn:viral-nexus:link:${escapeXml(encodeURIComponent(link.id))}</id>`,
+      `    <title>${escapeXml(link.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(link.url)}"/>`,
+      thumbnail ? `    <link rel="enclosure" href="${escapeXml(thumbnail)}" type="${imageType(thumbnail)}"/>` : null,
+      `    <published>${date}</published>`,
+      `    <updated>${date}</updated>`,
+      link.description ? `    <summary>${escapeXml(link.description)}</summary>` : null,
+      link.source ? `    <author><name>${escapeXml(link.source)}</name></author>` : null,
+      `    <category term="${escapeXml(link.category)}"/>`,
+      ...(link.keywords || []).map(keyword => `    <category term="${escapeXml(keyword)}"/>`),
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(meta.atomUrl)}</id>
+  <title>${escapeXml(meta.title)}</title>
+  <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
+  <updated>${latestDate(links).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.atomUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}/"/>
+  <author><name>${SITE_TITLE}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function buildJsonFeed(links, { category, siteUrl = SITE_URL } = {}) {
+  const meta = feedMeta(category, siteUrl);
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    home_page_url: `${siteUrl}/`,
+    feed_url: meta.jsonUrl,
+    description: SITE_DESCRIPTION,
+    language: 'en',
+    items: links.map(link => {
+      const thumbnail = absoluteUrl(link.thumbnail, siteUrl);
+      const item = {
+        id: String(link.id),
+        url: link.url,
+        title: link.title,
+        content_text: link.description || link.title,
+        date_published: dateOf(link).toISOString(),
+        tags: [link.category, ...(link.keywords || [])]
+      };
+      if (link.description) item.summary = link.description;
+      if (thumbnail) item.image = thumbnail;
+      if (link.source) item.authors = [{ name: link.source }];
+      return item;
+    })
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// Published links, newest first, capped at MAX_ITEMS
+function feedLinks(links, category) {
+  return publishedLinks(links)
+    .filter(link => !category || link.category === category)
+    .sort((a, b) => dateOf(b) - dateOf(a))
+    .slice(0, MAX_ITEMS);
+}
+
+function writeFeeds(links, { root = '.', siteUrl = SITE_URL } = {}) {
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+
+  const all = feedLinks(links);
+  write('feed.xml', buildRss(all, { siteUrl }));
+  write('atom.xml', buildAtom(all, { siteUrl }));
+  write('feed.json', buildJsonFeed(all, { siteUrl }));
+
+  CATEGORIES.forEach(category => {
+    const subset = feedLinks(links, category);
+    write(`feeds/${category}.xml`, buildRss(subset, { category, siteUrl }));
+    write(`feeds/${category}.atom.xml`, buildAtom(subset, { category, siteUrl }));
+    write(`feeds/${category}.json`, buildJsonFeed(subset, { category, siteUrl }));
+  });
+}
+
+if (require.main === module) {
+  const { parseLinksText } = require('./link-schema');
+  const { links } = parseLinksText(fs.readFileSync('links.json', 'utf8'));
+  writeFeeds(links);
+  console.log(`✅ Wrote feeds for ${links.length} links`);
+}
+
+module.exports = { buildRss, buildAtom, buildJsonFeed, writeFeeds, escapeXml, SITE_URL };
@@ -0,0 +1,232 @@
+// Shared HTTP client for everything the curator fetches (sources, AI providers, page
+// images, link checks, stats) and for the pages readers submit
+//
+// - Retries network errors, 5xx and 429 answers with exponential backoff (1s, 2s, 4s...),
+//   waiting as long as a Retry-After header asks instead when there is one
+// - Keeps a disk cache of GET responses that carry an ETag or Last-Modified, sends
+//   If-None-Match / If-Modified-Since next time and answers a 304 from the cache
+// - Lets at most `concurrency` requests be in flight at once
+//
+// Requests still go through axios, so the recorder (recorder.js) sees every attempt.
+// Each client counts its requests, retries and cache hits; child() gives a client with
+// its own counts (one per source, say) that shares the parent's limit and cache.
+
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const CACHE_DIR = 'data/private/http-cache';
+const USER_AGENT = 'Mozilla/5.0 (compatible; ViralNexusBot/1.0)';
+const TIMEOUT = 10000;
+const RETRIES = 3;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+const MAX_RETRY_AFTER = 2 * 60 * 1000; // asked to wait longer than this, we give up
+const CONCURRENCY = 4;
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const RETRY_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After in ms: either delay-seconds or an HTTP date. Null when absent or unreadable.
+function retryAfterMs(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffMs(attempt, { baseDelay = BASE_DELAY, maxDelay = MAX_DELAY } = {}) {
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Runs at most `limit` of the functions handed to it at once, the rest wait their turn
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active < limit && waiting.length) {
+      active++;
+      waiting.shift()();
+    }
+  };
+  return async fn => {
+    await new Promise(resolve => {
+      waiting.push(resolve);
+      next();
+    });
+    try {
+      return await fn();
+    } finally {
+      active--;
+      next();
+    }
+  };
+}
+
+function cacheFile(dir, url) {
+  return path.join(dir, `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 20)}.json`);
+}
+
+function statusError(config, response) {
+  const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+  return new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+}
+
+// A streamed body nobody is going to read still holds its connection open
+function discardBody(response) {
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+}
+
+// A cache entry with a body to answer a 304 from, or null (a damaged entry is a miss)
+function readCacheEntry(file) {
+  try {
+    const entry = readJson(file, null);
+    return entry && typeof entry.body === 'string' ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The caller's headers minus any conditionals; the cache decides those
+function withoutConditionals(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !/^if-(none-match|modified-since)$/i.test(name)));
+}
+
+function decodeBody(body, responseType) {
+  if (responseType !== 'json') return body;
+  return typeof body === 'string' ? JSON.parse(body) : body;
+}
+
+function emptyStats() {
+  return { requests: 0, retries: 0, cacheHits: 0, failures: 0 };
+}
+
+// options: { cacheDir (null for no cache), readOnlyCache, retries, baseDelay, maxDelay,
+// maxRetryAfter, concurrency, timeout, userAgent, sleep }
+function createHttpClient(options = {}) {
+  const {
+    cacheDir = CACHE_DIR,
+    readOnlyCache = false,
+    retries = RETRIES,
+    baseDelay = BASE_DELAY,
+    maxDelay = MAX_DELAY,
+    maxRetryAfter = MAX_RETRY_AFTER,
+    concurrency = CONCURRENCY,
+    timeout = TIMEOUT,
+    userAgent = USER_AGENT,
+    sleep: wait = sleep
+  } = options;
+  const limit = createLimiter(concurrency);
+
+  function client(counters) {
+    const count = (key, by = 1) => counters.forEach(stats => {
+      stats[key] += by;
+    });
+
+    // One request with retries. Resolves to the axios response, rejects like axios does
+    // once retries run out. Besides axios's own options, config takes `retries` (this
+    // request's limit) and `validateStatus` (which final statuses resolve; by default
+    // anything below 400, 304s included).
+    async function request({ retries: limitRetries = retries, validateStatus = status => status < 400, ...config }) {
+      for (let attempt = 0; ; attempt++) {
+        count('requests');
+        let response = null;
+        let error = null;
+        try {
+          response = await limit(() => axios({
+            timeout,
+            ...config,
+            headers: { 'User-Agent': userAgent, ...config.headers },
+            validateStatus: () => true
+          }));
+        } catch (err) {
+          error = err;
+        }
+
+        const retryable = error ? RETRY_ERRORS.includes(error.code) : RETRY_STATUSES.includes(response.status);
+        let delay = backoffMs(attempt, { baseDelay, maxDelay });
+        const asked = response && retryAfterMs(response.headers['retry-after']);
+        if (asked !== null && asked !== undefined) delay = asked;
+
+        if (!retryable || attempt >= limitRetries || delay > maxRetryAfter) {
+          if (error || !validateStatus(response.status)) count('failures');
+          if (error) throw error;
+          if (!validateStatus(response.status)) {
+            discardBody(response);
+            throw statusError(config, response);
+          }
+          return response;
+        }
+        if (response) discardBody(response);
+        count('retries');
+        console.log(`  ⏳ ${error ? error.code : response.status} from ${config.url}, retry ${attempt + 1}/${limitRetries} in ${Math.round(delay / 1000)}s`);
+        await wait(delay);
+      }
+    }
+
+    // GET with the disk cache. responseType is 'json' (default) or 'text'.
+    // Resolves to { status, data, fromCache }.
+    async function get(url, { headers = {}, responseType = 'json', timeout: requestTimeout } = {}) {
+      const file = cacheDir && cacheFile(cacheDir, url);
+      const cached = file ? readCacheEntry(file) : null;
+      const send = extra => request({
+        method: 'get',
+        url,
+        headers: { ...withoutConditionals(headers), ...extra },
+        responseType: 'text',
+        timeout: requestTimeout || timeout
+      });
+
+      const conditional = {};
+      if (cached && cached.etag) conditional['If-None-Match'] = cached.etag;
+      if (cached && cached.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+      let response = await send(conditional);
+      if (response.status === 304 && cached) {
+        count('cacheHits');
+        return { status: 200, data: decodeBody(cached.body, responseType), fromCache: true };
+      }
+      // "Not modified" with nothing cached to answer from is a miss: ask for the whole thing
+      if (response.status === 304) {
+        response = await send({});
+        if (response.status === 304) {
+          count('failures');
+          throw statusError({ url }, response);
+        }
+      }
+
+      // A replayed recording may hand back parsed JSON rather than text
+      const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      const etag = response.headers.etag;
+      const lastModified = response.headers['last-modified'];
+      if (file && !readOnlyCache && response.status === 200 && (etag || lastModified)) {
+        writeJsonAtomic(file, { url, etag: etag || null, lastModified: lastModified || null, body, savedAt: new Date().toISOString() });
+      }
+      return { status: response.status, data: decodeBody(body, responseType), fromCache: false };
+    }
+
+    return {
+      get,
+      request,
+      stats: () => ({ ...counters[0] }),
+      child: () => client([emptyStats(), ...counters])
+    };
+  }
+
+  return client([emptyStats()]);
+}
+
+module.exports = {
+  createHttpClient,
+  createLimiter,
+  retryAfterMs,
+  backoffMs,
+  CACHE_DIR,
+  USER_AGENT,
+  RETRY_STATUSES
+};
@@ -0,0 +1,19 @@
+// Read/write JSON state files. Writes go to a temp file first and are renamed into
+// place, so a crash mid-write never leaves a half-written file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJsonAtomic };
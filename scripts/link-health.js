@@ -0,0 +1,247 @@
+// Link health checks: is every stored URL still a real, reachable story?
+//
+// Each URL gets a HEAD request (GET when the server refuses HEAD), redirects are followed
+// by hand so the final target is known, and the outcome is saved to data/link-health.json
+// keyed by link id:
+//
+//   { url, status, state, finalUrl, checkedAt, flags: [...], error? }
+//
+// state is "ok", "dead" (404/410), "blocked" (403/429/451 - usually bot protection or a
+// regional block, not a broken link), "error" (5xx and other answers) or "unknown" (no
+// answer at all: DNS failures, refused connections, timeouts). Only the site itself saying
+// the page is gone counts as dead; one bad run on the CI network must not drop good links,
+// so unknown results are checked again on the next run. flags mark links that
+// resolve but aren't stories: "homepage" (site root, or a deep link redirected there),
+// "placeholder" (fallback/example data), "paywall" and "redirected".
+//
+// The curator drops dead links and demotes flagged ones below the healthy ones.
+//
+//   node scripts/link-health.js [links.json] [--concurrency 8] [--timeout 10000]
+
+const { canonicalUrl } = require('./merge');
+const { readJson, writeJsonAtomic } = require('./json-file');
+const { createHttpClient } = require('./http-client');
+
+const HEALTH_FILE = 'data/link-health.json';
+const CONCURRENCY = 8;
+const TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const RECHECK_AFTER = 24 * 60 * 60 * 1000; // the curator re-checks links older than this
+
+const DEAD_STATUSES = [404, 410];
+const BLOCKED_STATUSES = [403, 429, 451];
+const PAYWALL_STATUSES = [401, 402];
+const PAYWALL_PATH = /\/(subscribe|subscription|paywall|login|signin|sign-in|register)(\/|$|\?)/i;
+const PLACEHOLDER_HOSTS = /(^|\.)(example\.(com|org|net)|localhost|placeholder\.com|test|invalid)$/i;
+// Site homepages older curator versions published as stand-ins when every source failed
+const FALLBACK_URLS = new Set(['https://techcrunch.com', 'https://tiktok.com', 'https://openai.com'].map(url => canonicalUrl(url)));
+
+// Flags that push a link below every healthy one
+const DEMOTE_FLAGS = ['homepage', 'placeholder', 'paywall'];
+
+function isHomepageUrl(raw) {
+  try {
+    const url = new URL(raw);
+    return (url.pathname === '/' || url.pathname === '' || /^\/index\.html?$/i.test(url.pathname)) && !url.search;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlaceholderUrl(raw) {
+  if (FALLBACK_URLS.has(canonicalUrl(raw))) return true;
+  try {
+    return PLACEHOLDER_HOSTS.test(new URL(raw).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function classify(status) {
+  if (status >= 200 && status < 300) return 'ok';
+  if (DEAD_STATUSES.includes(status)) return 'dead';
+  if (BLOCKED_STATUSES.includes(status) || PAYWALL_STATUSES.includes(status)) return 'blocked';
+  return 'error';
+}
+
+// One request without following redirects; GET bodies are streamed and discarded. A
+// flaky answer gets one retry; whatever status comes back after that is the result.
+async function request(http, method, url, timeout) {
+  const response = await http.request({
+    method,
+    url,
+    timeout,
+    retries: 1,
+    maxRedirects: 0,
+    responseType: 'stream',
+    validateStatus: () => true,
+    headers: { Accept: 'text/html,*/*' }
+  });
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+  return response;
+}
+
+async function resolve(http, method, url, timeout) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await request(http, method, current, timeout);
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).toString();
+      continue;
+    }
+    return { status: response.status, finalUrl: current };
+  }
+  throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: 'ETOOMANYREDIRECTS' });
+}
+
+async function checkUrl(url, { timeout = TIMEOUT, now = new Date(), http = createHttpClient({ cacheDir: null }) } = {}) {
+  const result = { url, status: null, state: 'error', finalUrl: url, checkedAt: now.toISOString(), flags: [] };
+
+  try {
+    let outcome = await resolve(http, 'HEAD', url, timeout);
+    // Plenty of servers answer HEAD with 403/405/501 but serve GET fine
+    if (outcome.status >= 400 && outcome.status !== 404 && outcome.status !== 410) {
+      outcome = await resolve(http, 'GET', url, timeout);
+    }
+    result.status = outcome.status;
+    result.finalUrl = outcome.finalUrl;
+    result.state = classify(outcome.status);
+  } catch (error) {
+    result.error = error.code || error.message;
+    result.state = 'unknown';
+  }
+
+  const redirected = canonicalUrl(result.finalUrl) !== canonicalUrl(url);
+  if (redirected) result.flags.push('redirected');
+  // A deep link that now lands on the site root is a soft 404
+  if (isHomepageUrl(url) || (redirected && isHomepageUrl(result.finalUrl))) result.flags.push('homepage');
+  if (isPlaceholderUrl(url)) result.flags.push('placeholder');
+  if (PAYWALL_STATUSES.includes(result.status) || (redirected && PAYWALL_PATH.test(new URL(result.finalUrl).pathname))) {
+    result.flags.push('paywall');
+  }
+  return result;
+}
+
+// Runs fn over items with at most `limit` in flight, keeping input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Check links and merge the results into `previous` (a map of id -> result). With
+// maxAge, links checked more recently than that keep their previous result, unless it was
+// "unknown". Requests go through `http` (an http-client.js client), which also caps how
+// many are in flight.
+async function checkLinks(links, { previous = {}, concurrency = CONCURRENCY, timeout = TIMEOUT, maxAge = 0, now = new Date(), http = createHttpClient({ cacheDir: null, concurrency }) } = {}) {
+  const fresh = result => maxAge && result.state !== 'unknown' && now - new Date(result.checkedAt) < maxAge;
+  const results = {};
+  const pending = [];
+
+  links.forEach(link => {
+    const known = previous[link.id];
+    if (known && known.url === link.url && fresh(known)) results[link.id] = known;
+    else pending.push(link);
+  });
+
+  const checked = await mapWithConcurrency(pending, concurrency, link => checkUrl(link.url, { timeout, now, http }));
+  pending.forEach((link, index) => {
+    results[link.id] = checked[index];
+  });
+  return { results, checked: pending.length };
+}
+
+// Drop dead links, move flagged ones below the healthy ones (order otherwise kept).
+// If no server answered at all we're probably offline, so nothing is dropped.
+function applyLinkHealth(links, results) {
+  const online = Object.values(results).some(result => result.status !== null);
+  const healthy = [];
+  const demoted = [];
+  const dropped = [];
+
+  links.forEach(link => {
+    const result = results[link.id];
+    if (!result || result.url !== link.url) return healthy.push(link);
+    if (result.state === 'dead' && online) return dropped.push({ link, result });
+    if (result.flags.some(flag => DEMOTE_FLAGS.includes(flag))) return demoted.push(link);
+    healthy.push(link);
+  });
+
+  return { links: [...healthy, ...demoted], demoted, dropped };
+}
+
+function loadLinkHealth(file = HEALTH_FILE) {
+  return readJson(file, { checkedAt: null, results: {} });
+}
+
+function saveLinkHealth(results, file = HEALTH_FILE, now = new Date()) {
+  writeJsonAtomic(file, { checkedAt: now.toISOString(), results });
+}
+
+function describeResult(result) {
+  const status = result.status || result.error;
+  const target = result.finalUrl !== result.url ? ` → ${result.finalUrl}` : '';
+  const flags = result.flags.length ? ` [${result.flags.join(', ')}]` : '';
+  return `${status}${target}${flags}`;
+}
+
+async function main() {
+  const fs = require('fs');
+  const { parseLinksText } = require('./link-schema');
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : Number(args.splice(index, 2)[1]);
+  };
+  const concurrency = option('--concurrency', CONCURRENCY);
+  const timeout = option('--timeout', TIMEOUT);
+  const file = args[0] || 'links.json';
+
+  const { links } = parseLinksText(fs.readFileSync(file, 'utf8'));
+  console.log(`🔎 Checking ${links.length} links (${concurrency} at a time, ${timeout}ms timeout)...`);
+  const { results } = await checkLinks(links, { concurrency, timeout });
+  saveLinkHealth(results);
+
+  const icons = { ok: '✅', dead: '❌', blocked: '🚧', error: '⚠️', unknown: '❔' };
+  links.forEach(link => {
+    const result = results[link.id];
+    console.log(`  ${icons[result.state]} ${link.id} ${link.url}: ${describeResult(result)}`);
+  });
+
+  const counts = Object.values(results).reduce((acc, result) => {
+    acc[result.state] = (acc[result.state] || 0) + 1;
+    return acc;
+  }, {});
+  const flagged = Object.values(results).filter(result => result.flags.some(flag => DEMOTE_FLAGS.includes(flag))).length;
+  console.log(`📋 ${counts.ok || 0} ok, ${counts.dead || 0} dead, ${counts.blocked || 0} blocked, ${counts.error || 0} errors, ${counts.unknown || 0} unreachable, ${flagged} flagged`);
+  console.log(`💾 Saved results to ${HEALTH_FILE}`);
+  if (counts.dead) process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  checkUrl,
+  checkLinks,
+  applyLinkHealth,
+  loadLinkHealth,
+  saveLinkHealth,
+  isHomepageUrl,
+  isPlaceholderUrl,
+  mapWithConcurrency,
+  HEALTH_FILE,
+  RECHECK_AFTER
+};
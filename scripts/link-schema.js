@@ -0,0 +1,372 @@
+// Schema for a single link record in links.json, plus validation and repair helpers
+// Used by the curator before writing and by the validate-links CLI
+
+const { combineLinks } = require('./merge');
+
+const CATEGORIES = ['news', 'videos', 'products', 'tweets', 'memes'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+  if (!isNonEmptyString(value)) return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Relative paths like images/foo.jpg, no scheme and not protocol-relative
+function isRelativePath(value) {
+  return isNonEmptyString(value) && !/^[a-z][a-z0-9+.-]*:/i.test(value.trim()) && !value.trim().startsWith('//');
+}
+
+function isSafeUrl(value) {
+  return isHttpUrl(value) || isRelativePath(value);
+}
+
+// "url 250w, url 500w" with safe URLs and width descriptors only
+function isSrcset(value) {
+  return isNonEmptyString(value) && value.split(',').every(candidate => {
+    const [url, descriptor, ...extra] = candidate.trim().split(/\s+/);
+    return isSafeUrl(url) && /^\d+w$/.test(descriptor || '') && extra.length === 0;
+  });
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Each field: whether it must be present, and a check returning an error message or null
+const LINK_SCHEMA = {
+  id: {
+    required: true,
+    check: value => (isNonEmptyString(value) ? null : 'must be a non-empty string')
+  },
+  title: {
+    required: true,
+    check: value => (isNonEmptyString(value) ? null : 'must be a non-empty string')
+  },
+  url: {
+    required: true,
+    check: value => (isHttpUrl(value) ? null : 'must be an absolute http(s) URL')
+  },
+  category: {
+    required: true,
+    check: value => (CATEGORIES.includes(value) ? null : `must be one of ${CATEGORIES.join(', ')}`)
+  },
+  viralScore: {
+    required: true,
+    check: value => (Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'must be a number from 0 to 100')
+  },
+  keywords: {
+    required: true,
+    check: value => (Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of non-empty strings')
+  },
+  createdAt: {
+    required: true,
+    check: value => (isIsoDate(value) ? null : 'must be an ISO 8601 timestamp')
+  },
+  description: {
+    required: false,
+    check: value => (typeof value === 'string' ? null : 'must be a string')
+  },
+  thumbnail: {
+    required: false,
+    check: value => (isSafeUrl(value) ? null : 'must be an http(s) URL or a relative path')
+  },
+  thumbnailWidth: {
+    required: false,
+    check: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer')
+  },
+  thumbnailHeight: {
+    required: false,
+    check: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer')
+  },
+  thumbnailSrcset: {
+    required: false,
+    check: value => (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isSrcset)
+      ? null
+      : 'must map image formats to srcset strings')
+  },
+  source: {
+    required: false,
+    check: value => (typeof value === 'string' ? null : 'must be a string')
+  },
+  sources: {
+    required: false,
+    check: value => (Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of non-empty strings')
+  },
+  clicks: {
+    required: false,
+    check: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer')
+  },
+  sourceScore: {
+    required: false,
+    check: value => (Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number')
+  },
+  comments: {
+    required: false,
+    check: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer')
+  },
+  // Reader votes counted by scripts/server
+  upvotes: {
+    required: false,
+    check: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer')
+  },
+  downvotes: {
+    required: false,
+    check: value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer')
+  },
+  // Editorial flags set in the admin tool (scripts/admin)
+  pinned: {
+    required: false,
+    check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  hidden: {
+    required: false,
+    check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  editedAt: {
+    required: false,
+    check: value => (isIsoDate(value) ? null : 'must be an ISO 8601 timestamp')
+  }
+};
+
+function validateLink(link) {
+  if (!link || typeof link !== 'object' || Array.isArray(link)) {
+    return [{ field: '(record)', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  Object.entries(LINK_SCHEMA).forEach(([field, rule]) => {
+    const value = link[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    const message = rule.check(value);
+    if (message) errors.push({ field, message });
+  });
+  return errors;
+}
+
+// Validate a whole links array: per-record field errors plus cross-record problems
+function validateLinks(links) {
+  if (!Array.isArray(links)) {
+    return [{ index: null, id: null, field: '(file)', message: 'must be a JSON array of links' }];
+  }
+
+  const problems = [];
+  const seenIds = new Map();
+  const seenUrls = new Map();
+
+  links.forEach((link, index) => {
+    validateLink(link).forEach(error => {
+      problems.push({ index, id: link && link.id, ...error });
+    });
+    if (!link || typeof link !== 'object') return;
+
+    if (link.id !== undefined && seenIds.has(String(link.id))) {
+      problems.push({ index, id: link.id, field: 'id', message: `duplicates record #${seenIds.get(String(link.id))}` });
+    } else if (link.id !== undefined) {
+      seenIds.set(String(link.id), index);
+    }
+
+    if (link.url !== undefined && seenUrls.has(link.url)) {
+      problems.push({ index, id: link.id, field: 'url', message: `duplicates record #${seenUrls.get(link.url)}` });
+    } else if (link.url !== undefined) {
+      seenUrls.set(link.url, index);
+    }
+  });
+
+  return problems;
+}
+
+// Pull every top-level {...} object out of text that is not valid JSON as a whole
+// (stray brackets, missing commas, truncated files)
+function recoverRecords(text) {
+  const records = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        const chunk = text.slice(start, i + 1).replace(/,\s*([}\]])/g, '$1');
+        try {
+          records.push(JSON.parse(chunk));
+        } catch (error) {
+          // Skip objects that are broken internally
+        }
+      }
+    }
+  }
+  return records;
+}
+
+// Parse links.json text, falling back to record recovery when the file is malformed
+function parseLinksText(text) {
+  const clean = text.replace(/^\uFEFF/, '');
+  try {
+    const parsed = JSON.parse(clean);
+    if (Array.isArray(parsed)) return { links: parsed, recovered: false };
+  } catch (error) {
+    // Fall through to recovery
+  }
+  return { links: recoverRecords(clean), recovered: true };
+}
+
+function repairLink(link, now) {
+  const fixed = { ...link };
+
+  if (typeof fixed.id === 'number' && Number.isFinite(fixed.id)) fixed.id = String(fixed.id);
+  if (typeof fixed.id === 'string') fixed.id = fixed.id.trim();
+
+  ['title', 'url', 'description', 'source', 'thumbnail'].forEach(field => {
+    if (typeof fixed[field] === 'string') fixed[field] = fixed[field].trim();
+  });
+
+  // A bad thumbnail isn't worth dropping the link over - the UI falls back to a placeholder
+  if (fixed.thumbnail !== undefined && !isSafeUrl(fixed.thumbnail)) {
+    delete fixed.thumbnail;
+  }
+  ['thumbnailWidth', 'thumbnailHeight', 'thumbnailSrcset'].forEach(field => {
+    if (fixed[field] !== undefined && (fixed.thumbnail === undefined || LINK_SCHEMA[field].check(fixed[field]))) {
+      delete fixed[field];
+    }
+  });
+
+  if (typeof fixed.category === 'string') fixed.category = fixed.category.trim().toLowerCase();
+
+  if (typeof fixed.viralScore === 'string' && fixed.viralScore.trim() !== '') {
+    fixed.viralScore = Number(fixed.viralScore);
+  }
+  if (Number.isFinite(fixed.viralScore)) {
+    fixed.viralScore = Math.max(0, Math.min(100, Math.round(fixed.viralScore)));
+  }
+
+  if (typeof fixed.keywords === 'string') fixed.keywords = fixed.keywords.split(',');
+  if (fixed.keywords === undefined || fixed.keywords === null) fixed.keywords = [];
+  if (Array.isArray(fixed.keywords)) {
+    fixed.keywords = fixed.keywords
+      .filter(k => typeof k === 'string' || typeof k === 'number')
+      .map(k => String(k).trim())
+      .filter(Boolean);
+  }
+
+  if (fixed.createdAt !== undefined && !isIsoDate(fixed.createdAt)) {
+    const time = Date.parse(fixed.createdAt);
+    if (!Number.isNaN(time)) fixed.createdAt = new Date(time).toISOString();
+  }
+
+  ['pinned', 'hidden'].forEach(field => {
+    if (fixed[field] === 'true' || fixed[field] === 'false') fixed[field] = fixed[field] === 'true';
+    if (fixed[field] !== undefined && typeof fixed[field] !== 'boolean') delete fixed[field];
+  });
+
+  if (typeof fixed.clicks === 'string' && fixed.clicks.trim() !== '') fixed.clicks = Number(fixed.clicks);
+  if (Number.isFinite(fixed.clicks)) fixed.clicks = Math.max(0, Math.round(fixed.clicks));
+
+  if (!isNonEmptyString(fixed.id)) fixed.id = String(now);
+
+  return fixed;
+}
+
+// Repair what can be repaired, drop what can't. A second record with the same URL is
+// folded into the first the way the merge step does it (merge.js combineLinks): the older
+// one's id and createdAt, clicks added up. Returns the clean links plus a log of what
+// changed so callers can report it.
+function repairLinks(links, { now = Date.now() } = {}) {
+  const fixes = [];
+  const merged = [];
+  const dropped = [];
+  const usedIds = new Set();
+  const seenUrls = new Map(); // url -> position in result
+  const result = [];
+
+  (Array.isArray(links) ? links : []).forEach((link, index) => {
+    if (!link || typeof link !== 'object' || Array.isArray(link)) {
+      dropped.push({ index, id: null, reasons: ['record: must be an object'] });
+      return;
+    }
+
+    const fixed = repairLink(link, now + index);
+    const errors = validateLink(fixed);
+    if (errors.length) {
+      dropped.push({ index, id: link.id, reasons: errors.map(e => `${e.field}: ${e.message}`) });
+      return;
+    }
+
+    if (seenUrls.has(fixed.url)) {
+      const position = seenUrls.get(fixed.url);
+      const combined = combineLinks(result[position], fixed);
+      // The older record's id, unless a different link already has it
+      if (combined.id !== result[position].id && usedIds.has(combined.id)) combined.id = result[position].id;
+      Object.keys(combined).forEach(field => {
+        if (combined[field] === undefined) delete combined[field];
+      });
+      usedIds.add(combined.id);
+      result[position] = combined;
+      merged.push({ index, id: link.id, into: combined.id });
+      return;
+    }
+    seenUrls.set(fixed.url, result.length);
+
+    if (usedIds.has(fixed.id)) {
+      let suffix = 2;
+      while (usedIds.has(`${fixed.id}-${suffix}`)) suffix++;
+      fixed.id = `${fixed.id}-${suffix}`;
+    }
+    usedIds.add(fixed.id);
+
+    Object.keys(LINK_SCHEMA).forEach(field => {
+      if (JSON.stringify(fixed[field]) !== JSON.stringify(link[field])) {
+        fixes.push({ index, id: fixed.id, field, from: link[field], to: fixed[field] });
+      }
+    });
+
+    result.push(fixed);
+  });
+
+  return { links: result, fixes, merged, dropped };
+}
+
+// The links readers see. A hidden link stays in links.json so the curator won't add it
+// again, but it's left out of the site, the feeds, the API, trends and the digest.
+function publishedLinks(links) {
+  return links.filter(link => !link.hidden);
+}
+
+module.exports = {
+  CATEGORIES,
+  LINK_SCHEMA,
+  isHttpUrl,
+  isIsoDate,
+  validateLink,
+  validateLinks,
+  parseLinksText,
+  recoverRecords,
+  repairLinks,
+  publishedLinks
+};
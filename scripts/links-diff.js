@@ -0,0 +1,75 @@
+// What changed between two versions of links.json: links added, removed and changed
+// (field by field), matched by id. Used by the curator's `--dry-run`, and on its own to
+// compare two files:
+//
+//   node scripts/links-diff.js old-links.json new-links.json
+
+const { parseLinksText } = require('./link-schema');
+
+function fieldChanges(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) changes[field] = [before[field], after[field]];
+  });
+  return changes;
+}
+
+// { added: [link], removed: [link], changed: [{ before, after, changes }], moved }
+// `moved` counts links whose position changed but nothing else
+function diffLinks(before, after) {
+  const oldById = new Map(before.map((link, index) => [String(link.id), { link, index }]));
+  const newIds = new Set(after.map(link => String(link.id)));
+  const diff = { added: [], removed: [], changed: [], moved: 0 };
+
+  after.forEach((link, index) => {
+    const old = oldById.get(String(link.id));
+    if (!old) {
+      diff.added.push(link);
+      return;
+    }
+    const changes = fieldChanges(old.link, link);
+    if (Object.keys(changes).length) diff.changed.push({ before: old.link, after: link, changes });
+    else if (old.index !== index) diff.moved++;
+  });
+  diff.removed = before.filter(link => !newIds.has(String(link.id)));
+  return diff;
+}
+
+function formatValue(value) {
+  const text = value === undefined ? '(none)' : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function formatLinksDiff(diff) {
+  const lines = [
+    `📝 ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.moved} only moved`
+  ];
+  diff.added.forEach(link => lines.push(`  + [${link.category}] ${link.title} (${link.url})`));
+  diff.removed.forEach(link => lines.push(`  - [${link.category}] ${link.title} (${link.url})`));
+  diff.changed.forEach(({ after, changes }) => {
+    lines.push(`  ~ ${after.title}`);
+    Object.entries(changes).forEach(([field, [from, to]]) => {
+      lines.push(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+function main() {
+  const fs = require('fs');
+  const [oldFile, newFile] = process.argv.slice(2);
+  if (!oldFile || !newFile) {
+    console.error('Usage: node scripts/links-diff.js <old links.json> <new links.json>');
+    process.exit(1);
+  }
+  const read = file => parseLinksText(fs.readFileSync(file, 'utf8')).links;
+  const diff = diffLinks(read(oldFile), read(newFile));
+  console.log(formatLinksDiff(diff));
+  if (diff.added.length || diff.removed.length || diff.changed.length || diff.moved) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diffLinks, formatLinksDiff };
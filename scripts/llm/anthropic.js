@@ -0,0 +1,35 @@
+// Anthropic Messages API provider
+
+const { createHttpClient } = require('../http-client');
+
+const API_VERSION = '2023-06-01';
+
+function createAnthropicProvider({ apiKey, model, baseUrl = 'https://api.anthropic.com', temperature = 0.7, maxTokens = 2048, timeout = 60000, http = createHttpClient({ cacheDir: null }) }) {
+  return {
+    name: 'anthropic',
+    model,
+    async complete(prompt) {
+      const response = await http.request({
+        method: 'post',
+        url: `${baseUrl.replace(/\/$/, '')}/v1/messages`,
+        data: {
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION,
+          'Content-Type': 'application/json'
+        },
+        timeout
+      });
+
+      const blocks = response.data.content || [];
+      return blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider };
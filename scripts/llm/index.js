@@ -0,0 +1,58 @@
+// Pick an LLM provider from the environment
+//
+//   LLM_PROVIDER   openai | anthropic | local (default: whichever API key is set)
+//   LLM_MODEL      model name (default depends on provider)
+//   LLM_BASE_URL   API base URL (local defaults to Ollama at http://localhost:11434/v1)
+//   OPENAI_API_KEY / ANTHROPIC_API_KEY / LLM_API_KEY
+//
+// Requests go through `http` (an http-client.js client) when given, so 429s and 5xx
+// answers are retried.
+
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  anthropic: 'claude-3-5-haiku-latest',
+  local: 'llama3.1'
+};
+
+function detectProvider(env) {
+  if (env.LLM_PROVIDER) return env.LLM_PROVIDER.toLowerCase();
+  if (env.ANTHROPIC_API_KEY) return 'anthropic';
+  if (env.OPENAI_API_KEY) return 'openai';
+  if (env.LLM_BASE_URL) return 'local';
+  return null;
+}
+
+// Returns null when no provider is configured, so callers can fall back to manual curation
+function createProvider(env = process.env, { http } = {}) {
+  const name = detectProvider(env);
+  if (!name) return null;
+
+  const model = env.LLM_MODEL || DEFAULT_MODELS[name];
+  const baseUrl = env.LLM_BASE_URL || undefined;
+
+  if (name === 'openai') {
+    const apiKey = env.OPENAI_API_KEY || env.LLM_API_KEY;
+    if (!apiKey) throw new Error('LLM_PROVIDER=openai needs OPENAI_API_KEY');
+    return createOpenAIProvider({ apiKey, model, baseUrl, http });
+  }
+  if (name === 'anthropic') {
+    const apiKey = env.ANTHROPIC_API_KEY || env.LLM_API_KEY;
+    if (!apiKey) throw new Error('LLM_PROVIDER=anthropic needs ANTHROPIC_API_KEY');
+    return createAnthropicProvider({ apiKey, model, baseUrl, http });
+  }
+  if (name === 'local') {
+    return createOpenAIProvider({
+      name: 'local',
+      apiKey: env.LLM_API_KEY,
+      model,
+      baseUrl: baseUrl || 'http://localhost:11434/v1',
+      http
+    });
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected openai, anthropic or local)`);
+}
+
+module.exports = { createProvider, DEFAULT_MODELS };
@@ -0,0 +1,33 @@
+// OpenAI chat/completions provider. Also used for local OpenAI-compatible servers
+// (Ollama, LM Studio, llama.cpp) by pointing baseUrl at them.
+
+const { createHttpClient } = require('../http-client');
+
+function createOpenAIProvider({ apiKey, model, baseUrl = 'https://api.openai.com/v1', name = 'openai', temperature = 0.7, timeout = 60000, http = createHttpClient({ cacheDir: null }) }) {
+  return {
+    name,
+    model,
+    async complete(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+      const response = await http.request({
+        method: 'post',
+        url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        data: {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature
+        },
+        headers,
+        timeout
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message) throw new Error(`${name} returned no choices`);
+      return choice.message.content || '';
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,76 @@
+// Turn a model's reply into curated link items, keeping whatever is usable
+
+const { LINK_SCHEMA, recoverRecords } = require('../link-schema');
+
+// viralScore is computed by the ranking module, so the model's guess is not required
+const CURATED_FIELDS = ['title', 'url', 'category', 'keywords'];
+// The only fields taken from the model. Anything else it sends (pinned, hidden, upvotes,
+// thumbnail, ...) is dropped, since curateLinks publishes the item as it comes.
+const ALLOWED_FIELDS = [...CURATED_FIELDS, 'description'];
+
+function stripFences(text) {
+  return text.replace(/```[a-zA-Z]*\s*/g, '').replace(/```/g, '');
+}
+
+// The outermost [...] in the reply, or the whole reply if there is none
+function extractArray(text) {
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+function normalizeItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const normalized = {};
+  ALLOWED_FIELDS.forEach(field => {
+    if (item[field] !== undefined) normalized[field] = item[field];
+  });
+  if (typeof normalized.category === 'string') normalized.category = normalized.category.trim().toLowerCase();
+  if (typeof normalized.keywords === 'string') normalized.keywords = normalized.keywords.split(',').map(k => k.trim()).filter(Boolean);
+  return normalized;
+}
+
+function itemErrors(item, allowedUrls, allowedCategories) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return ['not an object'];
+  const errors = CURATED_FIELDS
+    .map(field => {
+      if (item[field] === undefined || item[field] === null) return `${field} is required`;
+      const message = LINK_SCHEMA[field].check(item[field]);
+      return message && `${field} ${message}`;
+    })
+    .filter(Boolean);
+  if (item.description !== undefined) {
+    const message = LINK_SCHEMA.description.check(item.description);
+    if (message) errors.push(`description ${message}`);
+  }
+  if (allowedUrls && item.url && !allowedUrls.has(item.url)) errors.push('url was not in the trending input');
+  if (allowedCategories && item.category && !allowedCategories.includes(item.category)) errors.push('category is not one the curator publishes');
+  return errors;
+}
+
+// Returns { items, rejected } - items that pass validation and the reasons the rest failed.
+// `allowedUrls` (optional Set) guards against the model inventing links, and
+// `allowedCategories` (optional array) against categories the config leaves out.
+function parseCurationResponse(text, { allowedUrls, allowedCategories } = {}) {
+  const body = extractArray(stripFences(String(text || '')).trim());
+
+  let candidates;
+  try {
+    candidates = JSON.parse(body);
+    if (!Array.isArray(candidates)) candidates = [candidates];
+  } catch (error) {
+    // One broken item shouldn't cost us the rest of the reply
+    candidates = recoverRecords(body);
+  }
+
+  const items = [];
+  const rejected = [];
+  candidates.map(normalizeItem).forEach(item => {
+    const errors = itemErrors(item, allowedUrls, allowedCategories);
+    if (errors.length) rejected.push({ item, errors });
+    else items.push(item);
+  });
+  return { items, rejected };
+}
+
+module.exports = { parseCurationResponse, stripFences, extractArray };
@@ -0,0 +1,219 @@
+// URL canonicalization and near-duplicate clustering for the merge step
+//
+// Two records are the same story when any of their canonical URLs match (url, or the
+// Reddit permalink an item was found under), or when different sources carried them under
+// near-identical titles (Jaccard similarity of their words). Titles alone are weak
+// evidence: "iPhone 16" and "iPhone 17" differ by one word, so the bar is high, and one
+// source posting two similar titles has posted two stories.
+
+const TRACKING_PARAMS = [
+  /^utm_/, /^fbclid$/, /^gclid$/, /^dclid$/, /^msclkid$/, /^mc_cid$/, /^mc_eid$/, /^igshid$/,
+  /^ref$/, /^ref_src$/, /^ref_url$/, /^cmpid$/, /^smid$/, /^_ga$/, /^spm$/, /^ocid$/,
+  /^at_(medium|campaign|custom\d*)$/
+];
+
+// Share/timestamp params that only mean "tracking" on particular hosts
+const HOST_TRACKING_PARAMS = {
+  'youtube.com': ['si', 'feature', 't', 'pp'],
+  'youtu.be': ['si', 'feature', 't'],
+  'twitter.com': ['s', 't'],
+  'x.com': ['s', 't'],
+  'reddit.com': ['share_id', 'utm_name', 'context']
+};
+
+// Hosts that only differ by a mobile prefix
+const HOST_PREFIX = /^(www|m|mobile)\./;
+// Prefixes that are aliases only on particular sites (elsewhere new.york.gov is its own host)
+const HOST_ALIASES = {
+  'reddit.com': /^(old|new|np)\./
+};
+// Google's AMP viewer and cache wrap the page's own address: /amp/s/<host>/<path>
+const AMP_HOSTS = /^(google\.(com?\.)?[a-z]{2,3}|[a-z0-9-]+\.cdn\.ampproject\.org)$/;
+const AMP_PATH = /^\/(?:amp|c)\/(s\/)?(.+)$/;
+
+const TITLE_THRESHOLD = 0.8;
+
+function canonicalUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw).trim());
+  } catch (error) {
+    return String(raw).trim();
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return url.toString();
+
+  let host = url.hostname.toLowerCase().replace(/\.$/, '');
+  while (HOST_PREFIX.test(host)) host = host.replace(HOST_PREFIX, '');
+  Object.entries(HOST_ALIASES).forEach(([site, prefix]) => {
+    if (host.endsWith(`.${site}`) && prefix.test(host)) host = host.replace(prefix, '');
+  });
+  const amp = AMP_HOSTS.test(host) && url.pathname.match(AMP_PATH);
+  if (amp) return canonicalUrl(`${amp[1] ? 'https' : 'http'}://${amp[2]}${url.search}`);
+  let pathname = url.pathname.replace(/\/{2,}/g, '/');
+  const hostParams = HOST_TRACKING_PARAMS[host] || [];
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !hostParams.includes(key) && !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())));
+
+  // youtu.be/ID and /shorts/ID are the same video as watch?v=ID
+  if (host === 'youtu.be') {
+    params.push(['v', pathname.slice(1)]);
+    host = 'youtube.com';
+    pathname = '/watch';
+  } else if (host === 'youtube.com' && pathname.startsWith('/shorts/')) {
+    params.push(['v', pathname.split('/')[2]]);
+    pathname = '/watch';
+  }
+
+  // Reddit permalinks: /r/sub/comments/ID/slug/ -> /r/sub/comments/ID
+  if (host === 'reddit.com' || host === 'redd.it') {
+    const match = pathname.match(/^\/r\/([^/]+)\/comments\/([^/]+)/i);
+    if (match) pathname = `/r/${match[1].toLowerCase()}/comments/${match[2]}`;
+  }
+
+  pathname = pathname.replace(/\/(index\.html?)?$/, '') || '/';
+  params.sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `https://${host}${pathname === '/' ? '' : pathname}${query}`;
+}
+
+function urlKeys(record) {
+  return [record.url, record.permalink].filter(Boolean).map(canonicalUrl);
+}
+
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function titleWords(title) {
+  const text = normalizeTitle(title);
+  return new Set(text ? text.split(' ') : []);
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function titleSimilarity(a, b) {
+  return jaccard(titleWords(a), titleWords(b));
+}
+
+function sourcesOf(record) {
+  return record.sources || (record.source ? [record.source] : []);
+}
+
+function shareSource(a, b) {
+  const sources = new Set(sourcesOf(a));
+  return sourcesOf(b).some(source => sources.has(source));
+}
+
+function maxOf(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  return Math.max(a, b);
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Source flags the moderation step acts on; a story flagged by any source stays flagged
+const ITEM_FLAGS = ['nsfw', 'spoiler', 'stickied', 'firstParty'];
+
+function flagsOf(base, other) {
+  const flags = {};
+  ITEM_FLAGS.forEach(flag => {
+    if (base[flag] || other[flag]) flags[flag] = true;
+  });
+  return flags;
+}
+
+function editorialFlags(base, other) {
+  const flags = {};
+  ['pinned', 'hidden'].forEach(flag => {
+    if (base[flag] || other[flag]) flags[flag] = true;
+  });
+  return flags;
+}
+
+// Raw trending items: scores and comments add up across sources
+function combineItems(base, other) {
+  return {
+    ...base,
+    ...flagsOf(base, other),
+    score: (base.score || 0) + (other.score || 0),
+    comments: (base.comments || 0) + (other.comments || 0),
+    sources: unique([...sourcesOf(base), ...sourcesOf(other)])
+  };
+}
+
+// Published links: the first record wins on content unless only the other one was edited
+// by hand, and the story keeps the id, createdAt and editorial flags it already had
+function combineLinks(first, other) {
+  const base = other.editedAt && !first.editedAt ? other : first;
+  const older = new Date(other.createdAt) < new Date(base.createdAt) ? other : base;
+  return {
+    ...base,
+    ...editorialFlags(first, other),
+    id: older.id,
+    createdAt: older.createdAt,
+    viralScore: Math.max(base.viralScore || 0, other.viralScore || 0),
+    sourceScore: maxOf(base.sourceScore, other.sourceScore),
+    comments: maxOf(base.comments, other.comments),
+    clicks: (base.clicks || 0) + (other.clicks || 0),
+    upvotes: maxOf(base.upvotes, other.upvotes),
+    downvotes: maxOf(base.downvotes, other.downvotes),
+    keywords: base.editedAt ? base.keywords : unique([...(first.keywords || []), ...(other.keywords || [])]),
+    sources: unique([...sourcesOf(first), ...sourcesOf(other)])
+  };
+}
+
+// Greedy single pass: each record joins the first cluster it matches, so earlier records
+// (e.g. freshly curated ones placed first) stay the representative
+function clusterRecords(records, combine, { threshold = TITLE_THRESHOLD } = {}) {
+  const clusters = [];
+
+  records.forEach(record => {
+    const keys = urlKeys(record);
+    const words = titleWords(record.title);
+    const match = clusters.find(cluster =>
+      keys.some(key => cluster.keys.has(key))
+      || (jaccard(cluster.words, words) >= threshold && !shareSource(cluster.record, record))
+    );
+
+    if (!match) {
+      clusters.push({ record: { ...record, sources: sourcesOf(record) }, keys: new Set(keys), words });
+      return;
+    }
+    match.record = combine(match.record, record);
+    keys.forEach(key => match.keys.add(key));
+  });
+
+  return clusters.map(cluster => cluster.record);
+}
+
+function mergeTrendingItems(items, options) {
+  return clusterRecords(items, combineItems, options);
+}
+
+function mergeLinks(links, options) {
+  return clusterRecords(links, combineLinks, options);
+}
+
+module.exports = {
+  canonicalUrl,
+  titleSimilarity,
+  mergeTrendingItems,
+  mergeLinks,
+  combineLinks
+};
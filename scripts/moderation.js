@@ -0,0 +1,170 @@
+// Moderation between fetching and curation: every trending item has to get past
+//
+//   - source flags: NSFW (Reddit over_18, Media RSS "adult"), spoilers, stickied posts
+//   - blockDomains: never publish anything from these sites (subdomains included)
+//   - denyKeywords: whole words/phrases matched against the title and URL
+//   - spam heuristics: link shorteners hide where a link goes, and no more than
+//     maxPerDomain stories (by score) from one site per run. Items from a publisher's own
+//     feed (the rss and youtube sources) don't count: a playlist of five videos isn't
+//     YouTube flooding the site
+//
+// allowDomains are trusted sites that skip the domain block, shortener and flooding
+// checks; the flag and keyword checks still apply to them. Rules live in
+// scripts/moderation.config.json (or MODERATION_CONFIG).
+//
+// Rejected items are kept in data/quarantine.json with the reasons, for manual review:
+//
+//   { url, title, source, reasons: [...], firstSeen, lastSeen, seen }
+//
+//   node scripts/moderation.js           list quarantined items
+//   node scripts/moderation.js --clear   empty the quarantine
+
+const path = require('path');
+const { canonicalUrl } = require('./merge');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const DEFAULT_CONFIG = path.join(__dirname, 'moderation.config.json');
+const QUARANTINE_FILE = path.join('data', 'quarantine.json');
+const MAX_QUARANTINE = 500;
+
+const DEFAULTS = {
+  allowNsfw: false,
+  allowSpoilers: false,
+  allowStickied: false,
+  maxPerDomain: 3,
+  blockDomains: [],
+  allowDomains: [],
+  denyKeywords: [],
+  shorteners: []
+};
+
+function loadModerationConfig(file = process.env.MODERATION_CONFIG || DEFAULT_CONFIG) {
+  return { ...DEFAULTS, ...readJson(file, {}) };
+}
+
+// The host as the merge step sees it (merge.js canonicalUrl): www./m. dropped everywhere,
+// old./new. only on Reddit, youtu.be and AMP links resolved to the site they point at
+function hostOf(url) {
+  try {
+    return new URL(canonicalUrl(url)).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The entry the host falls under: "youtube.com" covers "music.youtube.com"
+function matchDomain(host, domains) {
+  return domains.find(domain => host === domain || host.endsWith(`.${domain}`)) || null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordPattern(keywords) {
+  if (!keywords.length) return null;
+  return new RegExp(`(^|[^\\p{L}\\p{N}])(${keywords.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+}
+
+// Every reason an item can't be published on its own merits (flooding is decided per run)
+function screenItem(item, config, pattern = keywordPattern(config.denyKeywords)) {
+  const reasons = [];
+  if (item.nsfw && !config.allowNsfw) reasons.push('nsfw');
+  if (item.spoiler && !config.allowSpoilers) reasons.push('spoiler');
+  if (item.stickied && !config.allowStickied) reasons.push('stickied');
+
+  const host = hostOf(item.url);
+  if (!host) {
+    reasons.push('invalid url');
+  } else if (!matchDomain(host, config.allowDomains)) {
+    const blocked = matchDomain(host, config.blockDomains);
+    if (blocked) reasons.push(`blocked domain ${blocked}`);
+    const shortener = matchDomain(host, config.shorteners);
+    if (shortener) reasons.push(`link shortener ${shortener}`);
+  }
+
+  const match = pattern && `${item.title} ${item.url}`.match(pattern);
+  if (match) reasons.push(`keyword "${match[2].toLowerCase()}"`);
+  return reasons;
+}
+
+// Split items into accepted and rejected ({ item, reasons }), keeping input order
+function moderateItems(items, config = loadModerationConfig()) {
+  const pattern = keywordPattern(config.denyKeywords);
+  const reasons = items.map(item => screenItem(item, config, pattern));
+
+  // Flooding: only the highest-scoring clean items from each site get through
+  const perDomain = new Map();
+  items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item, index }) => !reasons[index].length && !item.firstParty)
+    .sort((a, b) => (b.item.score || 0) - (a.item.score || 0))
+    .forEach(({ item, index }) => {
+      const host = hostOf(item.url);
+      if (matchDomain(host, config.allowDomains)) return;
+      const count = (perDomain.get(host) || 0) + 1;
+      perDomain.set(host, count);
+      if (count > config.maxPerDomain) reasons[index].push(`more than ${config.maxPerDomain} items from ${host}`);
+    });
+
+  const accepted = [];
+  const rejected = [];
+  items.forEach((item, index) => {
+    if (reasons[index].length) rejected.push({ item, reasons: reasons[index] });
+    else accepted.push(item);
+  });
+  return { accepted, rejected };
+}
+
+function loadQuarantine(file = QUARANTINE_FILE) {
+  return readJson(file, { updatedAt: null, items: [] });
+}
+
+// Add this run's rejects; an item rejected again is updated rather than repeated
+function quarantineItems(rejected, { file = QUARANTINE_FILE, now = new Date() } = {}) {
+  const quarantine = loadQuarantine(file);
+  const at = now.toISOString();
+  const byUrl = new Map(quarantine.items.map(entry => [canonicalUrl(entry.url), entry]));
+
+  rejected.forEach(({ item, reasons }) => {
+    const key = canonicalUrl(item.url);
+    const known = byUrl.get(key);
+    byUrl.set(key, {
+      url: item.url,
+      title: item.title,
+      source: item.source,
+      reasons,
+      firstSeen: known ? known.firstSeen : at,
+      lastSeen: at,
+      seen: known ? known.seen + 1 : 1
+    });
+  });
+
+  const items = [...byUrl.values()]
+    .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
+    .slice(0, MAX_QUARANTINE);
+  writeJsonAtomic(file, { updatedAt: at, items });
+  return items.length;
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--clear')) {
+    writeJsonAtomic(QUARANTINE_FILE, { updatedAt: new Date().toISOString(), items: [] });
+    console.log(`🧹 Emptied ${QUARANTINE_FILE}`);
+  } else {
+    const { updatedAt, items } = loadQuarantine();
+    console.log(`🚫 ${items.length} quarantined items${updatedAt ? ` (last run ${updatedAt})` : ''}`);
+    items.forEach(entry => {
+      console.log(`  ${entry.title}\n    ${entry.url} [${entry.source}] - ${entry.reasons.join(', ')} (seen ${entry.seen}x)`);
+    });
+  }
+}
+
+module.exports = {
+  loadModerationConfig,
+  screenItem,
+  moderateItems,
+  loadQuarantine,
+  quarantineItems,
+  QUARANTINE_FILE
+};
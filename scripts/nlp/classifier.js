@@ -0,0 +1,82 @@
+// Multinomial naive Bayes over title + source words and bigrams
+//
+// A model is plain JSON, so it can be saved and reloaded:
+//
+//   { categories, vocabulary, docs: { category: n }, words: { category: total },
+//     counts: { category: { term: n } } }
+//
+// classify() returns the most likely category with the posterior probability of that
+// guess as `confidence`, and every category's probability in `scores`.
+//
+// Terms are title words, so counts are read with Object.hasOwn: "constructor" or
+// "toString" in a headline must not find Object.prototype.
+
+const { ngrams } = require('./text');
+
+const ALPHA = 1; // Laplace smoothing
+
+function countOf(model, category, term) {
+  const counts = model.counts[category];
+  return Object.hasOwn(counts, term) ? counts[term] : 0;
+}
+
+function featuresOf(title, source) {
+  const features = ngrams(title);
+  // The subreddit/feed name is a strong hint, kept apart from title words
+  if (source) features.push(`source:${String(source).toLowerCase()}`);
+  return features;
+}
+
+// examples: [{ title, source, category }]
+function trainClassifier(examples, categories) {
+  const labels = categories || [...new Set(examples.map(example => example.category))];
+  const model = { categories: labels, vocabulary: 0, docs: {}, words: {}, counts: {} };
+  labels.forEach(category => {
+    model.docs[category] = 0;
+    model.words[category] = 0;
+    model.counts[category] = Object.create(null);
+  });
+
+  const vocabulary = new Set();
+  examples.forEach(example => {
+    if (!labels.includes(example.category)) return;
+    model.docs[example.category]++;
+    featuresOf(example.title, example.source).forEach(term => {
+      vocabulary.add(term);
+      model.counts[example.category][term] = countOf(model, example.category, term) + 1;
+      model.words[example.category]++;
+    });
+  });
+  model.vocabulary = vocabulary.size;
+  return model;
+}
+
+function classify(model, title, source) {
+  const totalDocs = model.categories.reduce((sum, category) => sum + model.docs[category], 0);
+  // Words no category has seen say nothing, but would still favour the categories with
+  // the fewest training words
+  const features = featuresOf(title, source)
+    .filter(term => model.categories.some(category => countOf(model, category, term)));
+  const logs = model.categories.map(category => {
+    const denominator = model.words[category] + ALPHA * (model.vocabulary + 1);
+    let log = Math.log((model.docs[category] + ALPHA) / (totalDocs + ALPHA * model.categories.length));
+    features.forEach(term => {
+      log += Math.log((countOf(model, category, term) + ALPHA) / denominator);
+    });
+    return log;
+  });
+
+  // Normalise the log-likelihoods into probabilities without underflowing
+  const max = Math.max(...logs);
+  const exps = logs.map(log => Math.exp(log - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  const scores = {};
+  model.categories.forEach((category, i) => {
+    scores[category] = Math.round((exps[i] / sum) * 1000) / 1000;
+  });
+
+  const best = model.categories.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+  return { category: best, confidence: scores[best], scores };
+}
+
+module.exports = { trainClassifier, classify, featuresOf };
@@ -0,0 +1,84 @@
+// Keyword extraction and category classification trained on the site's own data
+//
+// The labeled corpus is every archived link plus links.json (deduplicated by canonical
+// URL), on top of the hand-labeled headlines in seed-examples.json that keep the
+// classifier sensible while the archive is small. Models are built on first use and
+// cached for the rest of the run.
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, parseLinksText } = require('../link-schema');
+const { ARCHIVE_DIR } = require('../archive');
+const { canonicalUrl } = require('../merge');
+const { trainClassifier, classify } = require('./classifier');
+const { createKeywordExtractor } = require('./keywords');
+const SEED_EXAMPLES = require('./seed-examples.json');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function readLinks(file) {
+  if (!fs.existsSync(file)) return [];
+  return parseLinksText(fs.readFileSync(file, 'utf8')).links;
+}
+
+// Every link the site has published, newest copy first
+function loadLabeledLinks(root = ROOT) {
+  const dir = path.join(root, ARCHIVE_DIR);
+  const shards = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(name => /^\d{4}-\d{2}\.json$/.test(name)).sort().reverse()
+    : [];
+  const all = [
+    ...readLinks(path.join(root, 'links.json')),
+    ...shards.flatMap(name => readLinks(path.join(dir, name)))
+  ];
+
+  const seen = new Set();
+  return all.filter(link => {
+    const key = canonicalUrl(link.url);
+    if (seen.has(key) || !CATEGORIES.includes(link.category)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function linkExample(link) {
+  return { title: link.title, source: link.source, category: link.category };
+}
+
+function trainingExamples(links) {
+  return [...SEED_EXAMPLES, ...links.map(linkExample)];
+}
+
+let cached = null;
+
+function models() {
+  if (!cached) {
+    const links = loadLabeledLinks();
+    cached = {
+      classifier: trainClassifier(trainingExamples(links), CATEGORIES),
+      keywords: createKeywordExtractor([
+        ...SEED_EXAMPLES.map(example => example.title),
+        ...links.map(link => [link.title, ...(link.keywords || [])].join(' '))
+      ])
+    };
+  }
+  return cached;
+}
+
+// { category, confidence, scores }
+function classifyContent(title, source) {
+  return classify(models().classifier, title, source);
+}
+
+function extractKeywords(text, options) {
+  return models().keywords.extract(text, options);
+}
+
+module.exports = {
+  classifyContent,
+  extractKeywords,
+  loadLabeledLinks,
+  trainingExamples,
+  linkExample,
+  SEED_EXAMPLES
+};
@@ -0,0 +1,55 @@
+// Keyword extraction: candidate phrases from a title, scored by TF-IDF against the
+// titles of every archived link
+//
+// Words the archive has seen in every other headline ("Goes", "Hits") score low, rare
+// ones and names score high. Multi-word phrases and capitalized names ("Elon Musk") get a
+// boost, and a phrase is skipped when a better one already covers its words.
+
+const { candidatePhrases, ngrams } = require('./text');
+
+const PHRASE_BOOST = 1.5; // per extra word
+const PROPER_BOOST = 1.5;
+
+// documents: an array of strings (usually archived titles + keywords)
+function createKeywordExtractor(documents = []) {
+  const df = new Map();
+  documents.forEach(document => {
+    new Set(ngrams(document, 3)).forEach(term => df.set(term, (df.get(term) || 0) + 1));
+  });
+  const total = documents.length;
+
+  function idf(term) {
+    return Math.log((total + 1) / ((df.get(term) || 0) + 1)) + 1;
+  }
+
+  function extract(text, { limit = 3 } = {}) {
+    const phrases = candidatePhrases(text);
+    const tf = new Map();
+    ngrams(text, 3).forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+
+    const scored = phrases.map(phrase => {
+      const words = phrase.key.split(' ');
+      // Words that happen to sit next to each other once aren't a phrase; it has to be a
+      // name or turn up in more than one headline
+      if (words.length > 1 && !phrase.proper && (df.get(phrase.key) || 0) < 2) return null;
+      let score = (tf.get(phrase.key) || 1) * idf(phrase.key);
+      if (words.length > 1) score *= Math.pow(PHRASE_BOOST, words.length - 1);
+      if (phrase.proper) score *= PROPER_BOOST;
+      return { ...phrase, words, score };
+    }).filter(Boolean).sort((a, b) => b.score - a.score || b.words.length - a.words.length);
+
+    const picked = [];
+    const covered = new Set();
+    for (const phrase of scored) {
+      if (picked.length >= limit) break;
+      if (phrase.words.some(word => covered.has(word))) continue;
+      picked.push(phrase.text);
+      phrase.words.forEach(word => covered.add(word));
+    }
+    return picked;
+  }
+
+  return { extract, idf, documents: total };
+}
+
+module.exports = { createKeywordExtractor };
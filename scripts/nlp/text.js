@@ -0,0 +1,93 @@
+// Tokenizing and phrase extraction shared by the keyword extractor and the classifier
+
+// English function words plus words every viral headline uses, which say nothing about
+// what the story is about
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before
+being below between both but by can could did do does doing down during each few for from
+further had has have having he her here hers herself him himself his how i if in into is it
+its itself just me more most my myself no nor not now of off on once only or other our ours
+out over own same she should so some such than that the their theirs them themselves then
+there these they this those through to too under until up very was we were what when where
+which while who whom why will with would you your yours yourself s t don didn doesn isn
+wasn won ll ve re m d vs via amp
+viral trending goes going gone major new news breaking watch watching video videos latest
+just today week day people everyone everything thing things one two three first last big
+huge top best worst really still even get gets got make makes made says said see seen look
+looks know here's it's say says said try tries tried show shows showed reveal reveals
+revealed announce announces announced hit hits return returns react reacts sell sells
+hour hours minute minutes year years likes views
+`.split(/\s+/).filter(Boolean));
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’]*/gu;
+// 3, 2M, 10k, 1990s - counts and dates, never topics
+const NUMBER = /^\d+(k|m|b|bn|s|st|nd|rd|th)?$/i;
+
+function normalize(word) {
+  return word.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').replace(/['’]s$/, '').replace(/['’]/g, '');
+}
+
+function isStopword(word) {
+  return STOPWORDS.has(normalize(word));
+}
+
+// Lowercased content words
+function tokenize(text) {
+  return (String(text || '').match(WORD) || []).map(normalize).filter(word => word && !STOPWORDS.has(word));
+}
+
+// Unigrams plus bigrams of adjacent content words (stopwords break a run)
+function ngrams(text, max = 2) {
+  const words = (String(text || '').match(WORD) || []).map(normalize);
+  const grams = [];
+  let run = [];
+  const flush = () => {
+    for (let n = 1; n <= max; n++) {
+      for (let i = 0; i + n <= run.length; i++) grams.push(run.slice(i, i + n).join(' '));
+    }
+    run = [];
+  };
+  words.forEach(word => {
+    if (!word || STOPWORDS.has(word) || NUMBER.test(word)) flush();
+    else run.push(word);
+  });
+  flush();
+  return grams;
+}
+
+function isCapitalized(word) {
+  return /^[\p{Lu}\p{N}]/u.test(word) && !NUMBER.test(word);
+}
+
+// Candidate key phrases with their original casing: runs of up to three content words,
+// and runs of capitalized words ("Elon Musk", "US Military"), which are likely names
+function candidatePhrases(text) {
+  const words = String(text || '').match(WORD) || [];
+  // All-caps or Title Case headlines capitalize everything, so casing means nothing there
+  const titleCase = words.filter(word => !isStopword(word) && !NUMBER.test(word)).every(isCapitalized);
+  const phrases = new Map();
+  const add = (tokens, proper) => {
+    const key = tokens.map(normalize).join(' ');
+    if (!key || phrases.has(key) && !proper) return;
+    phrases.set(key, { key, text: tokens.map(word => word.replace(/['’]s$/, '')).join(' '), proper });
+  };
+
+  let run = [];
+  const flush = () => {
+    for (let n = 1; n <= Math.min(3, run.length); n++) {
+      for (let i = 0; i + n <= run.length; i++) {
+        const tokens = run.slice(i, i + n);
+        add(tokens, !titleCase && tokens.every(isCapitalized) && (n > 1 || i > 0 || words[0] !== tokens[0]));
+      }
+    }
+    run = [];
+  };
+  words.forEach(word => {
+    if (isStopword(word) || NUMBER.test(word)) flush();
+    else run.push(word);
+  });
+  flush();
+  return [...phrases.values()];
+}
+
+module.exports = { STOPWORDS, normalize, isStopword, tokenize, ngrams, candidatePhrases };
@@ -0,0 +1,104 @@
+// Title, description and image of a web page, from its Open Graph / Twitter tags with the
+// plain HTML <title> and meta description as fallbacks. Used to fill in community
+// submissions (server/submissions.js).
+//
+// The URL comes from a visitor, so only public addresses are fetched: hosts that resolve
+// to loopback, private or link-local ranges are refused, and redirects are followed by
+// hand so each hop is checked the same way. The check runs again in the lookup the
+// connection itself uses, so a host can't answer a public address to the check and a
+// private one to the connect (DNS rebinding).
+
+const dns = require('dns').promises;
+const net = require('net');
+const cheerio = require('cheerio');
+const { findImageUrl } = require('./thumbnails');
+const { createHttpClient } = require('./http-client');
+
+const TIMEOUT = 10000;
+const MAX_REDIRECTS = 3;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b < 128)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b < 32)
+      || (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+// dns.lookup for the request: the connection goes to the addresses vetted here
+async function publicLookup(hostname, options) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) throw new Error(`${hostname} is not a public address`);
+  return addresses;
+}
+
+async function assertPublicUrl(raw) {
+  const url = new URL(raw);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('only http(s) pages can be fetched');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) throw new Error(`${url.hostname} is not a public address`);
+  return url;
+}
+
+function firstContent($, selectors) {
+  for (const selector of selectors) {
+    const value = ($(selector).first().attr('content') || '').trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+function findPageMetadata(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const title = firstContent($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) || $('title').first().text().trim();
+  const description = firstContent($, [
+    'meta[property="og:description"]',
+    'meta[name="twitter:description"]',
+    'meta[name="description"]'
+  ]);
+  return {
+    title: title ? title.replace(/\s+/g, ' ').slice(0, 300) : null,
+    description: description ? description.replace(/\s+/g, ' ').slice(0, 500) : null,
+    image: findImageUrl(html, pageUrl)
+  };
+}
+
+// { url (after redirects), title, description, image }; any field but url may be null.
+// A reader is waiting on the answer, so a flaky page gets one retry rather than the
+// curator's three.
+async function fetchPageMetadata(pageUrl, { timeout = TIMEOUT, http = createHttpClient({ cacheDir: null }) } = {}) {
+  let url = await assertPublicUrl(pageUrl);
+  for (let hops = 0; ; hops++) {
+    const response = await http.request({
+      method: 'get',
+      url: url.toString(),
+      timeout,
+      retries: 1,
+      maxRedirects: 0,
+      maxContentLength: MAX_PAGE_BYTES,
+      lookup: publicLookup,
+      responseType: 'text',
+      headers: { Accept: 'text/html,image/*' }
+    });
+    if (response.status >= 300 && response.headers.location) {
+      if (hops >= MAX_REDIRECTS) throw new Error('too many redirects');
+      url = await assertPublicUrl(new URL(response.headers.location, url).toString());
+      continue;
+    }
+    const type = String(response.headers['content-type'] || '');
+    if (type.startsWith('image/')) return { url: url.toString(), title: null, description: null, image: url.toString() };
+    if (!type.includes('html')) return { url: url.toString(), title: null, description: null, image: null };
+    return { url: url.toString(), ...findPageMetadata(response.data, url.toString()) };
+  }
+}
+
+module.exports = { fetchPageMetadata, findPageMetadata, isPrivateAddress };
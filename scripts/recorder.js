@@ -0,0 +1,136 @@
+// Record and replay the curator's HTTP traffic
+//
+// Recording saves every response the curator gets (source pages and feeds, the LLM's
+// reply, click stats, page images, link checks) under <dir>/http, one file per request,
+// next to <dir>/run.json describing the run. Replaying answers the same requests from
+// those files, so a run can be repeated offline; a request that wasn't recorded fails the
+// way a network error would. Request headers (API keys) are never saved.
+//
+// Both work by swapping axios's default adapter, which every source, provider and checker
+// goes through.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const axios = require('axios');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const RUN_FILE = 'run.json';
+const HTTP_DIR = 'http';
+const SKIPPED_HEADERS = ['set-cookie'];
+
+// Where a request is stored: the same method, URL and body always map to the same file
+function requestKey(config) {
+  const method = (config.method || 'get').toUpperCase();
+  const url = axios.getUri(config);
+  const body = config.data === undefined || config.data === null
+    ? ''
+    : typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+  let host = 'request';
+  try {
+    host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  } catch (error) {
+    // relative or malformed URL - the hash alone is enough
+  }
+  return { method, url, file: `${host}-${hash}.json` };
+}
+
+function encodeResponse(response) {
+  const headers = {};
+  Object.entries(response.headers || {}).forEach(([name, value]) => {
+    if (!SKIPPED_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+  });
+  const recorded = { status: response.status, statusText: response.statusText, headers };
+
+  const { data } = response;
+  // Streamed bodies belong to the caller (the link checker just discards them)
+  if (data && typeof data.pipe === 'function') return { ...recorded, body: null, stream: true };
+  if (Buffer.isBuffer(data)) return { ...recorded, body: data.toString('base64'), encoding: 'base64' };
+  if (data === undefined || data === null || typeof data === 'string') return { ...recorded, body: data === undefined ? null : data };
+  return { ...recorded, body: JSON.stringify(data), encoding: 'json' };
+}
+
+function decodeBody(recorded, config) {
+  if (recorded.stream || config.responseType === 'stream') return Readable.from([]);
+  if (recorded.encoding === 'base64') return Buffer.from(recorded.body, 'base64');
+  if (recorded.encoding === 'json') return JSON.parse(recorded.body);
+  return recorded.body;
+}
+
+// Save responses while passing them through. `run` describes the run (clock, LLM
+// provider, ...) so a replay can set itself up the same way.
+function startRecording(dir, run) {
+  const httpDir = path.join(dir, HTTP_DIR);
+  fs.mkdirSync(httpDir, { recursive: true });
+  writeJsonAtomic(path.join(dir, RUN_FILE), { recordedAt: new Date().toISOString(), ...run });
+
+  const live = axios.getAdapter(axios.defaults.adapter);
+  const entries = new Map();
+  let count = 0;
+
+  const save = (config, recorded) => {
+    const { method, url, file } = requestKey(config);
+    if (!entries.has(file)) entries.set(file, { method, url, responses: [] });
+    const entry = entries.get(file);
+    entry.responses.push(recorded);
+    writeJsonAtomic(path.join(httpDir, file), entry);
+    count++;
+  };
+
+  axios.defaults.adapter = async config => {
+    try {
+      const response = await live(config);
+      save(config, encodeResponse(response));
+      return response;
+    } catch (error) {
+      save(config, error.response ? encodeResponse(error.response) : { error: { message: error.message, code: error.code } });
+      throw error;
+    }
+  };
+
+  return { run, stats: () => ({ recorded: count }) };
+}
+
+// Answer requests from a recording instead of the network. Returns the recorded run.
+function startReplay(dir) {
+  const run = readJson(path.join(dir, RUN_FILE), null);
+  if (!run) throw new Error(`${dir} is not a curator recording (no ${RUN_FILE})`);
+  const httpDir = path.join(dir, HTTP_DIR);
+  const cursors = new Map();
+  const missing = [];
+  let count = 0;
+
+  axios.defaults.adapter = async config => {
+    const { method, url, file } = requestKey(config);
+    const entry = readJson(path.join(httpDir, file), null);
+    if (!entry) {
+      missing.push(`${method} ${url}`);
+      throw new axios.AxiosError(`Not in the recording: ${method} ${url}`, 'ENOTRECORDED', config);
+    }
+
+    // A request made several times gets its responses in the order they were recorded
+    const used = cursors.get(file) || 0;
+    cursors.set(file, used + 1);
+    const recorded = entry.responses[Math.min(used, entry.responses.length - 1)];
+    count++;
+    if (recorded.error) throw new axios.AxiosError(recorded.error.message, recorded.error.code, config);
+
+    const response = {
+      data: decodeBody(recorded, config),
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config,
+      request: {}
+    };
+    if (!config.validateStatus || config.validateStatus(response.status)) return response;
+    const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+    throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+  };
+
+  return { run, stats: () => ({ replayed: count, missing }) };
+}
+
+module.exports = { startRecording, startReplay, requestKey, RUN_FILE, HTTP_DIR };
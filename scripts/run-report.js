@@ -0,0 +1,80 @@
+// What happened in a curator run, saved to data/run-report.json (the latest run; git keeps
+// the history) so a thin or failed run can be diagnosed without digging through CI logs:
+//
+//   { startedAt, finishedAt, durationMs, status: 'published' | 'dry-run' | 'aborted', error,
+//     sources: [{ name, type, status, items, latencyMs, requests, retries, cacheHits, failures, error? }],
+//     items: { fetched, distinct, quarantined, outsideCategories, trending },
+//     curation: { path: 'ai' | 'manual', provider, model, picked, rejected?, reason? },
+//     submissions,
+//     links: { total, added: [{ id, title, url }], dropped: [{ id, title, url, reason }] },
+//     http: { requests, retries, cacheHits, failures } }
+//
+// Dropped links were removed as 'dead' (link check), 'invalid' (schema) or 'archived'
+// (trimmed to maxLinks; they live on in data/archive).
+
+const { writeJsonAtomic } = require('./json-file');
+const { diffLinks } = require('./links-diff');
+
+const REPORT_FILE = 'data/run-report.json';
+
+function brief(link) {
+  return { id: String(link.id), title: link.title, url: link.url };
+}
+
+// The links section, from links.json before and after the run
+function linkChanges(previousLinks, merged) {
+  const diff = diffLinks(previousLinks, merged.links);
+  const dead = new Set(merged.dropped.dead.map(id => String(id)));
+  const invalid = new Set(merged.dropped.invalid.map(id => String(id)));
+  const reason = id => (dead.has(id) ? 'dead' : invalid.has(id) ? 'invalid' : 'archived');
+  return {
+    total: merged.links.length,
+    added: diff.added.map(brief),
+    dropped: diff.removed.map(link => ({ ...brief(link), reason: reason(String(link.id)) }))
+  };
+}
+
+// The stages fill in their sections of `report`; finish() stamps the outcome
+function createRunReport({ now = new Date() } = {}) {
+  const started = Date.now();
+  const report = {
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    error: null,
+    sources: [],
+    items: null,
+    curation: null,
+    submissions: 0,
+    links: null,
+    http: null
+  };
+
+  // Times run on the run's clock, so a replay's report lines up with the recording
+  function finish(status, { error = null, http = null } = {}) {
+    report.durationMs = Date.now() - started;
+    report.finishedAt = new Date(now.getTime() + report.durationMs).toISOString();
+    report.status = status;
+    report.error = error ? error.message : null;
+    if (http) report.http = http.stats();
+    return report;
+  }
+
+  return { report, finish };
+}
+
+function summarizeRunReport(report) {
+  const ok = report.sources.filter(source => source.status === 'ok').length;
+  const parts = [`${ok}/${report.sources.length} sources ok`];
+  if (report.curation) parts.push(`${report.curation.path} curation`);
+  if (report.links) parts.push(`${report.links.added.length} added`, `${report.links.dropped.length} dropped`);
+  if (report.http) parts.push(`${report.http.requests} requests (${report.http.retries} retries, ${report.http.cacheHits} cached)`);
+  return `📋 Run ${report.status}: ${parts.join(', ')}`;
+}
+
+function saveRunReport(report, file = REPORT_FILE) {
+  writeJsonAtomic(file, report);
+}
+
+module.exports = { createRunReport, linkChanges, summarizeRunReport, saveRunReport, REPORT_FILE };
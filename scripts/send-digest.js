@@ -0,0 +1,61 @@
+// Send the Viral Digest to confirmed subscribers
+//
+//   node scripts/send-digest.js daily|weekly [--dry-run]
+//
+// PUBLIC_URL is the address of the running server (scripts/server) used for click-tracked
+// links and unsubscribe links. SMTP settings: see mailer.js.
+
+const fs = require('fs');
+const path = require('path');
+const { parseLinksText } = require('./link-schema');
+const { createSubscriberStore, FREQUENCIES } = require('./server/subscribers');
+const { buildDigest } = require('./digest');
+const { createMailer } = require('./mailer');
+
+const ROOT = path.resolve(__dirname, '..');
+const SUBSCRIBERS_FILE = path.join(ROOT, 'data', 'private', 'subscribers.json');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const frequency = args.find(arg => !arg.startsWith('--')) || 'daily';
+  const dryRun = args.includes('--dry-run');
+  if (!FREQUENCIES.includes(frequency)) {
+    console.log(`Usage: node scripts/send-digest.js <${FREQUENCIES.join('|')}> [--dry-run]`);
+    process.exit(1);
+  }
+
+  const baseUrl = (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const { links } = parseLinksText(fs.readFileSync(path.join(ROOT, 'links.json'), 'utf8'));
+  const store = createSubscriberStore(SUBSCRIBERS_FILE);
+  const subscribers = store.active(frequency);
+  console.log(`📧 Sending ${frequency} digest to ${subscribers.length} subscribers...`);
+
+  const mailer = dryRun ? null : createMailer();
+  let sent = 0;
+  for (const subscriber of subscribers) {
+    const digest = buildDigest(links, subscriber, { baseUrl });
+    if (!digest) {
+      console.log(`  ⏭️ Nothing new for ${subscriber.email}`);
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  📝 ${subscriber.email}: ${digest.subject}\n${digest.text}\n`);
+      continue;
+    }
+    try {
+      await mailer.send({ to: subscriber.email, ...digest });
+      store.markSent(subscriber.email);
+      sent++;
+    } catch (error) {
+      console.log(`  ⚠️ Failed to send to ${subscriber.email}: ${error.message}`);
+    }
+  }
+
+  if (mailer) mailer.close();
+  console.log(`✅ Sent ${sent} digests`);
+}
+
+main().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
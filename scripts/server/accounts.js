@@ -0,0 +1,253 @@
+// Reader accounts: email + password or magic-link login, sessions and per-user profiles
+//
+// Everything lives in one file (data/private/accounts.json). Passwords are scrypt hashes
+// with a per-user salt; session and magic-link tokens are only stored as SHA-256 hashes,
+// so a copy of the file can't be used to log in. A profile holds the reader's bookmarks,
+// hidden and read link ids, followed keywords and categories, and dark-mode preference.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { readJson, writeJsonAtomic } = require('../json-file');
+const { CATEGORIES } = require('../link-schema');
+const { EMAIL_PATTERN } = require('./subscribers');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_TOKEN_TTL = 15 * 60 * 1000;
+const MIN_PASSWORD = 8;
+const MAX_PASSWORD = 200;
+const LIST_LIMIT = 1000;
+const MAX_FOLLOWS = 50;
+const LINK_LISTS = { bookmarked: 'bookmarks', hidden: 'hidden', read: 'read' };
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function token() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function normalizeEmail(email) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address) || address.length > 254) throw badRequest('A valid email address is required');
+  return address;
+}
+
+// "scrypt:<salt>:<hash>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+    throw badRequest(`Passwords need at least ${MIN_PASSWORD} characters`);
+  }
+  if (password.length > MAX_PASSWORD) throw badRequest(`Passwords can be at most ${MAX_PASSWORD} characters`);
+  return password;
+}
+
+function emptyProfile() {
+  return { bookmarks: [], hidden: [], read: [], follows: { keywords: [], categories: [] }, darkMode: null };
+}
+
+function cleanIds(ids, field) {
+  if (!Array.isArray(ids)) throw badRequest(`${field} must be a list of link ids`);
+  const clean = [...new Set(ids.map(String))];
+  if (clean.length > LIST_LIMIT) throw badRequest(`${field} can hold at most ${LIST_LIMIT} links`);
+  return clean;
+}
+
+function cleanFollows(follows) {
+  if (!follows || typeof follows !== 'object') throw badRequest('follows must be { keywords, categories }');
+  const keywords = [...new Set((follows.keywords || []).map(k => String(k).trim().toLowerCase()).filter(Boolean))];
+  if (keywords.length > MAX_FOLLOWS) throw badRequest(`You can follow at most ${MAX_FOLLOWS} keywords`);
+  if (keywords.some(keyword => keyword.length > 40)) throw badRequest('Keywords can be at most 40 characters');
+  const categories = [...new Set(follows.categories || [])];
+  const unknown = categories.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length) throw badRequest(`Unknown categories: ${unknown.join(', ')}`);
+  return { keywords, categories };
+}
+
+// What the front end gets: never the password hash
+function publicUser(user) {
+  return { email: user.email, hasPassword: Boolean(user.passwordHash), profile: user.profile };
+}
+
+function createAccountStore(file, { sessionTtl = SESSION_TTL, loginTokenTtl = LOGIN_TOKEN_TTL } = {}) {
+  const load = () => ({ users: [], sessions: {}, loginTokens: {}, ...readJson(file, {}) });
+  const save = data => writeJsonAtomic(file, data);
+  // Compared against when the email is unknown, so a miss takes as long as a wrong password
+  const dummyHash = hashPassword('not a real password');
+
+  function findUser(data, email) {
+    return data.users.find(user => user.email === email);
+  }
+
+  function addUser(data, email, passwordHash = null) {
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      email,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      profile: emptyProfile()
+    };
+    data.users.push(user);
+    return user;
+  }
+
+  // Drop expired sessions and login tokens whenever the file is written anyway
+  function prune(data, now = Date.now()) {
+    ['sessions', 'loginTokens'].forEach(key => {
+      Object.entries(data[key]).forEach(([hash, entry]) => {
+        if (entry.expires < now) delete data[key][hash];
+      });
+    });
+  }
+
+  function startSession(data, user) {
+    const sessionToken = token();
+    prune(data);
+    data.sessions[hashToken(sessionToken)] = { userId: user.id, expires: Date.now() + sessionTtl };
+    save(data);
+    return { token: sessionToken, user: publicUser(user) };
+  }
+
+  function updateUser(userId, change) {
+    const data = load();
+    const user = data.users.find(u => u.id === userId);
+    if (!user) throw Object.assign(new Error('Please log in'), { status: 401 });
+    change(user.profile);
+    save(data);
+    return publicUser(user);
+  }
+
+  return {
+    async register({ email, password }) {
+      const address = normalizeEmail(email);
+      const passwordHash = await hashPassword(checkPassword(password));
+      const data = load();
+      if (findUser(data, address)) {
+        throw Object.assign(new Error('There is already an account for that email - log in instead'), { status: 409 });
+      }
+      return startSession(data, addUser(data, address, passwordHash));
+    },
+
+    // A session, or null for a wrong email or password
+    async login({ email, password }) {
+      const address = normalizeEmail(email);
+      const user = findUser(load(), address);
+      const stored = user && user.passwordHash;
+      const ok = await verifyPassword(String(password || ''), stored || await dummyHash);
+      if (!stored || !ok) return null;
+      // Re-read: other requests may have written while the hash was being checked
+      return startSession(load(), user);
+    },
+
+    // Returns the one-time token to mail. Unknown addresses get an account on first login.
+    requestLoginLink({ email }) {
+      const address = normalizeEmail(email);
+      const loginToken = token();
+      const data = load();
+      prune(data);
+      data.loginTokens[hashToken(loginToken)] = { email: address, expires: Date.now() + loginTokenTtl };
+      save(data);
+      return { email: address, token: loginToken };
+    },
+
+    // Tokens work once; null when it is unknown, used or expired
+    redeemLoginLink(loginToken) {
+      const data = load();
+      const hash = hashToken(loginToken || '');
+      const entry = data.loginTokens[hash];
+      if (!entry) return null;
+      delete data.loginTokens[hash];
+      if (entry.expires < Date.now()) {
+        save(data);
+        return null;
+      }
+      return startSession(data, findUser(data, entry.email) || addUser(data, entry.email));
+    },
+
+    // The address of an account, for the admin tool's review queue; null once it's gone
+    emailOf(userId) {
+      const user = load().users.find(u => u.id === userId);
+      return user ? user.email : null;
+    },
+
+    // The logged-in user for a session token, or null
+    session(sessionToken) {
+      if (!sessionToken) return null;
+      const data = load();
+      const entry = data.sessions[hashToken(sessionToken)];
+      if (!entry || entry.expires < Date.now()) return null;
+      const user = data.users.find(u => u.id === entry.userId);
+      return user ? { id: user.id, ...publicUser(user) } : null;
+    },
+
+    logout(sessionToken) {
+      if (!sessionToken) return;
+      const data = load();
+      delete data.sessions[hashToken(sessionToken)];
+      save(data);
+    },
+
+    // changes: { follows, darkMode, bookmarks, hidden, read } - any subset
+    updateProfile(userId, changes) {
+      if (!changes || typeof changes !== 'object') throw badRequest('Send the profile fields to change');
+      if ('darkMode' in changes && typeof changes.darkMode !== 'boolean' && changes.darkMode !== null) {
+        throw badRequest('darkMode must be true, false or null');
+      }
+      const follows = 'follows' in changes ? cleanFollows(changes.follows) : null;
+      const lists = Object.values(LINK_LISTS)
+        .filter(field => field in changes)
+        .map(field => [field, cleanIds(changes[field], field)]);
+
+      return updateUser(userId, profile => {
+        if (follows) profile.follows = follows;
+        if ('darkMode' in changes) profile.darkMode = changes.darkMode;
+        lists.forEach(([field, ids]) => {
+          profile[field] = ids;
+        });
+      });
+    },
+
+    // flags: { bookmarked, hidden, read } - any subset, each true or false
+    setLinkFlags(userId, id, flags) {
+      const entries = Object.entries(flags || {}).filter(([flag]) => flag in LINK_LISTS);
+      if (!entries.length) throw badRequest('Send bookmarked, hidden or read');
+      if (entries.some(([, value]) => typeof value !== 'boolean')) throw badRequest('Flags must be true or false');
+
+      return updateUser(userId, profile => {
+        entries.forEach(([flag, on]) => {
+          const field = LINK_LISTS[flag];
+          const ids = profile[field].filter(existing => existing !== id);
+          if (on) ids.unshift(id);
+          // The read list just forgets the oldest; bookmarks and hidden links are never dropped
+          if (ids.length > LIST_LIMIT) {
+            if (field !== 'read') throw badRequest(`${field} can hold at most ${LIST_LIMIT} links`);
+            ids.length = LIST_LIMIT;
+          }
+          profile[field] = ids;
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createAccountStore, hashPassword, verifyPassword, SESSION_TTL, LOGIN_TOKEN_TTL };
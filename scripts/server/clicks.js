@@ -0,0 +1,71 @@
+// Click counting for /go/:id - file-backed store, bot filter and rate limits
+
+const { readJson, writeJsonAtomic } = require('../json-file');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|fetch|monitor|facebookexternalhit|embedly|curl|wget|python-requests|axios|node-fetch|go-http-client|headless|lighthouse/i;
+
+function isBot(req) {
+  const userAgent = req.headers['user-agent'] || '';
+  if (!userAgent) return true;
+  // Link prefetchers announce themselves with these headers
+  if (/prefetch|preview/i.test(req.headers['purpose'] || req.headers['sec-purpose'] || req.headers['x-moz'] || '')) return true;
+  return BOT_PATTERN.test(userAgent);
+}
+
+// The peer address, unless `trustedProxies` proxies we run sit in front of us: each appends
+// the address it saw to X-Forwarded-For, so the client is that many entries from the right.
+// Anything further left came from the client and could say anything.
+function clientIp(req, trustedProxies = 0) {
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (trustedProxies > 0 && forwarded.length) return forwarded[Math.max(0, forwarded.length - trustedProxies)];
+  return req.socket.remoteAddress || '';
+}
+
+// Fixed-window counter: allow `max` hits per key per `windowMs`
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  return function hit(key, now = Date.now()) {
+    const entry = windows.get(key);
+    if (!entry || now - entry.start >= windowMs) {
+      windows.set(key, { start: now, count: 1 });
+      if (windows.size > 10000) prune(now);
+      return true;
+    }
+    entry.count += 1;
+    return entry.count <= max;
+  };
+
+  function prune(now) {
+    windows.forEach((entry, key) => {
+      if (now - entry.start >= windowMs) windows.delete(key);
+    });
+  }
+}
+
+// Counts live in memory and are flushed to disk at most every `flushMs`
+function createClickStore(file, { flushMs = 5000 } = {}) {
+  const data = { counts: {}, updatedAt: null, ...readJson(file, {}) };
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    writeJsonAtomic(file, data);
+  }
+
+  return {
+    record(id) {
+      data.counts[id] = (data.counts[id] || 0) + 1;
+      data.updatedAt = new Date().toISOString();
+      if (!timer) timer = setTimeout(flush, flushMs);
+      return data.counts[id];
+    },
+    stats() {
+      return { counts: { ...data.counts }, updatedAt: data.updatedAt };
+    },
+    flush
+  };
+}
+
+module.exports = { isBot, clientIp, createRateLimiter, createClickStore };
@@ -0,0 +1,74 @@
+// Small helpers shared by the server's route handlers
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+}
+
+function sendText(res, status, text, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(text);
+}
+
+// Parse a JSON request body, refusing anything over `limit` bytes. Every endpoint takes
+// an object, so null, arrays and bare values are a 400 rather than a TypeError later.
+function readJsonBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+      } catch (error) {
+        return reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+// null when the cookie is missing or its value isn't valid percent-encoding
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const pair = header.split(';').map(part => part.trim().split('=')).find(([key]) => key === name);
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Requests without an Origin header (curl, server-side clients) count as same-origin;
+// browsers always send one with a cross-site POST
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  return !origin || origin === `http://${req.headers.host}` || origin === `https://${req.headers.host}`;
+}
+
+function redirect(res, location, status = 302, headers = {}) {
+  res.writeHead(status, { 'Location': location, 'Cache-Control': 'no-store', ...headers });
+  res.end();
+}
+
+module.exports = { sendJson, sendText, redirect, readJsonBody, readCookie, isSameOrigin };
@@ -0,0 +1,315 @@
+// Viral Nexus server: serves the static site plus a few dynamic endpoints
+//
+//   GET /go/:id      count a click and redirect to the link's URL
+//   GET /api/stats   click counts per link id
+//   GET /api/v1/links    ?category=&q=&since=&limit=&cursor= over the hot links
+//   POST /api/subscribe, GET /api/subscribe/confirm, GET /api/unsubscribe   Viral Digest
+//   POST /api/auth/register|login|logout    { email, password } reader accounts
+//   POST /api/auth/magic-link               { email } mails a one-time login link,
+//   GET  /api/auth/magic-link/confirm       which lands here and starts the session
+//   GET|PATCH /api/me                       the logged-in reader and their profile
+//   POST /api/me/links/:id                  { bookmarked, hidden, read }
+//   GET  /api/me/saved                      the reader's bookmarked links
+//   POST /api/submissions                   { url, category } queue a link for review
+//   GET  /api/votes                         vote tallies per link id, plus the caller's votes
+//   POST /api/links/:id/vote                { vote: 1 | -1 | 0 } one vote per reader or device
+//
+// Run from the repo root with `node scripts/server` (PORT defaults to 3000). Behind a reverse
+// proxy, set TRUST_PROXY to the number of proxies so rate limits see the reader's address.
+// DEVICE_SECRET signs voters' device cookies (a key is generated in data/private/ otherwise).
+// State lives in data/private/, which is never served.
+
+const http = require('http');
+const path = require('path');
+const { serveStatic } = require('./static');
+const { sendJson, sendText, redirect, readJsonBody, readCookie, isSameOrigin } = require('./http');
+const { createLinkIndex } = require('./links');
+const { isBot, clientIp, createRateLimiter, createClickStore } = require('./clicks');
+const { createSubscriberStore } = require('./subscribers');
+const { createAccountStore, SESSION_TTL, LOGIN_TOKEN_TTL } = require('./accounts');
+const { createVoteStore, createDeviceIds, loadDeviceSecret, voterKey } = require('./votes');
+const { createSubmissions } = require('./submissions');
+const { queryLinks, loadSynonyms } = require('../api');
+const { isHttpUrl, publishedLinks } = require('../link-schema');
+const { buildConfirmationEmail, buildLoginEmail, escapeHtml } = require('../digest');
+const { createMailer } = require('../mailer');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PRIVATE_DIR = path.join(ROOT, 'data', 'private');
+const SESSION_COOKIE = 'vn_session';
+const DEVICE_COOKIE = 'vn_device';
+const DEVICE_TTL = 365 * 24 * 60 * 60 * 1000;
+
+function sendPage(res, status, title, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(title)} - Viral Nexus</title><link rel="stylesheet" href="/style.css"></head>
+<body><main class="container"><section id="hero"><h2>${escapeHtml(title)}</h2><p class="empty">${escapeHtml(message)}</p><p class="empty"><a href="/">Back to Viral Nexus</a></p></section></main></body>
+</html>
+`);
+}
+
+function createApp({
+  root = ROOT,
+  privateDir = PRIVATE_DIR,
+  mailer,
+  publicUrl = process.env.PUBLIC_URL,
+  trustProxy = Number(process.env.TRUST_PROXY) || 0,
+  deviceSecret = process.env.DEVICE_SECRET,
+  fetchMetadata
+} = {}) {
+  const links = createLinkIndex(root);
+  const clicks = createClickStore(path.join(privateDir, 'clicks.json'));
+  const subscribers = createSubscriberStore(path.join(privateDir, 'subscribers.json'));
+  const accounts = createAccountStore(path.join(privateDir, 'accounts.json'));
+  const votes = createVoteStore(path.join(privateDir, 'votes.json'));
+  const devices = createDeviceIds(loadDeviceSecret(path.join(privateDir, 'device-secret'), deviceSecret));
+  const submissions = createSubmissions({ root, links, fetchMetadata });
+  const getMailer = () => mailer || (mailer = createMailer());
+  const baseUrlFor = req => (publicUrl || `http://${req.headers.host}`).replace(/\/$/, '');
+  const ipOf = req => clientIp(req, trustProxy);
+  const subscribeLimit = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+  const authLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+  const submitLimit = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+  const voteLimit = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+  // Clearing the cookie gets a new device, so new devices are rationed per IP too
+  const newDeviceLimit = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+  // At most 30 redirects a minute per IP, and one counted click per IP per link per 30 min
+  const redirectLimit = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+  const clickDedupe = createRateLimiter({ windowMs: 30 * 60 * 1000, max: 1 });
+
+  function handleGo(req, res, [id]) {
+    const ip = ipOf(req);
+    if (!redirectLimit(ip)) return sendText(res, 429, 'Too many requests', { 'Retry-After': '60' });
+
+    const link = links.find(id);
+    if (!link || !isHttpUrl(link.url)) return sendText(res, 404, 'Unknown link');
+
+    if (req.method === 'GET' && !isBot(req) && clickDedupe(`${ip}|${id}`)) {
+      clicks.record(id);
+    }
+    redirect(res, link.url);
+  }
+
+  function handleStats(req, res) {
+    const stats = clicks.stats();
+    const total = Object.values(stats.counts).reduce((sum, n) => sum + n, 0);
+    sendJson(res, 200, { ...stats, total });
+  }
+
+  function handleLinksQuery(req, res) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const synonyms = loadSynonyms(root);
+    // Links an editor hid stay in links.json but are never served
+    const published = publishedLinks(links.hot());
+    sendJson(res, 200, queryLinks(published, searchParams, { synonyms }), { 'Access-Control-Allow-Origin': '*' });
+  }
+
+  async function handleSubscribe(req, res) {
+    if (!subscribeLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many requests' });
+    // The same answer whether or not the address is subscribed, so it tells a stranger nothing
+    await subscribers.subscribe(await readJsonBody(req), async subscriber => {
+      try {
+        await getMailer().send({ to: subscriber.email, ...buildConfirmationEmail(subscriber, { baseUrl: baseUrlFor(req) }) });
+      } catch (error) {
+        console.error(`⚠️ Could not send a confirmation email: ${error.message}`);
+        throw Object.assign(new Error('We couldn\'t send the confirmation email. Please try again in a few minutes.'), { status: 503 });
+      }
+    });
+    sendJson(res, 202, { status: 'pending', message: 'Check your inbox to confirm your subscription.' });
+  }
+
+  function handleConfirm(req, res) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const subscriber = subscribers.confirm(token);
+    if (!subscriber) return sendPage(res, 404, 'Link expired', 'This confirmation link is invalid or was already used.');
+    sendPage(res, 200, 'You\'re subscribed!', `The ${subscriber.frequency} Viral Digest is on its way to ${subscriber.email}.`);
+  }
+
+  function handleUnsubscribe(req, res) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const subscriber = subscribers.unsubscribe(token);
+    if (!subscriber) return sendPage(res, 404, 'Unknown link', 'This unsubscribe link is invalid.');
+    sendPage(res, 200, 'Unsubscribed', `${subscriber.email} will not receive any more digests.`);
+  }
+
+  function cookie(name, value, ttl) {
+    const maxAge = value ? Math.floor(ttl / 1000) : 0;
+    const secure = (publicUrl || '').startsWith('https:') ? '; Secure' : '';
+    return `${name}=${value || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+  }
+
+  // Lax rather than Strict, so following a login link from an email client keeps the session
+  function sessionCookie(token) {
+    return cookie(SESSION_COOKIE, token, SESSION_TTL);
+  }
+
+  async function handleRegister(req, res) {
+    if (!authLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many attempts, try again later' });
+    const session = await accounts.register(await readJsonBody(req));
+    sendJson(res, 201, { user: session.user }, { 'Set-Cookie': sessionCookie(session.token) });
+  }
+
+  async function handleLogin(req, res) {
+    if (!authLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many attempts, try again later' });
+    const session = await accounts.login(await readJsonBody(req));
+    if (!session) return sendJson(res, 401, { error: 'Wrong email or password' });
+    sendJson(res, 200, { user: session.user }, { 'Set-Cookie': sessionCookie(session.token) });
+  }
+
+  async function handleMagicLink(req, res) {
+    if (!authLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many attempts, try again later' });
+    const login = accounts.requestLoginLink(await readJsonBody(req));
+    const email = buildLoginEmail(login, { baseUrl: baseUrlFor(req), ttlMinutes: LOGIN_TOKEN_TTL / 60000 });
+    await getMailer().send({ to: login.email, ...email });
+    sendJson(res, 202, { message: 'Check your inbox for a login link.' });
+  }
+
+  function handleMagicLinkConfirm(req, res) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const session = accounts.redeemLoginLink(token);
+    if (!session) return sendPage(res, 404, 'Link expired', 'This login link is invalid, expired or was already used.');
+    redirect(res, '/', 302, { 'Set-Cookie': sessionCookie(session.token) });
+  }
+
+  function handleLogout(req, res) {
+    accounts.logout(readCookie(req, SESSION_COOKIE));
+    sendJson(res, 200, {}, { 'Set-Cookie': sessionCookie(null) });
+  }
+
+  function handleMe(req, res, params, { id, ...user }) {
+    sendJson(res, 200, { user });
+  }
+
+  async function handleUpdateMe(req, res, params, user) {
+    sendJson(res, 200, { user: accounts.updateProfile(user.id, await readJsonBody(req)) });
+  }
+
+  async function handleLinkFlags(req, res, [id], user) {
+    const flags = await readJsonBody(req);
+    if (!links.find(id)) return sendJson(res, 404, { error: 'Unknown link' });
+    sendJson(res, 200, { user: accounts.setLinkFlags(user.id, id, flags) });
+  }
+
+  // Full links, so the Saved tab works for links that have since left the hot list
+  function handleSaved(req, res, params, user) {
+    const saved = publishedLinks(user.profile.bookmarks.map(id => links.find(id)).filter(Boolean));
+    sendJson(res, 200, { links: saved });
+  }
+
+  async function handleSubmit(req, res) {
+    if (!submitLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many submissions, try again later' });
+    const user = accounts.session(readCookie(req, SESSION_COOKIE));
+    try {
+      const item = await submissions.submit(await readJsonBody(req), { submittedBy: user ? user.id : null });
+      sendJson(res, 202, {
+        message: 'Thanks! Your link is waiting for an editor to review it.',
+        item: { title: item.title, description: item.description, thumbnail: item.thumbnail, category: item.category }
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      sendJson(res, error.status, { error: error.message, link: error.link });
+    }
+  }
+
+  // Logged-in readers vote as themselves, everyone else as their device
+  function voterFor(req) {
+    const user = accounts.session(readCookie(req, SESSION_COOKIE));
+    return voterKey({ userId: user && user.id, deviceId: devices.verify(readCookie(req, DEVICE_COOKIE)) });
+  }
+
+  function handleVotes(req, res) {
+    sendJson(res, 200, votes.stats(voterFor(req)));
+  }
+
+  async function handleVote(req, res, [id]) {
+    if (!voteLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many votes, slow down' });
+    const { vote } = await readJsonBody(req);
+    if (!links.find(id)) return sendJson(res, 404, { error: 'Unknown link' });
+
+    const headers = {};
+    let voter = voterFor(req);
+    if (!voter) {
+      if (!newDeviceLimit(ipOf(req))) return sendJson(res, 429, { error: 'Too many votes from new devices, try again later' });
+      const device = devices.issue();
+      headers['Set-Cookie'] = cookie(DEVICE_COOKIE, device, DEVICE_TTL);
+      voter = voterKey({ deviceId: devices.verify(device) });
+    }
+    sendJson(res, 200, { id, vote, ...votes.vote(id, voter, vote) }, headers);
+  }
+
+  const routes = [
+    { methods: ['GET', 'HEAD'], pattern: /^\/go\/([^/]+)$/, handler: handleGo },
+    { methods: ['GET', 'HEAD'], pattern: /^\/api\/stats$/, handler: handleStats },
+    { methods: ['GET', 'HEAD'], pattern: /^\/api\/v1\/links$/, handler: handleLinksQuery },
+    { methods: ['POST'], pattern: /^\/api\/subscribe$/, handler: handleSubscribe },
+    { methods: ['GET'], pattern: /^\/api\/subscribe\/confirm$/, handler: handleConfirm },
+    { methods: ['GET'], pattern: /^\/api\/unsubscribe$/, handler: handleUnsubscribe },
+    { methods: ['POST'], pattern: /^\/api\/auth\/register$/, handler: handleRegister },
+    { methods: ['POST'], pattern: /^\/api\/auth\/login$/, handler: handleLogin },
+    { methods: ['POST'], pattern: /^\/api\/auth\/magic-link$/, handler: handleMagicLink },
+    { methods: ['GET'], pattern: /^\/api\/auth\/magic-link\/confirm$/, handler: handleMagicLinkConfirm },
+    { methods: ['POST'], pattern: /^\/api\/auth\/logout$/, handler: handleLogout },
+    { methods: ['GET'], pattern: /^\/api\/me$/, handler: handleMe, user: true },
+    { methods: ['PATCH'], pattern: /^\/api\/me$/, handler: handleUpdateMe, user: true },
+    { methods: ['POST'], pattern: /^\/api\/me\/links\/([^/]+)$/, handler: handleLinkFlags, user: true },
+    { methods: ['GET'], pattern: /^\/api\/me\/saved$/, handler: handleSaved, user: true },
+    { methods: ['POST'], pattern: /^\/api\/submissions$/, handler: handleSubmit },
+    { methods: ['GET', 'HEAD'], pattern: /^\/api\/votes$/, handler: handleVotes },
+    { methods: ['POST'], pattern: /^\/api\/links\/([^/]+)\/vote$/, handler: handleVote }
+  ];
+
+  function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    // The same path can have a route per method (GET and PATCH /api/me)
+    const matching = routes.filter(route => route.pattern.test(pathname));
+    const route = matching.find(candidate => candidate.methods.includes(req.method));
+    if (!route && matching.length) {
+      const allowed = [...new Set(matching.flatMap(candidate => candidate.methods))];
+      return sendText(res, 405, 'Method not allowed', { 'Allow': allowed.join(', ') });
+    }
+    if (route) {
+      const match = pathname.match(route.pattern);
+      // Session cookies ride along on every request, so changes only from this site's pages
+      if (!['GET', 'HEAD'].includes(req.method) && !isSameOrigin(req)) {
+        return sendJson(res, 403, { error: 'Cross-origin request refused' });
+      }
+      return Promise.resolve()
+        .then(() => {
+          const user = route.user ? accounts.session(readCookie(req, SESSION_COOKIE)) : null;
+          if (route.user && !user) return sendJson(res, 401, { error: 'Please log in' });
+          return route.handler(req, res, match.slice(1).map(decodeURIComponent), user);
+        })
+        .catch(error => {
+          if (error instanceof URIError) return sendText(res, 400, 'Bad request');
+          if (error.status) return sendJson(res, error.status, { error: error.message });
+          console.error(`❌ ${req.method} ${pathname}:`, error);
+          if (!res.headersSent) sendText(res, 500, 'Internal error');
+        });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method not allowed');
+    serveStatic(root, req, res);
+  }
+
+  return { handle, routes, clicks, links, accounts };
+}
+
+function start(port = Number(process.env.PORT) || 3000) {
+  const app = createApp();
+  const server = http.createServer(app.handle);
+
+  const shutdown = () => {
+    app.clicks.flush();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  server.listen(port, () => console.log(`🚀 Viral Nexus running at http://localhost:${port}`));
+  return server;
+}
+
+if (require.main === module) start();
+
+module.exports = { createApp, start };
@@ -0,0 +1,61 @@
+// Look up published links by id or URL - links.json first, then the monthly archive.
+// A link an editor hid is never found, even if an older copy of it is archived.
+
+const fs = require('fs');
+const path = require('path');
+const { parseLinksText } = require('../link-schema');
+const { canonicalUrl } = require('../merge');
+
+function createLinkIndex(root) {
+  const cache = new Map();
+
+  // Re-read a file only when its mtime changes
+  function load(file) {
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch (error) {
+      return [];
+    }
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.links;
+    const { links } = parseLinksText(fs.readFileSync(file, 'utf8'));
+    cache.set(file, { mtimeMs: stats.mtimeMs, links });
+    return links;
+  }
+
+  function archiveFiles() {
+    const dir = path.join(root, 'data', 'archive');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => /^\d{4}-\d{2}\.json$/.test(name))
+      .sort()
+      .reverse()
+      .map(name => path.join(dir, name));
+  }
+
+  return {
+    hot() {
+      return load(path.join(root, 'links.json'));
+    },
+    find(id) {
+      return this.findWhere(link => String(link.id) === id);
+    },
+    // Same story, going by the canonical URL (tracking parameters, www. and so on ignored)
+    findByUrl(url) {
+      const key = canonicalUrl(url);
+      return this.findWhere(link => canonicalUrl(link.url) === key);
+    },
+    findWhere(match) {
+      const hot = this.hot().find(match);
+      if (hot) return hot.hidden ? null : hot;
+      for (const file of archiveFiles()) {
+        const archived = load(file).find(match);
+        if (archived) return archived.hidden ? null : archived;
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = { createLinkIndex };
@@ -0,0 +1,65 @@
+// Minimal static file handler for the site root
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+// Never serve dotfiles, server code or server-side state. The review queue and quarantine
+// are for editors only: the site never reads them.
+const BLOCKED = [
+  /(^|\/)\./,
+  /^scripts\//,
+  /^node_modules\//,
+  /^data\/private\//,
+  /^data\/candidates\.json$/,
+  /^data\/quarantine\.json$/
+];
+
+function serveStatic(root, req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    res.writeHead(400);
+    return res.end('Bad request');
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  const relative = path.posix.normalize(pathname).replace(/^\/+/, '');
+  const file = path.join(root, relative);
+  if (!file.startsWith(root + path.sep) || BLOCKED.some(pattern => pattern.test(relative))) {
+    res.writeHead(404);
+    return res.end('Not found');
+  }
+
+  fs.stat(file, (error, stats) => {
+    if (error || !stats.isFile()) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stats.size
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+module.exports = { serveStatic, MIME_TYPES };
@@ -0,0 +1,60 @@
+// Community link submissions: a URL and a category from a reader
+//
+// The page's title, description and image are fetched to fill in the rest, the URL is
+// checked against every published link (hot list and archive) and the review queue, and
+// the result waits in the curator's candidate queue (candidates.js) for an editor.
+
+const path = require('path');
+const { CATEGORIES, isHttpUrl } = require('../link-schema');
+const { CANDIDATES_FILE, submitCandidate } = require('../candidates');
+const { fetchPageMetadata } = require('../page-metadata');
+const { createHttpClient } = require('../http-client');
+
+function httpError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function createSubmissions({ root, links, fetchMetadata }) {
+  const file = path.join(root, CANDIDATES_FILE);
+  const http = createHttpClient({ cacheDir: null });
+  const readPage = fetchMetadata || (url => fetchPageMetadata(url, { http }));
+
+  function assertNotPublished(url) {
+    const existing = links.findByUrl(url);
+    if (existing) {
+      throw httpError(409, `Already on Viral Nexus: "${existing.title}"`, { link: { id: existing.id, title: existing.title } });
+    }
+  }
+
+  return {
+    // Resolves to the queued item; errors carry an HTTP status
+    async submit({ url, category } = {}, { submittedBy = null } = {}) {
+      const given = String(url || '').trim();
+      if (!isHttpUrl(given) || given.length > 2000) throw httpError(400, 'Enter the full address of the page, starting with http:// or https://');
+      if (!CATEGORIES.includes(category)) throw httpError(400, `Pick a category: ${CATEGORIES.join(', ')}`);
+      assertNotPublished(given);
+
+      let page;
+      try {
+        page = await readPage(given);
+      } catch (error) {
+        throw httpError(422, `Couldn't read that page (${error.message}). Check the address and try again.`);
+      }
+      if (!page.title) throw httpError(422, 'That page has no title to show. Submit the article itself rather than a file or image.');
+      // Redirects can land on a story that is already here under another address
+      if (page.url !== given) assertNotPublished(page.url);
+
+      return submitCandidate({
+        title: page.title,
+        url: page.url,
+        description: page.description || undefined,
+        thumbnail: page.image || undefined,
+        category,
+        source: 'Community',
+        submittedBy
+      }, { file });
+    }
+  };
+}
+
+module.exports = { createSubmissions };
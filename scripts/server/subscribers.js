@@ -0,0 +1,115 @@
+// Viral Digest subscribers with double opt-in
+//
+// A subscription starts "pending" with a confirm token that is mailed to the address;
+// only confirmed ("active") subscribers receive digests. Every subscriber also has a
+// permanent unsubscribe token used in the footer of each email.
+//
+// Anyone can post an address, so new preferences for an active subscriber wait in
+// `pendingChange` until the link mailed to that address confirms them.
+
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../json-file');
+const { CATEGORIES } = require('../link-schema');
+
+const FREQUENCIES = ['daily', 'weekly'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function token() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function normalizeSubscription({ email, categories, frequency = 'daily' }) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address) || address.length > 254) throw badRequest('A valid email address is required');
+
+  const picked = Array.isArray(categories) && categories.length ? categories : CATEGORIES;
+  const unknown = picked.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length) throw badRequest(`Unknown categories: ${unknown.join(', ')}`);
+  if (!FREQUENCIES.includes(frequency)) throw badRequest(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+
+  return { email: address, categories: [...new Set(picked)], frequency };
+}
+
+function createSubscriberStore(file) {
+  const load = () => readJson(file, []);
+  const save = subscribers => writeJsonAtomic(file, subscribers);
+
+  return {
+    // Mails the confirm link through `deliver(subscriber)` and saves only once it's sent, so
+    // a failed send leaves nothing behind. Resolves to what was mailed: the subscriber with a
+    // fresh confirm token and the preferences asked for. An active subscriber keeps their
+    // current ones until they confirm.
+    async subscribe(input, deliver = async () => {}) {
+      const subscription = normalizeSubscription(input);
+      const preferences = { categories: subscription.categories, frequency: subscription.frequency };
+      const confirmToken = token();
+      const known = load().find(s => s.email === subscription.email);
+      await deliver({ ...(known || { email: subscription.email }), ...preferences, confirmToken });
+
+      // Read again: other requests may have saved while the mail was on its way
+      const subscribers = load();
+      let subscriber = subscribers.find(s => s.email === subscription.email);
+      if (!subscriber) {
+        subscriber = { email: subscription.email, unsubscribeToken: token(), createdAt: new Date().toISOString() };
+        subscribers.push(subscriber);
+      }
+      if (subscriber.status === 'active') {
+        subscriber.pendingChange = preferences;
+      } else {
+        Object.assign(subscriber, preferences);
+        subscriber.status = 'pending';
+      }
+      subscriber.confirmToken = confirmToken;
+
+      save(subscribers);
+      return { ...subscriber, ...preferences };
+    },
+
+    confirm(confirmToken) {
+      const subscribers = load();
+      const subscriber = confirmToken && subscribers.find(s => s.confirmToken === confirmToken);
+      if (!subscriber) return null;
+      if (subscriber.pendingChange) {
+        Object.assign(subscriber, subscriber.pendingChange);
+        subscriber.updatedAt = new Date().toISOString();
+        delete subscriber.pendingChange;
+      } else {
+        subscriber.confirmedAt = new Date().toISOString();
+      }
+      subscriber.status = 'active';
+      delete subscriber.confirmToken;
+      save(subscribers);
+      return subscriber;
+    },
+
+    unsubscribe(unsubscribeToken) {
+      const subscribers = load();
+      const subscriber = unsubscribeToken && subscribers.find(s => s.unsubscribeToken === unsubscribeToken);
+      if (!subscriber) return null;
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = new Date().toISOString();
+      delete subscriber.confirmToken;
+      delete subscriber.pendingChange;
+      save(subscribers);
+      return subscriber;
+    },
+
+    active(frequency) {
+      return load().filter(s => s.status === 'active' && (!frequency || s.frequency === frequency));
+    },
+
+    markSent(email, sentAt = new Date().toISOString()) {
+      const subscribers = load();
+      const subscriber = subscribers.find(s => s.email === email);
+      if (!subscriber) return;
+      subscriber.lastSentAt = sentAt;
+      save(subscribers);
+    }
+  };
+}
+
+module.exports = { createSubscriberStore, normalizeSubscription, FREQUENCIES, EMAIL_PATTERN };
@@ -0,0 +1,99 @@
+// Reader votes: one up or down vote per link per voter
+//
+// A voter is a logged-in account or, for everyone else, a device: a random id the server
+// issues in a long-lived cookie, signed with an HMAC so a client can't make up ids of its
+// own. Only a hash of the device id is stored. data/private/votes.json keeps
+// each vote and the per-link tallies, which the curator reads to adjust viralScore.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('../json-file');
+
+const VALUES = [1, 0, -1];
+
+function hashId(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+// "user:<account id>" or "device:<hashed device id>"
+function voterKey({ userId, deviceId }) {
+  if (userId) return `user:${userId}`;
+  return deviceId ? `device:${hashId(deviceId)}` : null;
+}
+
+// The signing key: `secret` when given (DEVICE_SECRET), otherwise a random one kept in
+// `file` so issued cookies stay valid across restarts
+function loadDeviceSecret(file, secret) {
+  if (secret) return secret;
+  if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8').trim();
+  const generated = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, generated + '\n', { mode: 0o600 });
+  return generated;
+}
+
+// Cookie values are "<id>.<signature>"; verify() returns the id, or null for anything the
+// server didn't issue
+function createDeviceIds(secret) {
+  const sign = id => crypto.createHmac('sha256', secret).update(id).digest('hex');
+
+  return {
+    issue() {
+      const id = crypto.randomBytes(16).toString('hex');
+      return `${id}.${sign(id)}`;
+    },
+    verify(value) {
+      const [id, signature, extra] = String(value || '').split('.');
+      if (!/^[0-9a-f]{32}$/.test(id) || !/^[0-9a-f]{64}$/.test(signature || '') || extra !== undefined) return null;
+      return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(sign(id), 'hex')) ? id : null;
+    }
+  };
+}
+
+function tally(votes) {
+  const up = Object.values(votes).filter(value => value === 1).length;
+  return { up, down: Object.keys(votes).length - up };
+}
+
+function createVoteStore(file) {
+  const load = () => ({ votes: {}, counts: {}, updatedAt: null, ...readJson(file, {}) });
+  const save = data => writeJsonAtomic(file, data);
+
+  return {
+    // value: 1 (up), -1 (down) or 0 (take the vote back). Returns the link's new tally.
+    vote(linkId, voter, value) {
+      if (!VALUES.includes(value)) throw Object.assign(new Error('vote must be 1, -1 or 0'), { status: 400 });
+      const data = load();
+      const votes = { ...data.votes[linkId] };
+      if (value) votes[voter] = value;
+      else delete votes[voter];
+
+      if (Object.keys(votes).length) {
+        data.votes[linkId] = votes;
+        data.counts[linkId] = tally(votes);
+      } else {
+        delete data.votes[linkId];
+        delete data.counts[linkId];
+      }
+      data.updatedAt = new Date().toISOString();
+      save(data);
+      return data.counts[linkId] || { up: 0, down: 0 };
+    },
+
+    // { counts: { [id]: { up, down } }, updatedAt }, plus `mine` ({ [id]: 1 | -1 }) for a voter
+    stats(voter) {
+      const { votes, counts, updatedAt } = load();
+      const result = { counts, updatedAt };
+      if (voter) {
+        result.mine = {};
+        Object.entries(votes).forEach(([id, byVoter]) => {
+          if (byVoter[voter]) result.mine[id] = byVoter[voter];
+        });
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createVoteStore, createDeviceIds, loadDeviceSecret, voterKey };
@@ -0,0 +1,47 @@
+// Hacker News adapter - scrapes the front page lists (news, best, newest) with cheerio
+
+const cheerio = require('cheerio');
+const { categoryFor } = require('../categorize');
+
+const BASE_URL = 'https://news.ycombinator.com/';
+
+function parse(html, options = {}) {
+  const $ = cheerio.load(html);
+  const items = [];
+
+  $('tr.athing').each((_, row) => {
+    const anchor = $(row).find('.titleline > a').first();
+    const title = anchor.text().trim();
+    if (!title) return;
+
+    // Self posts ("Ask HN") link relatively to item?id=
+    const url = new URL(anchor.attr('href'), options.baseUrl || BASE_URL).toString();
+    const subtext = $(row).next();
+    const score = parseInt(subtext.find('.score').text(), 10) || 0;
+    const commentsText = subtext.find('a').filter((__, a) => /comment/.test($(a).text())).text();
+    const comments = parseInt(commentsText.replace(/\s/g, ''), 10) || 0;
+
+    items.push({
+      title,
+      url,
+      score,
+      comments,
+      source: 'Hacker News',
+      ...categoryFor(title, 'hackernews', options)
+    });
+  });
+
+  return items.slice(0, options.limit || items.length);
+}
+
+async function fetch(options, { http }) {
+  const { list = 'best', baseUrl = BASE_URL } = options;
+  const response = await http.get(`${baseUrl}${list}`, {
+    headers: { 'Accept': 'text/html' },
+    responseType: 'text',
+    timeout: options.timeout
+  });
+  return parse(response.data, options);
+}
+
+module.exports = { type: 'hackernews', fetch, parse };
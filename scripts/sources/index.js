@@ -0,0 +1,62 @@
+// Source adapter registry
+//
+// Every adapter exports { type, fetch(options, { http }), parse(body, options) } and resolves to
+// normalized items: { title, url, score, source, category }, optionally with `comments`,
+// `permalink` and the moderation flags `nsfw`, `spoiler` and `stickied` (true when the
+// source marks an item that way). Items from a publisher's own feed (adapters exporting
+// `firstParty: true`) are marked `firstParty`. `parse` is pure so recorded
+// responses can be replayed without the network. `http` is the shared client from
+// http-client.js (retries, caching, concurrency); a source's `timeout` option overrides
+// its request timeout, and reddit/hackernews take a `baseUrl` (a mirror or a local fake).
+
+const { createHttpClient } = require('../http-client');
+
+const ADAPTERS = {
+  reddit: require('./reddit'),
+  hackernews: require('./hackernews'),
+  rss: require('./rss'),
+  youtube: require('./youtube')
+};
+
+function describeSource(options) {
+  return options.name || (options.subreddit && `r/${options.subreddit}`) || options.url || options.type;
+}
+
+// Check the "sources" list from viral-nexus.config.json and return the enabled ones
+function enabledSources(sources, file = 'the config') {
+  if (!Array.isArray(sources)) throw new Error(`${file} must list "sources"`);
+
+  sources.forEach(source => {
+    if (!source || !ADAPTERS[source.type]) {
+      throw new Error(`Unknown source type "${source && source.type}" in ${file} (expected ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+  });
+  return sources.filter(source => source.enabled !== false);
+}
+
+// Fetch every configured source at once (the HTTP client caps the requests in flight);
+// one failing source never sinks the others. Returns { items, sources }, where sources
+// holds one result per source, in config order:
+//   { name, type, status: 'ok' | 'failed', items, latencyMs, requests, retries, cacheHits, error? }
+async function fetchFromSources(sources, { http = createHttpClient() } = {}) {
+  const results = await Promise.all(sources.map(async options => {
+    const name = describeSource(options);
+    const client = http.child();
+    const started = Date.now();
+    const result = status => ({ name, type: options.type, status, latencyMs: Date.now() - started, ...client.stats() });
+    try {
+      const adapter = ADAPTERS[options.type];
+      const fetched = await adapter.fetch(options, { http: client });
+      const items = adapter.firstParty ? fetched.map(item => ({ ...item, firstParty: true })) : fetched;
+      console.log(`  ✅ Got ${items.length} items from ${name}`);
+      return { items, report: { ...result('ok'), items: items.length } };
+    } catch (error) {
+      console.log(`  ⚠️ Failed to fetch ${name}: ${error.message}`);
+      return { items: [], report: { ...result('failed'), items: 0, error: error.message } };
+    }
+  }));
+
+  return { items: results.flatMap(r => r.items), sources: results.map(r => r.report) };
+}
+
+module.exports = { ADAPTERS, enabledSources, fetchFromSources, describeSource };
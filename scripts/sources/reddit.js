@@ -0,0 +1,34 @@
+// Reddit listing adapter (hot/top/new .json endpoints)
+// Items also carry the post's permalink so the merge step can match it to the outbound link,
+// and Reddit's over_18/spoiler/stickied flags for the moderation step.
+
+const { categoryFor } = require('../categorize');
+
+const BASE_URL = 'https://www.reddit.com';
+
+function parse(body, options = {}) {
+  const posts = (body && body.data && body.data.children) || [];
+  return posts.map(post => ({
+    title: post.data.title,
+    url: post.data.url,
+    permalink: `https://www.reddit.com${post.data.permalink}`,
+    score: post.data.score,
+    comments: post.data.num_comments || 0,
+    source: `r/${post.data.subreddit}`,
+    nsfw: Boolean(post.data.over_18),
+    spoiler: Boolean(post.data.spoiler),
+    stickied: Boolean(post.data.stickied),
+    ...categoryFor(post.data.title, post.data.subreddit, options)
+  }));
+}
+
+async function fetch(options, { http }) {
+  const { subreddit = 'popular', sort = 'hot', limit = 10, baseUrl = BASE_URL } = options;
+  const response = await http.get(`${baseUrl}/r/${subreddit}/${sort}.json?limit=${limit}`, {
+    headers: { 'Accept': 'application/json' },
+    timeout: options.timeout
+  });
+  return parse(response.data, options);
+}
+
+module.exports = { type: 'reddit', fetch, parse };
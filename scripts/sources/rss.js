@@ -0,0 +1,59 @@
+// Generic RSS 2.0 / Atom feed adapter
+// Feeds carry no popularity score, so items are scored by their position in the feed.
+
+const cheerio = require('cheerio');
+const { categoryFor } = require('../categorize');
+
+function positionScore(index, options) {
+  const baseScore = options.baseScore || 1000;
+  return Math.round(baseScore / (index + 1));
+}
+
+// Media RSS lets a feed rate an item (or the whole channel) "adult"
+function adultFlag($, node) {
+  const rating = $(node).find('media\\:rating').first().text() || $('channel > media\\:rating, feed > media\\:rating').first().text();
+  return rating.trim().toLowerCase() === 'adult' ? { nsfw: true } : {};
+}
+
+function parse(xml, options = {}) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const feedTitle = $('channel > title').first().text().trim() || $('feed > title').first().text().trim();
+  const source = options.name || feedTitle || 'RSS';
+  const items = [];
+
+  // RSS 2.0
+  $('item').each((_, node) => {
+    const title = $(node).children('title').text().trim();
+    const url = $(node).children('link').text().trim() || $(node).children('guid').text().trim();
+    if (title && url) items.push({ title, url, ...adultFlag($, node) });
+  });
+
+  // Atom - prefer rel="alternate" (or no rel) links
+  $('entry').each((_, node) => {
+    const title = $(node).children('title').text().trim();
+    const links = $(node).children('link');
+    const alternate = links.filter((__, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate').first();
+    const url = (alternate.length ? alternate : links.first()).attr('href');
+    if (title && url) items.push({ title, url: url.trim(), ...adultFlag($, node) });
+  });
+
+  return items.slice(0, options.limit || items.length).map((item, index) => ({
+    ...item,
+    score: positionScore(index, options),
+    source,
+    ...categoryFor(item.title, source, options)
+  }));
+}
+
+async function fetch(options, { http }) {
+  if (!options.url) throw new Error('rss source needs a "url"');
+  const response = await http.get(options.url, {
+    headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+    responseType: 'text',
+    timeout: options.timeout
+  });
+  return parse(response.data, options);
+}
+
+// A feed is the publisher's own list of stories, so its items aren't flooding their site
+module.exports = { type: 'rss', firstParty: true, fetch, parse };
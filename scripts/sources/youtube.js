@@ -0,0 +1,52 @@
+// YouTube feed adapter - channel or playlist Atom feeds (feeds/videos.xml)
+// Uses the view counts from media:statistics as the score.
+
+const cheerio = require('cheerio');
+
+const FEED_URL = 'https://www.youtube.com/feeds/videos.xml';
+
+function feedUrl(options) {
+  if (options.url) return options.url;
+  if (options.playlistId) return `${FEED_URL}?playlist_id=${encodeURIComponent(options.playlistId)}`;
+  if (options.channelId) return `${FEED_URL}?channel_id=${encodeURIComponent(options.channelId)}`;
+  throw new Error('youtube source needs a "playlistId", "channelId" or "url"');
+}
+
+function parse(xml, options = {}) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const source = options.name || `YouTube: ${$('feed > title').first().text().trim() || 'Trending'}`;
+  const items = [];
+
+  $('entry').each((_, node) => {
+    const entry = $(node);
+    const title = entry.children('title').text().trim();
+    const videoId = entry.children('yt\\:videoId').text().trim();
+    const url = videoId
+      ? `https://www.youtube.com/watch?v=${videoId}`
+      : entry.children('link[rel="alternate"]').attr('href');
+    if (!title || !url) return;
+
+    const views = parseInt(entry.find('media\\:statistics').attr('views'), 10) || 0;
+    items.push({
+      title,
+      url,
+      // Scale views down so they sit alongside Reddit/HN upvote counts
+      score: Math.round(views / 100),
+      source,
+      category: options.category || 'videos'
+    });
+  });
+
+  return items.slice(0, options.limit || items.length);
+}
+
+async function fetch(options, { http }) {
+  const response = await http.get(feedUrl(options), {
+    headers: { 'Accept': 'application/atom+xml, application/xml' },
+    responseType: 'text',
+    timeout: options.timeout
+  });
+  return parse(response.data, options);
+}
+
+module.exports = { type: 'youtube', firstParty: true, fetch, parse };
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createAdminApp } = require('../admin');
+const { fixture, useTempRoot, writeFile, readJsonFile, muteConsole } = require('./helpers');
+
+const PASSWORD = 'editor password';
+
+let root;
+let unmute;
+
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+test.beforeEach(() => {
+  root = useTempRoot();
+  writeFile('links.json', fixture('links.json'));
+});
+test.afterEach(() => root.restore());
+
+// The admin tool on a free port over the temp site root. `api` sends JSON with the
+// session cookie once `login` has set it, and resolves to { status, body }.
+async function startAdmin(options = {}) {
+  const app = createAdminApp({ root: root.dir, password: PASSWORD, auditFile: path.join(root.dir, 'audit.jsonl'), ...options });
+  const server = http.createServer(app.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  let cookie = '';
+
+  async function api(method, pathname, body, headers = {}) {
+    const response = await fetch(url + pathname, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json().catch(() => null) };
+  }
+
+  return {
+    app,
+    api,
+    async login(name = 'Ana') {
+      const response = await api('POST', '/api/login', { name, password: PASSWORD });
+      cookie = response.headers.get('set-cookie').split(';')[0];
+      return response;
+    },
+    version: async () => (await api('GET', '/api/links')).body.version,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+test('only a logged-in editor from the same origin gets in', async () => {
+  const admin = await startAdmin();
+  try {
+    assert.strictEqual((await admin.api('GET', '/api/links')).status, 401);
+    assert.strictEqual((await admin.api('POST', '/api/login', { name: 'Ana', password: 'guess' })).status, 401);
+    assert.strictEqual((await admin.api('POST', '/api/login', { name: '<script>', password: PASSWORD })).status, 400);
+
+    const login = await admin.login();
+    assert.strictEqual(login.status, 200);
+    assert.match(login.headers.get('set-cookie'), /HttpOnly; SameSite=Strict/);
+    assert.strictEqual((await admin.api('GET', '/api/session')).body.user, 'Ana');
+
+    const version = await admin.version();
+    const crossSite = await admin.api('POST', '/api/links/1710230000000/pin', { pinned: true, version }, { Origin: 'https://evil.example' });
+    assert.strictEqual(crossSite.status, 403);
+
+    await admin.api('POST', '/api/logout');
+    assert.strictEqual((await admin.api('GET', '/api/links')).status, 401);
+  } finally {
+    await admin.close();
+  }
+  assert.throws(() => createAdminApp({ root: root.dir, password: '' }), /Set ADMIN_PASSWORD/);
+});
+
+test('saves are validated, written whole and republished', async () => {
+  const admin = await startAdmin();
+  try {
+    await admin.login();
+    const added = await admin.api('POST', '/api/links', {
+      version: await admin.version(),
+      link: { title: ' Lighthouse keeper retires after forty years ', url: 'https://www.example.com/lighthouse', category: 'news', keywords: '' }
+    });
+    assert.strictEqual(added.status, 200);
+    const link = readJsonFile('links.json').find(item => item.url === 'https://www.example.com/lighthouse');
+    assert.strictEqual(link.title, 'Lighthouse keeper retires after forty years');
+    assert.ok(link.keywords.length > 0);
+    assert.strictEqual(readJsonFile('api/v1/manifest.json').total, 4);
+    assert.ok(fs.readFileSync('feed.xml', 'utf8').includes('Lighthouse keeper'));
+    assert.deepStrictEqual(fs.readdirSync('.').filter(name => name.endsWith('.tmp')), []);
+
+    // Nothing is written when the result would break the schema, or duplicate a URL
+    const before = fs.readFileSync('links.json', 'utf8');
+    const invalid = await admin.api('PUT', `/api/links/${link.id}`, { version: added.body.version, link: { url: 'javascript:alert(1)' } });
+    assert.strictEqual(invalid.status, 422);
+    assert.deepStrictEqual(invalid.body.problems.map(problem => problem.field), ['url']);
+    const duplicate = await admin.api('PUT', `/api/links/${link.id}`, { version: added.body.version, link: { url: 'https://bbc.co.uk/news/business-68532109?utm_source=x' } });
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual(fs.readFileSync('links.json', 'utf8'), before);
+  } finally {
+    await admin.close();
+  }
+});
+
+test('a save against a links.json that changed since it was loaded is a conflict', async () => {
+  const admin = await startAdmin();
+  try {
+    await admin.login();
+    const version = await admin.version();
+    // A curator run lands in between
+    const links = readJsonFile('links.json');
+    links[0].viralScore = 12;
+    writeFile('links.json', links);
+
+    const stale = await admin.api('PUT', '/api/links/1710230000000', { version, link: { title: 'Rates held again' } });
+    assert.strictEqual(stale.status, 409);
+    assert.match(stale.body.error, /changed since you loaded it/);
+    assert.strictEqual(readJsonFile('links.json')[0].title, 'Central bank holds interest rates for a fifth month');
+
+    const fresh = await admin.api('PUT', '/api/links/1710230000000', { version: await admin.version(), link: { title: 'Rates held again' } });
+    assert.strictEqual(fresh.status, 200);
+    assert.deepStrictEqual(readJsonFile('links.json')[0].viralScore, 12);
+  } finally {
+    await admin.close();
+  }
+});
+
+test('every change is in the audit log, newest first, with who made it', async () => {
+  const admin = await startAdmin();
+  try {
+    await admin.login('Ana');
+    await admin.api('PUT', '/api/links/1710230000000', { version: await admin.version(), link: { title: 'Rates held again' } });
+    await admin.api('POST', '/api/links/1710230000001/hide', { version: await admin.version(), hidden: true });
+
+    const { entries } = (await admin.api('GET', '/api/audit')).body;
+    assert.deepStrictEqual(entries.map(entry => [entry.user, entry.action, entry.id]), [
+      ['Ana', 'hid', '1710230000001'],
+      ['Ana', 'edited', '1710230000000']
+    ]);
+    assert.deepStrictEqual(entries[1].changes, { title: ['Central bank holds interest rates for a fifth month', 'Rates held again'] });
+    assert.strictEqual(fs.readFileSync('audit.jsonl', 'utf8').trim().split('\n').length, 2);
+  } finally {
+    await admin.close();
+  }
+});
+
+test('pinned links can be reordered; unpinned ones are refused', async () => {
+  const admin = await startAdmin();
+  const ids = () => readJsonFile('links.json').map(link => link.id);
+  try {
+    await admin.login();
+    await admin.api('POST', '/api/links/1710230000000/pin', { version: await admin.version(), pinned: true });
+    assert.deepStrictEqual(ids().slice(0, 2), ['1710230000002', '1710230000000']);
+
+    const reordered = await admin.api('POST', '/api/links/reorder', { version: await admin.version(), ids: ['1710230000000', '1710230000002'] });
+    assert.strictEqual(reordered.status, 200);
+    assert.deepStrictEqual(ids().slice(0, 2), ['1710230000000', '1710230000002']);
+
+    const unpinned = await admin.api('POST', '/api/links/reorder', { version: await admin.version(), ids: ['1710230000001', '1710230000000', '1710230000002'] });
+    assert.strictEqual(unpinned.status, 400);
+    assert.match(unpinned.body.error, /isn't pinned\. Only pinned links can be reordered/);
+    const partial = await admin.api('POST', '/api/links/reorder', { version: await admin.version(), ids: ['1710230000002'] });
+    assert.strictEqual(partial.status, 400);
+    assert.deepStrictEqual(ids().slice(0, 2), ['1710230000000', '1710230000002']);
+  } finally {
+    await admin.close();
+  }
+});
+
+test('with git commits on, each save is committed on its own', async () => {
+  const git = (...args) => execFileSync('git', args, { cwd: root.dir, encoding: 'utf8' });
+  git('init', '-q');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  git('add', '-A');
+  git('commit', '-qm', 'Initial');
+  // Something the editor has staged by hand stays out of the admin's commit
+  writeFile('notes.txt', 'draft');
+  git('add', 'notes.txt');
+
+  const admin = await startAdmin({ gitCommit: true });
+  try {
+    await admin.login('Ana');
+    const saved = await admin.api('PUT', '/api/links/1710230000000', { version: await admin.version(), link: { title: 'Rates held again' } });
+    assert.strictEqual(saved.body.committed, true);
+
+    assert.strictEqual(git('log', '-1', '--format=%s').trim(), 'Admin: Ana edited "Rates held again"');
+    const files = git('show', '--name-only', '--format=', 'HEAD').trim().split('\n');
+    assert.ok(files.includes('links.json'));
+    assert.ok(files.includes('api/v1/manifest.json'));
+    assert.ok(!files.includes('notes.txt'));
+    assert.strictEqual(git('diff', '--cached', '--name-only').trim(), 'notes.txt');
+  } finally {
+    await admin.close();
+  }
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { trainClassifier, classify } = require('../nlp/classifier');
+const { classifyContent, guessCategory } = require('../categorize');
+
+const CATEGORIES = ['news', 'videos', 'products', 'tweets', 'memes'];
+const PROTOTYPE_WORDS = 'constructor toString valueOf hasOwnProperty __proto__';
+
+test('words named like Object.prototype members are ordinary words', () => {
+  const result = classifyContent('McLaren wins the constructor championship again', 'formula1');
+  assert.ok(Number.isFinite(result.confidence), `confidence ${result.confidence}`);
+  Object.values(result.scores).forEach(score => assert.ok(Number.isFinite(score)));
+  assert.ok(Number.isFinite(guessCategory('McLaren wins the constructor championship again', 'formula1').categoryConfidence));
+
+  const model = trainClassifier([
+    { title: `Team ${PROTOTYPE_WORDS} championship`, category: 'news' },
+    { title: 'Cat falls off the sofa', category: 'memes' },
+    { title: 'Unboxing the new phone', category: 'constructor' }
+  ], CATEGORIES);
+  assert.strictEqual(model.counts.news.constructor, 1);
+  assert.strictEqual(model.docs.news + model.docs.memes, 2);
+
+  // A saved and reloaded model has ordinary objects again
+  [model, JSON.parse(JSON.stringify(model))].forEach(loaded => {
+    const guess = classify(loaded, `${PROTOTYPE_WORDS} again`);
+    assert.strictEqual(guess.category, 'news');
+    assert.ok(Number.isFinite(guess.confidence));
+    assert.ok(Object.values(guess.scores).every(Number.isFinite));
+  });
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { curateLinks, buildCurationPrompt } = require('../curator/curate');
+const { resolveConfig } = require('../curator/config');
+const { validateLinks } = require('../link-schema');
+const ranking = require('../../ranking');
+const { muteConsole } = require('./helpers');
+
+const NOW = new Date('2024-03-12T12:00:00Z');
+
+const TRENDING = [
+  { title: 'Scientists confirm record ocean temperatures', url: 'https://www.theguardian.com/environment/ocean', score: 24817, comments: 1893, source: 'r/worldnews', sources: ['r/worldnews'], category: 'news' },
+  { title: 'Guy builds a pinball machine out of cardboard', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', score: 15203, comments: 642, source: 'r/videos', sources: ['r/videos'], category: 'videos' },
+  { title: 'Volcano erupts near Icelandic fishing town', url: 'https://www.bbc.co.uk/news/world-europe-68531877', score: 1500, source: 'BBC News', sources: ['BBC News'], category: 'news' }
+];
+
+const config = resolveConfig({ sources: [{ type: 'hackernews' }], picks: { min: 1, max: 2 } });
+
+function provider(reply) {
+  const prompts = [];
+  return {
+    name: 'fake',
+    model: 'fake-1',
+    prompts,
+    async complete(prompt) {
+      prompts.push(prompt);
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  };
+}
+
+let unmute;
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+
+test('the prompt is the configured template with the picks, categories and items filled in', () => {
+  const prompt = buildCurationPrompt(TRENDING, config);
+  assert.match(prompt, /select the 1-2 most viral-worthy/);
+  assert.match(prompt, /category \(news\/videos\/products\/tweets\/memes\)/);
+  assert.ok(prompt.includes(JSON.stringify(TRENDING, null, 2)));
+});
+
+test('keeps the AI picks that check out, with source signals and the run clock', async () => {
+  const reply = `Here you go:
+\`\`\`json
+[
+  { "title": "Oceans hit record heat", "url": "https://www.theguardian.com/environment/ocean", "description": "Third year running.", "category": "News", "keywords": "Ocean, Climate" },
+  { "title": "Made up", "url": "https://invented.example/story", "category": "news", "keywords": ["Fake"] },
+  { "title": "Cardboard pinball", "url": "https://www.youtube.com/watch?v=dQw4w9WgXcQ", "category": "videos", "keywords": ["Pinball"] }
+]
+\`\`\``;
+  const ai = provider(reply);
+  const report = {};
+  const links = await curateLinks(TRENDING, { config, provider: ai, now: NOW, report });
+
+  assert.strictEqual(ai.prompts.length, 1);
+  assert.deepStrictEqual(links.map(link => [link.id, link.title, link.category]), [
+    [String(NOW.getTime()), 'Oceans hit record heat', 'news'],
+    [String(NOW.getTime() + 1), 'Cardboard pinball', 'videos']
+  ]);
+  assert.deepStrictEqual(links[0].keywords, ['Ocean', 'Climate']);
+  assert.strictEqual(links[0].createdAt, NOW.toISOString());
+  assert.strictEqual(links[0].sourceScore, 24817);
+  assert.strictEqual(links[0].comments, 1893);
+  assert.strictEqual(links[0].source, 'r/worldnews');
+  assert.ok(links.every(link => link.viralScore > 0 && link.viralScore <= 100));
+  assert.deepStrictEqual(validateLinks(links), []);
+  assert.deepStrictEqual(report.curation, { path: 'ai', provider: 'fake', model: 'fake-1', picked: 2, rejected: 1 });
+});
+
+test('fields the AI adds beyond its picks never reach the published link', async () => {
+  const reply = JSON.stringify([{
+    title: 'Oceans hit record heat',
+    url: TRENDING[0].url,
+    category: 'news',
+    keywords: ['Ocean'],
+    pinned: true,
+    hidden: true,
+    upvotes: 999,
+    viralScore: 1,
+    thumbnail: 'https://tracker.example/pixel.gif',
+    source: 'Made-up source',
+    editorNote: 'trust me'
+  }]);
+  const [link] = await curateLinks(TRENDING, { config, provider: provider(reply), now: NOW });
+
+  ['pinned', 'hidden', 'upvotes', 'thumbnail', 'editorNote'].forEach(field => assert.strictEqual(link[field], undefined, field));
+  assert.strictEqual(link.source, 'r/worldnews');
+  assert.strictEqual(link.viralScore, ranking.viralScore(link, NOW.getTime()));
+});
+
+test('falls back to the top stories when the provider fails', async () => {
+  const report = {};
+  const links = await curateLinks(TRENDING, { config, provider: provider(new Error('Request failed with status code 529')), now: NOW, report });
+
+  assert.deepStrictEqual(links.map(link => link.url), TRENDING.slice(0, 2).map(item => item.url));
+  assert.strictEqual(links[1].description, 'Trending on r/videos');
+  assert.deepStrictEqual(validateLinks(links), []);
+  assert.strictEqual(report.curation.path, 'manual');
+  assert.match(report.curation.reason, /AI error: .*529/);
+});
+
+test('a reply with nothing usable counts as a failure', async () => {
+  const report = {};
+  const links = await curateLinks(TRENDING, { config, provider: provider('Sorry, I cannot help with that.'), now: NOW, report });
+  assert.strictEqual(links.length, 2);
+  assert.strictEqual(report.curation.reason, 'AI error: AI reply contained no valid items');
+});
+
+test('curates by hand when there is no provider', async () => {
+  const report = {};
+  const links = await curateLinks(TRENDING, { config, provider: null, now: NOW, report });
+  assert.deepStrictEqual(links.map(link => link.id), [String(NOW.getTime()), String(NOW.getTime() + 1)]);
+  assert.ok(links.every(link => link.keywords.length > 0));
+  assert.deepStrictEqual(report.curation, { path: 'manual', provider: null, model: null, picked: 2, reason: 'no AI provider configured' });
+});
+
+test('scores come from the run clock, not the wall clock', async () => {
+  const reply = JSON.stringify([{ title: 'Oceans hit record heat', url: TRENDING[0].url, category: 'news', keywords: ['Ocean'] }]);
+  const picked = await curateLinks(TRENDING, { config, provider: provider(reply), now: NOW });
+  const manual = await curateLinks(TRENDING, { config, provider: null, now: NOW });
+
+  [...picked, ...manual].forEach(link => {
+    assert.strictEqual(link.viralScore, ranking.viralScore(link, NOW.getTime()));
+  });
+  // Fresh at NOW, its comments count for a lot more than they do years later
+  assert.notStrictEqual(picked[0].viralScore, ranking.viralScore(picked[0]));
+});
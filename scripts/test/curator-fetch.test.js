@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { fetchTrending } = require('../curator/fetch');
+const { resolveConfig } = require('../curator/config');
+const { createRunReport } = require('../run-report');
+const { fixture, useTempRoot, readJsonFile, startServer, text, status, muteConsole, testHttpClient } = require('./helpers');
+
+const NOW = new Date('2024-03-12T12:00:00Z');
+
+let server;
+let root;
+let unmute;
+
+test.before(async () => {
+  unmute = muteConsole();
+  server = await startServer({
+    '/r/popular/hot.json': text(fixture('sources/reddit-hot.json'), { type: 'application/json' }),
+    '/news.xml': text(fixture('sources/rss-news.xml'), { type: 'application/rss+xml' }),
+    '/down.xml': status(503)
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  unmute();
+});
+
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+
+test.afterEach(() => root.restore());
+
+function config(overrides = {}) {
+  return resolveConfig({
+    sources: [
+      { type: 'reddit', subreddit: 'popular', limit: 10, baseUrl: server.url },
+      { type: 'rss', name: 'BBC News', url: `${server.url}/news.xml`, category: 'news', baseScore: 3000 }
+    ],
+    ...overrides
+  });
+}
+
+test('fetches every source, moderates and returns the top stories by score', async () => {
+  const { report } = createRunReport({ now: NOW });
+  const trending = await fetchTrending(config(), { now: NOW, http: testHttpClient(), report });
+
+  assert.deepStrictEqual(trending.map(item => item.title), [
+    'Scientists confirm record ocean temperatures for the third year running',
+    'Guy builds a working pinball machine out of cardboard',
+    'Central bank holds interest rates for a fifth month',
+    'Volcano erupts near Icelandic fishing town'
+  ]);
+  assert.ok(trending.every((item, i) => i === 0 || trending[i - 1].score >= item.score));
+
+  // The stickied thread, the over_18 post and the feed's "adult" item never get through
+  const quarantine = readJsonFile('data/quarantine.json');
+  assert.deepStrictEqual(quarantine.items.map(item => item.title).sort(), [
+    'Explicit photo leak',
+    'Not safe for the office',
+    'Weekly discussion thread'
+  ]);
+
+  assert.deepStrictEqual(report.sources.map(source => [source.name, source.status, source.items]), [
+    ['r/popular', 'ok', 4],
+    ['BBC News', 'ok', 3]
+  ]);
+  assert.deepStrictEqual(report.items, { fetched: 7, distinct: 7, quarantined: 3, outsideCategories: 0, trending: 4 });
+});
+
+test('keeps to maxTrending and the configured categories', async () => {
+  const trending = await fetchTrending(config({ maxTrending: 2, categories: ['news'] }), { now: NOW, http: testHttpClient() });
+  assert.strictEqual(trending.length, 2);
+  assert.ok(trending.every(item => item.category === 'news'));
+});
+
+test('a dry run leaves the quarantine file alone', async () => {
+  await fetchTrending(config(), { now: NOW, dryRun: true, http: testHttpClient() });
+  assert.strictEqual(fs.existsSync('data/quarantine.json'), false);
+});
+
+test('a failing source is reported without sinking the others', async () => {
+  const { report } = createRunReport({ now: NOW });
+  const sources = [...config().sources, { type: 'rss', name: 'Down', url: `${server.url}/down.xml` }];
+  const trending = await fetchTrending(resolveConfig({ sources }), { now: NOW, http: testHttpClient({ retries: 0 }), report });
+
+  assert.strictEqual(trending.length, 4);
+  const down = report.sources.find(source => source.name === 'Down');
+  assert.strictEqual(down.status, 'failed');
+  assert.match(down.error, /503/);
+});
+
+test('aborts when fewer than minSources sources return stories', async () => {
+  const sources = [
+    { type: 'rss', name: 'BBC News', url: `${server.url}/news.xml` },
+    { type: 'rss', name: 'Down', url: `${server.url}/down.xml` }
+  ];
+  await assert.rejects(
+    fetchTrending(resolveConfig({ sources, minSources: 2 }), { now: NOW, http: testHttpClient({ retries: 0 }) }),
+    /Only 1 of 2 sources returned stories \(minSources is 2\)/
+  );
+  assert.strictEqual(fs.existsSync('data/quarantine.json'), false);
+});
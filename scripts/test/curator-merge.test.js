@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { mergeNewLinks, loadExistingLinks } = require('../curator/merge');
+const { resolveConfig } = require('../curator/config');
+const { saveLinkHealth } = require('../link-health');
+const { validateLinks } = require('../link-schema');
+const { fixtureJson, useTempRoot, writeFile, startServer, text, muteConsole } = require('./helpers');
+
+const NOW = new Date('2024-03-12T12:00:00Z');
+
+let server;
+let root;
+let unmute;
+
+test.before(async () => {
+  unmute = muteConsole();
+  const png = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#ff4500' } }).png().toBuffer();
+  server = await startServer({
+    '/story': (req, res) => text(`<html><head><meta property="og:image" content="${server.url}/story.png"></head></html>`)(req, res),
+    '/story.png': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(png);
+    },
+    '/no-image': text('<html><head><title>Plain page</title></head></html>')
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  unmute();
+});
+
+test.beforeEach(() => {
+  root = useTempRoot();
+  // The stored links were checked an hour ago, so only the new ones are checked now
+  const checkedAt = new Date(NOW.getTime() - 60 * 60 * 1000).toISOString();
+  const results = {};
+  fixtureJson('links.json').forEach(link => {
+    results[link.id] = { url: link.url, status: 200, state: 'ok', finalUrl: link.url, checkedAt, flags: [] };
+  });
+  saveLinkHealth(results);
+});
+
+test.afterEach(() => root.restore());
+
+function newLink(id, fields) {
+  return {
+    id,
+    title: `Story ${id}`,
+    description: 'Fresh today',
+    source: 'r/news',
+    sources: ['r/news'],
+    sourceScore: 5000,
+    comments: 100,
+    viralScore: 60,
+    keywords: ['Fresh'],
+    category: 'news',
+    clicks: 0,
+    createdAt: NOW.toISOString(),
+    ...fields
+  };
+}
+
+const config = maxLinks => resolveConfig({ sources: [{ type: 'hackernews' }], maxLinks });
+
+test('merges new links into the stored ones, caching thumbnails and dropping dead links', async () => {
+  const existing = fixtureJson('links.json');
+  const fresh = [
+    newLink('100', { title: 'Lighthouse keeper retires after forty years', url: `${server.url}/story` }),
+    newLink('101', { title: 'Senator posts a very long thread about trains', url: `${server.url}/no-image`, category: 'tweets' }),
+    newLink('102', { title: 'Page that has since disappeared', url: `${server.url}/gone` }),
+    // The stored pinball video again, as the same URL under a new title
+    newLink('103', { title: 'Cardboard pinball machine', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', category: 'videos', clicks: 5 }),
+    newLink('104', { title: 'Podcast of the week', url: `${server.url}/podcast`, category: 'podcasts' })
+  ];
+
+  const merged = await mergeNewLinks(fresh, existing, { config: config(50), now: NOW, thumbRoot: '.' });
+
+  assert.deepStrictEqual(validateLinks(merged.links), []);
+  assert.deepStrictEqual(merged.dropped, { invalid: ['104'], dead: ['102'] });
+
+  const byId = Object.fromEntries(merged.links.map(link => [link.id, link]));
+  assert.deepStrictEqual(Object.keys(byId).sort(), ['100', '101', '1710230000000', '1710230000001', '1710230000002', '1710230000003']);
+
+  // Page image cached as WebP/AVIF variants; pages without one get their category card
+  assert.match(byId['100'].thumbnail, /^images\/thumbs\/[0-9a-f]{16}-250\.webp$/);
+  assert.ok(fs.existsSync(byId['100'].thumbnail));
+  assert.match(byId['100'].thumbnailSrcset.avif, /-250\.avif 250w, .*-500\.avif 500w$/);
+  assert.strictEqual(byId['101'].thumbnail, 'images/cards/tweets.svg');
+  assert.ok(fs.existsSync('images/cards/tweets.svg'));
+
+  // The duplicate kept the stored record's id and added its clicks
+  const video = byId['1710230000001'];
+  assert.strictEqual(video.title, 'Cardboard pinball machine');
+  assert.strictEqual(video.createdAt, '2024-03-11T20:00:00.000Z');
+  assert.strictEqual(video.clicks, 3405);
+
+  // Pinned first, hidden last and left out of what gets published
+  assert.strictEqual(merged.links[0].id, '1710230000002');
+  assert.strictEqual(merged.links[merged.links.length - 1].id, '1710230000003');
+  assert.ok(merged.published.every(link => !link.hidden));
+  assert.strictEqual(merged.published.length, merged.links.length - 1);
+  assert.strictEqual(merged.health['102'].state, 'dead');
+  // Dead links aren't kept for the archive either
+  assert.ok(!merged.all.some(link => link.id === '102'));
+});
+
+test('keeps maxLinks published links; the rest only go to the archive', async () => {
+  const fresh = [newLink('100', { title: 'Lighthouse keeper retires after forty years', url: `${server.url}/no-image` })];
+  const merged = await mergeNewLinks(fresh, fixtureJson('links.json'), { config: config(2), now: NOW });
+
+  assert.strictEqual(merged.published.length, 2);
+  assert.strictEqual(merged.links.length, 3);
+  assert.strictEqual(merged.all.length, 5);
+});
+
+test('measured clicks replace stored ones and votes move the viralScore', async () => {
+  const merged = await mergeNewLinks([], fixtureJson('links.json'), {
+    config: config(50),
+    now: NOW,
+    clickCounts: { 1710230000000: 777 },
+    voteCounts: { 1710230000000: { up: 10, down: 2 } }
+  });
+  const link = merged.links.find(candidate => candidate.id === '1710230000000');
+  assert.strictEqual(link.clicks, 777);
+  assert.strictEqual(link.viralScore, 53);
+  assert.deepStrictEqual([link.upvotes, link.downvotes], [10, 2]);
+  assert.strictEqual(merged.links.find(candidate => candidate.id === '1710230000001').clicks, 0);
+});
+
+test('loadExistingLinks recovers what it can from a damaged links.json', () => {
+  const good = fixtureJson('links.json').slice(0, 2);
+  writeFile('links.json', `${JSON.stringify(good, null, 2).slice(0, -2)},\n  { "id": "broken", `);
+  const links = loadExistingLinks('links.json');
+  assert.deepStrictEqual(links.map(link => link.id), good.map(link => link.id));
+  assert.deepStrictEqual(loadExistingLinks(path.join('missing', 'links.json')), []);
+});
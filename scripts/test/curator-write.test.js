@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { writeRun } = require('../curator/write');
+const { fixtureJson, useTempRoot, writeFile, readJsonFile, muteConsole } = require('./helpers');
+
+const NOW = new Date('2024-03-12T12:00:00Z');
+
+let root;
+let unmute;
+
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+// What the merge stage hands over: every fixture link, the hidden one unpublished
+function merged() {
+  const links = fixtureJson('links.json');
+  return {
+    links,
+    published: links.filter(link => !link.hidden),
+    all: links,
+    health: { 1710230000000: { url: links[0].url, status: 200, state: 'ok', finalUrl: links[0].url, checkedAt: NOW.toISOString(), flags: [] } },
+    dropped: { invalid: [], dead: [] }
+  };
+}
+
+const TRENDING = [
+  { title: 'A story nobody picked', url: 'https://www.example.com/passed-over', score: 900, source: 'r/news', category: 'news' },
+  { title: 'Central bank holds interest rates for a fifth month', url: 'https://www.bbc.co.uk/news/business-68532109', score: 800, source: 'BBC News', category: 'news' }
+];
+
+function run(options = {}) {
+  const previousLinks = fixtureJson('links.json').slice(1);
+  writeRun(merged(), { linksFile: 'links.json', previousLinks, trending: TRENDING, newLinks: [merged().links[0]], now: NOW, ...options });
+}
+
+test('publishes links.json, the archive, feeds, API, trends, link health and the queue', () => {
+  run();
+
+  assert.deepStrictEqual(readJsonFile('links.json'), fixtureJson('links.json'));
+  assert.deepStrictEqual(fs.readdirSync('.').filter(name => name.endsWith('.tmp')), []);
+
+  // The hidden link is archived nowhere and published nowhere
+  const archive = readJsonFile('data/archive/index.json');
+  assert.deepStrictEqual(archive.months, [{ month: '2024-03', count: 2 }, { month: '2024-02', count: 1 }]);
+  assert.ok(!fs.readFileSync('data/archive/2024-03.json', 'utf8').includes('Editors pulled this one'));
+
+  const feed = readJsonFile('feed.json');
+  assert.deepStrictEqual(feed.items.map(item => item.id), ['1710230000000', '1710230000001', '1710230000002']);
+  ['feed.xml', 'atom.xml', 'feeds/news.xml', 'feeds/videos.atom.xml', 'feeds/memes.json'].forEach(file => {
+    assert.ok(fs.existsSync(file), `${file} written`);
+  });
+
+  const manifest = readJsonFile('api/v1/manifest.json');
+  assert.strictEqual(manifest.total, 3);
+  assert.strictEqual(manifest.updatedAt, NOW.toISOString());
+
+  const history = readJsonFile('data/trends/history.json');
+  assert.strictEqual(history.runs[history.runs.length - 1].at, NOW.toISOString());
+  assert.strictEqual(readJsonFile('data/link-health.json').checkedAt, NOW.toISOString());
+
+  // Only the story that wasn't published waits for an editor
+  const queue = readJsonFile('data/candidates.json');
+  assert.deepStrictEqual(queue.items.map(item => item.url), ['https://www.example.com/passed-over']);
+});
+
+test('removes cached thumbnails nothing refers to any more', () => {
+  writeFile('images/thumbs/0123456789abcdef-250.webp', 'stale');
+  run();
+  assert.strictEqual(fs.existsSync('images/thumbs/0123456789abcdef-250.webp'), false);
+});
+
+test('keeps thumbnails that only archived links still use', () => {
+  const archived = {
+    ...fixtureJson('links.json')[0],
+    id: '1700000000000',
+    url: 'https://www.example.com/last-year',
+    createdAt: '2023-11-14T22:13:20.000Z',
+    thumbnail: 'images/thumbs/fedcba9876543210-250.webp',
+    thumbnailSrcset: {
+      avif: 'images/thumbs/fedcba9876543210-250.avif 250w, images/thumbs/fedcba9876543210-500.avif 500w',
+      webp: 'images/thumbs/fedcba9876543210-250.webp 250w, images/thumbs/fedcba9876543210-500.webp 500w'
+    }
+  };
+  writeFile('data/archive/2023-11.json', [archived]);
+  const variants = ['250.webp', '500.webp', '250.avif', '500.avif'].map(variant => `images/thumbs/fedcba9876543210-${variant}`);
+  variants.forEach(file => writeFile(file, 'still shown in archive mode'));
+  writeFile('images/thumbs/0123456789abcdef-250.webp', 'stale');
+
+  run();
+  variants.forEach(file => assert.ok(fs.existsSync(file), `${file} kept`));
+  assert.strictEqual(fs.existsSync('images/thumbs/0123456789abcdef-250.webp'), false);
+});
+
+test('links found dead this run are neither archived nor queued', () => {
+  const dead = { ...fixtureJson('links.json')[0], id: '1710230000009', url: 'https://www.example.com/gone', title: 'Page that has since disappeared' };
+  const run = merged();
+  run.health[dead.id] = { url: dead.url, status: 404, state: 'dead', finalUrl: dead.url, checkedAt: NOW.toISOString(), flags: [] };
+  run.dropped.dead = [dead.id];
+  const trending = [...TRENDING, { title: dead.title, url: dead.url, score: 700, source: 'r/news', category: 'news' }];
+  writeRun(run, { linksFile: 'links.json', previousLinks: [], trending, newLinks: [], now: NOW });
+
+  assert.ok(!fs.readFileSync('data/archive/2024-03.json', 'utf8').includes(dead.url));
+  assert.deepStrictEqual(readJsonFile('data/candidates.json').items.map(item => item.url), ['https://www.example.com/passed-over']);
+});
+
+test('a dry run writes nothing', () => {
+  run({ dryRun: true });
+  assert.deepStrictEqual(fs.readdirSync('.'), []);
+});
+
+test('refuses to write links that fail the schema', () => {
+  const broken = merged();
+  broken.links[0] = { ...broken.links[0], url: 'javascript:alert(1)' };
+  assert.throws(
+    () => writeRun(broken, { linksFile: 'links.json', previousLinks: [], trending: [], newLinks: [], now: NOW }),
+    /Refusing to write links\.json: 1 schema problems remain/
+  );
+  assert.deepStrictEqual(fs.readdirSync('.'), []);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildDigest, pickDigestLinks, CATEGORY_LABELS } = require('../digest');
+const { createMailer } = require('../mailer');
+const { fixtureJson, startSmtpSink } = require('./helpers');
+
+const NOW = Date.parse('2024-03-12T12:00:00.000Z');
+const SUBSCRIBER = { categories: ['news', 'memes'], frequency: 'weekly', unsubscribeToken: 'tok' };
+
+test('each chosen category gets its own section, in HTML and plain text', () => {
+  const links = fixtureJson('links.json');
+  links.push({ ...links[0], id: '1710230000004', url: 'https://www.example.com/tags', title: 'Why <b>bold</b> & "quotes" break emails', description: '<img src=x onerror=alert(1)>' });
+  const subscriber = { ...SUBSCRIBER, categories: ['videos', 'news'] };
+  const digest = buildDigest(links, subscriber, { baseUrl: 'https://viral.example', now: NOW });
+
+  assert.strictEqual(digest.subject, '🔥 Viral Digest: Guy builds a working pinball machine out of cardboard');
+  const text = digest.text.split('\n');
+  assert.deepStrictEqual(text.slice(0, 5), [
+    'What went viral this week on Viral Nexus',
+    '',
+    CATEGORY_LABELS.videos,
+    '- Guy builds a working pinball machine out of cardboard',
+    '  https://viral.example/go/1710230000001'
+  ]);
+  assert.ok(text.indexOf(CATEGORY_LABELS.news) > text.indexOf(CATEGORY_LABELS.videos));
+  assert.ok(!digest.text.includes(CATEGORY_LABELS.products));
+
+  const headings = [...digest.html.matchAll(/<h2[^>]*>([^<]*)<\/h2>/g)].map(match => match[1]);
+  assert.deepStrictEqual(headings, [CATEGORY_LABELS.videos, CATEGORY_LABELS.news]);
+  assert.match(digest.html, /<a href="https:\/\/viral\.example\/go\/1710230000000"/);
+  assert.ok(digest.html.includes('Why &lt;b&gt;bold&lt;/b&gt; &amp; &quot;quotes&quot; break emails'));
+  assert.ok(digest.html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!digest.html.includes('<img'));
+
+  // Daily digests only look at the last day
+  const daily = buildDigest(links, { ...subscriber, frequency: 'daily' }, { baseUrl: 'https://viral.example', now: NOW });
+  assert.match(daily.text, /^What went viral today/);
+});
+
+test('digests go out over SMTP as multipart HTML and text', async () => {
+  const sink = await startSmtpSink();
+  const mailer = createMailer({ SMTP_URL: sink.url, MAIL_FROM: 'Viral Nexus <digest@viral.example>' });
+  try {
+    const digest = buildDigest(fixtureJson('links.json'), SUBSCRIBER, { baseUrl: 'https://viral.example', now: NOW });
+    await mailer.send({ to: 'reader@example.com', ...digest });
+
+    assert.strictEqual(sink.messages.length, 1);
+    const [message] = sink.messages;
+    assert.deepStrictEqual([message.from, message.to], ['digest@viral.example', ['reader@example.com']]);
+    assert.match(message.data, /^Subject: =\?UTF-8\?/m);
+    assert.match(message.data, /Content-Type: multipart\/alternative/);
+    assert.match(message.data, /Content-Type: text\/plain/);
+    assert.match(message.data, /Content-Type: text\/html/);
+  } finally {
+    mailer.close();
+    await sink.close();
+  }
+});
+
+test('the digest leaves out links an editor hid', () => {
+  const links = fixtureJson('links.json');
+  const hidden = links.find(link => link.hidden);
+
+  const sections = pickDigestLinks(links, { categories: ['news', 'memes'], frequency: 'weekly', now: NOW });
+  assert.deepStrictEqual(sections.map(section => [section.category, section.links.map(link => link.id)]), [['news', ['1710230000000']]]);
+
+  const digest = buildDigest(links, SUBSCRIBER, { baseUrl: 'https://viral.example', now: NOW });
+  assert.ok(!digest.text.includes(hidden.title) && !digest.html.includes(hidden.id));
+  assert.match(digest.text, /Unsubscribe: https:\/\/viral\.example\/api\/unsubscribe\?token=tok/);
+});
+
+test('a subscriber whose only links are hidden gets no digest', () => {
+  const links = fixtureJson('links.json');
+  assert.strictEqual(buildDigest(links, { ...SUBSCRIBER, categories: ['memes'] }, { baseUrl: 'https://viral.example', now: NOW }), null);
+});
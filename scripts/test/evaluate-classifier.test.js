@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluate, accuracyFailure, MIN_ACCURACY, HELD_OUT_FILE } = require('../evaluate-classifier');
+const { SEED_EXAMPLES } = require('../nlp');
+
+const report = (correct, total, baseline = 0.25) => ({ accuracy: total ? correct / total : 0, baseline, majority: 'news', correct, total });
+
+test('the gate fails below the minimum accuracy or the majority baseline', () => {
+  assert.strictEqual(accuracyFailure(report(36, 40)), null);
+  assert.match(accuracyFailure(report(31, 40)), /accuracy 77\.5% is below the 80\.0% minimum/);
+  assert.match(accuracyFailure(report(36, 40), 0.95), /below the 95\.0% minimum/);
+  assert.match(accuracyFailure(report(9, 16, 0.6), 0), /no better than always guessing "news" \(60\.0%\)/);
+  assert.match(accuracyFailure(report(0, 0)), /no held-out examples/);
+});
+
+test('the classifier clears the gate on the hand-labeled held-out headlines', () => {
+  const heldOut = require(HELD_OUT_FILE);
+  const titles = new Set(SEED_EXAMPLES.map(example => example.title));
+  assert.deepStrictEqual(heldOut.filter(example => titles.has(example.title)), [], 'held out means not trained on');
+
+  const result = evaluate(SEED_EXAMPLES, heldOut);
+  assert.strictEqual(accuracyFailure(result), null);
+  assert.ok(result.accuracy >= MIN_ACCURACY);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { JSDOM } = require('jsdom');
+const { buildRss, buildAtom, buildJsonFeed, writeFeeds } = require('../feeds');
+const { CATEGORIES } = require('../link-schema');
+const { fixtureJson, useTempRoot } = require('./helpers');
+
+const SITE = 'https://viral.example/site';
+const { DOMParser } = new JSDOM().window;
+
+// A link with everything a feed has to escape or drop: markup, entities, quotes, a CDATA
+// terminator and control characters XML 1.0 has no way to carry
+const HOSTILE = {
+  id: 'a&b"1',
+  title: 'Tom & Jerry <script>alert("x")</script> \u0001it\'s ]]> back\u000B',
+  url: 'https://shop.example/item?a=1&b=<2>',
+  description: '5 > 3 && "quotes" \u0000and <b>tags</b>',
+  thumbnail: 'images/thumbs/0123456789abcdef-500.webp',
+  source: 'r/<funny>',
+  keywords: ['R&D', '<tag>'],
+  category: 'memes',
+  createdAt: '2024-03-12T09:30:00.000Z'
+};
+
+let root;
+
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+// The parsed document, failing the test with the parser's message unless `xml` is well-formed
+function parseXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  assert.ok(!error, error && `not well-formed: ${error.textContent}`);
+  return doc;
+}
+
+const texts = (node, tag) => [...node.getElementsByTagName(tag)].map(child => child.textContent);
+
+test('RSS is well-formed and carries every field back out unchanged', () => {
+  const doc = parseXml(buildRss([HOSTILE, ...fixtureJson('links.json')], { siteUrl: SITE }));
+  assert.strictEqual(doc.documentElement.nodeName, 'rss');
+  assert.strictEqual(doc.documentElement.getAttribute('version'), '2.0');
+
+  const [item] = doc.getElementsByTagName('item');
+  assert.strictEqual(texts(item, 'title')[0], 'Tom & Jerry <script>alert("x")</script> it\'s ]]> back');
+  assert.strictEqual(texts(item, 'link')[0], HOSTILE.url);
+  assert.strictEqual(texts(item, 'description')[0], '5 > 3 && "quotes" and <b>tags</b>');
+  assert.strictEqual(texts(item, 'guid')[0], 'viral-nexus-a&b"1');
+  assert.deepStrictEqual(texts(item, 'category'), ['memes', 'R&D', '<tag>']);
+  assert.strictEqual(texts(item, 'dc:creator')[0], 'r/<funny>');
+  assert.strictEqual(texts(item, 'pubDate')[0], 'Tue, 12 Mar 2024 09:30:00 GMT');
+  const enclosure = item.getElementsByTagName('enclosure')[0];
+  assert.deepStrictEqual([enclosure.getAttribute('url'), enclosure.getAttribute('type')], [`${SITE}/images/thumbs/0123456789abcdef-500.webp`, 'image/webp']);
+  assert.strictEqual(doc.getElementsByTagName('item').length, 5);
+});
+
+test('category cards go out as SVG enclosures', () => {
+  const card = { ...HOSTILE, thumbnail: 'images/cards/news.svg' };
+
+  const rss = parseXml(buildRss([card], { siteUrl: SITE }));
+  const enclosure = rss.getElementsByTagName('enclosure')[0];
+  assert.deepStrictEqual([enclosure.getAttribute('url'), enclosure.getAttribute('type')], [`${SITE}/images/cards/news.svg`, 'image/svg+xml']);
+
+  const atom = parseXml(buildAtom([card], { siteUrl: SITE }));
+  const enclosures = [...atom.getElementsByTagName('link')].filter(link => link.getAttribute('rel') === 'enclosure');
+  assert.deepStrictEqual(enclosures.map(link => [link.getAttribute('href'), link.getAttribute('type')]), [[`${SITE}/images/cards/news.svg`, 'image/svg+xml']]);
+});
+
+test('Atom is well-formed, namespaced and dated', () => {
+  const doc = parseXml(buildAtom([HOSTILE], { siteUrl: SITE, category: 'memes' }));
+  const feed = doc.documentElement;
+  assert.deepStrictEqual([feed.nodeName, feed.namespaceURI], ['feed', 'http://www.w3.org/2005/Atom']);
+  assert.strictEqual(texts(feed, 'id')[0], `${SITE}/feeds/memes.atom.xml`);
+  assert.match(texts(feed, 'title')[0], /^Viral Nexus - .*Memes$/);
+
+  const [entry] = doc.getElementsByTagName('entry');
+  assert.strictEqual(texts(entry, 'title')[0], 'Tom & Jerry <script>alert("x")</script> it\'s ]]> back');
+  const links = [...entry.getElementsByTagName('link')].map(link => [link.getAttribute('rel'), link.getAttribute('href')]);
+  assert.deepStrictEqual(links, [['alternate', HOSTILE.url], ['enclosure', `${SITE}/images/thumbs/0123456789abcdef-500.webp`]]);
+  assert.deepStrictEqual([texts(entry, 'published')[0], texts(entry, 'updated')[0]], [HOSTILE.createdAt, HOSTILE.createdAt]);
+  assert.deepStrictEqual([...entry.getElementsByTagName('category')].map(category => category.getAttribute('term')), ['memes', 'R&D', '<tag>']);
+});
+
+test('empty feeds are well-formed too', () => {
+  parseXml(buildRss([], { siteUrl: SITE }));
+  parseXml(buildAtom([], { siteUrl: SITE }));
+  assert.deepStrictEqual(JSON.parse(buildJsonFeed([], { siteUrl: SITE })).items, []);
+});
+
+test('JSON Feed output is valid JSON Feed 1.1', () => {
+  const feed = JSON.parse(buildJsonFeed([HOSTILE, ...fixtureJson('links.json')], { siteUrl: SITE }));
+
+  // Top level: version and title are required, the URLs absolute when present
+  assert.strictEqual(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.strictEqual(typeof feed.title, 'string');
+  assert.deepStrictEqual([feed.home_page_url, feed.feed_url], [`${SITE}/`, `${SITE}/feed.json`]);
+  assert.ok(Array.isArray(feed.items));
+  assert.ok(!('author' in feed), '1.1 uses authors, not author');
+
+  // Items: a string id, and content_text or content_html
+  const ids = feed.items.map(item => item.id);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  feed.items.forEach(item => {
+    assert.strictEqual(typeof item.id, 'string');
+    assert.ok(typeof item.content_text === 'string' || typeof item.content_html === 'string', item.id);
+    assert.ok(!('author' in item), '1.1 uses authors, not author');
+    assert.strictEqual(new Date(item.date_published).toISOString(), item.date_published);
+    if (item.image) assert.ok(new URL(item.image).protocol === 'https:', item.image);
+    if (item.authors) item.authors.forEach(author => assert.strictEqual(typeof author.name, 'string'));
+    if (item.tags) item.tags.forEach(tag => assert.strictEqual(typeof tag, 'string'));
+  });
+
+  // JSON carries the text as it is, control characters and all
+  assert.deepStrictEqual(feed.items[0], {
+    id: 'a&b"1',
+    url: HOSTILE.url,
+    title: HOSTILE.title,
+    content_text: HOSTILE.description,
+    summary: HOSTILE.description,
+    date_published: HOSTILE.createdAt,
+    tags: ['memes', 'R&D', '<tag>'],
+    image: `${SITE}/images/thumbs/0123456789abcdef-500.webp`,
+    authors: [{ name: 'r/<funny>' }]
+  });
+});
+
+test('writeFeeds writes a site-wide set and one per category, newest first, without hidden links', () => {
+  writeFeeds([HOSTILE, ...fixtureJson('links.json')], { siteUrl: SITE });
+
+  const files = ['feed.xml', 'atom.xml', 'feed.json', ...CATEGORIES.flatMap(category => [`feeds/${category}.xml`, `feeds/${category}.atom.xml`, `feeds/${category}.json`])];
+  files.filter(file => file.endsWith('.xml')).forEach(file => parseXml(fs.readFileSync(file, 'utf8')));
+
+  const all = JSON.parse(fs.readFileSync('feed.json', 'utf8'));
+  assert.deepStrictEqual(all.items.map(item => item.id), [HOSTILE.id, '1710230000000', '1710230000001', '1710230000002']);
+  const memes = JSON.parse(fs.readFileSync('feeds/memes.json', 'utf8'));
+  assert.deepStrictEqual([memes.feed_url, memes.items.map(item => item.id)], [`${SITE}/feeds/memes.json`, [HOSTILE.id]]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync('feeds/tweets.json', 'utf8')).items, []);
+});
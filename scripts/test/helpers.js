@@ -0,0 +1,193 @@
+// Shared pieces for the test suites: a scratch site root, a local fake HTTP server, a
+// local SMTP sink and a quiet console. Not a test file itself (npm test only runs test/*.test.js).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SITE_ROOT = path.join(__dirname, '..', '..');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function fixtureJson(name) {
+  return JSON.parse(fixture(name));
+}
+
+// An empty directory that the process works in until restore() (most of the curator reads
+// and writes paths relative to the site root it runs from)
+function useTempRoot() {
+  const previous = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-nexus-test-'));
+  process.chdir(dir);
+  return {
+    dir,
+    restore() {
+      process.chdir(previous);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+}
+
+function readJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// A local HTTP server. `routes` maps "METHOD /path" (or "/path" for any method) to either
+// a handler (req, res, body) or a list of handlers used once each in turn, the last one
+// repeating. Every request is logged in `requests`; anything unrouted gets a 404.
+async function startServer(routes = {}) {
+  const requests = [];
+  const calls = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const { pathname } = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, url: req.url, path: pathname, headers: req.headers, body });
+
+      const key = [`${req.method} ${req.url}`, `${req.method} ${pathname}`, req.url, pathname].find(name => routes[name]);
+      if (!key) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+      }
+      const route = routes[key];
+      let handler = route;
+      if (Array.isArray(route)) {
+        const used = calls.get(key) || 0;
+        calls.set(key, used + 1);
+        handler = route[Math.min(used, route.length - 1)];
+      }
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    hits: pathname => requests.filter(request => request.path === pathname).length,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Handlers for startServer routes
+function json(body, { status = 200, headers = {} } = {}) {
+  return (req, res) => {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(payload);
+  };
+}
+
+function text(body, { status = 200, type = 'text/html; charset=utf-8', headers = {} } = {}) {
+  return (req, res) => {
+    res.writeHead(status, { 'Content-Type': type, ...headers });
+    res.end(body);
+  };
+}
+
+function status(code, headers = {}) {
+  return text(`Status ${code}`, { status: code, type: 'text/plain', headers });
+}
+
+// A local SMTP server that accepts every message and keeps it in `messages` as
+// { from, to: [...], data } (data is the raw message, headers and MIME body)
+async function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { to: [] };
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 sink ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while (!inData && (end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 sink');
+        else if (command === 'MAIL') {
+          envelope = { from: line.match(/<(.*)>/)[1], to: [] };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+      if (inData && (end = buffer.indexOf('\r\n.\r\n')) !== -1) {
+        messages.push({ ...envelope, data: buffer.slice(0, end).replace(/\r\n\.\./g, '\r\n.') });
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        reply('250 Queued');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Swallows the curator's progress output while `fn` runs (for noisy suites, call it in
+// before()/after() instead: const restore = muteConsole())
+function muteConsole() {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return () => {
+    console.log = log;
+    console.error = error;
+  };
+}
+
+// A client from http-client.js that doesn't wait between retries or touch the disk cache
+function testHttpClient(options = {}) {
+  const { createHttpClient } = require('../http-client');
+  return createHttpClient({ cacheDir: null, sleep: async () => {}, ...options });
+}
+
+module.exports = {
+  FIXTURES,
+  SITE_ROOT,
+  fixture,
+  fixtureJson,
+  useTempRoot,
+  writeFile,
+  readJsonFile,
+  startServer,
+  json,
+  text,
+  status,
+  startSmtpSink,
+  muteConsole,
+  testHttpClient
+};
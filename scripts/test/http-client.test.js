@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient, createLimiter, retryAfterMs, backoffMs } = require('../http-client');
+const { useTempRoot, startServer, json, text, status, muteConsole } = require('./helpers');
+
+let root;
+let unmute;
+
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+// A client that notes how long it was asked to wait instead of waiting
+function client(options = {}) {
+  const waits = [];
+  const http = createHttpClient({ cacheDir: null, sleep: async ms => waits.push(ms), ...options });
+  return { http, waits };
+}
+
+test('retries 429 and 5xx answers with exponential backoff', async () => {
+  const server = await startServer({ '/flaky': [status(429), status(503), status(502), json({ ok: true })] });
+  try {
+    const { http, waits } = client();
+    const response = await http.get(`${server.url}/flaky`);
+    assert.deepStrictEqual(response, { status: 200, data: { ok: true }, fromCache: false });
+    assert.deepStrictEqual(waits, [1000, 2000, 4000]);
+    assert.deepStrictEqual(http.stats(), { requests: 4, retries: 3, cacheHits: 0, failures: 0 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('gives up after the last retry with the final status', async () => {
+  const server = await startServer({ '/down': status(503) });
+  try {
+    const { http, waits } = client({ retries: 2 });
+    await assert.rejects(http.get(`${server.url}/down`), error => error.response.status === 503);
+    assert.strictEqual(server.hits('/down'), 3);
+    assert.deepStrictEqual(waits, [1000, 2000]);
+    assert.deepStrictEqual(http.stats(), { requests: 3, retries: 2, cacheHits: 0, failures: 1 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('does not retry other client errors', async () => {
+  const server = await startServer({ '/missing': status(404) });
+  try {
+    const { http, waits } = client();
+    await assert.rejects(http.get(`${server.url}/missing`), /status code 404/);
+    assert.strictEqual(server.hits('/missing'), 1);
+    assert.deepStrictEqual(waits, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('retries connection failures', async () => {
+  const server = await startServer({});
+  const url = `${server.url}/gone`;
+  await server.close();
+  const { http, waits } = client({ retries: 1 });
+  await assert.rejects(http.get(url), { code: 'ECONNREFUSED' });
+  assert.deepStrictEqual(waits, [1000]);
+});
+
+test('waits as long as Retry-After asks, and fails when that is too long', async () => {
+  const later = new Date(Date.now() + 90 * 1000).toUTCString();
+  const server = await startServer({
+    '/seconds': [status(429, { 'Retry-After': '7' }), json({ ok: 1 })],
+    '/date': [status(503, { 'Retry-After': later }), json({ ok: 2 })],
+    '/tomorrow': status(429, { 'Retry-After': '86400' })
+  });
+  try {
+    const { http, waits } = client();
+    assert.deepStrictEqual((await http.get(`${server.url}/seconds`)).data, { ok: 1 });
+    assert.deepStrictEqual((await http.get(`${server.url}/date`)).data, { ok: 2 });
+    assert.strictEqual(waits[0], 7000);
+    assert.ok(waits[1] > 80 * 1000 && waits[1] <= 90 * 1000, `waited ${waits[1]}ms`);
+
+    await assert.rejects(http.get(`${server.url}/tomorrow`), /status code 429/);
+    assert.strictEqual(server.hits('/tomorrow'), 1);
+    assert.strictEqual(waits.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('retryAfterMs and backoffMs', () => {
+  const now = Date.parse('2024-03-12T12:00:00Z');
+  assert.strictEqual(retryAfterMs('120', now), 120000);
+  assert.strictEqual(retryAfterMs('Tue, 12 Mar 2024 12:00:30 GMT', now), 30000);
+  assert.strictEqual(retryAfterMs('Tue, 12 Mar 2024 11:00:00 GMT', now), 0);
+  assert.strictEqual(retryAfterMs('soon', now), null);
+  assert.strictEqual(retryAfterMs(undefined, now), null);
+  assert.deepStrictEqual([0, 1, 2, 3, 10].map(attempt => backoffMs(attempt)), [1000, 2000, 4000, 8000, 30000]);
+});
+
+test('answers a 304 from the disk cache with the ETag and Last-Modified it saved', async () => {
+  const modified = 'Tue, 12 Mar 2024 09:00:00 GMT';
+  const server = await startServer({
+    '/feed': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') return status(304)(req, res);
+      json({ items: [1, 2, 3] }, { headers: { ETag: '"v1"', 'Last-Modified': modified } })(req, res);
+    }
+  });
+  try {
+    const cacheDir = path.join(root.dir, 'cache');
+    const { http } = client({ cacheDir });
+    const first = await http.get(`${server.url}/feed`);
+    const second = await http.get(`${server.url}/feed`);
+
+    assert.deepStrictEqual(first, { status: 200, data: { items: [1, 2, 3] }, fromCache: false });
+    assert.deepStrictEqual(second, { status: 200, data: { items: [1, 2, 3] }, fromCache: true });
+    assert.strictEqual(server.requests[0].headers['if-none-match'], undefined);
+    assert.strictEqual(server.requests[1].headers['if-none-match'], '"v1"');
+    assert.strictEqual(server.requests[1].headers['if-modified-since'], modified);
+    assert.strictEqual(http.stats().cacheHits, 1);
+    assert.strictEqual(fs.readdirSync(cacheDir).length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a read-only cache is used but never written', async () => {
+  const server = await startServer({ '/feed': json({ fresh: true }, { headers: { ETag: '"v2"' } }) });
+  try {
+    const cacheDir = path.join(root.dir, 'cache');
+    const { http } = client({ cacheDir, readOnlyCache: true });
+    await http.get(`${server.url}/feed`);
+    assert.strictEqual(fs.existsSync(cacheDir), false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a 304 with nothing cached is a miss, fetched again without the conditional', async () => {
+  const server = await startServer({
+    '/odd': [status(304), json({ whole: true }, { headers: { ETag: '"v3"' } })],
+    '/stuck': status(304)
+  });
+  try {
+    const cacheDir = path.join(root.dir, 'cache');
+    const { http } = client({ cacheDir });
+    const response = await http.get(`${server.url}/odd`, { headers: { 'If-None-Match': '"stale"' } });
+    assert.deepStrictEqual(response, { status: 200, data: { whole: true }, fromCache: false });
+    assert.deepStrictEqual(server.requests.map(request => request.headers['if-none-match']), [undefined, undefined]);
+
+    await assert.rejects(http.get(`${server.url}/stuck`), /status code 304/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a damaged cache entry counts as a miss', async () => {
+  const server = await startServer({ '/feed': json({ ok: true }, { headers: { ETag: '"v4"' } }) });
+  try {
+    const cacheDir = path.join(root.dir, 'cache');
+    const { http } = client({ cacheDir });
+    await http.get(`${server.url}/feed`);
+    const [file] = fs.readdirSync(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, file), '{ "url": ');
+    assert.deepStrictEqual((await http.get(`${server.url}/feed`)).data, { ok: true });
+    assert.strictEqual(server.requests[1].headers['if-none-match'], undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('text responses, per-request retries and statuses a caller accepts', async () => {
+  const server = await startServer({ '/page': text('<p>hi</p>'), '/busy': status(503), '/gone': status(410) });
+  try {
+    const { http } = client();
+    assert.strictEqual((await http.get(`${server.url}/page`, { responseType: 'text' })).data, '<p>hi</p>');
+    await assert.rejects(http.request({ url: `${server.url}/busy`, retries: 0 }), /503/);
+    assert.strictEqual(server.hits('/busy'), 1);
+    const gone = await http.request({ url: `${server.url}/gone`, validateStatus: () => true });
+    assert.strictEqual(gone.status, 410);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sends its own User-Agent unless the caller sets one', async () => {
+  const server = await startServer({ '/ua': json({}) });
+  try {
+    const { http } = client();
+    await http.get(`${server.url}/ua`);
+    await http.get(`${server.url}/ua`, { headers: { 'User-Agent': 'custom/1.0' } });
+    assert.match(server.requests[0].headers['user-agent'], /ViralNexusBot/);
+    assert.strictEqual(server.requests[1].headers['user-agent'], 'custom/1.0');
+  } finally {
+    await server.close();
+  }
+});
+
+test('children count their own requests and share the parent totals', async () => {
+  const server = await startServer({ '/a': json({}), '/b': [status(500), json({})] });
+  try {
+    const { http } = client();
+    const a = http.child();
+    const b = http.child();
+    await a.get(`${server.url}/a`);
+    await b.get(`${server.url}/b`);
+    assert.deepStrictEqual(a.stats(), { requests: 1, retries: 0, cacheHits: 0, failures: 0 });
+    assert.deepStrictEqual(b.stats(), { requests: 2, retries: 1, cacheHits: 0, failures: 0 });
+    assert.deepStrictEqual(http.stats(), { requests: 3, retries: 1, cacheHits: 0, failures: 0 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('the limiter keeps at most `limit` calls in flight', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let most = 0;
+  const task = async () => {
+    active++;
+    most = Math.max(most, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => limit(task)));
+  assert.strictEqual(most, 2);
+});
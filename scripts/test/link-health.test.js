@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkUrl, checkLinks, applyLinkHealth } = require('../link-health');
+const { startServer, text, status, muteConsole, testHttpClient } = require('./helpers');
+
+const NOW = new Date('2024-03-12T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+let server;
+let unmute;
+
+test.before(async () => {
+  unmute = muteConsole();
+  const redirect = location => (req, res) => {
+    res.writeHead(301, { Location: location });
+    res.end();
+  };
+  server = await startServer({
+    '/story': text('<p>story</p>'),
+    '/': text('<p>home</p>'),
+    '/gone': status(404),
+    '/removed': status(410),
+    '/withheld': status(451),
+    '/bot-wall': status(403),
+    '/down': status(503),
+    '/moved': redirect('/story'),
+    '/retired': redirect('/'),
+    '/premium': redirect('/subscribe?next=/premium'),
+    '/subscribe': text('<p>subscribe</p>'),
+    'HEAD /head-shy': status(405),
+    'GET /head-shy': text('<p>fine with GET</p>')
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  unmute();
+});
+
+const check = (pathname, options = {}) => checkUrl(`${server.url}${pathname}`, { now: NOW, http: testHttpClient(), ...options });
+
+test('only a 404 or 410 from the site counts as dead', async () => {
+  const states = {};
+  for (const pathname of ['/story', '/gone', '/removed', '/withheld', '/bot-wall', '/down', '/head-shy']) {
+    const result = await check(pathname);
+    states[pathname] = [result.status, result.state];
+  }
+  assert.deepStrictEqual(states, {
+    '/story': [200, 'ok'],
+    '/gone': [404, 'dead'],
+    '/removed': [410, 'dead'],
+    '/withheld': [451, 'blocked'],
+    '/bot-wall': [403, 'blocked'],
+    '/down': [503, 'error'],
+    '/head-shy': [200, 'ok']
+  });
+  // Gone is gone: no GET after a 404 HEAD, and a 503 gets one retry per method
+  assert.strictEqual(server.requests.filter(request => request.path === '/gone').length, 1);
+  assert.strictEqual(server.hits('/down'), 4);
+});
+
+test('no answer at all is unknown, never dead', async () => {
+  const closed = await startServer({});
+  const url = `${closed.url}/story`;
+  await closed.close();
+  const refused = await checkUrl(url, { now: NOW, http: testHttpClient() });
+  assert.deepStrictEqual([refused.status, refused.state, refused.error], [null, 'unknown', 'ECONNREFUSED']);
+
+  const noDns = {
+    request: async () => {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND news.example'), { code: 'ENOTFOUND' });
+    }
+  };
+  const unresolved = await checkUrl('https://news.example/story', { now: NOW, http: noDns });
+  assert.deepStrictEqual([unresolved.state, unresolved.error], ['unknown', 'ENOTFOUND']);
+
+  const slow = await startServer({ '/slow': (req, res) => setTimeout(() => text('late')(req, res), 500) });
+  try {
+    const timedOut = await checkUrl(`${slow.url}/slow`, { now: NOW, timeout: 50, http: testHttpClient({ retries: 0 }) });
+    assert.strictEqual(timedOut.state, 'unknown');
+  } finally {
+    await slow.close();
+  }
+});
+
+test('redirects are followed and flag homepages and paywalls', async () => {
+  const moved = await check('/moved');
+  assert.deepStrictEqual([moved.state, moved.finalUrl, moved.flags], ['ok', `${server.url}/story`, ['redirected']]);
+  const retired = await check('/retired');
+  assert.deepStrictEqual(retired.flags, ['redirected', 'homepage']);
+  const premium = await check('/premium');
+  assert.deepStrictEqual(premium.flags, ['redirected', 'paywall']);
+});
+
+test('recent results are kept, except unknown ones, which are checked again', async () => {
+  const links = [
+    { id: 'a', url: `${server.url}/story` },
+    { id: 'b', url: `${server.url}/gone` },
+    { id: 'c', url: `${server.url}/removed` }
+  ];
+  const checkedAt = new Date(NOW.getTime() - HOUR).toISOString();
+  const previous = {
+    a: { url: links[0].url, status: 200, state: 'ok', finalUrl: links[0].url, checkedAt, flags: [] },
+    b: { url: links[1].url, status: null, state: 'unknown', finalUrl: links[1].url, checkedAt, flags: [], error: 'ENOTFOUND' },
+    c: { url: links[2].url, status: 200, state: 'ok', finalUrl: links[2].url, checkedAt: new Date(NOW.getTime() - 48 * HOUR).toISOString(), flags: [] }
+  };
+  const { results, checked } = await checkLinks(links, { previous, maxAge: 24 * HOUR, now: NOW, http: testHttpClient() });
+
+  assert.strictEqual(checked, 2);
+  assert.strictEqual(results.a, previous.a);
+  assert.deepStrictEqual([results.b.state, results.b.checkedAt], ['dead', NOW.toISOString()]);
+  assert.strictEqual(results.c.state, 'dead');
+});
+
+test('applyLinkHealth drops dead links only', () => {
+  const result = (url, state, flags = []) => ({ url, status: state === 'unknown' ? null : 200, state, finalUrl: url, checkedAt: NOW.toISOString(), flags });
+  const links = [
+    { id: 'a', url: 'https://news.example/a' },
+    { id: 'b', url: 'https://news.example/b' },
+    { id: 'c', url: 'https://news.example/c' },
+    { id: 'd', url: 'https://news.example/d' }
+  ];
+  const applied = applyLinkHealth(links, {
+    a: result(links[0].url, 'unknown'),
+    b: { ...result(links[1].url, 'dead'), status: 404 },
+    c: result(links[2].url, 'ok', ['homepage']),
+    d: result(links[3].url, 'ok')
+  });
+  assert.deepStrictEqual(applied.links.map(link => link.id), ['a', 'd', 'c']);
+  assert.deepStrictEqual(applied.dropped.map(({ link }) => link.id), ['b']);
+});
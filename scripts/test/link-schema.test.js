@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { validateLinks, parseLinksText, recoverRecords, repairLinks } = require('../link-schema');
+const { useTempRoot, writeFile, readJsonFile, muteConsole } = require('./helpers');
+
+const NOW = Date.parse('2026-01-06T12:00:00.000Z');
+const CLI = path.join(__dirname, '..', 'validate-links.js');
+
+function record(id, fields = {}) {
+  return {
+    id,
+    title: `Story ${id}`,
+    url: `https://www.example.com/${id}`,
+    viralScore: 80,
+    keywords: ['Viral'],
+    category: 'news',
+    createdAt: '2026-01-04T00:00:00Z',
+    ...fields
+  };
+}
+
+// links.json as hand-editing left it: a stray `]` before the array, numeric ids, the same
+// record twice, an id reused for another story, a title with trailing spaces and a
+// category the site doesn't have
+const RECORDS = [
+  record('1', { title: 'World Reacts to US Military Action in Venezuela' }),
+  record(1767699216288, { category: 'videos' }),
+  record('1', { title: 'World Reacts to US Military Action in Venezuela' }),
+  record('14', { title: 'Live Football: Match updates, scores and commentary ' }),
+  record('3', { category: 'products' }),
+  record('3', { url: 'https://www.example.com/other-story' }),
+  record('12', { title: 'Lottery future draws prediction', category: 'tools' })
+];
+const CORRUPTED = `  ]\n${JSON.stringify(RECORDS, null, 2).slice(1)}`;
+
+let root;
+
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+test('a leading ] is recovered record by record', () => {
+  assert.throws(() => JSON.parse(CORRUPTED));
+  const { links, recovered } = parseLinksText(CORRUPTED);
+  assert.strictEqual(recovered, true);
+  assert.deepStrictEqual(links, RECORDS);
+  assert.deepStrictEqual(parseLinksText(JSON.stringify(RECORDS)), { links: RECORDS, recovered: false });
+  // Objects that are broken inside are skipped, the rest kept
+  assert.deepStrictEqual(recoverRecords('[{"id": "1"}, {"id": }, {"id": "2",}]'), [{ id: '1' }, { id: '2' }]);
+});
+
+test('validation reports each corruption against its record', () => {
+  const problems = validateLinks(RECORDS).map(problem => [problem.index, problem.field, problem.message]);
+  assert.deepStrictEqual(problems, [
+    [1, 'id', 'must be a non-empty string'],
+    [2, 'id', 'duplicates record #0'],
+    [2, 'url', 'duplicates record #0'],
+    [5, 'id', 'duplicates record #4'],
+    [6, 'category', 'must be one of news, videos, products, tweets, memes']
+  ]);
+  assert.deepStrictEqual(validateLinks({ links: RECORDS }), [{ index: null, id: null, field: '(file)', message: 'must be a JSON array of links' }]);
+});
+
+test('repair fixes what it can and drops what it cannot', () => {
+  const { links, fixes, merged, dropped } = repairLinks(parseLinksText(CORRUPTED).links, { now: NOW });
+
+  assert.deepStrictEqual(validateLinks(links), []);
+  assert.deepStrictEqual(links.map(link => link.id), ['1', '1767699216288', '14', '3', '3-2']);
+  assert.strictEqual(links[2].title, 'Live Football: Match updates, scores and commentary');
+  assert.deepStrictEqual(fixes.map(fix => [fix.index, fix.field, fix.from, fix.to]), [
+    [1, 'id', 1767699216288, '1767699216288'],
+    [3, 'title', 'Live Football: Match updates, scores and commentary ', 'Live Football: Match updates, scores and commentary'],
+    [5, 'id', '3', '3-2']
+  ]);
+  assert.deepStrictEqual(merged, [{ index: 2, id: '1', into: '1' }]);
+  // An unknown category can't be guessed, so the record is reported for an editor to re-file
+  assert.deepStrictEqual(dropped, [
+    { index: 6, id: '12', reasons: ['category: must be one of news, videos, products, tweets, memes'] }
+  ]);
+});
+
+test('a second record for the same URL is merged the way the merge step does it', () => {
+  const { links, merged } = repairLinks([
+    record('1', { source: 'Al Jazeera', clicks: 50000, createdAt: '2026-01-06T11:33:36.287Z' }),
+    record('2'),
+    record('7', { url: 'https://www.example.com/1', source: 'Al Jazeera', viralScore: 95, keywords: ['Venezuela'], clicks: 2500000, createdAt: '2026-01-03T00:00:00Z' }),
+    // Older still, but its id belongs to another link
+    record('2', { url: 'https://www.example.com/1', createdAt: '2026-01-01T00:00:00Z' })
+  ], { now: NOW });
+
+  // Content from the first record; the oldest one's id and createdAt; clicks added up
+  assert.deepStrictEqual(links, [
+    { ...record('7', { title: 'Story 1', url: 'https://www.example.com/1', source: 'Al Jazeera', viralScore: 95, keywords: ['Viral', 'Venezuela'] }), createdAt: '2026-01-01T00:00:00Z', clicks: 2550000, sources: ['Al Jazeera'] },
+    record('2')
+  ]);
+  assert.deepStrictEqual(merged, [{ index: 2, id: '7', into: '7' }, { index: 3, id: '2', into: '7' }]);
+  assert.deepStrictEqual(validateLinks(links), []);
+});
+
+test('validate exits 1 on a broken file; fix rewrites it so validate passes', () => {
+  const run = (...args) => {
+    try {
+      return { status: 0, output: execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: 'pipe' }) };
+    } catch (error) {
+      return { status: error.status, output: error.stdout };
+    }
+  };
+  writeFile('links.json', CORRUPTED);
+
+  const invalid = run('validate', 'links.json');
+  assert.strictEqual(invalid.status, 1);
+  assert.match(invalid.output, /links\.json is not valid JSON/);
+  assert.match(invalid.output, /#6 \(id "12"\) category: must be one of/);
+  assert.match(invalid.output, /5 problems in 7 records/);
+
+  const fixed = run('fix', 'links.json');
+  assert.strictEqual(fixed.status, 0);
+  assert.match(fixed.output, /Wrote 5 records to links\.json \(3 fixes, 1 merged, 1 dropped\)/);
+  assert.strictEqual(readJsonFile('links.json').length, 5);
+
+  assert.deepStrictEqual(run('validate', 'links.json'), { status: 0, output: '✅ links.json: 5 valid records\n' });
+  assert.strictEqual(run('validate', 'missing.json').status, 1);
+  assert.strictEqual(run('check').status, 1);
+});
+
+test('the CLI can be required, and fix replaces the file in one rename', () => {
+  const { fix } = require('../validate-links');
+  writeFile('links.json', CORRUPTED);
+  const unmute = muteConsole();
+  try {
+    fix('links.json');
+  } finally {
+    unmute();
+  }
+  assert.deepStrictEqual(validateLinks(readJsonFile('links.json')), []);
+  assert.deepStrictEqual(fs.readdirSync('.'), ['links.json']);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider, DEFAULT_MODELS } = require('../llm');
+const { createOpenAIProvider } = require('../llm/openai');
+const { parseCurationResponse } = require('../llm/parse');
+const { startServer, json, status, muteConsole, testHttpClient } = require('./helpers');
+
+const CURATED = [{ title: 'Volcano erupts near Icelandic fishing town', url: 'https://www.bbc.co.uk/news/world-europe-68531877', category: 'news', keywords: ['Iceland'] }];
+const OPENAI_REPLY = { choices: [{ message: { role: 'assistant', content: JSON.stringify(CURATED) } }] };
+const ANTHROPIC_REPLY = {
+  type: 'message',
+  content: [{ type: 'text', text: '```json\n' }, { type: 'text', text: `${JSON.stringify(CURATED)}\n\`\`\`` }]
+};
+
+let unmute;
+
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+
+test('the provider follows LLM_PROVIDER, or whichever key is set', () => {
+  assert.strictEqual(createProvider({}), null);
+  assert.deepStrictEqual(
+    [createProvider({ ANTHROPIC_API_KEY: 'a' }), createProvider({ OPENAI_API_KEY: 'o' }), createProvider({ LLM_BASE_URL: 'http://127.0.0.1:1/v1' })]
+      .map(provider => [provider.name, provider.model]),
+    [['anthropic', DEFAULT_MODELS.anthropic], ['openai', DEFAULT_MODELS.openai], ['local', DEFAULT_MODELS.local]]
+  );
+  assert.strictEqual(createProvider({ LLM_PROVIDER: 'Anthropic', LLM_API_KEY: 'k', LLM_MODEL: 'claude-test' }).model, 'claude-test');
+  assert.throws(() => createProvider({ LLM_PROVIDER: 'openai', ANTHROPIC_API_KEY: 'a' }), /needs OPENAI_API_KEY/);
+  assert.throws(() => createProvider({ LLM_PROVIDER: 'bard' }), /Unknown LLM_PROVIDER "bard"/);
+});
+
+test('openai-compatible endpoints get a chat completion, retried through 429s and 5xx answers', async () => {
+  const server = await startServer({
+    'POST /v1/chat/completions': [status(429), status(503), json(OPENAI_REPLY)]
+  });
+  try {
+    const provider = createProvider({ OPENAI_API_KEY: 'sk-test', LLM_BASE_URL: `${server.url}/v1/` }, { http: testHttpClient() });
+    const reply = await provider.complete('Pick the best stories');
+
+    assert.deepStrictEqual(parseCurationResponse(reply).items, CURATED);
+    assert.strictEqual(server.hits('/v1/chat/completions'), 3);
+    const { headers, body } = server.requests[2];
+    assert.strictEqual(headers.authorization, 'Bearer sk-test');
+    assert.deepStrictEqual(JSON.parse(body), {
+      model: DEFAULT_MODELS.openai,
+      messages: [{ role: 'user', content: 'Pick the best stories' }],
+      temperature: 0.7
+    });
+
+    // A local server needs no key
+    const local = createProvider({ LLM_PROVIDER: 'local', LLM_BASE_URL: `${server.url}/v1` }, { http: testHttpClient() });
+    await local.complete('Again');
+    assert.strictEqual(server.requests[3].headers.authorization, undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('anthropic gets a Messages API call and its text blocks are joined', async () => {
+  const server = await startServer({
+    'POST /v1/messages': [status(500), json(ANTHROPIC_REPLY)]
+  });
+  try {
+    const provider = createProvider({ ANTHROPIC_API_KEY: 'sk-ant-test', LLM_BASE_URL: server.url }, { http: testHttpClient() });
+    const reply = await provider.complete('Pick the best stories');
+
+    assert.deepStrictEqual(parseCurationResponse(reply).items, CURATED);
+    assert.strictEqual(server.hits('/v1/messages'), 2);
+    const { headers, body } = server.requests[1];
+    assert.deepStrictEqual([headers['x-api-key'], headers['anthropic-version']], ['sk-ant-test', '2023-06-01']);
+    assert.deepStrictEqual(JSON.parse(body), {
+      model: DEFAULT_MODELS.anthropic,
+      max_tokens: 2048,
+      temperature: 0.7,
+      messages: [{ role: 'user', content: 'Pick the best stories' }]
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a rejected key fails at once, and so does a reply with no choices', async () => {
+  const server = await startServer({
+    'POST /bad-key/chat/completions': status(401),
+    'POST /empty/chat/completions': json({ choices: [] })
+  });
+  try {
+    const http = testHttpClient();
+    await assert.rejects(createOpenAIProvider({ apiKey: 'wrong', model: 'm', baseUrl: `${server.url}/bad-key`, http }).complete('x'), /status code 401/);
+    assert.strictEqual(server.hits('/bad-key/chat/completions'), 1);
+    await assert.rejects(createOpenAIProvider({ apiKey: 'k', model: 'm', baseUrl: `${server.url}/empty`, name: 'local', http }).complete('x'), /local returned no choices/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a model that never answers times out, after one more try', async () => {
+  const server = await startServer({
+    'POST /v1/chat/completions': (req, res) => setTimeout(() => json(OPENAI_REPLY)(req, res), 500)
+  });
+  try {
+    const provider = createOpenAIProvider({ model: 'm', baseUrl: `${server.url}/v1`, timeout: 50, http: testHttpClient({ retries: 1 }) });
+    await assert.rejects(provider.complete('x'), error => error.code === 'ECONNABORTED');
+    assert.strictEqual(server.hits('/v1/chat/completions'), 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('replies are parsed leniently and only valid items are kept', () => {
+  const reply = [
+    'Here are the picks:',
+    '```json',
+    '[',
+    '  {"title": "Volcano erupts near Icelandic fishing town", "url": "https://www.bbc.co.uk/news/world-europe-68531877", "category": " News ", "keywords": "Iceland, volcano", "viralScore": "140"},',
+    '  {"title": "Made up", "url": "https://invented.example/story", "category": "news", "keywords": []},',
+    '  {"title": "No link", "category": "news", "keywords": []},',
+    '  {"title": "Broken", "url": ',
+    ']',
+    '```'
+  ].join('\n');
+  const { items, rejected } = parseCurationResponse(reply, { allowedUrls: new Set([CURATED[0].url]), allowedCategories: ['news'] });
+
+  assert.deepStrictEqual(items, [{ ...CURATED[0], keywords: ['Iceland', 'volcano'] }]);
+  assert.deepStrictEqual(rejected.map(({ item, errors }) => [item.title, errors]), [
+    ['Made up', ['url was not in the trending input']],
+    ['No link', ['url is required']]
+  ]);
+  assert.deepStrictEqual(parseCurationResponse('Sorry, I cannot help with that.').items, []);
+});
+
+test('only the curated fields are taken from a reply', () => {
+  const reply = JSON.stringify([{
+    ...CURATED[0],
+    description: 'Lava reached the harbour overnight.',
+    pinned: true,
+    hidden: true,
+    upvotes: 999,
+    viralScore: 100,
+    thumbnail: 'https://tracker.example/pixel.gif',
+    source: 'Wire'
+  }, { ...CURATED[0], description: 42 }]);
+  const { items, rejected } = parseCurationResponse(reply);
+
+  assert.deepStrictEqual(items, [{ ...CURATED[0], description: 'Lava reached the harbour overnight.' }]);
+  assert.deepStrictEqual(rejected.map(({ errors }) => errors), [['description must be a string']]);
+});
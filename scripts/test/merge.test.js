@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalUrl, titleSimilarity, mergeTrendingItems, mergeLinks } = require('../merge');
+
+test('URL variants of one page share a canonical URL', () => {
+  const variants = [
+    ['https://www.bbc.co.uk/news/science-68532109', 'http://bbc.co.uk/news/science-68532109/'],
+    ['https://www.bbc.co.uk/news/science-68532109', 'https://m.bbc.co.uk/news/science-68532109?utm_source=twitter&utm_medium=social'],
+    ['https://www.bbc.co.uk/news/science-68532109', 'https://www.bbc.co.uk/news/science-68532109?fbclid=IwAR0abc&at_medium=RSS'],
+    ['https://example.com/story/index.html', 'https://example.com//story/'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://youtu.be/dQw4w9WgXcQ?si=Ab12Cd34'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://m.youtube.com/shorts/dQw4w9WgXcQ'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://www.youtube.com/watch?feature=share&v=dQw4w9WgXcQ&t=42'],
+    ['https://twitter.com/nasa/status/1767000000000000000', 'https://mobile.twitter.com/nasa/status/1767000000000000000?s=20'],
+    ['https://www.reddit.com/r/videos/comments/1h3k8cd/', 'https://www.reddit.com/r/Videos/comments/1h3k8cd/guy_builds_a_pinball_machine/?share_id=x'],
+    ['https://shop.example/item?b=2&a=1', 'https://shop.example/item?a=1&b=2'],
+    ['https://www.reddit.com/r/videos/comments/1h3k8cd/', 'https://old.reddit.com/r/videos/comments/1h3k8cd/slug/'],
+    ['https://www.reddit.com/r/videos/comments/1h3k8cd/', 'https://np.reddit.com/r/videos/comments/1h3k8cd/'],
+    ['https://www.theguardian.com/world/2024/mar/12/story', 'https://www.google.com/amp/s/www.theguardian.com/world/2024/mar/12/story?utm_source=x'],
+    ['https://www.theguardian.com/world/2024/mar/12/story', 'https://www-theguardian-com.cdn.ampproject.org/c/s/www.theguardian.com/world/2024/mar/12/story']
+  ];
+  variants.forEach(([a, b]) => assert.strictEqual(canonicalUrl(a), canonicalUrl(b), `${a} vs ${b}`));
+});
+
+test('different pages keep different canonical URLs', () => {
+  const distinct = [
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://www.youtube.com/watch?v=9bZkp7q19f0'],
+    ['https://example.com/search?q=cats', 'https://example.com/search?q=dogs'],
+    // Share params only mean tracking on the hosts that use them
+    ['https://example.com/page?t=1', 'https://example.com/page?t=2'],
+    ['https://example.com/a', 'https://example.org/a'],
+    // old./new./np. are only aliases on Reddit, and amp. only inside Google's AMP URLs
+    ['https://new.york.gov/notices', 'https://york.gov/notices'],
+    ['https://old.example.com/page', 'https://example.com/page'],
+    ['https://amp.example.com/page', 'https://example.com/page'],
+    ['https://new.reddit.com.example/page', 'https://reddit.com.example/page'],
+    ['https://www.google.com/search?q=amp', 'https://www.google.com/amp']
+  ];
+  distinct.forEach(([a, b]) => assert.notStrictEqual(canonicalUrl(a), canonicalUrl(b), `${a} vs ${b}`));
+  assert.strictEqual(canonicalUrl('not a url '), 'not a url');
+  assert.strictEqual(canonicalUrl('mailto:tips@example.com'), 'mailto:tips@example.com');
+});
+
+test('titles match on their words, not their letters', () => {
+  assert.strictEqual(titleSimilarity('NASA’s Artemis II crew: meet the astronauts', 'Nasa s Artemis II crew - meet the astronauts!'), 1);
+  assert.ok(titleSimilarity('Apple announces iPhone 16', 'Apple announces iPhone 17') < 0.8);
+  assert.ok(titleSimilarity('Taylor Swift announces new album', 'Taylor Swift announces new tour dates') < 0.8);
+  assert.ok(titleSimilarity('Town votes to keep its goat as mayor', 'Town votes to keep goat as mayor') >= 0.8);
+  assert.strictEqual(titleSimilarity('', 'Anything'), 0);
+});
+
+test('stories that differ by one detail stay apart', () => {
+  const items = [
+    { title: 'Apple announces iPhone 16', url: 'https://www.apple.com/newsroom/iphone-16', source: 'r/apple', score: 10 },
+    { title: 'Apple announces iPhone 17', url: 'https://www.theverge.com/iphone-17', source: 'Hacker News', score: 20 },
+    { title: 'Taylor Swift announces new album', url: 'https://www.bbc.co.uk/news/album', source: 'BBC News', score: 30 },
+    { title: 'Taylor Swift announces new tour dates', url: 'https://www.nme.com/tour', source: 'r/music', score: 40 }
+  ];
+  assert.strictEqual(mergeTrendingItems(items).length, 4);
+});
+
+test('the same story from two sources folds into one item', () => {
+  const items = [
+    { title: 'Scientists confirm record ocean temperatures', url: 'https://www.theguardian.com/ocean?utm_source=reddit', source: 'r/worldnews', score: 100, comments: 10 },
+    { title: 'Scientists confirm record ocean temperatures!', url: 'https://www.bbc.co.uk/news/ocean', source: 'BBC News', score: 50, comments: 5, nsfw: true },
+    { title: 'Oceans are hot', url: 'https://theguardian.com/ocean', source: 'Hacker News', score: 25 }
+  ];
+  const [merged, ...rest] = mergeTrendingItems(items);
+  assert.deepStrictEqual(rest, []);
+  assert.strictEqual(merged.url, items[0].url);
+  assert.strictEqual(merged.score, 175);
+  assert.strictEqual(merged.comments, 15);
+  assert.strictEqual(merged.nsfw, true);
+  assert.deepStrictEqual(merged.sources, ['r/worldnews', 'BBC News', 'Hacker News']);
+});
+
+test('one source posting two near-identical titles posted two stories', () => {
+  const items = [
+    { title: 'Weekly discussion thread', url: 'https://www.reddit.com/r/popular/comments/aaa/', source: 'r/popular', score: 1 },
+    { title: 'Weekly discussion thread', url: 'https://www.reddit.com/r/popular/comments/bbb/', source: 'r/popular', score: 1 }
+  ];
+  assert.strictEqual(mergeTrendingItems(items).length, 2);
+  // The same page twice is still one story
+  assert.strictEqual(mergeTrendingItems([items[0], { ...items[0], title: 'Weekly thread' }]).length, 1);
+});
+
+test('published links keep the stored id and createdAt when a story comes back', () => {
+  const stored = {
+    id: '1', title: 'Apple announces iPhone 16', url: 'https://www.apple.com/newsroom/iphone-16', source: 'r/apple',
+    createdAt: '2024-03-01T00:00:00.000Z', viralScore: 70, clicks: 5, pinned: true
+  };
+  const fresh = { ...stored, id: '2', url: 'https://apple.com/newsroom/iphone-16?utm_campaign=x', createdAt: '2024-03-12T00:00:00.000Z', viralScore: 80, clicks: 1, pinned: undefined };
+  const sequel = { ...fresh, id: '3', title: 'Apple announces iPhone 17', url: 'https://www.apple.com/newsroom/iphone-17', source: 'Hacker News' };
+
+  const merged = mergeLinks([fresh, sequel, stored]);
+  assert.deepStrictEqual(merged.map(link => link.id), ['1', '3']);
+  assert.deepStrictEqual([merged[0].createdAt, merged[0].viralScore, merged[0].clicks, merged[0].pinned], ['2024-03-01T00:00:00.000Z', 80, 6, true]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { moderateItems, loadModerationConfig } = require('../moderation');
+const { mergeTrendingItems } = require('../merge');
+
+const CONFIG = { ...loadModerationConfig(), maxPerDomain: 2 };
+
+function video(n, extra = {}) {
+  return { title: `Video ${n}`, url: `https://www.youtube.com/watch?v=v${n}`, score: 100 - n, source: 'r/videos', category: 'videos', ...extra };
+}
+
+test('more than maxPerDomain items from one site are held back, lowest scores first', () => {
+  const items = [video(1), video(2), { ...video(3), url: 'https://youtu.be/v3' }, { ...video(4), url: 'https://m.youtube.com/watch?v=v4' }];
+  const { accepted, rejected } = moderateItems(items, CONFIG);
+  assert.deepStrictEqual(accepted.map(item => item.title), ['Video 1', 'Video 2']);
+  assert.deepStrictEqual(rejected.map(({ item, reasons }) => [item.title, reasons]), [
+    ['Video 3', ['more than 2 items from youtube.com']],
+    ['Video 4', ['more than 2 items from youtube.com']]
+  ]);
+});
+
+test('a publisher\'s own feed is never flooding its site', () => {
+  const playlist = [1, 2, 3, 4, 5].map(n => video(n, { source: 'YouTube: Trending Music', firstParty: true }));
+  const { accepted } = moderateItems([...playlist, video(6), video(7), video(8)], CONFIG);
+  assert.deepStrictEqual(accepted.map(item => item.title), ['Video 1', 'Video 2', 'Video 3', 'Video 4', 'Video 5', 'Video 6', 'Video 7']);
+
+  // Also found on Reddit, a playlist video is still the publisher's own
+  const merged = mergeTrendingItems([video(1), video(2), video(3), video(1, { source: 'YouTube: Trending Music', firstParty: true })]);
+  assert.strictEqual(moderateItems(merged, CONFIG).rejected.length, 0);
+});
+
+test('old./new. are Reddit aliases only, as in the merge step', () => {
+  const config = { ...CONFIG, allowDomains: [], blockDomains: ['new.example'], maxPerDomain: 1 };
+  const { accepted, rejected } = moderateItems([
+    { title: 'Thread', url: 'https://old.reddit.com/r/pics/comments/abc/thread/', score: 3, source: 'r/pics' },
+    { title: 'Same site', url: 'https://new.reddit.com/r/pics/comments/def/other/', score: 2, source: 'r/pics' },
+    { title: 'Own host', url: 'https://new.example/story', score: 1, source: 'r/news' }
+  ], config);
+  assert.deepStrictEqual(accepted.map(item => item.title), ['Thread']);
+  assert.deepStrictEqual(rejected.map(({ reasons }) => reasons), [['more than 1 items from reddit.com'], ['blocked domain new.example']]);
+});
+
+function story(title, url, extra = {}) {
+  return { title, url, score: 10, source: 'r/news', ...extra };
+}
+
+// Flooding is left out of these, so stories can share a site
+const PER_ITEM = { ...CONFIG, maxPerDomain: 10 };
+const reasonsFor = (items, config = PER_ITEM) => moderateItems(items, config).rejected.map(({ item, reasons }) => [item.title, reasons]);
+
+test('NSFW, spoiler and stickied items are held back, even from trusted sites', () => {
+  const items = [
+    story('Night out', 'https://www.reddit.com/r/pics/comments/a1/night_out/', { nsfw: true }),
+    story('Finale twist', 'https://www.example.com/finale', { spoiler: true }),
+    story('Weekly thread', 'https://www.reddit.com/r/news/comments/a2/weekly/', { stickied: true }),
+    story('Everything at once', 'https://www.example.com/all', { nsfw: true, spoiler: true, stickied: true }),
+    story('Plain story', 'https://www.example.com/plain', { nsfw: false })
+  ];
+  assert.deepStrictEqual(reasonsFor(items), [
+    ['Night out', ['nsfw']],
+    ['Finale twist', ['spoiler']],
+    ['Weekly thread', ['stickied']],
+    ['Everything at once', ['nsfw', 'spoiler', 'stickied']]
+  ]);
+  const relaxed = { ...PER_ITEM, allowNsfw: true, allowSpoilers: true, allowStickied: true };
+  assert.deepStrictEqual(reasonsFor(items, relaxed), []);
+});
+
+test('blocked domains cover their subdomains, not look-alikes', () => {
+  assert.deepStrictEqual(reasonsFor([
+    story('Clip', 'https://www.pornhub.com/view_video.php?viewkey=1'),
+    story('Regional', 'https://de.xhamster.com/videos/1'),
+    story('Look-alike', 'https://notpornhub.com/story')
+  ]), [
+    ['Clip', ['blocked domain pornhub.com']],
+    ['Regional', ['blocked domain xhamster.com']]
+  ]);
+  // A domain that is also allowed is trusted
+  assert.deepStrictEqual(reasonsFor([story('Clip', 'https://pornhub.com/x')], { ...PER_ITEM, allowDomains: ['pornhub.com'] }), []);
+});
+
+test('deny-keywords match whole words and phrases in the title or URL, in any case', () => {
+  assert.deepStrictEqual(reasonsFor([
+    story('FREE Robux generator that works', 'https://www.example.com/robux'),
+    story('Win big', 'https://www.example.com/giveaway-now'),
+    story('Graphic: gore warning', 'https://www.example.com/clip'),
+    story('Nudes leak, DM me', 'https://www.example.com/leak'),
+    story('Pornography laws debated in parliament', 'https://www.example.com/laws'),
+    story('Airdrops and xxxl shirts', 'https://www.example.com/shirts'),
+    story('Free robuxx', 'https://www.example.com/typo')
+  ]), [
+    ['FREE Robux generator that works', ['keyword "free robux"']],
+    ['Win big', ['keyword "giveaway"']],
+    ['Graphic: gore warning', ['keyword "gore"']],
+    ['Nudes leak, DM me', ['keyword "nudes"']]
+  ]);
+  // They apply to trusted sites too
+  assert.deepStrictEqual(reasonsFor([story('Promo code inside', 'https://www.reddit.com/r/deals/comments/a3/promo/')]), [
+    ['Promo code inside', ['keyword "promo code"']]
+  ]);
+  assert.deepStrictEqual(reasonsFor([story('Giveaway', 'https://www.example.com/g')], { ...PER_ITEM, denyKeywords: [] }), []);
+});
+
+test('URL shorteners are refused because they hide where the link goes', () => {
+  const { accepted, rejected } = moderateItems([
+    story('Short', 'https://bit.ly/3abcdef'),
+    story('Tweeted', 'https://t.co/xyz'),
+    story('Shared', 'https://www.lnkd.in/abc'),
+    story('Direct', 'https://www.example.com/article'),
+    story('Broken', 'not a url'),
+    story('Blocked and short', 'https://tinyurl.com/onlyfans')
+  ], PER_ITEM);
+  assert.deepStrictEqual(accepted.map(item => item.title), ['Direct']);
+  assert.deepStrictEqual(rejected.map(({ item, reasons }) => [item.title, reasons]), [
+    ['Short', ['link shortener bit.ly']],
+    ['Tweeted', ['link shortener t.co']],
+    ['Shared', ['link shortener lnkd.in']],
+    ['Broken', ['invalid url']],
+    ['Blocked and short', ['link shortener tinyurl.com', 'keyword "onlyfans"']]
+  ]);
+});
@@ -0,0 +1,297 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SITE_ROOT } = require('./helpers');
+const offline = require('../../offline');
+
+const SCOPE = 'https://viral.example/site/';
+const SW_SOURCE = fs.readFileSync(path.join(SITE_ROOT, 'sw.js'), 'utf8');
+const SHELL_VERSION = Number(SW_SOURCE.match(/const SHELL_VERSION = (\d+);/)[1]);
+
+// CacheStorage with just what sw.js uses
+function createCaches() {
+  const stores = new Map();
+  const keyOf = request => new URL(typeof request === 'string' ? request : request.url, SCOPE).href;
+  const withoutSearch = url => url.split('?')[0];
+
+  function open(name) {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const entries = stores.get(name);
+    return {
+      entries,
+      async match(request, { ignoreSearch = false } = {}) {
+        const key = keyOf(request);
+        const found = ignoreSearch
+          ? [...entries].find(([url]) => withoutSearch(url) === withoutSearch(key))
+          : [[key, entries.get(key)]].find(([, response]) => response);
+        return found ? found[1].clone() : undefined;
+      },
+      async put(request, response) {
+        entries.set(keyOf(request), response.clone());
+      },
+      async add(request) {
+        const response = await network(keyOf(request));
+        if (!response.ok) throw new TypeError(`${response.status} for ${keyOf(request)}`);
+        entries.set(keyOf(request), response);
+      },
+      async addAll(requests) {
+        for (const request of requests) await this.add(request);
+      }
+    };
+  }
+
+  // set by createWorker, so add() goes through the same scripted network
+  let network = null;
+  return {
+    stores,
+    setNetwork(fn) {
+      network = fn;
+    },
+    async open(name) {
+      return open(name);
+    },
+    async keys() {
+      return [...stores.keys()];
+    },
+    async delete(name) {
+      return stores.delete(name);
+    },
+    async has(name) {
+      return stores.has(name);
+    }
+  };
+}
+
+// Loads sw.js with offline.js as its importScripts. `network` answers every fetch:
+// url -> Response (or throws, like being offline).
+function createWorker({ network, caches = createCaches() } = {}) {
+  const listeners = {};
+  const messages = [];
+  const state = { network };
+  caches.setNetwork(url => state.network(url));
+
+  const context = {
+    URL,
+    Response,
+    Promise,
+    console,
+    caches,
+    registration: { scope: SCOPE },
+    clients: {
+      claim: async () => {},
+      matchAll: async () => [{ postMessage: message => messages.push(message) }]
+    },
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    skipWaiting: async () => {},
+    fetch: async request => state.network(new URL(typeof request === 'string' ? request : request.url, SCOPE).href),
+    importScripts: file => vm.runInContext(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), context, { filename: file })
+  };
+  context.self = context;
+  vm.createContext(context);
+  vm.runInContext(SW_SOURCE, context, { filename: 'sw.js' });
+
+  // Dispatches an event; resolves to what respondWith() got (if anything) once every
+  // waitUntil() promise has settled
+  async function dispatch(type, fields = {}) {
+    const pending = [];
+    let response = null;
+    const event = {
+      ...fields,
+      waitUntil: promise => pending.push(promise),
+      respondWith: promise => {
+        response = Promise.resolve(promise);
+        pending.push(response.catch(() => {}));
+      }
+    };
+    listeners[type](event);
+    const result = response ? await response : undefined;
+    for (let i = 0; i < pending.length; i++) await pending[i];
+    return result;
+  }
+
+  return {
+    caches,
+    messages,
+    setNetwork(fn) {
+      state.network = fn;
+    },
+    install: () => dispatch('install'),
+    activate: () => dispatch('activate'),
+    fetch: (url, { method = 'GET', mode = 'cors' } = {}) => dispatch('fetch', { request: { url: new URL(url, SCOPE).href, method, mode } })
+  };
+}
+
+// A network serving `files` (path under the scope -> body), 404 for anything else
+function site(files) {
+  const requests = [];
+  const fn = async url => {
+    requests.push(url);
+    const file = url.startsWith(SCOPE) ? url.slice(SCOPE.length).split('?')[0] : null;
+    if (file === null || !(file in files)) return new Response('Not found', { status: 404 });
+    const body = typeof files[file] === 'string' ? files[file] : JSON.stringify(files[file]);
+    return new Response(body, { status: 200 });
+  };
+  fn.requests = requests;
+  return fn;
+}
+
+function offlineNetwork() {
+  throw new TypeError('Failed to fetch');
+}
+
+function shellFiles(extra = {}) {
+  const files = {};
+  offline.SHELL_FILES.forEach(file => {
+    files[file] = `/* ${file} */`;
+  });
+  return { ...files, 'links.json': [{ id: '1' }], ...extra };
+}
+
+test('strategyFor sorts requests by what they are for', () => {
+  const scope = new URL(SCOPE);
+  const strategy = url => offline.strategyFor(new URL(url, SCOPE), scope);
+
+  assert.strictEqual(strategy(SCOPE), 'shell');
+  assert.strictEqual(strategy('script.js'), 'shell');
+  assert.strictEqual(strategy('images/cards/news.svg'), 'shell');
+  assert.strictEqual(strategy('links.json'), 'data');
+  assert.strictEqual(strategy('api/v1/links/page-3.json'), 'data');
+  assert.strictEqual(strategy('data/archive/2024-03.json'), 'data');
+  assert.strictEqual(strategy('api/me'), 'account');
+  assert.strictEqual(strategy('api/me/saved'), 'account');
+  assert.strictEqual(strategy('go/123'), null);
+  assert.strictEqual(strategy('api/votes'), null);
+  assert.strictEqual(strategy('images/thumbs/abc-250.webp'), null);
+  assert.strictEqual(strategy('https://elsewhere.example/site/links.json'), null);
+  assert.strictEqual(strategy('https://viral.example/other/links.json'), null);
+});
+
+test('new-link detection: nothing is new on a first visit, then only what came after', () => {
+  const links = [
+    { id: 'a', createdAt: '2024-03-12T08:00:00.000Z' },
+    { id: 'b', createdAt: '2024-03-12T10:00:00.000Z' },
+    { id: 'c', createdAt: '2024-03-11T20:00:00.000Z' },
+    { id: 'd', createdAt: 'not a date' }
+  ];
+  const lastSeen = Date.parse('2024-03-12T08:00:00.000Z');
+
+  assert.strictEqual(offline.newestTime(links), Date.parse('2024-03-12T10:00:00.000Z'));
+  assert.strictEqual(offline.newestTime([]), 0);
+  assert.deepStrictEqual(offline.newSince(links, 0), []);
+  assert.deepStrictEqual(offline.newSince(links, null), []);
+  assert.deepStrictEqual(offline.newSince(links, lastSeen).map(link => link.id), ['b']);
+  assert.deepStrictEqual(offline.newSince(links, offline.newestTime(links)), []);
+});
+
+test('install caches the shell and whichever links data the site has', async () => {
+  const worker = createWorker({ network: site(shellFiles()) });
+  await worker.install();
+
+  const shell = worker.caches.stores.get(`viral-nexus-shell-v${SHELL_VERSION}`);
+  assert.deepStrictEqual([...shell.keys()].sort(), offline.SHELL_FILES.map(file => SCOPE + file).sort());
+  // No static API on this site: the manifest and first page 404 and are skipped
+  assert.deepStrictEqual([...worker.caches.stores.get('viral-nexus-data').keys()], [`${SCOPE}links.json`]);
+});
+
+test('activate removes caches from older shell versions and nothing else', async () => {
+  const caches = createCaches();
+  ['viral-nexus-shell-v0', `viral-nexus-shell-v${SHELL_VERSION}`, 'viral-nexus-data', 'viral-nexus-account', 'someone-elses-cache']
+    .forEach(name => caches.open(name));
+  const worker = createWorker({ network: site({}), caches });
+  await worker.activate();
+
+  assert.deepStrictEqual([...caches.stores.keys()].sort(), [
+    'someone-elses-cache',
+    'viral-nexus-account',
+    'viral-nexus-data',
+    `viral-nexus-shell-v${SHELL_VERSION}`
+  ]);
+});
+
+test('the shell is served from the cache at once and refreshed in the background', async () => {
+  const network = site(shellFiles());
+  const worker = createWorker({ network });
+  await worker.install();
+
+  worker.setNetwork(site(shellFiles({ 'script.js': '/* v2 */' })));
+  const stale = await worker.fetch('script.js');
+  assert.strictEqual(await stale.text(), '/* script.js */');
+  const fresh = await worker.fetch('script.js');
+  assert.strictEqual(await fresh.text(), '/* v2 */');
+
+  // Every view of the homepage is index.html, offline too
+  worker.setNetwork(offlineNetwork);
+  const page = await worker.fetch(`${SCOPE}?category=memes#/link/1`, { mode: 'navigate' });
+  assert.strictEqual(await page.text(), '/* index.html */');
+  const root = await worker.fetch(SCOPE);
+  assert.strictEqual(await root.text(), '/* index.html */');
+});
+
+test('links data: stale copy first, and pages hear when the refresh brought new links', async () => {
+  const worker = createWorker({ network: site(shellFiles({ 'links.json': [{ id: '1' }] })) });
+  await worker.install();
+
+  // Same links: served from the cache, nobody is told anything
+  const unchanged = await worker.fetch('links.json');
+  assert.deepStrictEqual(await unchanged.json(), [{ id: '1' }]);
+  assert.deepStrictEqual(worker.messages, []);
+
+  // New links: the page still gets the cached copy, then a message, and the cache moves on
+  worker.setNetwork(site(shellFiles({ 'links.json': [{ id: '2' }, { id: '1' }] })));
+  const stale = await worker.fetch('links.json?v=123');
+  assert.deepStrictEqual(await stale.json(), [{ id: '1' }]);
+  assert.deepStrictEqual(worker.messages.map(message => message.type), ['links-updated']);
+  assert.deepStrictEqual(await (await worker.fetch('links.json')).json(), [{ id: '2' }, { id: '1' }]);
+
+  // Offline, the last copy is still there
+  worker.setNetwork(offlineNetwork);
+  assert.deepStrictEqual(await (await worker.fetch('links.json')).json(), [{ id: '2' }, { id: '1' }]);
+});
+
+test('links data never seen before comes from the network, and error answers are not cached', async () => {
+  const worker = createWorker({ network: site({ 'data/archive/2024-03.json': [{ id: 'old' }] }) });
+  const first = await worker.fetch('data/archive/2024-03.json');
+  assert.deepStrictEqual(await first.json(), [{ id: 'old' }]);
+  assert.ok(worker.caches.stores.get('viral-nexus-data').has(`${SCOPE}data/archive/2024-03.json`));
+
+  const missing = await worker.fetch('data/archive/1999-01.json');
+  assert.strictEqual(missing.status, 404);
+  assert.ok(!worker.caches.stores.get('viral-nexus-data').has(`${SCOPE}data/archive/1999-01.json`));
+  // Archive shards aren't the first page of links, so no banner for them
+  assert.deepStrictEqual(worker.messages, []);
+});
+
+test('saved links: network first, the last copy offline, forgotten on logout or 401', async () => {
+  const saved = { links: [{ id: '7' }] };
+  const worker = createWorker({ network: site({ 'api/me/saved': saved }) });
+
+  assert.deepStrictEqual(await (await worker.fetch('api/me/saved')).json(), saved);
+  worker.setNetwork(offlineNetwork);
+  assert.deepStrictEqual(await (await worker.fetch('api/me/saved')).json(), saved);
+  await assert.rejects(worker.fetch('api/me'), /Failed to fetch/);
+
+  // The session expired on the server
+  worker.setNetwork(async () => new Response('{"error":"Please log in"}', { status: 401 }));
+  assert.strictEqual((await worker.fetch('api/me/saved')).status, 401);
+  assert.strictEqual(worker.caches.stores.has('viral-nexus-account'), false);
+
+  // Logging out clears it too
+  worker.setNetwork(site({ 'api/me/saved': saved }));
+  await worker.fetch('api/me/saved');
+  worker.setNetwork(async () => new Response('{}', { status: 200 }));
+  await worker.fetch('api/auth/logout', { method: 'POST' });
+  assert.strictEqual(worker.caches.stores.has('viral-nexus-account'), false);
+});
+
+test('everything else goes straight to the network', async () => {
+  const network = site({ 'api/votes': { counts: {} } });
+  const worker = createWorker({ network });
+  const response = await worker.fetch('api/votes');
+  assert.strictEqual(response, undefined);
+  assert.strictEqual(await worker.fetch('api/links/1/vote', { method: 'POST' }), undefined);
+  assert.deepStrictEqual([...worker.caches.stores.keys()], []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { fetchPageMetadata, isPrivateAddress } = require('../page-metadata');
+const { startServer, text, testHttpClient } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({
+    '/': text('<html><head><title>Router admin</title></head></html>')
+  });
+});
+
+test.after(() => server.close());
+
+const fetchPage = url => fetchPageMetadata(url, { http: testHttpClient({ retries: 0 }) });
+
+test('private, loopback and link-local addresses are private', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+    .forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+  ['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:93.184.216.34']
+    .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('pages on private addresses are refused', async () => {
+  await assert.rejects(fetchPage(`${server.url}/`), /is not a public address/);
+  await assert.rejects(fetchPage('file:///etc/passwd'), /only http\(s\)/);
+  assert.strictEqual(server.hits('/'), 0);
+});
+
+test('a host that resolves somewhere else by the time it connects is refused', async () => {
+  const { lookup } = dns.promises;
+  const lookups = [];
+  // Public for the first answer, loopback for every one after
+  dns.promises.lookup = async (hostname, options) => {
+    lookups.push(hostname);
+    const address = lookups.length === 1 ? '93.184.216.34' : '127.0.0.1';
+    return options && options.all ? [{ address, family: 4 }] : { address, family: 4 };
+  };
+  try {
+    const port = new URL(server.url).port;
+    await assert.rejects(fetchPage(`http://rebind.example:${port}/`), /rebind\.example is not a public address/);
+    assert.deepStrictEqual(lookups, ['rebind.example', 'rebind.example']);
+    assert.strictEqual(server.hits('/'), 0);
+  } finally {
+    dns.promises.lookup = lookup;
+  }
+});
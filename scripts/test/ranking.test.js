@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GRAVITY, SORT_MODES, points, hotScore, viralScore, applyVotes, sortLinks } = require('../../ranking');
+
+const NOW = Date.parse('2026-01-06T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+// A link `hours` old with `score` engagement points from its source
+function link(id, hours, score, extra = {}) {
+  return { id, createdAt: new Date(NOW - hours * HOUR).toISOString(), sourceScore: score * 100, ...extra };
+}
+
+const ids = links => links.map(item => item.id);
+
+test('hot score is points over age plus two, to the gravity', () => {
+  assert.strictEqual(hotScore(link('a', 0, 100), NOW), 100 / Math.pow(2, GRAVITY));
+  assert.strictEqual(hotScore(link('a', 10, 100), NOW), 100 / Math.pow(12, GRAVITY));
+  // A fresh story beats a bigger one from a day ago
+  assert.ok(hotScore(link('fresh', 1, 50), NOW) > hotScore(link('old', 24, 500), NOW));
+  // A date in the future or none at all counts as just in
+  assert.strictEqual(hotScore(link('a', -5, 100), NOW), hotScore(link('a', 0, 100), NOW));
+  assert.strictEqual(hotScore({ sourceScore: 10000, createdAt: 'soon' }, NOW), hotScore(link('a', 0, 100), NOW));
+});
+
+test('every signal adds points', () => {
+  const base = link('a', 0, 100);
+  assert.strictEqual(points(base, NOW), 100);
+  assert.strictEqual(points({ ...base, comments: 40 }, NOW), 140);
+  assert.strictEqual(points({ ...base, sources: ['r/news', 'Hacker News', 'BBC'] }, NOW), 130);
+  assert.strictEqual(points({ ...base, clicks: 500 }, NOW), 110);
+  assert.strictEqual(points({ ...base, upvotes: 7, downvotes: 2 }, NOW), 105);
+
+  // Hand-entered links fall back on their viralScore, without counting votes twice
+  const manual = { id: 'm', createdAt: new Date(NOW).toISOString(), viralScore: 80, upvotes: 5, downvotes: 1 };
+  assert.strictEqual(points(manual, NOW), 80);
+  assert.strictEqual(viralScore(link('a', 0, 50), NOW), 63);
+  assert.strictEqual(viralScore(link('a', 0, 100), NOW), 86);
+});
+
+test('a vote tally moves viralScore once, however often it is applied', () => {
+  const voted = applyVotes({ id: 'a', viralScore: 60 }, { up: 5, down: 1 });
+  assert.deepStrictEqual(voted, { id: 'a', viralScore: 64, upvotes: 5, downvotes: 1 });
+  assert.deepStrictEqual(applyVotes(voted, { up: 5, down: 1 }), voted);
+  assert.strictEqual(applyVotes(voted, { up: 5, down: 3 }).viralScore, 62);
+  assert.strictEqual(applyVotes({ id: 'a', viralScore: 99 }, { up: 10 }).viralScore, 100);
+  const unvoted = { id: 'a', viralScore: 60 };
+  assert.strictEqual(applyVotes(unvoted, {}), unvoted);
+});
+
+test('each sort mode orders and filters as labelled', () => {
+  const links = [
+    link('old-big', 30, 600),
+    link('day-big', 20, 400),
+    link('fresh', 1, 60),
+    link('newest', 0.5, 5),
+    link('week-old', 24 * 8, 5000)
+  ];
+  assert.deepStrictEqual(Object.keys(SORT_MODES), ['hot', 'new', 'top-day', 'top-week']);
+
+  assert.deepStrictEqual(ids(sortLinks(links, 'hot', NOW)), ['fresh', 'day-big', 'old-big', 'newest', 'week-old']);
+  assert.deepStrictEqual(ids(sortLinks(links, 'new', NOW)), ['newest', 'fresh', 'day-big', 'old-big', 'week-old']);
+  assert.deepStrictEqual(ids(sortLinks(links, 'top-day', NOW)), ['day-big', 'fresh', 'newest']);
+  assert.deepStrictEqual(ids(sortLinks(links, 'top-week', NOW)), ['old-big', 'day-big', 'fresh', 'newest']);
+  // Unknown modes are hot; the input is left as it was
+  assert.deepStrictEqual(sortLinks(links, 'random', NOW), sortLinks(links, 'hot', NOW));
+  assert.deepStrictEqual(ids(links), ['old-big', 'day-big', 'fresh', 'newest', 'week-old']);
+});
+
+test('pinned links lead the hot list in file order, and only the hot list', () => {
+  const links = [
+    link('top', 1, 900),
+    link('pinned-low', 48, 1, { pinned: true }),
+    link('middle', 2, 100),
+    link('pinned-high', 0, 500, { pinned: true })
+  ];
+  assert.deepStrictEqual(ids(sortLinks(links, 'hot', NOW)), ['pinned-low', 'pinned-high', 'top', 'middle']);
+  assert.deepStrictEqual(ids(sortLinks(links, 'new', NOW)), ['pinned-high', 'top', 'middle', 'pinned-low']);
+  assert.deepStrictEqual(ids(sortLinks(links, 'top-day', NOW)), ['top', 'pinned-high', 'middle']);
+});
+
+test('ties keep the order links came in', () => {
+  const links = [link('b', 3, 100), link('a', 3, 100), link('c', 3, 100)];
+  ['hot', 'new', 'top-day', 'top-week'].forEach(mode => {
+    assert.deepStrictEqual(ids(sortLinks(links, mode, NOW)), ['b', 'a', 'c']);
+  });
+  // Links without a date sort last under New, in their order
+  const undated = [{ id: 'x', sourceScore: 100 }, link('dated', 5, 1), { id: 'y', sourceScore: 100 }];
+  assert.deepStrictEqual(ids(sortLinks(undated, 'new', NOW)), ['dated', 'x', 'y']);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { SITE_ROOT, fixtureJson } = require('./helpers');
+
+const SITE = 'https://viral.example/site/';
+const SCRIPTS = ['ranking.js', 'search.js', 'link-filters.js', 'offline.js', 'script.js'];
+const LINKS = fixtureJson('malicious-links.json');
+
+// index.html with the front end's scripts, on a static host serving only `files`
+// (path -> JSON). Inline handlers are live, so a payload that became markup would run.
+async function openSite(files, { url = SITE } = {}) {
+  const html = fs.readFileSync(path.join(SITE_ROOT, 'index.html'), 'utf8');
+  const dom = new JSDOM(html, { url, runScripts: 'dangerously', virtualConsole: new VirtualConsole() });
+  const { window } = dom;
+  await new Promise(resolve => window.addEventListener('load', resolve));
+
+  window.alerts = [];
+  window.alert = message => window.alerts.push(message);
+  window.scrollTo = () => {};
+  window.fetch = async resource => {
+    const file = new URL(resource, window.location.href).pathname.slice(new URL(SITE).pathname.length);
+    return file in files
+      ? new Response(JSON.stringify(files[file]), { status: 200, headers: { 'Content-Type': 'application/json' } })
+      : new Response('Not found', { status: 404 });
+  };
+  SCRIPTS.forEach(file => window.eval(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8')));
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return dom;
+}
+
+async function waitFor(check, what) {
+  for (let i = 0; i < 200; i++) {
+    const found = check();
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+// Nothing curated may become an element, an event handler or a URL off http(s)
+function assertInert(window, container) {
+  const nodes = [...container.querySelectorAll('*')];
+  assert.deepStrictEqual(nodes.filter(node => ['SCRIPT', 'IFRAME', 'OBJECT', 'EMBED'].includes(node.tagName)).map(node => node.outerHTML), []);
+  const handlers = nodes.flatMap(node => [...node.attributes].filter(attr => /^on/i.test(attr.name)).map(attr => `${node.tagName} ${attr.name}`));
+  assert.deepStrictEqual(handlers, []);
+
+  const urls = [
+    ...[...container.querySelectorAll('a[href]')].map(a => a.getAttribute('href')),
+    ...[...container.querySelectorAll('img[src]')].map(img => img.getAttribute('src')),
+    ...[...container.querySelectorAll('source[srcset]')].flatMap(source => source.getAttribute('srcset').split(',').map(candidate => candidate.trim().split(/\s+/)[0]))
+  ];
+  urls.forEach(url => {
+    assert.ok(['http:', 'https:', 'mailto:'].includes(new URL(url, window.location.href).protocol), `${url} is not http(s)`);
+    assert.ok(!url.startsWith('//'), `${url} leaves the site`);
+  });
+
+  // Fire what the payloads would hook into; nothing may answer
+  nodes.forEach(node => ['error', 'load', 'mouseover'].forEach(type => node.dispatchEvent(new window.Event(type))));
+  assert.deepStrictEqual(window.alerts, []);
+}
+
+test('link cards show curated text as text and drop unsafe URLs', async () => {
+  const { window } = await openSite({ 'links.json': LINKS });
+  const list = window.document.getElementById('link-list');
+  const cards = await waitFor(() => list.querySelectorAll('.link-item').length && [...list.querySelectorAll('.link-item')], 'the link list');
+
+  const byTitle = title => cards.find(card => card.querySelector('.link-title').textContent === title);
+  const [cat, headphones, mayor, dataUrl] = LINKS.map(link => byTitle(link.title));
+  assert.ok(cat && headphones && mayor && dataUrl, 'every title rendered verbatim');
+
+  assert.strictEqual(cat.querySelector('.link-description').textContent, LINKS[0].description);
+  assert.strictEqual(cat.querySelector('.link-source').textContent, LINKS[0].source);
+  assert.deepStrictEqual([...cat.querySelectorAll('.keyword')].map(tag => tag.textContent), LINKS[0].keywords);
+  assert.strictEqual(headphones.querySelector('.link-description').textContent, '&lt;already escaped&gt; & "quoted"');
+
+  // Unsafe outbound URLs leave the title unlinked; a safe one keeps its query, encoded
+  [cat, mayor, dataUrl].forEach(card => assert.strictEqual(card.querySelector('.link-title a'), null));
+  assert.strictEqual(headphones.querySelector('.link-title a').href, new URL(LINKS[1].url).href);
+
+  // Unsafe thumbnails fall back to the category card; srcset keeps only the safe candidate
+  assert.strictEqual(cat.querySelector('img').getAttribute('src'), 'images/cards/memes.svg');
+  assert.strictEqual(headphones.querySelector('img').getAttribute('src'), 'images/cards/products.svg');
+  assert.strictEqual(mayor.querySelector('img').getAttribute('src'), 'images/cards/news.svg');
+  assert.deepStrictEqual([...cat.querySelectorAll('source')].map(source => source.getAttribute('srcset')), ['images/thumbs/0123456789abcdef-500.webp 500w']);
+  assert.strictEqual(cat.querySelector('img').getAttribute('alt'), LINKS[0].title);
+
+  assertInert(window, list);
+});
+
+test('the keyword heatmap renders keywords as text', async () => {
+  const { window } = await openSite({ 'links.json': LINKS });
+  const heatmap = window.document.getElementById('keyword-heatmap');
+  await waitFor(() => heatmap.children.length, 'the heatmap');
+
+  const names = [...heatmap.querySelectorAll('.heatmap-keyword')].map(node => node.textContent);
+  assert.ok(names.includes(LINKS[0].keywords[0]), names.join(' | '));
+  assertInert(window, heatmap);
+});
+
+test('the detail page shows curated text as text and offers no unsafe link', async () => {
+  const { window } = await openSite({ 'links.json': LINKS }, { url: `${SITE}#/link/${LINKS[0].id}` });
+  const view = window.document.getElementById('link-detail');
+  const detail = await waitFor(() => view.querySelector('.detail'), 'the detail page');
+
+  assert.strictEqual(detail.querySelector('h2').textContent, LINKS[0].title);
+  assert.strictEqual(detail.querySelector('.link-description').textContent, LINKS[0].description);
+  assert.strictEqual(detail.querySelector('.detail-visit'), null);
+  assert.strictEqual(window.document.title, `${LINKS[0].title} | Viral Nexus`);
+  // The other link sharing "Fridge" is related, by its title as text
+  assert.deepStrictEqual([...detail.querySelectorAll('.related-links a')].map(a => a.textContent), [LINKS[1].title]);
+  assertInert(window, view);
+});
+
+// A static API of 25 links over two pages, in hot order: the newest link and the one whose
+// title best matches "lighthouse keeper" are both on page 2
+function pagedApi() {
+  const links = Array.from({ length: 25 }, (_, i) => ({
+    id: String(1710230000000 + i),
+    title: `Harbour story number ${i + 1}`,
+    url: `https://www.example.com/story-${i + 1}`,
+    description: 'As the lighthouse keeper saw it.',
+    category: 'news',
+    viralScore: 90 - i,
+    keywords: ['Harbour'],
+    createdAt: new Date(Date.UTC(2024, 2, 1, i)).toISOString()
+  }));
+  links[22] = { ...links[22], title: 'Lighthouse keeper retires after forty years', createdAt: '2024-03-01T00:00:00.000Z' };
+  links[24] = { ...links[24], createdAt: '2024-03-12T00:00:00.000Z' };
+  const page = (number, slice, next) => ({ page: number, pages: 2, pageSize: 20, total: 25, next, links: slice });
+  return {
+    links,
+    files: {
+      'api/v1/manifest.json': { version: 'v1', total: 25, pageSize: 20, pages: 2, categories: { news: 25 }, keywords: {}, synonyms: {} },
+      'api/v1/links/page-1.json': page(1, links.slice(0, 20), 'page-2.json'),
+      'api/v1/links/page-2.json': page(2, links.slice(20), null)
+    }
+  };
+}
+
+test('sorting and search rank every API page, not just the first', async () => {
+  const { links, files } = pagedApi();
+  const titles = list => [...list.querySelectorAll('.link-title')].map(node => node.textContent);
+
+  const sorted = await openSite(files, { url: `${SITE}?sort=new` });
+  const sortedList = sorted.window.document.getElementById('link-list');
+  await waitFor(() => titles(sortedList)[0] === links[24].title, 'the newest link first');
+
+  const searched = await openSite(files, { url: `${SITE}?q=${encodeURIComponent('lighthouse keeper')}` });
+  const searchedList = searched.window.document.getElementById('link-list');
+  await waitFor(() => titles(searchedList)[0] === links[22].title, 'the best match first');
+  assert.strictEqual(searchedList.querySelectorAll('.link-item').length, 6);
+});
+
+test('safeUrl lets through http(s) and, when asked, site-relative paths only', async () => {
+  const { window } = await openSite({});
+  const { safeUrl } = window;
+  assert.strictEqual(safeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+  assert.strictEqual(safeUrl(' http://example.com '), 'http://example.com/');
+  ['javascript:alert(1)', ' JaVaScRiPt:alert(1)', 'data:text/html,hi', 'vbscript:x', 'file:///etc/passwd', 'images/a.png', '', null, 42]
+    .forEach(value => assert.strictEqual(safeUrl(value), null, String(value)));
+  assert.strictEqual(safeUrl('images/a.png', true), 'images/a.png');
+  ['javascript:alert(1)', '//evil.example/a.png', 'data:image/png;base64,AAAA']
+    .forEach(value => assert.strictEqual(safeUrl(value, true), null, value));
+});
+
+test('index.html sets a Content-Security-Policy without inline scripts, and script.js never writes HTML', () => {
+  const { document } = new JSDOM(fs.readFileSync(path.join(SITE_ROOT, 'index.html'), 'utf8')).window;
+  const csp = document.querySelector('meta[http-equiv="Content-Security-Policy"]').getAttribute('content');
+  const scriptSrc = csp.split(';').map(part => part.trim()).find(part => part.startsWith('script-src'));
+  assert.strictEqual(scriptSrc, "script-src 'self'");
+  assert.match(csp, /object-src 'none'/);
+  assert.deepStrictEqual([...document.querySelectorAll('script:not([src])')].map(script => script.textContent), []);
+  assert.deepStrictEqual([...document.querySelectorAll('*')].flatMap(node => [...node.attributes].filter(attr => /^on/i.test(attr.name)).map(attr => attr.name)), []);
+
+  const source = fs.readFileSync(path.join(SITE_ROOT, 'script.js'), 'utf8');
+  assert.doesNotMatch(source, /\.(innerHTML|outerHTML)\s*\+?=|insertAdjacentHTML|document\.write/);
+});
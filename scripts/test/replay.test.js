@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runCurator } = require('../curator');
+const { REPORT_FILE } = require('../run-report');
+const { useTempRoot, writeFile, readJsonFile, fixtureJson, startServer, json, text, muteConsole } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ENV = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'LLM_API_KEY', 'LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'STATS_URL', 'VIRAL_NEXUS_CONFIG'];
+
+let unmute;
+const savedEnv = {};
+
+test.before(() => {
+  unmute = muteConsole();
+  ENV.forEach(name => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+});
+test.after(() => {
+  unmute();
+  ENV.forEach(name => {
+    if (savedEnv[name] !== undefined) process.env[name] = savedEnv[name];
+    else delete process.env[name];
+  });
+});
+
+function listing(baseUrl) {
+  const post = (id, title, score, comments) => ({
+    kind: 't3',
+    data: { subreddit: 'worldnews', title, url: `${baseUrl}/${id}`, permalink: `/r/worldnews/comments/${id}/`, score, num_comments: comments }
+  });
+  return {
+    kind: 'Listing',
+    data: {
+      children: [
+        post('lighthouse', 'Lighthouse keeper retires after forty years', 4200, 900),
+        post('goat', 'Town votes to keep its resident goat as mayor', 2600, 350)
+      ]
+    }
+  };
+}
+
+const REPLY = {
+  choices: [{
+    message: {
+      content: JSON.stringify([{ title: 'Lighthouse keeper retires', url: 'LIGHTHOUSE', description: 'After forty years.', category: 'news', keywords: ['Lighthouse'] }])
+    }
+  }]
+};
+
+// Every file under `dir` (the run report aside: it times the run on the wall clock)
+function snapshot(dir) {
+  const files = {};
+  const walk = relative => {
+    fs.readdirSync(path.join(dir, relative), { withFileTypes: true }).forEach(entry => {
+      const file = path.posix.join(relative, entry.name);
+      if (entry.isDirectory()) return walk(file);
+      if (file !== REPORT_FILE.split(path.sep).join('/')) files[file] = fs.readFileSync(path.join(dir, file));
+    });
+  };
+  walk('');
+  return files;
+}
+
+test('a replay weeks later publishes byte-identical files', async () => {
+  // Recorded now, so stories are fresh then and a month old by the replay's wall clock
+  const now = new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
+  const recording = useTempRoot();
+  const recordDir = path.join(recording.dir, '..', `${path.basename(recording.dir)}-recording`);
+  const server = await startServer({
+    '/r/worldnews/hot.json': (req, res) => json(listing(server.url))(req, res),
+    'POST /v1/chat/completions': (req, res) => json(JSON.parse(JSON.stringify(REPLY).replace('LIGHTHOUSE', `${server.url}/lighthouse`)))(req, res),
+    '/lighthouse': text('<html><head><title>Lighthouse</title></head></html>'),
+    '/goat': text('<html><head><title>Goat</title></head></html>')
+  });
+
+  const setUp = () => {
+    writeFile('viral-nexus.config.json', { sources: [{ type: 'reddit', subreddit: 'worldnews', baseUrl: server.url, category: 'news' }] });
+    writeFile('links.json', fixtureJson('links.json'));
+  };
+
+  let original;
+  try {
+    setUp();
+    process.env.LLM_PROVIDER = 'local';
+    process.env.LLM_BASE_URL = `${server.url}/v1`;
+    await runCurator({ now, record: recordDir });
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_BASE_URL;
+    original = snapshot(recording.dir);
+  } finally {
+    await server.close();
+    recording.restore();
+  }
+
+  const replay = useTempRoot();
+  const realNow = Date.now;
+  try {
+    setUp();
+    // Replaying a month after the recording, with the server long gone
+    Date.now = () => realNow() + 30 * DAY;
+    await runCurator({ replay: recordDir });
+    Date.now = realNow;
+
+    assert.strictEqual(readJsonFile(REPORT_FILE).curation.path, 'ai');
+    const links = readJsonFile('links.json');
+    assert.strictEqual(links.find(link => link.title === 'Lighthouse keeper retires').id, String(Date.parse(now)));
+    const replayed = snapshot(replay.dir);
+    assert.deepStrictEqual(Object.keys(replayed).sort(), Object.keys(original).sort());
+    Object.keys(original).forEach(file => {
+      assert.ok(replayed[file].equals(original[file]), `${file} differs:\n${replayed[file]}`);
+    });
+  } finally {
+    Date.now = realNow;
+    replay.restore();
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  }
+});
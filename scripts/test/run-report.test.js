@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { runCurator } = require('../curator');
+const { createRunReport, linkChanges, summarizeRunReport, REPORT_FILE } = require('../run-report');
+const { useTempRoot, writeFile, readJsonFile, fixtureJson, startServer, text, status, muteConsole } = require('./helpers');
+
+const NOW = '2024-03-12T12:00:00.000Z';
+const ENV = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'LLM_API_KEY', 'LLM_PROVIDER', 'LLM_BASE_URL', 'STATS_URL', 'VIRAL_NEXUS_CONFIG'];
+
+let root;
+let unmute;
+const savedEnv = {};
+
+test.before(() => {
+  unmute = muteConsole();
+  ENV.forEach(name => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+});
+test.after(() => {
+  unmute();
+  ENV.forEach(name => {
+    if (savedEnv[name] !== undefined) process.env[name] = savedEnv[name];
+  });
+});
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+function feed(baseUrl, titles) {
+  const items = titles.map((title, i) => `<item><title>${title}</title><link>${baseUrl}/story-${i}</link></item>`).join('');
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Local</title>${items}</channel></rss>`;
+}
+
+test('linkChanges says what was added and why each link was dropped', () => {
+  const [a, b, c, d] = fixtureJson('links.json');
+  const fresh = { ...a, id: '200', url: 'https://www.example.com/new' };
+  const changes = linkChanges([a, b, c, d], { links: [fresh, a], dropped: { invalid: [c.id], dead: [b.id] } });
+
+  assert.strictEqual(changes.total, 2);
+  assert.deepStrictEqual(changes.added, [{ id: '200', title: a.title, url: 'https://www.example.com/new' }]);
+  assert.deepStrictEqual(changes.dropped.map(link => [link.id, link.reason]), [
+    [b.id, 'dead'],
+    [c.id, 'invalid'],
+    [d.id, 'archived']
+  ]);
+});
+
+test('finish() stamps the outcome on the run clock', () => {
+  const { report, finish } = createRunReport({ now: new Date(NOW) });
+  report.sources = [{ name: 'a', status: 'ok' }, { name: 'b', status: 'failed' }];
+  report.curation = { path: 'manual' };
+  report.links = { total: 3, added: [{}], dropped: [] };
+  const http = { stats: () => ({ requests: 9, retries: 2, cacheHits: 1, failures: 1 }) };
+  finish('aborted', { error: new Error('boom'), http });
+
+  assert.strictEqual(report.startedAt, NOW);
+  assert.strictEqual(Date.parse(report.finishedAt) - Date.parse(NOW), report.durationMs);
+  assert.strictEqual(report.status, 'aborted');
+  assert.strictEqual(report.error, 'boom');
+  assert.strictEqual(
+    summarizeRunReport(report),
+    '📋 Run aborted: 1/2 sources ok, manual curation, 1 added, 0 dropped, 9 requests (2 retries, 1 cached)'
+  );
+});
+
+test('a run with every source down aborts, reports why and publishes nothing', async () => {
+  // Retry-After: 0 keeps the retries from waiting
+  const server = await startServer({ '/a.xml': status(503, { 'Retry-After': '0' }), '/b.xml': status(502, { 'Retry-After': '0' }) });
+  try {
+    writeFile('viral-nexus.config.json', {
+      sources: [
+        { type: 'rss', name: 'A', url: `${server.url}/a.xml` },
+        { type: 'rss', name: 'B', url: `${server.url}/b.xml` }
+      ]
+    });
+    const before = JSON.stringify(fixtureJson('links.json'), null, 2);
+    writeFile('links.json', before);
+
+    await assert.rejects(runCurator({ now: NOW }), /Only 0 of 2 sources returned stories \(minSources is 1\)/);
+
+    const report = readJsonFile(REPORT_FILE);
+    assert.strictEqual(report.status, 'aborted');
+    assert.match(report.error, /Only 0 of 2 sources/);
+    assert.deepStrictEqual(report.sources.map(source => [source.name, source.status, source.requests, source.retries]), [
+      ['A', 'failed', 4, 3],
+      ['B', 'failed', 4, 3]
+    ]);
+    assert.match(report.sources[0].error, /503/);
+    assert.strictEqual(report.curation, null);
+    assert.strictEqual(report.links, null);
+    assert.deepStrictEqual(report.http, { requests: 8, retries: 6, cacheHits: 0, failures: 2 });
+
+    assert.strictEqual(fs.readFileSync('links.json', 'utf8'), before);
+    assert.deepStrictEqual(fs.readdirSync('.').sort(), ['data', 'links.json', 'viral-nexus.config.json']);
+    assert.deepStrictEqual(fs.readdirSync('data'), ['run-report.json']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('minSources counts sources that returned stories', async () => {
+  const server = await startServer({
+    '/a.xml': (req, res) => text(feed(server.url, ['Lighthouse keeper retires after forty years']), { type: 'application/rss+xml' })(req, res),
+    '/b.xml': text(feed('http://127.0.0.1', []), { type: 'application/rss+xml' })
+  });
+  try {
+    writeFile('viral-nexus.config.json', {
+      minSources: 2,
+      sources: [
+        { type: 'rss', name: 'A', url: `${server.url}/a.xml` },
+        { type: 'rss', name: 'Empty', url: `${server.url}/b.xml` }
+      ]
+    });
+    await assert.rejects(runCurator({ now: NOW }), /Only 1 of 2 sources returned stories \(minSources is 2\)/);
+    assert.deepStrictEqual(readJsonFile(REPORT_FILE).sources.map(source => [source.name, source.status, source.items]), [
+      ['A', 'ok', 1],
+      ['Empty', 'ok', 0]
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a published run reports its sources, curation and link changes', async () => {
+  const titles = ['Lighthouse keeper retires after forty years', 'Town votes to keep its resident goat as mayor'];
+  const server = await startServer({
+    '/news.xml': (req, res) => text(feed(server.url, titles), { type: 'application/rss+xml' })(req, res),
+    '/slow.xml': [status(429, { 'Retry-After': '0' }), (req, res) => text(feed(server.url, []))(req, res)],
+    '/story-0': text('<html><head><title>Story</title></head></html>'),
+    '/story-1': text('<html><head><title>Story</title></head></html>')
+  });
+  try {
+    writeFile('viral-nexus.config.json', {
+      sources: [
+        { type: 'rss', name: 'Local news', url: `${server.url}/news.xml`, category: 'news' },
+        { type: 'rss', name: 'Slow', url: `${server.url}/slow.xml` }
+      ]
+    });
+    writeFile('links.json', '[]');
+
+    await runCurator({ now: NOW });
+    const report = readJsonFile(REPORT_FILE);
+
+    assert.strictEqual(report.status, 'published');
+    assert.strictEqual(report.startedAt, NOW);
+    assert.deepStrictEqual(report.sources.map(source => [source.name, source.status, source.items, source.retries]), [
+      ['Local news', 'ok', 2, 0],
+      ['Slow', 'ok', 0, 1]
+    ]);
+    assert.deepStrictEqual(report.items, { fetched: 2, distinct: 2, quarantined: 0, outsideCategories: 0, trending: 2 });
+    assert.strictEqual(report.curation.path, 'manual');
+    assert.strictEqual(report.curation.reason, 'no AI provider configured');
+    assert.deepStrictEqual(report.links.added.map(link => link.title), titles);
+    assert.deepStrictEqual(report.links.dropped, []);
+    assert.ok(report.http.requests >= 3);
+    assert.strictEqual(readJsonFile('links.json').length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a dry run prints its report without saving it', async () => {
+  const server = await startServer({ '/a.xml': status(503, { 'Retry-After': '0' }) });
+  try {
+    writeFile('viral-nexus.config.json', { sources: [{ type: 'rss', name: 'A', url: `${server.url}/a.xml` }] });
+    await assert.rejects(runCurator({ now: NOW, dryRun: true }), /Only 0 of 1/);
+    assert.strictEqual(fs.existsSync(REPORT_FILE), false);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FIELD_BOOSTS, tokenize, editDistance, createIndex, indexFor, searchLinks, highlight } = require('../../search');
+
+function link(id, title, fields = {}) {
+  return { id, title, keywords: [], category: 'news', ...fields };
+}
+
+const LINKS = [
+  link('eclipse', 'Solar eclipse over Mexico', { keywords: ['Space'], source: 'r/space', description: 'Crowds watched from rooftops.' }),
+  link('traffic', 'Mexico City traffic', { description: 'An eclipse of the usual jams.' }),
+  link('chess', 'Machine learning model beats chess champion', { keywords: ['AI'] }),
+  link('schools', 'Artificial intelligence in schools'),
+  link('cafe', 'The best café in town', { category: 'memes' })
+];
+const SYNONYMS = { AI: ['artificial intelligence', 'machine learning'] };
+
+const ids = (query, options) => searchLinks(LINKS, query, options).map(result => result.id);
+
+test('words are lowercased and accents folded', () => {
+  assert.deepStrictEqual(tokenize('Café-owners SAY: 100%!'), ['cafe', 'owners', 'say', '100']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('a hit in a boosted field outranks the same word further down', () => {
+  const fields = Object.keys(FIELD_BOOSTS);
+  assert.deepStrictEqual(fields, ['title', 'keywords', 'source', 'description', 'category']);
+  fields.slice(1).forEach((field, i) => assert.ok(FIELD_BOOSTS[fields[i]] > FIELD_BOOSTS[field]));
+
+  // Title beats description
+  assert.deepStrictEqual(ids('eclipse'), ['eclipse', 'traffic']);
+  const [title, description] = createIndex(LINKS).search('eclipse');
+  assert.ok(title.score > description.score);
+  // Keywords and source count, category too
+  assert.deepStrictEqual(ids('space'), ['eclipse']);
+  assert.deepStrictEqual(ids('memes'), ['cafe']);
+});
+
+test('every word in the query has to match', () => {
+  assert.deepStrictEqual(ids('mexico eclipse'), ['eclipse', 'traffic']);
+  assert.deepStrictEqual(ids('eclipse traffic'), ['traffic']);
+  assert.deepStrictEqual(ids('eclipse chess'), []);
+  // Nothing to search for lists everything, unscored
+  assert.deepStrictEqual(createIndex(LINKS).search(' ?! ').map(result => [result.link.id, result.score]), LINKS.map(item => [item.id, 0]));
+});
+
+test('prefixes and typos match, within what the word length allows', () => {
+  assert.strictEqual(editDistance('eclipse', 'eclpise', 1), 1);
+  assert.strictEqual(editDistance('kitten', 'sitting', 3), 3);
+  // Gives up once past max
+  assert.strictEqual(editDistance('kitten', 'sitting', 1), 2);
+  assert.strictEqual(editDistance('abc', 'abcdef', 1), 2);
+
+  assert.deepStrictEqual(ids('ecli'), ['eclipse', 'traffic']);
+  assert.deepStrictEqual(ids('eclpise'), ['eclipse', 'traffic']);
+  // 4 to 7 letters: one typo
+  assert.deepStrictEqual(ids('mexco'), ['traffic', 'eclipse']);
+  assert.deepStrictEqual(ids('mxeci'), []);
+  // 8 or more: two
+  assert.deepStrictEqual(ids('chempoin'), ['chess']);
+  assert.deepStrictEqual(ids('cjess'), ['chess']);
+  // Under 4: none
+  assert.deepStrictEqual(ids('bst'), []);
+  assert.deepStrictEqual(ids('best'), ['cafe']);
+
+  // The exact word still outranks what only a typo reaches
+  const [exact, fuzzy] = createIndex([link('a', 'Mexico'), link('b', 'Mexica')]).search('mexico');
+  assert.deepStrictEqual([exact.link.id, fuzzy.link.id], ['a', 'b']);
+  assert.ok(exact.score > fuzzy.score);
+});
+
+test('a synonym phrase stands in for its keyword and the other phrases', () => {
+  const options = { synonyms: SYNONYMS };
+  assert.deepStrictEqual(ids('ai', options).sort(), ['chess', 'schools']);
+  // The words themselves first, the synonym after
+  assert.deepStrictEqual(ids('artificial intelligence', options), ['schools', 'chess']);
+  assert.deepStrictEqual(ids('machine learning', options), ['chess', 'schools']);
+  // Only the whole phrase is a synonym
+  assert.deepStrictEqual(ids('machine', options), ['chess']);
+  assert.deepStrictEqual(ids('intelligence', options), ['schools']);
+  // Without synonyms, just the words
+  assert.deepStrictEqual(ids('ai'), ['chess']);
+});
+
+test('stopwords are dropped from queries unless nothing else is left', () => {
+  assert.deepStrictEqual(ids('the eclipse over mexico'), ids('eclipse over mexico'));
+  assert.deepStrictEqual(ids('the eclipse of the town'), []);
+  // "the" and "in" are still indexed
+  assert.deepStrictEqual(ids('the in'), ['cafe']);
+});
+
+test('the index is reused until the links or synonyms change', () => {
+  const links = LINKS.slice(0, 2);
+  const index = indexFor(links);
+  assert.strictEqual(indexFor(links), index);
+  assert.notStrictEqual(indexFor(LINKS.slice(0, 2)), index);
+
+  // A page appended to the same array is searchable
+  links.push(LINKS[2]);
+  const grown = indexFor(links);
+  assert.notStrictEqual(grown, index);
+  assert.strictEqual(grown.size, 3);
+  assert.deepStrictEqual(searchLinks(links, 'chess').map(result => result.id), ['chess']);
+
+  const withSynonyms = indexFor(links, { synonyms: SYNONYMS });
+  assert.notStrictEqual(withSynonyms, grown);
+  assert.strictEqual(indexFor(links, { synonyms: SYNONYMS }), withSynonyms);
+  assert.notStrictEqual(indexFor(links, { synonyms: { ...SYNONYMS } }), withSynonyms);
+});
+
+test('highlight marks every word the query matched, as written', () => {
+  const terms = createIndex(LINKS).matchedTerms('ecli cafe');
+  assert.deepStrictEqual([...terms].sort(), ['cafe', 'eclipse']);
+  assert.deepStrictEqual(highlight('Café: a solar ECLIPSE!', terms), [
+    { text: 'Café', match: true },
+    { text: ': a solar ', match: false },
+    { text: 'ECLIPSE', match: true },
+    { text: '!', match: false }
+  ]);
+  assert.deepStrictEqual(highlight('Solar eclipse', new Set()), [{ text: 'Solar eclipse', match: false }]);
+  assert.deepStrictEqual(highlight(null, terms), []);
+});
@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createApp } = require('../server');
+const { clientIp } = require('../server/clicks');
+const { createEditorStore } = require('../admin/store');
+const { createAdminApp } = require('../admin');
+const { loadCandidates, CANDIDATES_FILE } = require('../candidates');
+const { fixtureJson, useTempRoot, writeFile, readJsonFile, muteConsole } = require('./helpers');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/124.0';
+
+let root;
+let unmute;
+
+test.before(() => {
+  unmute = muteConsole();
+});
+test.after(() => unmute());
+test.beforeEach(() => {
+  root = useTempRoot();
+  writeFile('links.json', fixtureJson('links.json'));
+});
+test.afterEach(() => root.restore());
+
+// The server on a free port over the temp site root. `request` is fetch() against it,
+// with a browser User-Agent and without following redirects.
+async function startApp(options = {}) {
+  const sent = [];
+  const mailer = { send: async message => sent.push(message) };
+  const app = createApp({ root: root.dir, privateDir: path.join(root.dir, 'data', 'private'), mailer, publicUrl: '', ...options });
+  const server = http.createServer(app.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    app,
+    sent,
+    url,
+    request: (pathname, { headers = {}, ...init } = {}) => fetch(url + pathname, { redirect: 'manual', ...init, headers: { 'User-Agent': BROWSER, ...headers } }),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+test('clientIp is the peer address unless trusted proxies put the client in X-Forwarded-For', () => {
+  const req = (forwarded) => ({ headers: forwarded ? { 'x-forwarded-for': forwarded } : {}, socket: { remoteAddress: '10.0.0.2' } });
+
+  assert.strictEqual(clientIp(req()), '10.0.0.2');
+  assert.strictEqual(clientIp(req('203.0.113.9')), '10.0.0.2');
+  assert.strictEqual(clientIp(req('203.0.113.9'), 1), '203.0.113.9');
+  // What the client sent itself sits to the left of what our proxies added
+  assert.strictEqual(clientIp(req('1.2.3.4, 203.0.113.9'), 1), '203.0.113.9');
+  assert.strictEqual(clientIp(req('1.2.3.4, 203.0.113.9, 10.0.0.1'), 2), '203.0.113.9');
+  assert.strictEqual(clientIp(req('203.0.113.9'), 3), '203.0.113.9');
+  assert.strictEqual(clientIp(req(''), 1), '10.0.0.2');
+});
+
+test('a forged X-Forwarded-For does not get a reader past click dedupe or rate limits', async () => {
+  const server = await startApp();
+  try {
+    for (const forwarded of ['1.1.1.1', '2.2.2.2', '3.3.3.3']) {
+      const response = await server.request('/go/1710230000000', { headers: { 'X-Forwarded-For': forwarded } });
+      assert.strictEqual(response.status, 302);
+    }
+    assert.deepStrictEqual(server.app.clicks.stats().counts, { 1710230000000: 1 });
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      const response = await server.request('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': `198.51.100.${i}` },
+        body: JSON.stringify({ email: 'reader@example.com', password: 'wrong password' })
+      });
+      statuses.push(response.status);
+    }
+    assert.deepStrictEqual(statuses, [...Array(10).fill(401), 429]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('behind a trusted proxy, each forwarded client counts on its own', async () => {
+  const server = await startApp({ trustProxy: 1 });
+  try {
+    for (const forwarded of ['1.1.1.1', '2.2.2.2', '9.9.9.9, 2.2.2.2']) {
+      await server.request('/go/1710230000000', { headers: { 'X-Forwarded-For': forwarded } });
+    }
+    assert.deepStrictEqual(server.app.clicks.stats().counts, { 1710230000000: 2 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('submissions record an account id, and the queue and quarantine are never served', async () => {
+  const fetchMetadata = async url => ({ url, title: 'Lighthouse keeper retires after forty years' });
+  const server = await startApp({ fetchMetadata });
+  try {
+    const registered = await server.request('/api/auth/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'reader@example.com', password: 'correct horse battery' })
+    });
+    const cookie = registered.headers.get('set-cookie').split(';')[0];
+    const submitted = await server.request('/api/submissions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify({ url: 'https://www.example.com/lighthouse', category: 'news' })
+    });
+    assert.strictEqual(submitted.status, 202);
+    writeFile('data/quarantine.json', { items: [] });
+
+    const queued = fs.readFileSync(CANDIDATES_FILE, 'utf8');
+    assert.ok(!queued.includes('reader@example.com'));
+    const [item] = readJsonFile(CANDIDATES_FILE).items;
+    assert.match(item.submittedBy, /^[0-9a-f]{16}$/);
+
+    for (const file of ['data/candidates.json', 'data/quarantine.json', 'data//candidates.json', 'data/x/../quarantine.json']) {
+      assert.strictEqual((await server.request(`/${file}`)).status, 404, file);
+    }
+    assert.strictEqual((await server.request('/links.json')).status, 200);
+
+    // Editors still see who sent it
+    const store = createEditorStore({ root: root.dir, accounts: server.app.accounts });
+    assert.strictEqual(store.candidates()[0].submittedBy, 'reader@example.com');
+  } finally {
+    await server.close();
+  }
+});
+
+test('emails left in an older queue are dropped when it is read', () => {
+  writeFile(CANDIDATES_FILE, {
+    items: [
+      { id: 'a', url: 'https://www.example.com/a', submitted: true, submittedBy: 'reader@example.com' },
+      { id: 'b', url: 'https://www.example.com/b', submitted: true, submittedBy: '0123456789abcdef' }
+    ]
+  });
+  assert.deepStrictEqual(loadCandidates().items.map(item => item.submittedBy), [undefined, '0123456789abcdef']);
+});
+
+test('the links API leaves out what editors hid', async () => {
+  const server = await startApp();
+  try {
+    const all = await (await server.request('/api/v1/links')).json();
+    assert.strictEqual(all.total, 3);
+    assert.ok(all.links.every(link => !link.hidden));
+    const memes = await (await server.request('/api/v1/links?category=memes')).json();
+    assert.deepStrictEqual([memes.total, memes.links], [0, []]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a hidden link cannot be visited, voted on, flagged or named by a submission', async () => {
+  const hiddenId = '1710230000003';
+  const fetchMetadata = async url => ({ url, title: 'Pulled story' });
+  const server = await startApp({ fetchMetadata });
+  const post = (pathname, body, headers = {}) => server.request(pathname, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  try {
+    assert.strictEqual((await server.request(`/go/${hiddenId}`)).status, 404);
+    assert.deepStrictEqual(server.app.clicks.stats().counts, {});
+    assert.strictEqual((await post(`/api/links/${hiddenId}/vote`, { vote: 1 })).status, 404);
+
+    const registered = await post('/api/auth/register', { email: 'reader@example.com', password: 'correct horse battery' });
+    const Cookie = registered.headers.get('set-cookie').split(';')[0];
+    assert.strictEqual((await post(`/api/me/links/${hiddenId}`, { bookmarked: true }, { Cookie })).status, 404);
+
+    const submitted = await post('/api/submissions', { url: 'https://www.example.org/pulled-story', category: 'news' });
+    assert.notStrictEqual(submitted.status, 409);
+    assert.doesNotMatch(JSON.stringify(await submitted.json()), /Already on Viral Nexus/);
+
+    // The published ones still work
+    assert.strictEqual((await server.request('/go/1710230000000')).status, 302);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a body that is not a JSON object is a 400, not a crash', async () => {
+  const server = await startApp();
+  const errors = [];
+  const { error } = console;
+  console.error = (...args) => errors.push(args);
+  try {
+    for (const pathname of ['/api/links/1710230000000/vote', '/api/auth/login', '/api/subscribe', '/api/submissions']) {
+      for (const body of ['null', '42', '"vote"', '[1]', '{"vote":']) {
+        const response = await server.request(pathname, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+        assert.strictEqual(response.status, 400, `${pathname} ${body}`);
+        assert.match((await response.json()).error, /JSON/);
+      }
+    }
+    assert.deepStrictEqual(errors, []);
+  } finally {
+    console.error = error;
+    await server.close();
+  }
+});
+
+test('changing an active subscription takes the link mailed to that address', async () => {
+  const server = await startApp();
+  const subscribe = body => server.request('/api/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'reader@example.com', ...body })
+  });
+  const confirmLink = message => message.text.match(/\/api\/subscribe\/confirm\?token=\w+/)[0];
+  const stored = () => readJsonFile('data/private/subscribers.json')[0];
+  try {
+    await subscribe({ categories: ['news'], frequency: 'daily' });
+    assert.strictEqual((await server.request(confirmLink(server.sent[0]))).status, 200);
+    assert.strictEqual(stored().status, 'active');
+
+    // Someone else posts the address: same answer as for a new one, nothing changes yet
+    const response = await subscribe({ categories: ['memes'], frequency: 'weekly' });
+    assert.strictEqual(response.status, 202);
+    assert.doesNotMatch((await response.json()).message, /updated/);
+    assert.deepStrictEqual([stored().categories, stored().frequency], [['news'], 'daily']);
+    assert.strictEqual(server.sent[1].to, 'reader@example.com');
+    assert.match(server.sent[1].text, /weekly Viral Digest \(.*Memes\)/);
+
+    await server.request(confirmLink(server.sent[1]));
+    assert.deepStrictEqual([stored().status, stored().categories, stored().frequency], ['active', ['memes'], 'weekly']);
+    assert.strictEqual(stored().pendingChange, undefined);
+    assert.strictEqual((await server.request(confirmLink(server.sent[1]))).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a subscription is only saved once its confirmation email is sent', async () => {
+  let down = true;
+  const sent = [];
+  const mailer = {
+    send: async message => {
+      if (down) throw new Error('connect ECONNREFUSED 127.0.0.1:1025');
+      sent.push(message);
+    }
+  };
+  const server = await startApp({ mailer });
+  const subscribe = () => server.request('/api/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'reader@example.com', categories: ['news'] })
+  });
+  try {
+    const failed = await subscribe();
+    assert.strictEqual(failed.status, 503);
+    assert.match((await failed.json()).error, /couldn't send the confirmation email/);
+    assert.strictEqual(fs.existsSync('data/private/subscribers.json'), false);
+
+    down = false;
+    assert.strictEqual((await subscribe()).status, 202);
+    const subscribers = readJsonFile('data/private/subscribers.json');
+    assert.deepStrictEqual(subscribers.map(subscriber => [subscriber.email, subscriber.status]), [['reader@example.com', 'pending']]);
+    assert.ok(sent[0].text.includes(subscribers[0].confirmToken));
+  } finally {
+    await server.close();
+  }
+});
+
+test('a device votes once per link: voting again replaces its vote', async () => {
+  const server = await startApp();
+  const vote = (value, Cookie = '') => server.request('/api/links/1710230000000/vote', {
+    method: 'POST',
+    headers: { Cookie, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ vote: value })
+  });
+  try {
+    const first = await vote(1);
+    assert.deepStrictEqual(await first.json(), { id: '1710230000000', vote: 1, up: 1, down: 0 });
+    const device = first.headers.get('set-cookie').split(';')[0];
+    assert.match(device, /^vn_device=[0-9a-f]{32}\.[0-9a-f]{64}$/);
+
+    const second = await vote(-1, device);
+    assert.strictEqual(second.headers.get('set-cookie'), null);
+    assert.deepStrictEqual(await second.json(), { id: '1710230000000', vote: -1, up: 0, down: 1 });
+    const votes = await (await server.request('/api/votes', { headers: { Cookie: device } })).json();
+    assert.deepStrictEqual(votes.mine, { 1710230000000: -1 });
+    assert.deepStrictEqual(votes.counts, { 1710230000000: { up: 0, down: 1 } });
+
+    // A cookie the server didn't sign is a new device, not the one it names
+    const [id] = device.slice('vn_device='.length).split('.');
+    const forged = await vote(-1, `vn_device=${id}.${'0'.repeat(64)}`);
+    assert.match(forged.headers.get('set-cookie'), /^vn_device=/);
+    assert.deepStrictEqual(await forged.json(), { id: '1710230000000', vote: -1, up: 0, down: 2 });
+    assert.ok((await vote(1, 'vn_device=my-own-id')).headers.get('set-cookie'));
+  } finally {
+    await server.close();
+  }
+  // The generated signing key is kept, so cookies outlive a restart
+  assert.match(fs.readFileSync('data/private/device-secret', 'utf8'), /^[0-9a-f]{64}\n$/);
+});
+
+test('clearing the device cookie to vote again runs into a per-IP limit', async () => {
+  const server = await startApp({ deviceSecret: 'test secret' });
+  try {
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      const response = await server.request('/api/links/1710230000000/vote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ vote: 1 })
+      });
+      statuses.push(response.status);
+    }
+    assert.deepStrictEqual(statuses, [...Array(10).fill(200), 429]);
+    assert.ok(!fs.existsSync('data/private/device-secret'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('a cookie that is not valid percent-encoding is no session, not a crash', async () => {
+  const server = await startApp();
+  const admin = createAdminApp({ root: root.dir, password: 'editor password', auditFile: path.join(root.dir, 'audit.jsonl') });
+  const adminServer = http.createServer(admin.handle);
+  await new Promise(resolve => adminServer.listen(0, '127.0.0.1', resolve));
+  const adminUrl = `http://127.0.0.1:${adminServer.address().port}`;
+  const Cookie = 'vn_session=%E0%A4%A; vn_device=%E0%A4%A; vn_admin=%E0%A4%A';
+  try {
+    assert.strictEqual((await server.request('/api/me', { headers: { Cookie } })).status, 401);
+    assert.strictEqual((await server.request('/api/votes', { headers: { Cookie } })).status, 200);
+    const vote = await server.request('/api/links/1710230000000/vote', {
+      method: 'POST',
+      headers: { Cookie, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ vote: 1 })
+    });
+    assert.strictEqual(vote.status, 200);
+
+    assert.strictEqual((await fetch(`${adminUrl}/api/session`, { headers: { Cookie } })).status, 401);
+    assert.strictEqual((await fetch(`${adminUrl}/api/logout`, { method: 'POST', headers: { Cookie } })).status, 200);
+    // Still up
+    assert.strictEqual((await server.request('/links.json')).status, 200);
+  } finally {
+    await new Promise(resolve => {
+      adminServer.closeAllConnections();
+      adminServer.close(resolve);
+    });
+    await server.close();
+  }
+});
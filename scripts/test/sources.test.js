@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ADAPTERS, enabledSources, fetchFromSources } = require('../sources');
+const { fixture, fixtureJson, startServer, text, status, muteConsole, testHttpClient } = require('./helpers');
+
+const { reddit, hackernews, rss, youtube } = ADAPTERS;
+
+let server;
+let unmute;
+
+test.before(async () => {
+  unmute = muteConsole();
+  server = await startServer({
+    '/r/popular/hot.json': text(fixture('sources/reddit-hot.json'), { type: 'application/json' }),
+    '/best': text(fixture('sources/hackernews-best.html')),
+    '/news.xml': text(fixture('sources/rss-news.xml'), { type: 'application/rss+xml' }),
+    '/verge.xml': text(fixture('sources/rss-atom.xml'), { type: 'application/atom+xml' }),
+    '/feeds/videos.xml': text(fixture('sources/youtube-videos.xml'), { type: 'application/atom+xml' }),
+    '/down.xml': status(503)
+  });
+});
+
+test.after(async () => {
+  await server.close();
+  unmute();
+});
+
+// The fields an adapter worked out for itself (category guesses come from categorize.js)
+const pick = (items, fields) => items.map(item => Object.fromEntries(fields.map(field => [field, item[field]])));
+
+test('reddit: posts keep their permalink, counts and moderation flags', () => {
+  const items = reddit.parse(fixtureJson('sources/reddit-hot.json'), { category: 'news' });
+  assert.deepStrictEqual(items[0], {
+    title: 'Scientists confirm record ocean temperatures for the third year running',
+    url: 'https://www.theguardian.com/environment/2024/mar/12/record-ocean-temperatures?utm_source=reddit',
+    permalink: 'https://www.reddit.com/r/worldnews/comments/1h3k7ab/scientists_confirm_record_ocean_temperatures/',
+    score: 24817,
+    comments: 1893,
+    source: 'r/worldnews',
+    nsfw: false,
+    spoiler: false,
+    stickied: false,
+    category: 'news'
+  });
+  assert.deepStrictEqual(pick(items.slice(2), ['source', 'comments', 'nsfw', 'stickied']), [
+    { source: 'r/popular', comments: 5120, nsfw: false, stickied: true },
+    { source: 'r/pics', comments: 0, nsfw: true, stickied: false }
+  ]);
+  assert.deepStrictEqual(reddit.parse({ error: 403 }), []);
+});
+
+test('hackernews: scores, comment counts and self posts from the front page', () => {
+  const items = hackernews.parse(fixture('sources/hackernews-best.html'), { category: 'tech' });
+  assert.deepStrictEqual(items, [
+    { title: 'Scientists map every neuron in a fruit fly brain', url: 'https://www.bbc.co.uk/news/science-68532109', score: 1204, comments: 1203, source: 'Hacker News', category: 'tech' },
+    { title: 'Ask HN: What is your favourite small tool?', url: 'https://news.ycombinator.com/item?id=39680011', score: 388, comments: 0, source: 'Hacker News', category: 'tech' },
+    { title: 'Example (YC W24) is hiring engineers', url: 'https://jobs.example.com/hiring', score: 0, comments: 0, source: 'Hacker News', category: 'tech' }
+  ]);
+  assert.strictEqual(hackernews.parse(fixture('sources/hackernews-best.html'), { limit: 1 }).length, 1);
+});
+
+test('rss: RSS 2.0 items are scored by position and adult ratings flagged', () => {
+  const items = rss.parse(fixture('sources/rss-news.xml'), { category: 'news', baseScore: 3000 });
+  assert.deepStrictEqual(pick(items, ['title', 'url', 'score', 'source', 'nsfw']), [
+    { title: 'Central bank holds interest rates for a fifth month', url: 'https://www.bbc.co.uk/news/business-68532109', score: 3000, source: 'BBC News - World', nsfw: undefined },
+    { title: 'Volcano erupts near Icelandic fishing town', url: 'https://www.bbc.co.uk/news/world-europe-68531877', score: 1500, source: 'BBC News - World', nsfw: undefined },
+    { title: 'Explicit photo leak', url: 'https://www.bbc.co.uk/news/world-68530001', score: 1000, source: 'BBC News - World', nsfw: true }
+  ]);
+  assert.strictEqual(rss.parse(fixture('sources/rss-news.xml'), { name: 'BBC News' })[0].source, 'BBC News');
+});
+
+test('rss: Atom entries use their alternate link and skip untitled ones', () => {
+  const items = rss.parse(fixture('sources/rss-atom.xml'), { category: 'tech' });
+  assert.deepStrictEqual(items, [
+    { title: 'A robot vacuum that climbs stairs', url: 'https://www.theverge.com/2024/3/12/robot-vacuum', score: 1000, source: 'The Verge', category: 'tech' },
+    { title: 'The best e-readers to buy right now', url: 'https://www.theverge.com/23184023/best-ereader', score: 500, source: 'The Verge', category: 'tech' }
+  ]);
+});
+
+test('youtube: videos are scored by views and entries without an id or link are skipped', () => {
+  const items = youtube.parse(fixture('sources/youtube-videos.xml'));
+  assert.deepStrictEqual(items, [
+    { title: 'Otter learns to juggle pebbles at the aquarium', url: 'https://www.youtube.com/watch?v=9bZkp7q19f0', score: 24817, source: 'YouTube: Popular Right Now', category: 'videos' },
+    { title: 'Building a treehouse with no power tools', url: 'https://www.youtube.com/watch?v=kJQP7kiw5Fk', score: 9135, source: 'YouTube: Popular Right Now', category: 'videos' }
+  ]);
+  assert.deepStrictEqual(pick(youtube.parse(fixture('sources/youtube-videos.xml'), { name: 'Trending', category: 'memes', limit: 1 }), ['source', 'category']), [
+    { source: 'Trending', category: 'memes' }
+  ]);
+});
+
+test('each adapter fetches the URL its options describe', async () => {
+  const http = testHttpClient();
+  const before = server.requests.length;
+  const fetched = await Promise.all([
+    reddit.fetch({ subreddit: 'popular', limit: 4, baseUrl: server.url }, { http }),
+    hackernews.fetch({ baseUrl: `${server.url}/` }, { http }),
+    rss.fetch({ url: `${server.url}/news.xml` }, { http }),
+    youtube.fetch({ url: `${server.url}/feeds/videos.xml` }, { http })
+  ]);
+  assert.deepStrictEqual(fetched.map(items => items.length), [4, 3, 3, 2]);
+  assert.deepStrictEqual(server.requests.slice(before).map(request => request.url).sort(), [
+    '/best',
+    '/feeds/videos.xml',
+    '/news.xml',
+    '/r/popular/hot.json?limit=4'
+  ]);
+  // Self posts resolve against the mirror the page came from
+  assert.strictEqual(fetched[1][1].url, `${server.url}/item?id=39680011`);
+
+  await assert.rejects(rss.fetch({}, { http }), /needs a "url"/);
+  await assert.rejects(youtube.fetch({}, { http }), /needs a "playlistId", "channelId" or "url"/);
+});
+
+test('one failing source leaves the others, and disabled or unknown ones are caught up front', async () => {
+  const sources = enabledSources([
+    { type: 'rss', name: 'Down', url: `${server.url}/down.xml` },
+    { type: 'youtube', url: `${server.url}/feeds/videos.xml`, enabled: false },
+    { type: 'rss', url: `${server.url}/verge.xml` }
+  ]);
+  const { items, sources: report } = await fetchFromSources(sources, { http: testHttpClient() });
+  assert.deepStrictEqual(items.map(item => item.source), ['The Verge', 'The Verge']);
+  assert.deepStrictEqual(report.map(source => [source.name, source.status, source.items]), [
+    ['Down', 'failed', 0],
+    [`${server.url}/verge.xml`, 'ok', 2]
+  ]);
+  assert.match(report[0].error, /503/);
+
+  assert.throws(() => enabledSources([{ type: 'tiktok' }]), /Unknown source type "tiktok"/);
+  assert.throws(() => enabledSources({}), /must list "sources"/);
+});
+
+test('items from a publisher\'s own feed are marked firstParty', async () => {
+  const { items } = await fetchFromSources([
+    { type: 'reddit', subreddit: 'popular', baseUrl: server.url },
+    { type: 'youtube', url: `${server.url}/feeds/videos.xml` }
+  ], { http: testHttpClient() });
+  const reddit = items.filter(item => item.source.startsWith('r/'));
+  const videos = items.filter(item => item.source.startsWith('YouTube'));
+  assert.ok(reddit.length && videos.length);
+  assert.ok(reddit.every(item => !item.firstParty));
+  assert.ok(videos.every(item => item.firstParty === true));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { snapshotLinks, recordTrends } = require('../trends');
+const { useTempRoot, readJsonFile } = require('./helpers');
+
+let root;
+
+test.beforeEach(() => {
+  root = useTempRoot();
+});
+test.afterEach(() => root.restore());
+
+// One link per entry, tagged with the keywords given
+function tagged(category, ...keywordLists) {
+  return keywordLists.map((keywords, i) => ({ id: `${category}-${i}`, category, keywords }));
+}
+
+const FIRST = [
+  ...tagged('news', ['AI', 'ai'], ['AI', 'Election'], ['AI', 'Bitcoin']),
+  ...tagged('memes', ['Crypto', 'Bitcoin'], ['Crypto'])
+];
+const SECOND = [
+  ...tagged('news', ['Election'], ['Election', 'AI'], ['Election', 'Eclipse']),
+  ...tagged('memes', ['Crypto'], ['Crypto']),
+  { id: 'hidden', category: 'news', keywords: ['AI', 'Eclipse'], hidden: true }
+];
+
+test('a snapshot counts each keyword once per link and each category', () => {
+  const run = snapshotLinks(FIRST, { at: '2026-01-05T00:00:00.000Z', newLinks: 5 });
+  assert.deepStrictEqual(run, {
+    at: '2026-01-05T00:00:00.000Z',
+    total: 5,
+    newLinks: 5,
+    categories: { news: 3, videos: 0, products: 0, tweets: 0, memes: 2 },
+    keywords: {
+      ai: { keyword: 'AI', count: 3 },
+      election: { keyword: 'Election', count: 1 },
+      bitcoin: { keyword: 'Bitcoin', count: 2 },
+      crypto: { keyword: 'Crypto', count: 2 }
+    }
+  });
+});
+
+test('against the previous run, keywords that grew rise and those that shrank fall', () => {
+  const first = recordTrends(FIRST, { root: root.dir, at: '2026-01-05T00:00:00.000Z', newLinks: 5 });
+  // Nothing to compare the first run with
+  assert.deepStrictEqual([first.rising, first.falling, first.newThisRun], [[], [], []]);
+
+  const trends = recordTrends(SECOND, { root: root.dir, at: '2026-01-05T06:00:00.000Z', newLinks: 2 });
+  const moves = list => list.map(stat => [stat.keyword, stat.count, stat.baseline, stat.velocity, stat.growth]);
+  // Same growth: the bigger count first
+  assert.deepStrictEqual(moves(trends.rising), [
+    ['Election', 3, 1, 2, 1],
+    ['Eclipse', 1, 0, 1, 1]
+  ]);
+  // A keyword that vanished falls furthest; Crypto held steady and is in neither list
+  assert.deepStrictEqual(moves(trends.falling), [
+    ['Bitcoin', 0, 2, -2, -0.67],
+    ['AI', 1, 3, -2, -0.5]
+  ]);
+  assert.deepStrictEqual(trends.newThisRun, ['Eclipse']);
+  // Top keywords by count, then growth; Bitcoin is gone from them
+  assert.deepStrictEqual(trends.keywords.map(stat => [stat.keyword, stat.series]), [
+    ['Election', [1, 3]],
+    ['Crypto', [2, 2]],
+    ['Eclipse', [0, 1]],
+    ['AI', [3, 1]]
+  ]);
+  assert.deepStrictEqual(trends.categories.find(category => category.category === 'memes'), { category: 'memes', count: 2, share: 0.4, series: [0.4, 0.4] });
+
+  assert.deepStrictEqual(readJsonFile('data/trends/latest.json'), trends);
+  assert.deepStrictEqual(readJsonFile('data/trends/history.json').runs.map(run => [run.at, run.total]), [
+    ['2026-01-05T00:00:00.000Z', 5],
+    ['2026-01-05T06:00:00.000Z', 5]
+  ]);
+});
@@ -0,0 +1,266 @@
+// Real thumbnails: each story's og:image/twitter:image, cached and resized under images/
+//
+//   images/thumbs/{hash}-{width}.avif|webp   250px and 500px wide variants of the page image
+//   images/cards/{category}.svg              generated card used when a page has no image
+//
+// Links get `thumbnail` (the 250px WebP), `thumbnailWidth`/`thumbnailHeight` and
+// `thumbnailSrcset` ({ avif, webp } srcset strings) so the homepage can pick the best
+// format and size and reserve space before the image loads.
+//
+//   node scripts/thumbnails.js [links.json]   fill in thumbnails after a hand edit (and
+//                                            republish the static API and feeds)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const sharp = require('sharp');
+const { CATEGORIES } = require('./link-schema');
+const { CATEGORY_LABELS } = require('./digest');
+const { mapWithConcurrency } = require('./link-health');
+const { createHttpClient } = require('./http-client');
+const { ARCHIVE_DIR, readArchivedLinks } = require('./archive');
+
+const THUMB_DIR = path.join('images', 'thumbs');
+const CARD_DIR = path.join('images', 'cards');
+const WIDTHS = [250, 500];
+const FORMATS = { avif: { quality: 50 }, webp: { quality: 75 } };
+const CARD_SIZE = { width: 500, height: 300 };
+const TIMEOUT = 10000;
+const CONCURRENCY = 4;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Tried in order; the first one present wins
+const IMAGE_SELECTORS = [
+  ['meta[property="og:image:secure_url"]', 'content'],
+  ['meta[property="og:image"]', 'content'],
+  ['meta[name="og:image"]', 'content'],
+  ['meta[name="twitter:image"]', 'content'],
+  ['meta[name="twitter:image:src"]', 'content'],
+  ['meta[property="twitter:image"]', 'content'],
+  ['link[rel="image_src"]', 'href']
+];
+
+const CARD_COLORS = {
+  news: ['#ff4500', '#ff6b35'],
+  videos: ['#e52d27', '#b31217'],
+  products: ['#11998e', '#38ef7d'],
+  tweets: ['#1da1f2', '#0d8bd9'],
+  memes: ['#f7971e', '#ffd200']
+};
+
+// Picsum/placehold.co images were stand-ins, not real thumbnails
+const STAND_IN = /^https?:\/\/(picsum\.photos|placehold\.co)\//;
+
+function needsThumbnail(link) {
+  return !link.thumbnail || STAND_IN.test(link.thumbnail);
+}
+
+function findImageUrl(html, pageUrl) {
+  const $ = cheerio.load(html);
+  for (const [selector, attribute] of IMAGE_SELECTORS) {
+    const value = ($(selector).first().attr(attribute) || '').trim();
+    if (!value) continue;
+    try {
+      const url = new URL(value, pageUrl);
+      if (url.protocol === 'http:' || url.protocol === 'https:') return url.toString();
+    } catch (error) {
+      // try the next tag
+    }
+  }
+  return null;
+}
+
+// The image URL for a story page, or the URL itself when it points straight at an image
+async function fetchImageUrl(pageUrl, { timeout = TIMEOUT, http = createHttpClient({ cacheDir: null }) } = {}) {
+  const response = await http.request({
+    method: 'get',
+    url: pageUrl,
+    timeout,
+    maxContentLength: MAX_PAGE_BYTES,
+    responseType: 'text',
+    headers: { Accept: 'text/html,image/*' }
+  });
+  const type = String(response.headers['content-type'] || '');
+  if (type.startsWith('image/')) return pageUrl;
+  if (!type.includes('html')) return null;
+  return findImageUrl(response.data, pageUrl);
+}
+
+function srcset(files) {
+  return files.map(file => `${file.path} ${file.width}w`).join(', ');
+}
+
+// Download an image and write every width/format variant, named by a hash of its URL
+async function cacheImage(imageUrl, { root = '.', timeout = TIMEOUT, http = createHttpClient({ cacheDir: null }) } = {}) {
+  const key = crypto.createHash('sha1').update(imageUrl).digest('hex').slice(0, 16);
+  const response = await http.request({
+    method: 'get',
+    url: imageUrl,
+    timeout,
+    maxContentLength: MAX_IMAGE_BYTES,
+    responseType: 'arraybuffer',
+    headers: { Accept: 'image/avif,image/webp,image/*' }
+  });
+  const input = Buffer.from(response.data);
+  const { width: originalWidth } = await sharp(input).metadata();
+  if (!originalWidth) throw new Error('not an image');
+
+  // Small originals would produce the same variant twice
+  const widths = [...new Set(WIDTHS.map(width => Math.min(width, originalWidth)))];
+  fs.mkdirSync(path.join(root, THUMB_DIR), { recursive: true });
+
+  const variants = {};
+  for (const [format, options] of Object.entries(FORMATS)) {
+    variants[format] = [];
+    for (const width of widths) {
+      const file = path.posix.join('images', 'thumbs', `${key}-${width}.${format}`);
+      const info = await sharp(input)
+        .rotate()
+        .resize({ width, height: width * 2, fit: 'inside', withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(path.join(root, file));
+      variants[format].push({ path: file, width: info.width, height: info.height });
+    }
+  }
+
+  const base = variants.webp[0];
+  return {
+    thumbnail: base.path,
+    thumbnailWidth: base.width,
+    thumbnailHeight: base.height,
+    thumbnailSrcset: { avif: srcset(variants.avif), webp: srcset(variants.webp) }
+  };
+}
+
+function categoryCardPath(category) {
+  return path.posix.join('images', 'cards', `${CATEGORIES.includes(category) ? category : 'news'}.svg`);
+}
+
+function buildCategoryCard(category) {
+  const [from, to] = CARD_COLORS[category] || CARD_COLORS.news;
+  const [emoji, ...words] = CATEGORY_LABELS[category].split(' ');
+  const { width, height } = CARD_SIZE;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${from}"/>
+      <stop offset="1" stop-color="${to}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#bg)"/>
+  <text x="50%" y="44%" text-anchor="middle" dominant-baseline="middle" font-size="96">${emoji}</text>
+  <text x="50%" y="78%" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" font-size="36" font-weight="bold" fill="#ffffff">${words.join(' ')}</text>
+</svg>
+`;
+}
+
+function writeCategoryCards({ root = '.' } = {}) {
+  fs.mkdirSync(path.join(root, CARD_DIR), { recursive: true });
+  CATEGORIES.forEach(category => {
+    fs.writeFileSync(path.join(root, categoryCardPath(category)), buildCategoryCard(category));
+  });
+}
+
+function categoryCard(category) {
+  return { thumbnail: categoryCardPath(category), thumbnailWidth: CARD_SIZE.width, thumbnailHeight: CARD_SIZE.height };
+}
+
+function withoutThumbnail(link) {
+  const { thumbnail, thumbnailWidth, thumbnailHeight, thumbnailSrcset, ...rest } = link;
+  return rest;
+}
+
+// Give every link that has no real thumbnail its page image, or its category card.
+// Links that already have one are returned untouched. `http` is an http-client.js client.
+async function addThumbnails(links, { root = '.', concurrency = CONCURRENCY, timeout = TIMEOUT, http = createHttpClient({ cacheDir: null }) } = {}) {
+  writeCategoryCards({ root });
+  const stats = { fetched: 0, cards: 0 };
+
+  const result = await mapWithConcurrency(links, concurrency, async link => {
+    if (!needsThumbnail(link)) return link;
+    try {
+      const imageUrl = await fetchImageUrl(link.url, { timeout, http });
+      if (imageUrl) {
+        const thumbnail = await cacheImage(imageUrl, { root, timeout, http });
+        stats.fetched++;
+        return { ...withoutThumbnail(link), ...thumbnail };
+      }
+    } catch (error) {
+      console.log(`  ⚠️ No thumbnail for ${link.url}: ${error.message}`);
+    }
+    stats.cards++;
+    return { ...withoutThumbnail(link), ...categoryCard(link.category) };
+  });
+
+  return { links: result, ...stats };
+}
+
+// Remove cached variants that neither `links` nor the archive (which the front end shows
+// in archive mode) refers to any more
+function pruneThumbnails(links, { root = '.' } = {}) {
+  const dir = path.join(root, THUMB_DIR);
+  if (!fs.existsSync(dir)) return 0;
+
+  const used = new Set();
+  [...links, ...readArchivedLinks(path.join(root, ARCHIVE_DIR))].forEach(link => {
+    if (link.thumbnail) used.add(path.posix.basename(link.thumbnail));
+    Object.values(link.thumbnailSrcset || {}).forEach(set => {
+      set.split(',').forEach(candidate => used.add(path.posix.basename(candidate.trim().split(/\s+/)[0])));
+    });
+  });
+
+  let removed = 0;
+  fs.readdirSync(dir).forEach(file => {
+    if (used.has(file)) return;
+    fs.unlinkSync(path.join(dir, file));
+    removed++;
+  });
+  return removed;
+}
+
+// Like an admin save: validated, written atomically, then the static API and feeds are
+// rebuilt, since the homepage reads api/v1 before links.json
+async function main() {
+  const { parseLinksText, validateLinks, publishedLinks } = require('./link-schema');
+  const { writeJsonAtomic } = require('./json-file');
+  const { buildStaticApi } = require('./api');
+  const { writeFeeds } = require('./feeds');
+  const file = process.argv[2] || 'links.json';
+  const root = path.dirname(file);
+  const { links } = parseLinksText(fs.readFileSync(file, 'utf8'));
+
+  console.log(`🖼️ Looking for thumbnails for ${links.filter(needsThumbnail).length} links...`);
+  const result = await addThumbnails(links, { root });
+  const problems = validateLinks(result.links);
+  if (problems.length) {
+    throw new Error(`Refusing to write ${file}: ${problems.length} schema problems (run "npm run fix" first)`);
+  }
+  writeJsonAtomic(file, result.links);
+  const pruned = pruneThumbnails(result.links, { root });
+  const published = publishedLinks(result.links);
+  buildStaticApi(published, { root });
+  writeFeeds(published, { root });
+  console.log(`✅ ${result.fetched} page images, ${result.cards} category cards, ${pruned} stale files removed`);
+  console.log('🔌 Updated static API in api/v1 and the RSS, Atom and JSON feeds');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  findImageUrl,
+  fetchImageUrl,
+  cacheImage,
+  addThumbnails,
+  pruneThumbnails,
+  needsThumbnail,
+  buildCategoryCard,
+  writeCategoryCards,
+  categoryCardPath
+};
@@ -0,0 +1,142 @@
+// Keyword and category trends across curator runs
+//
+// Every run appends a snapshot of the hot links to data/trends/history.json:
+//
+//   { at, total, newLinks, categories: { news: 12, ... }, keywords: { slug: { keyword, count } } }
+//
+// and rewrites data/trends/latest.json for the homepage: rising and falling keywords
+// (this run's count against the average of the previous BASELINE_RUNS runs), the top
+// keywords with a sparkline series, keywords that are new this run, and each category's
+// share of the hot list over time.
+//
+//   node scripts/trends.js            rebuild latest.json from the history
+//   node scripts/trends.js --record   add a snapshot of links.json first
+
+const path = require('path');
+const { CATEGORIES, publishedLinks } = require('./link-schema');
+const { keywordSlug } = require('./api');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+const TRENDS_DIR = path.join('data', 'trends');
+const MAX_RUNS = 120; // ~30 days at one run every 6 hours
+const SERIES_RUNS = 12; // points in each sparkline
+const BASELINE_RUNS = 8; // trailing runs a keyword's velocity is measured against
+const TOP_KEYWORDS = 12;
+const TOP_MOVERS = 6;
+
+function snapshotLinks(links, { at = new Date().toISOString(), newLinks = 0 } = {}) {
+  const categories = {};
+  CATEGORIES.forEach(category => {
+    categories[category] = 0;
+  });
+  const keywords = {};
+
+  links.forEach(link => {
+    if (categories[link.category] !== undefined) categories[link.category]++;
+    // A link tagged "AI" and "ai" still only counts once
+    new Set((link.keywords || []).map(keywordSlug)).forEach(slug => {
+      if (!slug) return;
+      const original = link.keywords.find(keyword => keywordSlug(keyword) === slug);
+      if (!keywords[slug]) keywords[slug] = { keyword: original, count: 0 };
+      keywords[slug].count++;
+    });
+  });
+
+  return { at, total: links.length, newLinks, categories, keywords };
+}
+
+function countIn(run, slug) {
+  return run.keywords[slug] ? run.keywords[slug].count : 0;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function computeTrends(runs) {
+  if (!runs.length) return null;
+  const latest = runs[runs.length - 1];
+  const baselineRuns = runs.slice(-1 - BASELINE_RUNS, -1);
+  const seriesRuns = runs.slice(-SERIES_RUNS);
+
+  // Everything seen in the latest run or its baseline, so topics that vanished can fall
+  const slugs = new Set(Object.keys(latest.keywords));
+  baselineRuns.forEach(run => Object.keys(run.keywords).forEach(slug => slugs.add(slug)));
+
+  const stats = [...slugs].map(slug => {
+    const count = countIn(latest, slug);
+    const baseline = average(baselineRuns.map(run => countIn(run, slug)));
+    const named = [latest, ...baselineRuns.slice().reverse()].find(run => run.keywords[slug]);
+    return {
+      keyword: named.keywords[slug].keyword,
+      slug,
+      count,
+      baseline: round(baseline),
+      // Change per run against the trailing average, plus the same relative to its size
+      velocity: round(count - baseline),
+      growth: round((count - baseline) / (baseline + 1)),
+      isNew: count > 0 && baselineRuns.length > 0 && baselineRuns.every(run => !run.keywords[slug]),
+      series: seriesRuns.map(run => countIn(run, slug))
+    };
+  });
+
+  const byGrowth = (a, b) => b.growth - a.growth || b.count - a.count;
+  const rising = baselineRuns.length ? stats.filter(s => s.velocity > 0).sort(byGrowth).slice(0, TOP_MOVERS) : [];
+  const falling = stats.filter(s => s.velocity < 0).sort((a, b) => byGrowth(b, a)).slice(0, TOP_MOVERS);
+
+  const categories = CATEGORIES.map(category => {
+    const shares = seriesRuns.map(run => (run.total ? round(run.categories[category] / run.total) : 0));
+    return { category, count: latest.categories[category], share: shares[shares.length - 1], series: shares };
+  });
+
+  return {
+    updatedAt: latest.at,
+    runs: runs.length,
+    total: latest.total,
+    newLinks: latest.newLinks,
+    series: seriesRuns.map(run => run.at),
+    rising,
+    falling,
+    keywords: stats.filter(s => s.count > 0).sort((a, b) => b.count - a.count || b.growth - a.growth).slice(0, TOP_KEYWORDS),
+    newThisRun: stats.filter(s => s.isNew).map(s => s.keyword),
+    categories
+  };
+}
+
+// Append a snapshot of this run's hot links and rewrite latest.json
+function recordTrends(links, { root = '.', at, newLinks } = {}) {
+  const historyFile = path.join(root, TRENDS_DIR, 'history.json');
+  const history = readJson(historyFile, { runs: [] });
+  history.runs = [...history.runs, snapshotLinks(publishedLinks(links), { at, newLinks })].slice(-MAX_RUNS);
+  writeJsonAtomic(historyFile, history);
+  return writeLatest(history.runs, root);
+}
+
+function writeLatest(runs, root = '.') {
+  const trends = computeTrends(runs);
+  if (trends) writeJsonAtomic(path.join(root, TRENDS_DIR, 'latest.json'), trends);
+  return trends;
+}
+
+if (require.main === module) {
+  const fs = require('fs');
+  const { parseLinksText } = require('./link-schema');
+  let trends;
+  if (process.argv.includes('--record')) {
+    const { links } = parseLinksText(fs.readFileSync('links.json', 'utf8'));
+    trends = recordTrends(links);
+  } else {
+    trends = writeLatest(readJson(path.join(TRENDS_DIR, 'history.json'), { runs: [] }).runs);
+  }
+  if (!trends) {
+    console.log('⚠️ No runs recorded yet - use --record to snapshot links.json');
+  } else {
+    console.log(`📈 ${trends.runs} runs: ${trends.rising.length} rising, ${trends.falling.length} falling, ${trends.newThisRun.length} new keywords`);
+  }
+}
+
+module.exports = { snapshotLinks, computeTrends, recordTrends, TRENDS_DIR };
@@ -0,0 +1,77 @@
+// Validate or repair links.json from the command line
+//
+//   node scripts/validate-links.js validate [file]   report problems, exit 1 if any
+//   node scripts/validate-links.js fix [file]        repair in place and report what changed
+
+const fs = require('fs');
+const { validateLinks, parseLinksText, repairLinks } = require('./link-schema');
+const { writeJsonAtomic } = require('./json-file');
+
+function describe(problem) {
+  const where = problem.index === null ? 'file' : `#${problem.index} (id ${JSON.stringify(problem.id)})`;
+  return `${where} ${problem.field}: ${problem.message}`;
+}
+
+function readLinks(file) {
+  if (!fs.existsSync(file)) {
+    console.error(`❌ ${file} not found`);
+    process.exit(1);
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  let parseError = null;
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    parseError = error.message;
+  }
+  return { ...parseLinksText(text), parseError };
+}
+
+function validate(file) {
+  const { links, parseError } = readLinks(file);
+  if (parseError) {
+    console.log(`❌ ${file} is not valid JSON: ${parseError}`);
+    console.log(`   ${links.length} records could be recovered - run "fix" to rewrite the file`);
+  }
+
+  const problems = validateLinks(links);
+  problems.forEach(problem => console.log(`  ⚠️ ${describe(problem)}`));
+
+  if (parseError || problems.length) {
+    console.log(`❌ ${file}: ${problems.length} problems in ${links.length} records`);
+    process.exit(1);
+  }
+  console.log(`✅ ${file}: ${links.length} valid records`);
+}
+
+function fix(file) {
+  const { links, recovered } = readLinks(file);
+  if (recovered) console.log(`🔧 Recovered ${links.length} records from malformed JSON`);
+
+  const result = repairLinks(links);
+  result.fixes.forEach(f => {
+    console.log(`  🔧 #${f.index} ${f.field}: ${JSON.stringify(f.from)} → ${JSON.stringify(f.to)}`);
+  });
+  result.merged.forEach(m => {
+    console.log(`  🔗 #${m.index} (id ${JSON.stringify(m.id)}) merged into ${JSON.stringify(m.into)}: same URL`);
+  });
+  result.dropped.forEach(d => {
+    console.log(`  🗑️ #${d.index} (id ${JSON.stringify(d.id)}) dropped: ${d.reasons.join('; ')}`);
+  });
+
+  writeJsonAtomic(file, result.links);
+  console.log(`✅ Wrote ${result.links.length} records to ${file} (${result.fixes.length} fixes, ${result.merged.length} merged, ${result.dropped.length} dropped)`);
+}
+
+function main() {
+  const [command, file = 'links.json'] = process.argv.slice(2);
+  if (command === 'validate') return validate(file);
+  if (command === 'fix') return fix(file);
+
+  console.log('Usage: node scripts/validate-links.js <validate|fix> [file]');
+  process.exit(command ? 1 : 0);
+}
+
+if (require.main === module) main();
+
+module.exports = { validate, fix };
@@ -0,0 +1,261 @@
+// Full-text link search shared by the homepage and the API server
+//
+// Links are indexed into an inverted index over title, keywords, source, description and
+// category. Every word in a query has to match (AND), either exactly, as a prefix of an
+// indexed word, within one or two typos, or through a synonym from the keyword metadata.
+// Matches are scored with BM25, with per-field boosts, so a hit in the title outranks
+// one in the description.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ViralSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FIELD_BOOSTS = { title: 3, keywords: 2.5, source: 1.5, description: 1, category: 0.5 };
+    const K1 = 1.2;
+    const B = 0.75;
+
+    // How much a match counts compared with the exact word
+    const MATCH_WEIGHTS = { exact: 1, synonym: 0.8, prefix: 0.7, fuzzy: 0.5 };
+
+    // Dropped from queries (as long as something else is left), never from the index
+    const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'with', 'at', 'by']);
+
+    const WORD = /[\p{L}\p{N}]+/gu;
+
+    function normalize(word) {
+        return word.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+    }
+
+    function tokenize(text) {
+        return (String(text || '').match(WORD) || []).map(normalize).filter(Boolean);
+    }
+
+    function fieldsOf(link) {
+        return {
+            title: link.title,
+            keywords: (link.keywords || []).join(' '),
+            source: [link.source, ...(link.sources || [])].join(' '),
+            description: link.description,
+            category: link.category
+        };
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev2 = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], prev2[j - 2] + 1);
+                }
+                best = Math.min(best, row[j]);
+            }
+            if (best > max) return max + 1;
+            prev2 = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    function maxTypos(word) {
+        if (word.length >= 8) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    // synonyms: { keyword: [synonym, ...] }. Every phrase in a group stands in for the others.
+    function buildSynonymGroups(synonyms) {
+        const groups = new Map();
+        Object.entries(synonyms || {}).forEach(([keyword, list]) => {
+            const group = [keyword, ...(Array.isArray(list) ? list : [])]
+                .map(phrase => tokenize(phrase))
+                .filter(tokens => tokens.length);
+            group.forEach(tokens => {
+                const key = tokens.join(' ');
+                const others = group.filter(other => other.join(' ') !== key);
+                groups.set(key, [...(groups.get(key) || []), ...others]);
+            });
+        });
+        return groups;
+    }
+
+    function createIndex(links, { synonyms } = {}) {
+        const postings = new Map(); // term -> Map(doc -> { field: tf })
+        const lengths = links.map(() => ({}));
+        const totals = {};
+
+        links.forEach((link, doc) => {
+            Object.entries(fieldsOf(link)).forEach(([field, text]) => {
+                const tokens = tokenize(text);
+                lengths[doc][field] = tokens.length;
+                totals[field] = (totals[field] || 0) + tokens.length;
+                tokens.forEach(token => {
+                    if (!postings.has(token)) postings.set(token, new Map());
+                    const docs = postings.get(token);
+                    if (!docs.has(doc)) docs.set(doc, {});
+                    const tf = docs.get(doc);
+                    tf[field] = (tf[field] || 0) + 1;
+                });
+            });
+        });
+
+        const averages = {};
+        Object.keys(FIELD_BOOSTS).forEach(field => {
+            averages[field] = links.length ? (totals[field] || 0) / links.length || 1 : 1;
+        });
+        const vocabulary = [...postings.keys()];
+        const synonymGroups = buildSynonymGroups(synonyms);
+
+        // BM25 with the field boosts folded into the term frequency (BM25F)
+        function termScore(term, doc) {
+            const docs = postings.get(term);
+            const tf = docs && docs.get(doc);
+            if (!tf) return 0;
+            let weighted = 0;
+            Object.entries(tf).forEach(([field, count]) => {
+                const norm = 1 - B + B * (lengths[doc][field] / averages[field]);
+                weighted += FIELD_BOOSTS[field] * count / norm;
+            });
+            const idf = Math.log(1 + (links.length - docs.size + 0.5) / (docs.size + 0.5));
+            return idf * (weighted * (K1 + 1)) / (weighted + K1);
+        }
+
+        // Indexed terms a query word can stand for, with how much each counts
+        function expandWord(word) {
+            const matches = new Map();
+            const add = (term, weight) => {
+                if ((matches.get(term) || 0) < weight) matches.set(term, weight);
+            };
+            if (postings.has(word)) add(word, MATCH_WEIGHTS.exact);
+            const typos = maxTypos(word);
+            vocabulary.forEach(term => {
+                if (term === word) return;
+                if (word.length >= 2 && term.startsWith(word)) add(term, MATCH_WEIGHTS.prefix);
+                else if (typos && editDistance(word, term, typos) <= typos) add(term, MATCH_WEIGHTS.fuzzy);
+            });
+            return matches;
+        }
+
+        // Split the query into clauses; each clause is a run of words that all have to match,
+        // or one of its synonym phrases instead
+        function parseQuery(query) {
+            let words = tokenize(query);
+            const content = words.filter(word => !STOPWORDS.has(word));
+            if (content.length) words = content;
+
+            const clauses = [];
+            for (let i = 0; i < words.length;) {
+                // Longest synonym phrase starting here, e.g. "machine learning" -> AI
+                let length = 0;
+                for (let n = words.length - i; n >= 1 && !length; n--) {
+                    if (synonymGroups.has(words.slice(i, i + n).join(' '))) length = n;
+                }
+                const phrase = words.slice(i, i + Math.max(length, 1));
+                const alternatives = [{ words: phrase, weight: 1 }];
+                (synonymGroups.get(phrase.join(' ')) || []).forEach(tokens => {
+                    alternatives.push({ words: tokens, weight: MATCH_WEIGHTS.synonym });
+                });
+                clauses.push(alternatives);
+                i += phrase.length;
+            }
+            return clauses;
+        }
+
+        // Best score this alternative gives the doc, or 0 if any of its words is missing
+        function alternativeScore(alternative, expansions, doc) {
+            let total = 0;
+            for (const word of alternative.words) {
+                let best = 0;
+                expansions.get(word).forEach((weight, term) => {
+                    best = Math.max(best, weight * termScore(term, doc));
+                });
+                if (!best) return 0;
+                total += best;
+            }
+            return total * alternative.weight;
+        }
+
+        function prepare(query) {
+            const clauses = parseQuery(query);
+            const expansions = new Map();
+            clauses.flat().forEach(alternative => {
+                alternative.words.forEach(word => {
+                    if (!expansions.has(word)) expansions.set(word, expandWord(word));
+                });
+            });
+            return { clauses, expansions };
+        }
+
+        // Matching links, best first: [{ link, score }]
+        function search(query) {
+            const { clauses, expansions } = prepare(query);
+            if (!clauses.length) return links.map(link => ({ link, score: 0 }));
+
+            const results = [];
+            links.forEach((link, doc) => {
+                let score = 0;
+                for (const alternatives of clauses) {
+                    const best = Math.max(...alternatives.map(alternative => alternativeScore(alternative, expansions, doc)));
+                    if (!best) return;
+                    score += best;
+                }
+                results.push({ link, score });
+            });
+            return results.sort((a, b) => b.score - a.score);
+        }
+
+        // Every indexed word the query can match, for highlighting
+        function matchedTerms(query) {
+            const { expansions } = prepare(query);
+            const terms = new Set();
+            expansions.forEach(matches => matches.forEach((weight, term) => terms.add(term)));
+            return terms;
+        }
+
+        return { search, matchedTerms, size: links.length };
+    }
+
+    // Indexes are rebuilt only when the links (or synonyms) change. Pages get appended to
+    // the same array, so the length is part of the key.
+    const cache = new WeakMap();
+
+    function indexFor(links, options = {}) {
+        const cached = cache.get(links);
+        if (cached && cached.size === links.length && cached.synonyms === options.synonyms) return cached.index;
+        const index = createIndex(links, options);
+        cache.set(links, { index, size: links.length, synonyms: options.synonyms });
+        return index;
+    }
+
+    function searchLinks(links, query, options) {
+        return indexFor(links, options).search(query).map(result => result.link);
+    }
+
+    // Split text into [{ text, match }] runs so callers can wrap matches in <mark>
+    function highlight(text, terms) {
+        const source = String(text == null ? '' : text);
+        if (!terms || !terms.size) return [{ text: source, match: false }];
+        const parts = [];
+        let last = 0;
+        source.replace(WORD, (word, offset) => {
+            if (!terms.has(normalize(word))) return word;
+            if (offset > last) parts.push({ text: source.slice(last, offset), match: false });
+            parts.push({ text: word, match: true });
+            last = offset + word.length;
+            return word;
+        });
+        if (last < source.length) parts.push({ text: source.slice(last), match: false });
+        return parts;
+    }
+
+    return { FIELD_BOOSTS, tokenize, editDistance, createIndex, indexFor, searchLinks, highlight };
+});
@@ -0,0 +1,101 @@
+// Service worker: lets Viral Nexus be installed and opened offline
+//
+// The app shell and the first page of links are cached at install. Both are then served
+// from the cache straight away and refreshed in the background (stale-while-revalidate);
+// when a refresh brings different links, open pages get a 'links-updated' message and
+// offer to show them. The logged-in reader and their saved links are fetched from the
+// network first, falling back to the last copy, and forgotten on logout.
+//
+// Bump SHELL_VERSION when the list of shell files changes.
+
+importScripts('offline.js');
+
+const SHELL_VERSION = 1;
+const SHELL_CACHE = `viral-nexus-shell-v${SHELL_VERSION}`;
+const DATA_CACHE = 'viral-nexus-data';
+const ACCOUNT_CACHE = 'viral-nexus-account';
+const CACHES = [SHELL_CACHE, DATA_CACHE, ACCOUNT_CACHE];
+
+const scope = new URL(self.registration.scope);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(ViralOffline.SHELL_FILES);
+        // Sites without the static API only have links.json, so these may 404
+        const data = await caches.open(DATA_CACHE);
+        await Promise.all(ViralOffline.LINKS_DATA.map(path => data.add(path).catch(() => {})));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('viral-nexus-') && !CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === `${scope.pathname}api/auth/logout`) {
+        event.respondWith(fetch(request).finally(() => caches.delete(ACCOUNT_CACHE)));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    const strategy = ViralOffline.strategyFor(url, scope);
+    if (strategy === 'shell') {
+        // Every view of the homepage (?category=..., #/link/...) is the same index.html
+        const key = request.mode === 'navigate' || url.pathname === scope.pathname ? 'index.html' : request;
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, key));
+    } else if (strategy === 'data') {
+        // Kept under the bare path, so a cache-busting ?v= refreshes the copy ignoreSearch finds
+        const path = url.pathname.slice(scope.pathname.length);
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE, url.origin + url.pathname, ViralOffline.LINKS_DATA.includes(path)));
+    } else if (strategy === 'account') {
+        event.respondWith(networkFirst(request, ACCOUNT_CACHE));
+    }
+});
+
+// The cached copy if there is one, while the network refreshes the cache. With `notify`,
+// pages hear about it when the refreshed copy differs from the one they were given.
+async function staleWhileRevalidate(event, cacheName, key, notify = false) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key, { ignoreSearch: true });
+    const before = cached && notify ? cached.clone().text() : null;
+
+    const refresh = fetch(event.request).then(async (response) => {
+        if (!response.ok) return response;
+        await cache.put(key, response.clone());
+        if (before && await before !== await response.clone().text()) {
+            const pages = await self.clients.matchAll({ type: 'window' });
+            pages.forEach(page => page.postMessage({ type: 'links-updated', url: response.url }));
+        }
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        // Logged out (or the session expired) on the server: nothing of theirs stays behind
+        else if (response.status === 401) await caches.delete(cacheName);
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}